@@ -3,57 +3,189 @@
  *
  * Summary:
  * --------
- * This Express API server waits for three connections/actions to complete before starting:
+ * This Express API server waits for two actions to complete before starting:
  *
- *   1. Connect to the IBM MQ queue manager (QM1) using connectToQM1() from ./models/mq.js.
- *   2. Confirm the Redis connection by pinging the Redis client.
- *   3. Initialize the Redis database with a set number of random records by calling
- *      initializeRecords(x) from ./models/apiModels.js.
+ *   1. Confirm the Redis connection by pinging the Redis client.
+ *   2. Prepare the records in Redis by calling initializeRecords() from ./models/apiModels.js.
+ *      Redis keeps its data across restarts. When it holds no records, they are loaded from
+ *      MSSQL, or SEED_RECORDS random records are generated (no seeding by default).
+ *      REDIS_RESET_ON_START=true clears the API's Redis namespace first.
  *
- * Once all are done, the connections are attached to app.locals, and the server starts.
- * Routes are imported from ./routes/apiRoutes.js.
+ * The messaging backend (the IBM MQ queue manager QM1 by default, or the local broker when
+ * MQ_TRANSPORT says so) is connected in the background by the connection manager from
+ * createMessagingManager() in ./models/mq.js, which reconnects with backoff when the
+ * connection is lost. The manager, the record dispatcher (./models/dispatcher.js) and the
+ * requester for synchronous requests (./models/requester.js) are attached to app.locals, a
+ * scheduler (./models/scheduler.js) starts sending batches dispatched for later, a
+ * listener is started on the reply queue (DEV.QUEUE.2), and on the result subscriptions when
+ * results are only published on topics, so consumer results are stored on their records,
+ * and the server starts. On SIGTERM or SIGINT, shutdown() stops the server and closes every
+ * connection.
+ * Routes are imported from ./routes/apiRoutes.js, record routes from ./routes/recordRoutes.js,
+ * dispatch routes from ./routes/dispatchRoutes.js, batch routes from ./routes/batchRoutes.js,
+ * the live result stream from ./routes/resultRoutes.js, task routes from ./routes/taskRoutes.js,
+ * range job routes from ./routes/jobRoutes.js, the synchronous prime test from
+ * ./routes/primeRoutes.js, topic subscriptions from ./routes/subscriptionRoutes.js, result
+ * cache statistics from ./routes/cacheRoutes.js, queue depths from ./routes/queueRoutes.js,
+ * the liveness and readiness probes from ./routes/healthRoutes.js, and the Prometheus metrics
+ * from ./routes/metricsRoutes.js.
+ *
+ * Logs are written as JSON lines (shared/src/logging, LOG_LEVEL). Every request except the
+ * health probes and metrics scrapes runs in a trace (shared/src/tracing): its ID is returned
+ * in the X-Trace-Id and traceparent headers, and travels with the records it dispatches
+ * through MQ to the consumer and back.
  */
-import dotenv from 'dotenv';
-dotenv.config();
+import 'dotenv/config'; // Load .env before any module reads the configuration
 import express from 'express';
-import { connectToQM1 } from './models/mq.js'; // IBM MQ connection function
+import { getConfig, redactConfig } from 'shared/config/index.js'; // Validated configuration
+import { initLogging, createLogger } from 'shared/logging/index.js'; // Structured JSON logs
+import { tracingMiddleware } from 'shared/tracing/index.js'; // Request traces
+import { createMessagingManager, startReplyListener } from './models/mq.js'; // Messaging connection and reply listener
 import { client as redisClient } from './models/redis.js'; // Redis client
-import { initializeRecords } from './models/apiModels.js'; // Record generation and population function
+import { initializeRecords, applyPrimeResult } from './models/apiModels.js'; // Record population and result handling
 import apiRoutes from './routes/apiRoutes.js'; // Import routes
+import recordRoutes from './routes/recordRoutes.js'; // Record CRUD and listing routes
+import dispatchRoutes from './routes/dispatchRoutes.js'; // Filtered, throttled dispatch
+import { createDispatcher } from './models/dispatcher.js'; // Sends records to the request queue
+import { createScheduler } from './models/scheduler.js'; // Sends scheduled batches when due
+import batchRoutes from './routes/batchRoutes.js'; // Batch dispatch and progress routes
+import resultRoutes from './routes/resultRoutes.js'; // Server-Sent Events stream of results
+import taskRoutes from './routes/taskRoutes.js'; // Task submission and status routes
+import { applyTaskResult } from './models/taskModels.js'; // Task outcome handling
+import jobRoutes from './routes/jobRoutes.js'; // Range job routes
+import primeRoutes from './routes/primeRoutes.js'; // Synchronous prime test
+import { createRequester } from './models/requester.js'; // Request/reply over a ReplyToQ queue
+import subscriptionRoutes from './routes/subscriptionRoutes.js'; // Durable subscriptions to the result topics
+import cacheRoutes from './routes/cacheRoutes.js'; // Result cache statistics
+import queueRoutes from './routes/queueRoutes.js'; // Queue depths
+import healthRoutes from './routes/healthRoutes.js'; // Liveness and readiness probes
+import metricsRoutes from './routes/metricsRoutes.js'; // Prometheus metrics
+import { initMetrics } from 'shared/metrics/index.js';
+import { closeDatabase } from 'shared/db/index.js';
+import { closeCache } from 'shared/cache/index.js';
+
+const config = getConfig();
+initLogging('api');
+const log = createLogger('api');
+log.info('Configuration loaded', { environment: config.environment, config: redactConfig(config) });
 
+initMetrics('api');
 const app = express();
 
-// Middleware to parse JSON request bodies.
-app.use(express.json());
+// Run each request in a trace and log it once it has been answered.
+app.use(tracingMiddleware({ ignorePaths: ['/health', '/metrics'] }));
+
+// Middleware to parse JSON request bodies. The limit leaves room for bulk record uploads.
+app.use(express.json({ limit: process.env.API_BODY_LIMIT || '10mb' }));
 
 // Use the routes from apiRoutes.js
 app.use('/', apiRoutes);
+app.use('/records', recordRoutes);
+app.use('/dispatch', dispatchRoutes);
+app.use('/batches', batchRoutes);
+app.use('/results', resultRoutes);
+app.use('/tasks', taskRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/prime', primeRoutes);
+app.use('/subscriptions', subscriptionRoutes);
+app.use('/cache', cacheRoutes);
+app.use('/queues', queueRoutes);
+app.use('/health', healthRoutes);
+app.use('/metrics', metricsRoutes);
 
-// Wait for IBM MQ connection, Redis ping, and record initialization before starting the server.
+// The messaging connection is kept up by a connection manager, which connects in the
+// background and reconnects with backoff whenever the connection is lost. The server does
+// not wait for it: until it is connected, readiness reports MQ as failing and no replies are
+// taken. The dispatcher and the requester open their own connections on first use.
+const mq = createMessagingManager();
+mq.start();
+app.locals.mq = mq;
+app.locals.dispatcher = createDispatcher();
+app.locals.requester = createRequester();
+app.locals.redis = redisClient;
+app.locals.scheduler = createScheduler({ dispatcher: app.locals.dispatcher });
+
+let server = null;
+let replyListener = null;
+let shuttingDown = false;
+
+// Wait for the Redis ping and record initialization before starting the server.
 Promise.all([
-  connectToQM1().then(hConn => {
-    console.log('Connected to QM1:', hConn);
-    return hConn;
-  }).catch(err => {
-    console.error('Failed to connect to QM1:', err);
-    throw err;
-  }),
   Promise.resolve(redisClient.ping()),
-  initializeRecords(1000)
+  initializeRecords({
+    seedCount: Number(process.env.SEED_RECORDS) || 0,
+    reset: process.env.REDIS_RESET_ON_START === 'true',
+  })
 ])
-  .then(([mqConn, redisPong, records]) => {
-    console.log('IBM MQ connection confirmed:', mqConn);
-    console.log('Redis ping response:', redisPong);
-    console.log(`Initialized ${records.length} records in Redis.`);
+  .then(([redisPong, recordCount]) => {
+    log.info('Redis is ready', { ping: redisPong, records: recordCount });
 
-    app.locals.mqConn = mqConn;
-    app.locals.redis = redisClient;
+    // Store every result the consumer posts to the reply queue on its record and publish
+    // it to the result stream; store task outcomes on their task or range job.
+    replyListener = startReplyListener(mq, { onResult: applyPrimeResult, onTaskResult: applyTaskResult });
+    app.locals.scheduler.start();
 
-    const PORT = process.env.API_PORT || 3102;
-    app.listen(PORT, () => {
-      console.log(`Server is running on port ${PORT}`);
+    const PORT = config.http.apiPort;
+    server = app.listen(PORT, () => {
+      log.info('Server is running', { port: PORT });
     });
   })
   .catch(err => {
-    console.error("Error establishing connections or initializing records:", err);
+    log.error('Error establishing connections or initializing records', { err });
   });
+
+/**
+ * shutdown
+ * --------
+ * Stops the API gracefully on SIGTERM or SIGINT. The server stops accepting connections,
+ * the reply listener stops after the reply it is handling, the scheduler stops after the
+ * batches it is starting (later ones stay scheduled), the dispatcher finishes the chunks
+ * it is sending, the requester deletes its reply queue, and then the MQ connection (queue
+ * handles and MQDISC), Redis and MSSQL are closed. Open connections such as result streams
+ * are closed last. If that takes longer than SHUTDOWN_TIMEOUT_MS (default 15000), the
+ * process exits anyway.
+ *
+ * @param {string} signal - The signal that was received.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  log.info('Signal received; shutting down', { signal });
+  const timer = setTimeout(() => {
+    log.error('Shutdown is taking too long; exiting without finishing');
+    process.exit(1);
+  }, Number(process.env.SHUTDOWN_TIMEOUT_MS) || 15000);
+  timer.unref();
+
+  try {
+    const serverClosed = server ? new Promise(resolve => server.close(resolve)) : Promise.resolve();
+    if (server) {
+      server.closeIdleConnections();
+    }
+    if (replyListener) {
+      await replyListener.stop();
+    }
+    await app.locals.scheduler.stop();
+    await app.locals.dispatcher.close();
+    await app.locals.requester.close();
+    await mq.close();
+    // Result streams stay open until the client leaves, so close them now.
+    if (server) {
+      server.closeAllConnections();
+    }
+    await serverClosed;
+    await redisClient.quit();
+    await closeCache();
+    await closeDatabase();
+    log.info('API stopped');
+  } catch (err) {
+    log.error('Error during shutdown', { err });
+    process.exitCode = 1;
+  }
+  process.exit();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
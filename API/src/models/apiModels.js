@@ -10,16 +10,45 @@
  *      { "id": <record id>, "value": <number as a string> }
  *    with sequential ids (starting at 1) and a random number between 1 and 1,000,000.
  *
- * 2. initializeRecords(count): Generates records and populates the Redis database with them
- *    by calling the populateRecords() helper from db.js.
+ * 2. initializeRecords(options): Prepares the records in Redis at startup. Redis keeps its
+ *    data across restarts; when it holds no records, the records stored in MSSQL are loaded,
+ *    or, if seeding is configured, new random records are generated and stored.
+ *
+ * 3. applyPrimeResult(reply, batchId): Stores a reply from the consumer ({ id, value, prime, ... }) on
+ *    the matching record, together with a checkedAt timestamp and the sentAt of its request,
+ *    and counts it against its batch. Replies for a value the record no longer has are not
+ *    stored, and neither are repeated replies (the record already has their sentAt). Each
+ *    stored result is also published to the live result stream (see resultStream.js) and
+ *    counted in the metrics, including the time since its request was dispatched
+ *    (dispatch_reply_latency_seconds).
+ *
+ * 4. describeRecord(record): Adds a status of "pending" or "checked" to a record for display.
  *
  * Annotated Sections:
  * -------------------
  * - generateRecords(count): Loops from 1 to count, generating each record with a sequential id and a random value.
- * - initializeRecords(count): Calls generateRecords() to create the records, then calls populateRecords() to write them into Redis.
+ * - initializeRecords(options): Optionally clears the Redis namespace, then, when Redis is empty, calls
+ *   loadPersistedRecords(), or generateRecords() and persistRecords() when seeding, and populateRecords().
+ * - applyPrimeResult(reply, batchId): Merges the result fields into the record via updateRecordResult(),
+ *   counts a stored result in the metrics and calls publishResult() for it, then, for batched
+ *   replies, calls recordBatchReply().
+ * - describeRecord(record): Derives the record status from the presence of checkedAt.
  */
 
-import { populateRecords, getRecord } from "./redis.js";
+import { populateRecords, countRecords, clearNamespace, updateRecordResult } from "./redis.js";
+import { recordBatchReply } from "./batchModels.js";
+import { loadPersistedRecords, persistRecords } from "./mssql.js";
+import { publishResult } from "./resultStream.js";
+import { countPrimeResult, client as metrics } from "shared/metrics/index.js";
+import { createLogger } from "shared/logging/index.js";
+
+const log = createLogger("records");
+
+const dispatchReplyLatency = new metrics.Histogram({
+  name: "dispatch_reply_latency_seconds",
+  help: "Time from putting a record on the request queue to handling its reply",
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300],
+});
 
 /**
  * generateRecords
@@ -46,28 +75,111 @@ export function generateRecords(count) {
 /**
  * initializeRecords
  * -----------------
- * Generates the specified number of records and populates the Redis database with them.
+ * Prepares the records in Redis when the API starts:
+ *   1. With reset, every key in the Redis namespace is deleted first.
+ *   2. If Redis then holds no records, the records stored in MSSQL are loaded together
+ *      with their results.
+ *   3. If there are still none and seedCount is above 0, seedCount random records are
+ *      generated and stored in MSSQL and Redis.
+ * Records already in Redis are left as they are.
  *
- * @param {number} count - The number of records to generate.
- * @returns {Promise<Array<Object>>} A promise that resolves to the generated records once they have been populated.
+ * @param {Object} [options]
+ * @param {number} [options.seedCount=0] - How many random records to generate when there are none.
+ * @param {boolean} [options.reset=false] - Whether to clear the Redis namespace first.
+ * @returns {Promise<number>} A promise that resolves to the number of records in Redis.
  */
-export async function initializeRecords(count) {
-  console.log(`Generating ${count} records...`);
-  const records = generateRecords(count);
+export async function initializeRecords({ seedCount = 0, reset = false } = {}) {
+  if (reset) {
+    await clearNamespace();
+  }
+
+  const existing = await countRecords();
+  if (existing > 0) {
+    log.info("Redis already holds records", { records: existing });
+    return existing;
+  }
 
-  console.log("Populating Redis with records...");
+  let records = await loadPersistedRecords();
+  if (records.length > 0) {
+    log.info("Loaded records from MSSQL", { records: records.length });
+  } else if (seedCount > 0) {
+    log.info("Generating records", { records: seedCount });
+    records = generateRecords(seedCount);
+    await persistRecords(records);
+  } else {
+    log.info("No records to load and seeding is off (set SEED_RECORDS to generate some)");
+    return 0;
+  }
+
+  log.info("Populating Redis with records");
   await populateRecords(records);
-  console.log(`Successfully added ${records.length} records to Redis.`);
+  return countRecords();
+}
+
+// Optional fields of a consumer reply that are stored on the record next to "prime".
+const RESULT_DETAIL_FIELDS = ["method", "certain", "smallestFactor", "factors", "unfactored", "computeMs"];
 
-  // --- Debug section: Retrieve and log the top 10 records ---
-  console.log("DEBUG: Retrieving top 10 records for verification...");
-  const topRecords = [];
-  for (let i = 1; i <= 10; i++) {
-    const record = await getRecord(i);
-    if (record) {
-      topRecords.push(record);
+/**
+ * applyPrimeResult
+ * ----------------
+ * Stores a reply from the consumer on the matching record. The prime flag and the details of
+ * the analysis (method, certain, smallestFactor, factors, unfactored, computeMs) are merged
+ * into the record along with a checkedAt timestamp marking when the result arrived, and the
+ * sentAt of the request it answers. A stored result is counted in the metrics and published
+ * to the result stream. A reply redelivered after it was backed out (e.g. because another
+ * result of its message failed) has the same sentAt, so it is neither stored, counted nor
+ * published again. Replies that belong to a batch are also counted towards that batch's
+ * progress, which ignores repeated replies too.
+ *
+ * @param {Object} reply - The consumer reply in the format { id, value, prime, method, ... }.
+ * @param {string|null} [batchId] - The batch ID from the reply's CorrelId, if any.
+ * @returns {Promise<Object|null>} The updated record, or null if the reply was ignored.
+ */
+export async function applyPrimeResult(reply, batchId = null) {
+  if (!reply || reply.id === undefined || typeof reply.prime !== "boolean") {
+    log.warn("Ignoring malformed reply", { reply });
+    return null;
+  }
+
+  const result = { prime: reply.prime };
+  for (const field of RESULT_DETAIL_FIELDS) {
+    if (reply[field] !== undefined) {
+      result[field] = reply[field];
     }
   }
-  console.log("Top 10 records:", topRecords);
-  return records;
+  result.checkedAt = new Date().toISOString();
+  // Without a sentAt (e.g. a result from the cache), that of an earlier result is dropped.
+  result.sentAt = Number.isFinite(reply.sentAt) ? reply.sentAt : undefined;
+
+  const { record: updated, stored } = await updateRecordResult(reply.id, result, String(reply.value));
+  if (!updated) {
+    log.warn("Received a result for an unknown record or a replaced value", { recordId: reply.id, value: reply.value });
+  }
+  if (stored) {
+    countPrimeResult(reply.prime);
+    if (result.sentAt !== undefined) {
+      dispatchReplyLatency.observe((Date.now() - result.sentAt) / 1000);
+    }
+    // Before the batch is counted: should that fail, the redelivered reply is not published.
+    await publishResult({ id: reply.id, value: String(reply.value), ...result, batchId });
+  }
+  if (batchId) {
+    await recordBatchReply(batchId, reply);
+  }
+  return updated;
+}
+
+/**
+ * describeRecord
+ * --------------
+ * Adds a status to a record: "checked" once a result has been stored, "pending" otherwise.
+ *
+ * @param {Object} record - A record as stored in Redis.
+ * @returns {Object} A copy of the record with a status property.
+ */
+export function describeRecord(record) {
+  return {
+    ...record,
+    status: record.checkedAt ? "checked" : "pending",
+  };
 }
@@ -0,0 +1,433 @@
+/*
+ * batchModels.js
+ *
+ * Summary:
+ * --------
+ * This module tracks dispatch batches. A batch is a set of records sent to the consumer
+ * together. Every message of a batch carries the batch ID in its MQMD CorrelId, and the
+ * consumer copies that CorrelId onto its reply, so replies can be counted against the
+ * batch they belong to.
+ *
+ * When the result cache is on (RESULT_CACHE, see shared/src/cache), records whose value is
+ * already in the cache are not sent: they are resolved from the cache while the others are
+ * dispatched, and count as completed.
+ *
+ * A batch may be sent with an MQMD Priority (0 to 9), and with a time to live after which
+ * the records not answered yet are given up: MQ discards their messages (MQMD Expiry), and
+ * records not put by then are not sent at all. A batch with a notBefore time is scheduled:
+ * its records are kept in Redis and the scheduler (scheduler.js) sends them once that time
+ * has come, unless the batch was cancelled or its time to live ran out first.
+ *
+ * Batch progress is stored in Redis under "batch:<id>" with these fields:
+ *   total, sent, cached, failed, expired, completed, prime - counters
+ *   status        - "scheduled", "running", "cancelled" or "expired" (expired before
+ *                   it was sent)
+ *   priority      - the MQMD Priority of its messages
+ *   useCache      - whether records are resolved from the result cache when it is sent
+ *   createdAt, notBefore, expiresAt, completedAt - ISO timestamps (notBefore and expiresAt
+ *                   when given, completedAt once done)
+ *   claimedAt     - when the scheduler last claimed a scheduled batch for sending
+ * and the reasons records could not be sent under "batch:<id>:failures".
+ * A copy is stored in MSSQL (see mssql.js) when the batch is created, when all of its
+ * messages have been put, and when it is done.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. createBatchId(): Generates a random 24-byte batch ID, hex encoded.
+ * 2. dispatchBatch(dispatcher, records, options): Creates the batch and sends it, or
+ *    schedules it when it has a notBefore time in the future.
+ *    sendBatch(): Resolves the records found in the result cache and sends the others
+ *    through the dispatcher in the background, counting successful, failed and expired puts.
+ * 3. runScheduledBatch(dispatcher, batchId): Claims a scheduled batch whose time has come and
+ *    sends it, or marks it expired.
+ * 4. cancelBatch(batchId): Cancels a scheduled batch.
+ * 5. recordBatchReply(batchId, reply): Counts a consumer reply against its batch.
+ * 6. getBatchStatus(batchId): Reads a batch and derives its status, elapsed time and
+ *    completion, and lists the records that could not be sent.
+ */
+
+import crypto from "crypto";
+import {
+  createBatch,
+  getBatch,
+  updateBatch,
+  resetBatchSendCounts,
+  incrementBatch,
+  setBatchFieldOnce,
+  markBatchRecordCompleted,
+  recordBatchFailure,
+  getBatchFailures,
+  scheduleBatch,
+  claimScheduledBatch,
+  renewScheduledBatch,
+  completeScheduledBatch,
+  unscheduleBatch,
+} from "./redis.js";
+import { batchIdToCorrelId } from "./mq.js";
+import { persistBatch } from "./mssql.js";
+import { applyPrimeResult } from "./apiModels.js";
+import { getCachedResults } from "shared/cache/index.js";
+import { createLogger } from "shared/logging/index.js";
+
+const log = createLogger("batches");
+
+// How long a claim on a scheduled batch lasts without being renewed.
+const SCHEDULER_LEASE_MS = Number(process.env.SCHEDULER_LEASE_MS) || 60000;
+
+/**
+ * createBatchId
+ * -------------
+ * Generates a batch ID that fills the full 24 bytes of an MQMD CorrelId.
+ *
+ * @returns {string} A 48-character hex string.
+ */
+export function createBatchId() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * isBatchDone
+ * -----------
+ * A batch is done once every record has been answered, failed to send or expired, or once
+ * it was cancelled or expired before it was sent.
+ */
+function isBatchDone(batch) {
+  if (batch.status === "cancelled" || batch.status === "expired") {
+    return true;
+  }
+  const settled = Number(batch.completed) + Number(batch.failed) + Number(batch.expired || 0);
+  return settled >= Number(batch.total);
+}
+
+/**
+ * markCompletedIfDone
+ * -------------------
+ * Stamps completedAt on a batch the first time it is found to be done, and stores the
+ * finished batch in MSSQL.
+ */
+async function markCompletedIfDone(batchId) {
+  const batch = await getBatch(batchId);
+  if (batch && isBatchDone(batch)) {
+    if (await setBatchFieldOnce(batchId, "completedAt", new Date().toISOString())) {
+      persistBatch(await getBatchStatus(batchId));
+    }
+  }
+}
+
+/**
+ * resolveFromCache
+ * ----------------
+ * Stores the cached result of each record as if the consumer had replied it, which also
+ * counts it against the batch, and counts the records as cached.
+ */
+async function resolveFromCache(batchId, records, cached) {
+  for (const record of records) {
+    await incrementBatch(batchId, "cached");
+    await applyPrimeResult({ ...cached.get(String(record.value)), id: record.id }, batchId);
+  }
+}
+
+/**
+ * dispatchBatch
+ * -------------
+ * Creates a batch for the given records and sends each of them through the dispatcher
+ * (see dispatcher.js) with the batch ID as CorrelId. Only the id and value of a record
+ * are sent. The batch is stored before any message is sent, and sending runs in the
+ * background, so callers can poll getBatchStatus() straight away or wait for `finished`.
+ * Records that cannot be sent are counted as failed and listed with the reason.
+ * Records whose value is in the result cache are resolved from it in the background instead
+ * of being sent, unless options.useCache is false.
+ *
+ * With options.notBefore in the future, nothing is sent yet: the batch is scheduled, and
+ * `finished` resolves straight away with its status. The scheduler sends it at that time.
+ *
+ * @param {Object} dispatcher - The dispatcher from createDispatcher().
+ * @param {Array<Object>} records - The records to send.
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache=true] - Resolve records from the result cache.
+ * @param {number} [options.priority=0] - The MQMD Priority of the messages, 0 to 9.
+ * @param {number} [options.ttlMs] - How long after its creation the batch may take to be
+ *        answered; records not answered by then are given up as expired.
+ * @param {Date} [options.notBefore] - When to send the batch.
+ * @returns {Promise<{ batch: Object, finished: Promise<Object> }>} The status of the newly
+ *          created batch, and a promise of its status once every record was sent, resolved
+ *          from the cache, failed or expired.
+ */
+export async function dispatchBatch(dispatcher, records, { useCache = true, priority = 0, ttlMs, notBefore } = {}) {
+  const batchId = createBatchId();
+  const createdAt = new Date();
+  const expiresAt = ttlMs ? new Date(createdAt.getTime() + ttlMs) : null;
+  const scheduled = notBefore && notBefore > createdAt;
+
+  await createBatch({
+    id: batchId,
+    total: records.length,
+    sent: 0,
+    cached: 0,
+    failed: 0,
+    expired: 0,
+    completed: 0,
+    prime: 0,
+    status: scheduled ? "scheduled" : "running",
+    priority,
+    useCache,
+    createdAt: createdAt.toISOString(),
+    ...(scheduled && { notBefore: notBefore.toISOString() }),
+    ...(expiresAt && { expiresAt: expiresAt.toISOString() }),
+  });
+
+  if (scheduled) {
+    const messages = records.map(record => ({ id: record.id, value: record.value }));
+    await scheduleBatch(batchId, notBefore.getTime(), messages);
+    log.info("Batch scheduled", { batchId, records: records.length, notBefore: notBefore.toISOString() });
+    const batch = await getBatchStatus(batchId);
+    persistBatch(batch);
+    return { batch, finished: Promise.resolve(batch) };
+  }
+
+  return sendBatch(dispatcher, batchId, records, { useCache, priority, expiresAt });
+}
+
+/**
+ * sendBatch
+ * ---------
+ * Resolves the records of a stored batch that are in the result cache, and sends the others
+ * in the background. Records the dispatcher gives up because the batch expired are counted
+ * as expired rather than failed.
+ *
+ * @returns {Promise<{ batch: Object, finished: Promise<Object> }>} As dispatchBatch().
+ */
+async function sendBatch(dispatcher, batchId, records, { useCache, priority, expiresAt }) {
+  const correlId = batchIdToCorrelId(batchId);
+  const cached = useCache ? await getCachedResults(records.map(record => record.value)) : new Map();
+  const fromCache = records.filter(record => cached.has(String(record.value)));
+  const toSend = records.filter(record => !cached.has(String(record.value)));
+  log.info("Sending batch", { batchId, records: records.length, cached: fromCache.length, priority });
+  const batch = await getBatchStatus(batchId);
+  persistBatch(batch);
+
+  const messages = toSend.map(record => ({ id: record.id, value: record.value }));
+  const sending = dispatcher.dispatch(messages, {
+    correlId,
+    priority,
+    expiresAt: expiresAt ? expiresAt.getTime() : undefined,
+    onResult: (record, err) => {
+      if (!err) {
+        return incrementBatch(batchId, "sent");
+      }
+      if (err.expired) {
+        return incrementBatch(batchId, "expired");
+      }
+      log.error("Failed to send record", { batchId, recordId: record.id, err });
+      return Promise.all([
+        incrementBatch(batchId, "failed"),
+        recordBatchFailure(batchId, record.id, err.message),
+      ]);
+    },
+  });
+  const finished = Promise.all([sending, resolveFromCache(batchId, fromCache, cached)])
+    .then(() => markCompletedIfDone(batchId))
+    .then(() => getBatchStatus(batchId))
+    .then(status => {
+      log.info("Batch dispatched", {
+        batchId,
+        sent: status.sent,
+        cached: status.cached,
+        failed: status.failed,
+        expired: status.expired,
+      });
+      persistBatch(status);
+      return status;
+    });
+  finished.catch(err => {
+    log.error("Error finishing dispatch of batch", { batchId, err });
+  });
+
+  return { batch, finished };
+}
+
+/**
+ * runScheduledBatch
+ * -----------------
+ * Claims a scheduled batch that is due and sends it, or marks it expired when its time to
+ * live ran out before it was sent. Does nothing for a batch that is not due, e.g. because
+ * another API instance claimed it or it was cancelled meanwhile.
+ *
+ * The claim lasts SCHEDULER_LEASE_MS and is renewed while the records are put; the batch
+ * leaves the schedule only once they all have been. When the API stops or the send fails
+ * before that, the claim runs out and the batch is sent again, counting its puts and failures
+ * afresh. Records that were put the first time are then put twice, but their replies are
+ * only counted once.
+ *
+ * @param {Object} dispatcher - The dispatcher from createDispatcher().
+ * @param {string} batchId - The batch ID.
+ * @returns {Promise<{ batch: Object, finished: Promise<Object> }|null>} As dispatchBatch(),
+ *          or null when the batch was not sent.
+ */
+export async function runScheduledBatch(dispatcher, batchId) {
+  const now = Date.now();
+  const claim = await claimScheduledBatch(batchId, now, now + SCHEDULER_LEASE_MS, {
+    status: "running",
+    dispatchedAt: new Date(now).toISOString(),
+  });
+  if (!claim) {
+    return null;
+  }
+  const { records, batch } = claim;
+
+  const expiresAt = batch.expiresAt ? new Date(batch.expiresAt) : null;
+  if (expiresAt && expiresAt <= new Date()) {
+    log.warn("Scheduled batch expired before it was sent", { batchId, expiresAt: batch.expiresAt });
+    await updateBatch(batchId, { status: "expired", expired: records.length });
+    await completeScheduledBatch(batchId);
+    await markCompletedIfDone(batchId);
+    return null;
+  }
+  if (batch.claimedAt) {
+    // An earlier claim ran out before the batch was sent; count its puts and failures again.
+    log.warn("Sending scheduled batch again", { batchId, claimedAt: batch.claimedAt });
+    await resetBatchSendCounts(batchId);
+  }
+
+  const renewal = setInterval(() => {
+    renewScheduledBatch(batchId, Date.now() + SCHEDULER_LEASE_MS).catch(err => {
+      log.warn("Could not renew the claim on a scheduled batch", { batchId, err });
+    });
+  }, SCHEDULER_LEASE_MS / 3);
+  renewal.unref();
+  let sending;
+  try {
+    sending = await sendBatch(dispatcher, batchId, records, {
+      useCache: batch.useCache !== "false",
+      priority: Number(batch.priority || 0),
+      expiresAt,
+    });
+  } catch (err) {
+    clearInterval(renewal);
+    throw err;
+  }
+  sending.finished
+    .then(() => completeScheduledBatch(batchId))
+    .catch(err => {
+      log.error("Scheduled batch was not sent completely; it is sent again once its claim runs out", {
+        batchId,
+        err,
+      });
+    })
+    .finally(() => clearInterval(renewal));
+  return sending;
+}
+
+/**
+ * cancelBatch
+ * -----------
+ * Cancels a batch that is scheduled and has not been claimed for sending yet.
+ *
+ * @param {string} batchId - The batch ID.
+ * @returns {Promise<Object|null>} The status of the cancelled batch, or null if the batch
+ *          does not exist.
+ * @throws {Error} err.notScheduled when the batch is no longer scheduled.
+ */
+export async function cancelBatch(batchId) {
+  const batch = await getBatch(batchId);
+  if (!batch) {
+    return null;
+  }
+  const cancelled = await unscheduleBatch(batchId, {
+    status: "cancelled",
+    cancelledAt: new Date().toISOString(),
+  });
+  if (!cancelled) {
+    const err = new Error(`Batch ${batchId} is not scheduled`);
+    err.notScheduled = true;
+    throw err;
+  }
+
+  await markCompletedIfDone(batchId);
+  log.info("Batch cancelled", { batchId });
+  return getBatchStatus(batchId);
+}
+
+/**
+ * recordBatchReply
+ * ----------------
+ * Counts a consumer reply against its batch. Repeated replies for the same record are
+ * ignored so that redelivered messages do not inflate the counters.
+ *
+ * @param {string} batchId - The batch ID taken from the reply's CorrelId.
+ * @param {Object} reply - The consumer reply in the format { id, value, prime }.
+ */
+export async function recordBatchReply(batchId, reply) {
+  const batch = await getBatch(batchId);
+  if (!batch) {
+    log.warn("Received a reply for an unknown batch", { batchId });
+    return;
+  }
+  if (!(await markBatchRecordCompleted(batchId, reply.id))) {
+    return;
+  }
+
+  await incrementBatch(batchId, "completed");
+  if (reply.prime) {
+    await incrementBatch(batchId, "prime");
+  }
+  await markCompletedIfDone(batchId);
+}
+
+/**
+ * getBatchStatus
+ * --------------
+ * Reads a batch and reports its counters, elapsed time and whether it is done, and lists
+ * the records that could not be sent as failures: [{ id, error }].
+ *
+ * The status is "scheduled", "running", "done", "cancelled" or "expired". A running batch
+ * is reported expired once its time to live has run out, with the records not answered by
+ * then counted as expired: MQ has discarded their messages.
+ *
+ * @param {string} batchId - The batch ID.
+ * @returns {Promise<Object|null>} The batch status, or null if the batch does not exist.
+ */
+export async function getBatchStatus(batchId) {
+  const batch = await getBatch(batchId);
+  if (!batch) {
+    return null;
+  }
+
+  const total = Number(batch.total);
+  const completed = Number(batch.completed);
+  const failed = Number(batch.failed);
+  let expired = Number(batch.expired || 0);
+  let status = batch.status || "running";
+  let done = isBatchDone(batch);
+  let completedAt = batch.completedAt || null;
+  if (status === "running" && done) {
+    status = "done";
+  } else if (status === "running" && batch.expiresAt && new Date(batch.expiresAt) <= new Date()) {
+    status = "expired";
+    expired = total - completed - failed;
+    done = true;
+    completedAt = completedAt || batch.expiresAt;
+  }
+
+  const createdAt = new Date(batch.createdAt);
+  const endedAt = completedAt ? new Date(completedAt) : new Date();
+  return {
+    id: batch.id,
+    status,
+    priority: Number(batch.priority || 0),
+    total,
+    sent: Number(batch.sent),
+    cached: Number(batch.cached || 0),
+    completed,
+    prime: Number(batch.prime),
+    failed,
+    expired,
+    createdAt: batch.createdAt,
+    notBefore: batch.notBefore || null,
+    expiresAt: batch.expiresAt || null,
+    completedAt,
+    elapsedMs: endedAt - createdAt,
+    done,
+    failures: failed > 0 ? await getBatchFailures(batchId) : [],
+  };
+}
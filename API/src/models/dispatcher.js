@@ -0,0 +1,406 @@
+/*
+ * dispatcher.js
+ *
+ * Summary:
+ * --------
+ * This module sends records to the consumer's request queue (DEV.QUEUE.1) efficiently and
+ * at a controlled pace. A dispatcher keeps a small number of "lanes" open: each lane is a
+ * messaging connection of its own with the request queue opened once and reused for every
+ * put. The lanes take chunks of records from a shared work queue and put each chunk under
+ * syncpoint, committing once per chunk.
+ *
+ * Each lane needs its own connection because a unit of work belongs to a connection: two
+ * chunks put on the same connection would be committed or backed out together.
+ *
+ * Each record is sent as a "prime.request" message (see shared/src/messages) with the record
+ * as its payload. Other message types can be dispatched the same way: a "task.request" is
+ * sent with the task (see taskModels.js) as its payload (see MESSAGE_FORMATS). Records that
+ * do not match the request schema are reported as failed without being sent. Every record
+ * carries the time it was put as "sentAt" (milliseconds since the epoch). The consumer
+ * copies it onto its result, so the API can measure the time from dispatch to reply.
+ * Each put is made in a PRODUCER span (shared/src/tracing) that is a child of the span that
+ * was active when the records were dispatched, usually the API request's, and the message's
+ * traceparent property carries it to the consumer.
+ *
+ * A dispatch may give its messages an MQMD Priority (0 to 9), so that the consumer gets them
+ * before messages of a lower priority, and an expiry time, after which the queue manager
+ * discards the messages that are still waiting. Chunks of a higher priority also go first
+ * in the dispatcher's own work queue. Chunks that reach a lane after the expiry time are
+ * not put; their records are reported as expired (err.expired).
+ *
+ * When a put or the commit of a chunk fails, the chunk is backed out, the lane reconnects,
+ * and the chunk's records are retried one at a time so that only the records that really
+ * cannot be sent are reported as failed. A commit whose outcome is unknown is not retried
+ * (the messages may have been delivered); its records are reported as failed with a note.
+ *
+ * Environment Variables (with defaults if not set):
+ *   DISPATCH_CONCURRENCY - Number of lanes (default: 2)
+ *   DISPATCH_BATCH_SIZE  - Records put per unit of work (default: 50)
+ *   DISPATCH_RATE_LIMIT  - Maximum messages per second over all lanes (default: 0, unlimited)
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. createRateLimiter(ratePerSecond): Spaces out puts to stay under the rate limit.
+ *    MESSAGE_FORMATS: How the records of each message type are sent.
+ * 2. createDispatcher(options): Creates a dispatcher with dispatch() and close(), which
+ *    finishes the chunks being sent before disconnecting.
+ * 3. Lanes: connectLane(), sendChunk() and sendOneByOne() put the records of a chunk;
+ *    sendWork() runs them in the trace of the dispatch the chunk belongs to.
+ */
+
+import { connectToMessaging, mqRequestQueue } from './mq.js';
+import { messagesFailed, reconnects } from 'shared/metrics/index.js';
+import { createLogger } from 'shared/logging/index.js';
+import { currentSpan, runInSpan, tracedPut } from 'shared/tracing/index.js';
+import { encodeMessage, validatePayload, MESSAGE_TYPES } from 'shared/messages/index.js';
+
+const log = createLogger('dispatcher');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * createRateLimiter
+ * -----------------
+ * Returns acquire(), which resolves when the next message may be sent. Messages are spaced
+ * 1000 / ratePerSecond ms apart; a rate of 0 means no limit.
+ *
+ * @param {number} ratePerSecond - Maximum messages per second.
+ * @returns {Function} acquire() -> Promise<void>
+ */
+export function createRateLimiter(ratePerSecond) {
+  if (!ratePerSecond || ratePerSecond <= 0) {
+    return () => Promise.resolve();
+  }
+  const intervalMs = 1000 / ratePerSecond;
+  let nextSlot = 0;
+  return () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + intervalMs;
+    return slot > now ? sleep(slot - now) : Promise.resolve();
+  };
+}
+
+/**
+ * MESSAGE_FORMATS
+ * ---------------
+ * For each message type the dispatcher sends: what its records are called in errors, the
+ * payload of the message for one record (payload(record, sentAt)), the ID failures are
+ * reported under, and the span attributes of its put.
+ */
+const MESSAGE_FORMATS = {
+  [MESSAGE_TYPES.REQUEST]: {
+    label: 'record',
+    payload: (record, sentAt) => ({ records: [{ ...record, sentAt }] }),
+    id: record => record.id,
+    attributes: record => ({ 'prime.record.id': record.id }),
+  },
+  [MESSAGE_TYPES.TASK_REQUEST]: {
+    label: 'task',
+    payload: (task, sentAt) => ({ ...task, sentAt }),
+    id: task => task.taskId,
+    attributes: task => ({ 'task.id': task.taskId, 'task.name': task.task }),
+  },
+};
+
+/**
+ * createDispatcher
+ * ----------------
+ * Creates a dispatcher. Lanes connect on first use and stay connected until close().
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.connect] - Returns a promise of a connected transport
+ *        (default: connectToMessaging from mq.js).
+ * @param {string} [options.queueName] - The request queue (default: MQ_REQUEST_QUEUE).
+ * @param {number} [options.concurrency] - Number of lanes (default: DISPATCH_CONCURRENCY or 2).
+ * @param {number} [options.batchSize] - Records per unit of work (default: DISPATCH_BATCH_SIZE or 50).
+ * @param {number} [options.ratePerSecond] - Message rate limit (default: DISPATCH_RATE_LIMIT or 0).
+ * @returns {{ dispatch: Function, close: Function }} The dispatcher.
+ */
+export function createDispatcher(options = {}) {
+  const connect = options.connect || connectToMessaging;
+  const queueName = options.queueName || mqRequestQueue;
+  const concurrency = options.concurrency || Number(process.env.DISPATCH_CONCURRENCY) || 2;
+  const batchSize = options.batchSize || Number(process.env.DISPATCH_BATCH_SIZE) || 50;
+  const acquire = createRateLimiter(
+    options.ratePerSecond ?? (Number(process.env.DISPATCH_RATE_LIMIT) || 0)
+  );
+
+  // Chunks waiting for a lane: { records, job }, highest job priority first.
+  const work = [];
+  let closing = false;
+  const lanes = Array.from({ length: concurrency }, () => ({
+    transport: null,
+    queue: null,
+    busy: false,
+    running: null, // promise of runLane() while busy
+    connected: false, // whether the lane ever connected, so later connects are reconnects
+  }));
+
+  // Connects a lane and opens the request queue on it, unless that was already done.
+  async function connectLane(lane) {
+    if (lane.transport) {
+      return;
+    }
+    let transport;
+    try {
+      transport = await connect();
+      lane.queue = await transport.open(queueName, 'output');
+    } catch (err) {
+      if (transport) {
+        await transport.disconnect().catch(() => {});
+      }
+      err.connectFailed = true;
+      throw err;
+    }
+    if (lane.connected) {
+      reconnects.inc();
+    }
+    lane.connected = true;
+    lane.transport = transport;
+  }
+
+  // Drops a lane's connection so the next chunk reconnects it.
+  function resetLane(lane) {
+    const { transport } = lane;
+    lane.transport = null;
+    lane.queue = null;
+    if (transport) {
+      transport.backout()
+        .catch(() => {})
+        .then(() => transport.disconnect())
+        .catch(err => log.warn('Dispatcher disconnect error', { err }));
+    }
+  }
+
+  // Puts all records of a chunk of a job in one unit of work, each in a span of the active
+  // trace. Rejects if connecting, any put or the commit fails; err.connectFailed or
+  // err.inDoubt (commit outcome unknown) tell which.
+  async function sendChunk(lane, records, job) {
+    await connectLane(lane);
+    const format = MESSAGE_FORMATS[job.type];
+    for (const record of records) {
+      await acquire();
+      try {
+        const body = encodeMessage(job.type, format.payload(record, Date.now()));
+        await tracedPut(lane.transport, lane.queue, body, {
+          correlId: job.correlId,
+          syncpoint: true,
+          priority: job.priority,
+          // Whatever time is left; at least 1 ms, so a message put right at the end expires.
+          expiryMs: job.expiresAt ? Math.max(1, job.expiresAt - Date.now()) : undefined,
+          attributes: format.attributes(record),
+        });
+      } catch (err) {
+        await lane.transport.backout().catch(() => {});
+        throw err;
+      }
+    }
+    try {
+      await lane.transport.commit();
+    } catch (err) {
+      err.inDoubt = !err.backedOut;
+      throw err;
+    }
+  }
+
+  // Reports every record as failed with the same error.
+  function failAll(records, job, err) {
+    records.forEach(record => job.report(record, err));
+  }
+
+  // Reports the records of every chunk still waiting for a lane as failed.
+  function failQueuedWork() {
+    const err = new Error('Dispatcher is shutting down');
+    for (const { records, job } of work.splice(0)) {
+      failAll(records, job, err);
+      job.chunkDone();
+    }
+  }
+
+  // Retries the records of a failed chunk one per unit of work, reporting each outcome.
+  // Stops early, failing the rest, if the lane cannot reconnect.
+  async function sendOneByOne(lane, records, job) {
+    for (let i = 0; i < records.length; i++) {
+      try {
+        await sendChunk(lane, [records[i]], job);
+        job.report(records[i], null);
+      } catch (err) {
+        resetLane(lane);
+        if (err.inDoubt) {
+          err.message = `Commit outcome unknown; the record may have been sent: ${err.message}`;
+        }
+        if (err.connectFailed) {
+          failAll(records.slice(i), job, err);
+          return;
+        }
+        job.report(records[i], err);
+      }
+    }
+  }
+
+  // Sends one chunk of a job on a lane and reports the outcome of each of its records. Runs
+  // in the span the job was dispatched in, so its puts and log records join that trace.
+  // A chunk of a job that has expired is reported as expired without being put.
+  function sendWork(lane, records, job) {
+    return runInSpan(job.span, async () => {
+      if (job.expiresAt && Date.now() >= job.expiresAt) {
+        const err = new Error(`Expired at ${new Date(job.expiresAt).toISOString()} before it could be sent`);
+        err.expired = true;
+        failAll(records, job, err);
+        return;
+      }
+      try {
+        await sendChunk(lane, records, job);
+        records.forEach(record => job.report(record, null));
+      } catch (err) {
+        resetLane(lane);
+        if (err.connectFailed) {
+          log.error('Dispatcher could not connect to the request queue', { queue: queueName, err });
+          failAll(records, job, err);
+        } else if (err.inDoubt) {
+          err.message = `Commit outcome unknown; the records may have been sent: ${err.message}`;
+          failAll(records, job, err);
+        } else {
+          log.warn('Dispatch of a chunk failed; retrying its records one at a time', { records: records.length, err });
+          await sendOneByOne(lane, records, job);
+        }
+      }
+    });
+  }
+
+  // Runs a lane until the work queue is empty.
+  async function runLane(lane) {
+    lane.busy = true;
+    while (work.length > 0) {
+      const { records, job } = work.shift();
+      await sendWork(lane, records, job);
+      job.chunkDone();
+    }
+    lane.busy = false;
+  }
+
+  /**
+   * dispatch
+   * --------
+   * Queues records for sending and resolves once every one of them has been sent or has
+   * failed. Each record is sent as the payload of a message of the given type (see
+   * MESSAGE_FORMATS), with sentAt added; records that do not match its schema fail straight
+   * away.
+   *
+   * @param {Array<Object>} records - The records to send (for task.request: the tasks,
+   *        { taskId, task, input }).
+   * @param {Object} [options]
+   * @param {string} [options.type] - The message type (default: MESSAGE_TYPES.REQUEST).
+   * @param {Buffer} [options.correlId] - CorrelId to stamp on every message (e.g. a batch ID).
+   * @param {number} [options.priority] - MQMD Priority of the messages, 0 to 9 (default 0).
+   * @param {number} [options.expiresAt] - When the messages expire (milliseconds since the
+   *        epoch); each is put with the time left as its MQMD Expiry. Default: never.
+   * @param {Function} [options.onResult] - Called as onResult(record, error) for each record,
+   *        with error null when it was sent, and err.expired set when it expired before it
+   *        could be sent. May return a promise, which is awaited.
+   * @returns {Promise<{ sent: number, failed: number, expired: number,
+   *          failures: Array<{ id, error }> }>} Expired records are not counted as failed.
+   */
+  function dispatch(records, { type = MESSAGE_TYPES.REQUEST, correlId, priority = 0, expiresAt, onResult } = {}) {
+    const format = MESSAGE_FORMATS[type];
+    if (!format) {
+      return Promise.reject(new Error(`The dispatcher cannot send ${type} messages`));
+    }
+    if (records.length === 0) {
+      return Promise.resolve({ sent: 0, failed: 0, expired: 0, failures: [] });
+    }
+    return new Promise(resolve => {
+      const summary = { sent: 0, failed: 0, expired: 0, failures: [] };
+      const callbacks = [];
+      let chunksLeft = 0;
+
+      const job = {
+        type,
+        correlId,
+        priority,
+        expiresAt,
+        span: currentSpan(),
+        report(record, err) {
+          if (err?.expired) {
+            messagesFailed.inc({ queue: queueName, reason: 'expired' });
+            summary.expired += 1;
+          } else if (err) {
+            messagesFailed.inc({ queue: queueName, reason: 'dispatch' });
+            summary.failed += 1;
+            summary.failures.push({ id: format.id(record), error: err.message });
+          } else {
+            summary.sent += 1;
+          }
+          if (onResult) {
+            callbacks.push(Promise.resolve()
+              .then(() => onResult(record, err))
+              .catch(cbErr => log.error('Error recording dispatch result', { err: cbErr })));
+          }
+        },
+        chunkDone() {
+          chunksLeft -= 1;
+          if (chunksLeft === 0) {
+            Promise.all(callbacks).then(() => resolve(summary));
+          }
+        },
+      };
+
+      // Records the consumer would reject are not sent at all.
+      const valid = [];
+      for (const record of records) {
+        const problems = validatePayload(type, format.payload(record, Date.now()));
+        if (problems.length > 0) {
+          job.report(record, new Error(`Invalid ${format.label}: ${problems.join('; ')}`));
+        } else {
+          valid.push(record);
+        }
+      }
+      if (valid.length === 0) {
+        Promise.all(callbacks).then(() => resolve(summary));
+        return;
+      }
+
+      chunksLeft = Math.ceil(valid.length / batchSize);
+      // Behind the chunks of the same or a higher priority, ahead of the others.
+      let at = work.findIndex(queued => queued.job.priority < priority);
+      at = at === -1 ? work.length : at;
+      for (let i = 0; i < valid.length; i += batchSize) {
+        work.splice(at, 0, { records: valid.slice(i, i + batchSize), job });
+        at += 1;
+      }
+      if (closing) {
+        failQueuedWork();
+        return;
+      }
+      lanes.filter(lane => !lane.busy).forEach(lane => {
+        // A lane outlives the request that started it, so it runs outside that request's span.
+        lane.running = runInSpan(undefined, () => runLane(lane))
+          .catch(err => log.error('Dispatcher lane stopped', { err }));
+      });
+    });
+  }
+
+  /**
+   * close
+   * -----
+   * Shuts the dispatcher down: chunks no lane has started are reported as failed (as are
+   * the records of later dispatches), the chunks being sent are finished so their units of
+   * work are committed, and then all lanes are disconnected.
+   *
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    closing = true;
+    failQueuedWork();
+    await Promise.all(lanes.map(lane => (lane.busy ? lane.running : undefined)));
+    await Promise.all(lanes.map(lane => {
+      const { transport } = lane;
+      lane.transport = null;
+      lane.queue = null;
+      return transport ? transport.disconnect().catch(() => {}) : undefined;
+    }));
+  }
+
+  return { dispatch, close, concurrency, batchSize };
+}
@@ -0,0 +1,253 @@
+/*
+ * jobModels.js
+ *
+ * Summary:
+ * --------
+ * This module runs range jobs: "how many primes lie between start and end". A job splits
+ * its range into chunks of chunkSize numbers, and each chunk is sent to the consumer as a
+ * "countPrimes" task (see taskModels.js), which sieves it. As in a batch, every message of
+ * the job carries the job ID in its MQMD CorrelId, which the consumer copies onto its reply,
+ * so the chunk results can be added up into the job's result as they arrive. The chunk a
+ * reply answers is part of its task ID, "<job id>:<chunk>".
+ *
+ * Jobs are stored in Redis under "job:<id>" (see redis.js) with these fields:
+ *   type ("range"), start, end, chunkSize, listPrimes, chunks - the job
+ *   sent, completed, failed, count                            - counters
+ *   createdAt, completedAt                                    - ISO timestamps
+ * with the chunks that failed under "job:<id>:failures" and, when the primes are listed,
+ * the primes of each chunk under "job:<id>:primes".
+ *
+ * Limits (RANGE_LIMITS): end is at most 1e15, chunkSize at most 10,000,000 (default
+ * 1,000,000), a job has at most RANGE_MAX_CHUNKS chunks (default 10,000), and the primes are
+ * only listed for ranges of at most RANGE_LIST_LIMIT numbers (default 1,000,000).
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. createJobId(): Generates a random 24-byte job ID, hex encoded.
+ * 2. startRangeJob(dispatcher, options): Creates the job and sends its chunks through the
+ *    dispatcher in the background.
+ * 3. recordRangeChunk(jobId, reply): Adds the result of a chunk to its job.
+ * 4. getJobStatus(jobId): Reads a job and derives its progress, elapsed time and completion.
+ */
+
+import crypto from "crypto";
+import {
+  createJob,
+  getJob,
+  incrementJob,
+  setJobFieldOnce,
+  markJobChunkDone,
+  recordJobChunkFailure,
+  getJobChunkFailures,
+  storeJobChunkPrimes,
+  getJobPrimes,
+} from "./redis.js";
+import { batchIdToCorrelId } from "./mq.js";
+import { MESSAGE_TYPES } from "shared/messages/index.js";
+import { createLogger } from "shared/logging/index.js";
+
+const log = createLogger("jobs");
+
+export const RANGE_LIMITS = {
+  maxEnd: 1e15,
+  defaultChunkSize: 1000000,
+  maxChunkSize: 10000000,
+  maxChunks: Number(process.env.RANGE_MAX_CHUNKS) || 10000,
+  listLimit: Number(process.env.RANGE_LIST_LIMIT) || 1000000,
+};
+
+/**
+ * createJobId
+ * -----------
+ * Generates a job ID that fills the full 24 bytes of an MQMD CorrelId.
+ *
+ * @returns {string} A 48-character hex string.
+ */
+export function createJobId() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+// The range a chunk of a job covers.
+function chunkRange(job, chunk) {
+  const start = Number(job.start) + chunk * Number(job.chunkSize);
+  return { start, end: Math.min(start + Number(job.chunkSize) - 1, Number(job.end)) };
+}
+
+/**
+ * isJobDone
+ * ---------
+ * A job is done once every chunk has either been answered or failed.
+ */
+function isJobDone(job) {
+  return Number(job.completed) + Number(job.failed) >= Number(job.chunks);
+}
+
+/**
+ * markCompletedIfDone
+ * -------------------
+ * Stamps completedAt on a job the first time it is found to be done.
+ */
+async function markCompletedIfDone(jobId) {
+  const job = await getJob(jobId);
+  if (job && isJobDone(job)) {
+    if (await setJobFieldOnce(jobId, "completedAt", new Date().toISOString())) {
+      log.info("Range job done", { jobId, count: Number(job.count), failed: Number(job.failed) });
+    }
+  }
+}
+
+// Counts a chunk as failed, unless it was already answered or failed.
+async function failChunk(jobId, chunk, error) {
+  if (!(await markJobChunkDone(jobId, chunk))) {
+    return;
+  }
+  await recordJobChunkFailure(jobId, chunk, error);
+  await incrementJob(jobId, "failed");
+  await markCompletedIfDone(jobId);
+}
+
+/**
+ * startRangeJob
+ * -------------
+ * Creates a range job and sends one countPrimes task per chunk through the dispatcher (see
+ * dispatcher.js), with the job ID as CorrelId. The job is stored before any message is sent,
+ * and sending runs in the background, so callers can poll getJobStatus() straight away.
+ * Chunks that cannot be sent are counted as failed.
+ *
+ * @param {Object} dispatcher - The dispatcher from createDispatcher().
+ * @param {Object} options
+ * @param {number} options.start - The first number of the range.
+ * @param {number} options.end - The last number of the range (inclusive).
+ * @param {number} options.chunkSize - The numbers per chunk.
+ * @param {boolean} [options.listPrimes=false] - Whether to collect the primes themselves.
+ * @returns {Promise<{ job: Object, finished: Promise<Object> }>} The status of the newly
+ *          created job, and a promise of its status once every chunk was sent or failed.
+ */
+export async function startRangeJob(dispatcher, { start, end, chunkSize, listPrimes = false }) {
+  const jobId = createJobId();
+  const job = {
+    id: jobId,
+    type: "range",
+    start,
+    end,
+    chunkSize,
+    listPrimes,
+    chunks: Math.ceil((end - start + 1) / chunkSize),
+    sent: 0,
+    completed: 0,
+    failed: 0,
+    count: 0,
+    createdAt: new Date().toISOString(),
+  };
+  await createJob(job);
+  log.info("Range job created", { jobId, start, end, chunks: job.chunks });
+  const status = await getJobStatus(jobId);
+
+  const tasks = Array.from({ length: job.chunks }, (_, chunk) => ({
+    taskId: `${jobId}:${chunk}`,
+    task: "countPrimes",
+    input: { ...chunkRange(job, chunk), ...(listPrimes && { listPrimes: true }) },
+  }));
+  const finished = dispatcher
+    .dispatch(tasks, {
+      type: MESSAGE_TYPES.TASK_REQUEST,
+      correlId: batchIdToCorrelId(jobId),
+      onResult: (task, err) => {
+        if (!err) {
+          return incrementJob(jobId, "sent");
+        }
+        log.error("Failed to send a chunk of a range job", { jobId, taskId: task.taskId, err });
+        return failChunk(jobId, Number(task.taskId.split(":")[1]), err.message);
+      },
+    })
+    .then(() => getJobStatus(jobId))
+    .then(result => {
+      log.info("Range job dispatched", { jobId, sent: result.sent, failed: result.failed });
+      return result;
+    });
+  finished.catch(err => {
+    log.error("Error finishing dispatch of range job", { jobId, err });
+  });
+
+  return { job: status, finished };
+}
+
+/**
+ * recordRangeChunk
+ * ----------------
+ * Adds the outcome of a chunk, from the consumer's task.reply, to its job: the chunk's count
+ * (and primes) when it completed, the error when it failed. Repeated replies for the same
+ * chunk are ignored so that redelivered messages do not inflate the count.
+ *
+ * @param {string} jobId - The job ID taken from the reply's CorrelId.
+ * @param {Object} reply - The task.reply payload: { taskId, status, result?, error? }.
+ */
+export async function recordRangeChunk(jobId, reply) {
+  const job = await getJob(jobId);
+  const [taskJobId, chunkText] = reply.taskId.split(":");
+  const chunk = Number(chunkText);
+  if (!job || taskJobId !== jobId || !Number.isInteger(chunk) || chunk < 0 || chunk >= Number(job.chunks)) {
+    log.warn("Received a reply for an unknown range job chunk", { jobId, taskId: reply.taskId });
+    return;
+  }
+  if (reply.status !== "completed") {
+    await failChunk(jobId, chunk, reply.error || "Chunk failed");
+    return;
+  }
+  if (!(await markJobChunkDone(jobId, chunk))) {
+    return;
+  }
+
+  if (job.listPrimes === "true" && reply.result.primes) {
+    await storeJobChunkPrimes(jobId, chunk, reply.result.primes);
+  }
+  await incrementJob(jobId, "count", reply.result.count);
+  await incrementJob(jobId, "completed");
+  await markCompletedIfDone(jobId);
+}
+
+/**
+ * getJobStatus
+ * ------------
+ * Reads a job and reports its counters, its progress (the share of chunks answered or
+ * failed), the prime count so far, elapsed time and whether it is done. The chunks that
+ * failed are listed with their range and reason, and the primes found so far are included
+ * when the job lists them.
+ *
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<Object|null>} The job status, or null if the job does not exist.
+ */
+export async function getJobStatus(jobId) {
+  const job = await getJob(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const chunks = Number(job.chunks);
+  const settled = Number(job.completed) + Number(job.failed);
+  const createdAt = new Date(job.createdAt);
+  const endedAt = job.completedAt ? new Date(job.completedAt) : new Date();
+  const failures = Number(job.failed) > 0 ? await getJobChunkFailures(jobId) : [];
+  const status = {
+    id: job.id,
+    type: job.type,
+    start: Number(job.start),
+    end: Number(job.end),
+    chunkSize: Number(job.chunkSize),
+    chunks,
+    sent: Number(job.sent),
+    completed: Number(job.completed),
+    failed: Number(job.failed),
+    progress: chunks > 0 ? settled / chunks : 1,
+    count: Number(job.count),
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
+    elapsedMs: endedAt - createdAt,
+    done: isJobDone(job),
+    failures: failures.map(failure => ({ ...failure, ...chunkRange(job, failure.chunk) })),
+  };
+  if (job.listPrimes === "true") {
+    status.primes = await getJobPrimes(jobId);
+  }
+  return status;
+}
@@ -1,104 +1,252 @@
 /*
- * ibmmqModels.js
+ * mq.js
  *
  * Summary:
  * --------
- * This module provides helper functions for interacting with IBM MQ.
- * Currently, it exports a function `connectToQM1()` that establishes a connection
- * to the queue manager (QM1) using environment variables. The connection is created
- * using the ibmmq Promise-based API.
+ * This module provides the API's messaging helpers. It no longer talks to the ibmmq client
+ * directly: it goes through the shared transport (shared/src/transport), so the API can run
+ * against IBM MQ or, for local development, against the in-memory/local broker.
  *
- * Environment Variables (with defaults if not set):
- *   MQ_QMGR         - Queue Manager name (default: "QM1")
- *   MQ_CHANNEL      - Connection channel (default: "DEV.APP.SVRCONN")
- *   MQ_CONNNAME     - Connection name in the format "hostname(port)" (default: "localhost(1414)")
- *   MQ_USER         - Authentication user (default: "app")
- *   MQ_PASSWORD     - Authentication password (default: "appIsSecure")
+ * The connection settings (MQ_TRANSPORT, MQ_QMGR, MQ_CHANNEL, MQ_CONNNAME, MQ_CCDT_URL, the
+ * MQ_TLS_* settings, MQ_USER, MQ_PASSWORD, ...) and the queue names come from the mq section
+ * of the shared configuration (see shared/src/config):
+ *   MQ_REQUEST_QUEUE     - Queue the consumer reads records from (default: "DEV.QUEUE.1")
+ *   MQ_REPLY_QUEUE       - Queue the consumer posts its results to (default: "DEV.QUEUE.2")
+ *   MQ_DEAD_LETTER_QUEUE - Queue the consumer moves unprocessable messages to
+ *                          (default: "DEV.DEAD.LETTER.QUEUE")
+ * When the consumer publishes its results on topics only (RESULT_OUTPUT=topic), the API reads
+ * them from two durable subscriptions, "<MQ_API_SUBSCRIPTION>.found" and
+ * "<MQ_API_SUBSCRIPTION>.composite" (default prefix "prime-api"), on the topics MQ_TOPIC_FOUND
+ * and MQ_TOPIC_COMPOSITE. Task outcomes still arrive on the reply queue.
  *
  * Annotated Sections:
  * -------------------
- * 1. Import & Constants: Loads the ibmmq module and defines constants.
- * 2. Configuration: Reads connection settings from the environment with fallbacks.
- * 3. connectToQM1(): The exported function which constructs the MQ connection options,
- *    then connects using the Promise API and returns the resulting promise.
+ * 1. Configuration: The queue names, from the shared configuration.
+ * 2. connectToMessaging(): Creates the configured transport and connects it. Records are put
+ *    onto DEV.QUEUE.1 by the dispatcher (see dispatcher.js), which keeps its own connections.
+ * 3. batchIdToCorrelId()/correlIdToBatchId(): Convert between batch IDs and CorrelIds.
+ * 4. createMessagingManager(): The connection manager that keeps the API's MQ connection
+ *    (app.locals.mq) up, reconnecting with backoff (MQ_RECONNECT_INITIAL_MS,
+ *    MQ_RECONNECT_MAX_MS) and reopening the reply queue (and result subscriptions) after a
+ *    reconnect.
+ * 5. startReplyListener(): Hands every result of the replies the consumer posts to the reply
+ *    queue (DEV.QUEUE.2), or publishes on the result topics, to a callback, and every task
+ *    outcome to another, across reconnects. Each reply is committed only once it has been
+ *    handled, so a reply that cannot be stored is retried. Replies are decoded and validated
+ *    with decodeMessage() (shared/src/messages), which accepts unversioned replies too.
+ *    Each reply is handled in a CONSUMER span that continues the trace in the reply's
+ *    traceparent property.
+ * 6. getQueueDepths(): Reports how many messages wait on each of the ecosystem's queues.
  */
 
-import * as mq from 'ibmmq';  // Import the IBM MQ client library
-const MQC = mq.MQC;           // IBM MQ constants
+import { createTransport, consumeQueue, createConnectionManager } from 'shared/transport/index.js';
+import { messagesFailed } from 'shared/metrics/index.js';
+import { getConfig } from 'shared/config/index.js';
+import { createLogger } from 'shared/logging/index.js';
+import { withReceiveSpan } from 'shared/tracing/index.js';
+import { decodeMessage, MESSAGE_TYPES } from 'shared/messages/index.js';
 
-// Configuration: read IBM MQ settings from environment variables, with defaults
-const mqQmgr     = process.env.MQ_QMGR     || "QM1";
-const mqChannel  = process.env.MQ_CHANNEL  || "DEV.APP.SVRCONN";
-const mqConnname = process.env.MQ_CONNNAME || "localhost(1414)";
-const mqUser     = process.env.MQ_USER     || "app";
-const mqPassword = process.env.MQ_PASSWORD || "appIsSecure";
+const log = createLogger('mq');
+
+// Configuration: the queues the API puts requests on and reads replies from
+const { queues, results } = getConfig().mq;
+export const mqRequestQueue = queues.request;
+export const mqReplyQueue = queues.reply;
+const mqDeadLetterQueue = queues.deadLetter;
+
+// The durable subscriptions the API reads results from when they are only published.
+const resultSubscriptions = results.output === 'topic'
+  ? {
+      found: { subscription: { topic: results.foundTopic, name: `${results.apiSubscription}.found` } },
+      composite: { subscription: { topic: results.compositeTopic, name: `${results.apiSubscription}.composite` } },
+    }
+  : {};
 
 /**
- * connectToQM1
- * -------------
- * Establishes a connection to the IBM MQ queue manager (QM1) using the Promise-based API.
- *
- * This function constructs an MQCNO (connection options) object configured for client binding,
- * sets up the connection details (MQCD) using the channel and connection name, and attaches
- * security parameters (MQCSP) for authentication.
+ * connectToMessaging
+ * -------------------
+ * Creates the transport selected by MQ_TRANSPORT and connects it. For IBM MQ this connects
+ * to the queue manager (QM1) as a client with the configured channel (or CCDT), TLS settings
+ * and credentials.
  *
  * Returns:
- *   A Promise that resolves to the connection handle if successful.
+ *   A Promise that resolves to the connected transport.
  */
-export function connectToQM1() {
-  // Create and configure the connection options (MQCNO).
-  const cno = new mq.MQCNO();
-  // Specify client binding since we are connecting remotely.
-  cno.Options = MQC.MQCNO_CLIENT_BINDING;
+export async function connectToMessaging() {
+  const transport = await createTransport();
+  await transport.connect();
+  return transport;
+}
 
-  // Create an MQCD (Client Connection Details) structure and set the channel and connection name.
-  const cd = new mq.MQCD();
-  cd.ChannelName = mqChannel;
-  cd.ConnectionName = mqConnname;
-  cno.ClientConn = cd;
+/**
+ * batchIdToCorrelId / correlIdToBatchId
+ * -------------------------------------
+ * Batch IDs are the hex form of a 24-byte MQMD CorrelId. These helpers convert between the
+ * two. correlIdToBatchId() returns null for an empty (all-zero) CorrelId, which is what a
+ * reply carries when its request was not part of a batch.
+ */
+export function batchIdToCorrelId(batchId) {
+  return Buffer.from(batchId, 'hex');
+}
 
-  // Set up security parameters using MQCSP with the provided user and password.
-  const csp = new mq.MQCSP();
-  csp.UserId = mqUser;
-  csp.Password = mqPassword;
-  cno.SecurityParms = csp;
+export function correlIdToBatchId(correlId) {
+  if (!correlId || correlId.every(byte => byte === 0)) {
+    return null;
+  }
+  return Buffer.from(correlId).toString('hex');
+}
 
-  // Use the Promise-based connection method to connect to the queue manager.
-  return mq.ConnxPromise(mqQmgr, cno);
+/**
+ * createMessagingManager
+ * ----------------------
+ * Creates the API's connection manager (see shared/src/transport/connectionManager.js).
+ * It connects with connectToMessaging(), retrying with backoff until the backend is up,
+ * opens the reply queue (DEV.QUEUE.2) for input, and resumes the result subscriptions when
+ * results are only published, on every connection, and reconnects when the reply listener
+ * reports the connection broken. Call start() to begin connecting.
+ *
+ * @returns {Object} The manager; manager.connection() is null while disconnected.
+ */
+export function createMessagingManager() {
+  return createConnectionManager({
+    name: 'API messaging',
+    connect: connectToMessaging,
+    queues: { reply: { name: mqReplyQueue, mode: 'input' }, ...resultSubscriptions },
+  });
 }
 
+// Handles one message from the reply queue or a result subscription, in the trace of the
+// request it answers.
+function handleReplyMessage(source, message, handlers) {
+  return withReceiveSpan(source, message, () => handleReply(source, message, handlers));
+}
 
-// This function assumes you have already established a connection and
-// opened the input queue (for example, DEV.QUEUE.1). You can either create
-// a new queue object each time or, more efficiently, reuse a previously opened queue.
-// For simplicity, here we assume you are using a Promise-based put method.
+function handleReply(source, message, { onResult, onTaskResult }) {
+  let reply;
+  try {
+    reply = decodeMessage(message.body, {
+      type: [MESSAGE_TYPES.REPLY, MESSAGE_TYPES.TASK_REPLY],
+      messageId: message.msgId.toString('hex'),
+    });
+  } catch (err) {
+    log.warn('Discarding invalid reply', { err, body: message.body.toString() });
+    messagesFailed.inc({ queue: source, reason: 'malformed_reply' });
+    return;
+  }
+  const batchId = correlIdToBatchId(message.correlId);
+  if (reply.envelope.type === MESSAGE_TYPES.TASK_REPLY) {
+    return onTaskResult(reply.envelope.payload, batchId);
+  }
+  const { results } = reply.envelope.payload;
+  return Promise.all(results.map(result => onResult(result, batchId)));
+}
 
-export function putRecordMessage(mqConn, record) {
-  // Construct an MQOD object for the queue.
-  const od = new mq.MQOD();
-  od.ObjectName = 'DEV.QUEUE.1';
-  od.ObjectType = MQC.MQOT_Q;
+/**
+ * startReplyListener
+ * -------------------
+ * Keeps getting messages from the reply queue (DEV.QUEUE.2) opened by the manager, and from
+ * the result subscriptions when the manager has them (each publication is a prime.reply with
+ * one result). Every reply the consumer posts there is decoded (see shared/src/messages).
+ * Each result in a prime.reply is passed to onResult(), along with the batch ID taken from
+ * the reply's CorrelId (null when there is none); the payload of a task.reply is passed to
+ * onTaskResult(), with the CorrelId in the same way (the job ID of a range job's chunk, see
+ * jobModels.js).
+ *
+ * Replies are got under syncpoint and committed once their handlers have finished. Replies
+ * that are not valid JSON or do not match the reply schema are logged and skipped. When a
+ * handler throws (or rejects), e.g. because Redis is unavailable, the error is logged and
+ * the reply is backed out onto its queue, to be handled again a second later, so it is not
+ * lost. When a get or commit fails, the connection is reported to the manager as broken and
+ * the listener waits for the next one, so no replies are taken while the API is
+ * disconnected.
+ *
+ * @param {Object} manager - The manager from createMessagingManager().
+ * @param {Object} handlers
+ * @param {Function} handlers.onResult - Called as onResult(result, batchId) for each result,
+ *        where result is e.g. { id, value, prime }.
+ * @param {Function} handlers.onTaskResult - Called as onTaskResult(reply, jobId) for each
+ *        task outcome: { taskId, task, status, result?, error?, computeMs? }.
+ * @returns {{ stop: Function }} stop() ends the listener after the reply being handled, or
+ *          at once while it waits for a connection, and returns a promise that resolves
+ *          once it has ended.
+ */
+export function startReplyListener(manager, handlers) {
+  let running = true;
+  let listener = null;
+  // stopRequested resolves on stop(), to end a wait for a connection at once rather than
+  // when the manager is closed.
+  let requestStop;
+  const stopRequested = new Promise(resolve => {
+    requestStop = resolve;
+  });
 
-  // Set the open options to put messages.
-  const openOptions = MQC.MQOO_OUTPUT;
+  const done = (async () => {
+    while (running) {
+      let conn;
+      try {
+        conn = await Promise.race([manager.waitForConnection(), stopRequested]);
+      } catch (err) {
+        // The manager was closed.
+        return;
+      }
+      if (!running || !conn) {
+        return;
+      }
+      // One loop for every source, because the unit of work belongs to the connection.
+      const sources = Object.values(conn.queues);
+      log.info('Listening for replies', { queues: sources.map(queue => queue.name) });
+      const onMessage = (message, queue) => handleReplyMessage(queue.name, message, handlers);
+      listener = consumeQueue(conn.transport, sources, onMessage, {
+        syncpoint: true,
+        onError: (err, message, queue) => {
+          log.error('Error handling reply; backed out to retry', {
+            queue: queue.name,
+            err,
+            backoutCount: message.backoutCount,
+            body: message.body.toString(),
+          });
+        },
+      });
+      try {
+        await listener.stopped;
+      } catch (err) {
+        log.error('Error getting message from the reply queue', { err });
+        manager.reportFailure(conn, err);
+      }
+      listener = null;
+    }
+  })();
 
-  // Open the queue. (You may want to cache the handle for efficiency.)
-  return mq.OpenPromise(mqConn, od, openOptions)
-    .then(hObj => {
-      // Create an MQMD for the message.
-      const mqmd = new mq.MQMD();
-      // Use a PMO configured for a simple put.
-      const pmo = new mq.MQPMO();
-      pmo.Options = MQC.MQPMO_NO_SYNCPOINT | MQC.MQPMO_NEW_MSG_ID | MQC.MQPMO_NEW_CORREL_ID;
-      
-      // Convert the record object to JSON.
-      const msgStr = JSON.stringify(record);
-      
-      // Put the message.
-      return mq.PutPromise(hObj, mqmd, pmo, msgStr)
-        .then(() => {
-          // Close the output queue handle after the put (or you could choose to reuse it).
-          return mq.ClosePromise(hObj, 0);
-        });
-    });
-}
\ No newline at end of file
+  return {
+    stop() {
+      running = false;
+      requestStop();
+      if (listener) {
+        listener.stop();
+      }
+      return done;
+    },
+  };
+}
+
+/**
+ * getQueueDepths
+ * --------------
+ * Inquires the current depth of the request, reply and dead-letter queues. A queue whose
+ * depth cannot be read (e.g. it does not exist) is reported with depth null and the error.
+ *
+ * @param {Object} mqConn - A connected transport, e.g. the manager's current one.
+ * @returns {Promise<Array<{ role: string, name: string, depth: number|null, error?: string }>>}
+ */
+export function getQueueDepths(mqConn) {
+  const queues = [
+    { role: 'request', name: mqRequestQueue },
+    { role: 'reply', name: mqReplyQueue },
+    { role: 'deadLetter', name: mqDeadLetterQueue },
+  ];
+  return Promise.all(queues.map(queue =>
+    mqConn.depth(queue.name)
+      .then(depth => ({ ...queue, depth }))
+      .catch(err => ({ ...queue, depth: null, error: err.message }))
+  ));
+}
@@ -1,28 +1,95 @@
-import mssql from 'mssql';
+/*
+ * mssql.js
+ *
+ * Summary:
+ * --------
+ * This module connects the API to the MSSQL database through the data-access layer in the
+ * shared package (shared/db). The database keeps what must outlive the Redis cache:
+ *   - the records, so the same records can be loaded into Redis again;
+ *   - the consumer's results (written by the consumer itself);
+ *   - the batches and their final counters.
+ *
+ * Redis keeps its data when the API restarts. It is only cleared at startup when
+ * REDIS_RESET_ON_START=true is set. Whenever the API starts with no records in Redis, it
+ * loads them from here.
+ *
+ * Persistence is optional. When MSSQL_SERVER is not set, loading returns nothing and saving
+ * does nothing, and the API works from Redis alone.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. loadPersistedRecords(): Reads the stored records with their current results.
+ * 2. persistRecords(records): Stores records.
+ * 3. unpersistRecord(id): Deletes a stored record and its result.
+ * 4. persistBatch(batch): Stores a batch's progress in the background.
+ */
 
-const config = {
-    user: process.env.MSSQL_USER,
-    password: process.env.MSSQL_PASSWORD,
-    server: process.env.MSSQL_SERVER,
-    database: process.env.MSSQL_DATABASE,
-    options: {
-        encrypt: true, // Use encryption
-        trustServerCertificate: true, // Change to false if not using self-signed certificates
-    },
-};
+import {
+  isDatabaseConfigured,
+  connectToDatabase,
+  upsertRecords,
+  getRecordsWithResults,
+  deleteRecord,
+  saveBatch,
+} from 'shared/db/index.js';
+import { createLogger } from 'shared/logging/index.js';
 
-async function connectToDatabase() {
-    try {
-        const pool = await sql.connect(config);
-        console.log('Connected to MSSQL');
-        return pool;
-    } catch (err) {
-        console.error('Database connection failed:', err);
-        throw err;
-    }
+export { isDatabaseConfigured, connectToDatabase };
+
+const log = createLogger('mssql');
+
+/**
+ * loadPersistedRecords
+ * --------------------
+ * @returns {Promise<Array<Object>>} The stored records in the format
+ *          { id, value, prime?, ..., checkedAt? }, or an empty array without a database.
+ */
+export async function loadPersistedRecords() {
+  if (!isDatabaseConfigured()) {
+    return [];
+  }
+  return getRecordsWithResults();
+}
+
+/**
+ * persistRecords
+ * --------------
+ * @param {Array<Object>} records - Records in the format { id, value }.
+ * @returns {Promise<void>} Resolves once the records are stored (at once without a database).
+ */
+export async function persistRecords(records) {
+  if (!isDatabaseConfigured()) {
+    return;
+  }
+  await upsertRecords(records);
 }
 
-module.exports = {
-    connectToDatabase,
-    sql,
-};
\ No newline at end of file
+/**
+ * unpersistRecord
+ * ---------------
+ * @param {number} id - The id of the record to delete.
+ * @returns {Promise<void>} Resolves once the record is deleted (at once without a database).
+ */
+export async function unpersistRecord(id) {
+  if (!isDatabaseConfigured()) {
+    return;
+  }
+  await deleteRecord(id);
+}
+
+/**
+ * persistBatch
+ * ------------
+ * Stores a batch's progress without holding up the caller. Failures are logged: Redis
+ * still has the live counters, and the next save of the batch writes them again.
+ *
+ * @param {Object} batch - A batch status as returned by getBatchStatus().
+ */
+export function persistBatch(batch) {
+  if (!isDatabaseConfigured() || !batch) {
+    return;
+  }
+  saveBatch(batch).catch(err => {
+    log.error('Failed to store batch in MSSQL', { batchId: batch.id, err });
+  });
+}
@@ -0,0 +1,326 @@
+/*
+ * recordModels.js
+ *
+ * Summary:
+ * --------
+ * This module manages the records that teams submit for checking. Records are kept in Redis
+ * (see redis.js) and, when configured, in MSSQL (see mssql.js). A record looks like:
+ *   { "id": <record id>, "value": <positive integer as a string> }
+ * and gains the consumer's result fields (prime, method, ..., checkedAt) once checked.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Validation: validateValue(value) and parseRecordInput(body) check submitted records;
+ *    isRecordId(id) checks a record id.
+ * 2. createRecords(inputs): Assigns new ids and stores the records.
+ * 3. updateRecord(id, input): Replaces a record's value, which discards its old result.
+ * 4. removeRecord(id): Deletes a record.
+ * 5. listRecords(options): Filters records by status and value range and pages through
+ *    them with an opaque cursor, using the Redis indexes (see redis.js): in id order, or in
+ *    value order when a value range is given.
+ * 6. selectRecords(options, max): Collects all records that pass the list filters, e.g.
+ *    to dispatch them.
+ */
+
+import {
+  getRecord,
+  getRecords,
+  setRecord,
+  populateRecords,
+  deleteRecord,
+  reserveRecordIds,
+  listRecordIds,
+  findRecordIdsByValue,
+  recordStatus,
+} from "./redis.js";
+import { persistRecords, unpersistRecord } from "./mssql.js";
+
+// Limits on submitted and listed records.
+export const MAX_VALUE_DIGITS = 1000; // The width of the Value column in MSSQL.
+export const MAX_BULK_RECORDS = 10000;
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+// The values of the "prime" filter and the status index each one reads.
+const PRIME_FILTERS = { true: "prime", false: "composite", pending: "pending" };
+
+/**
+ * validateValue
+ * -------------
+ * Checks that a submitted value is a positive integer written as a decimal string.
+ *
+ * @param {*} value - The submitted value.
+ * @returns {string|null} A description of the problem, or null if the value is valid.
+ */
+export function validateValue(value) {
+  if (typeof value !== "string") {
+    return '"value" must be a string of decimal digits';
+  }
+  if (!/^[1-9][0-9]*$/.test(value)) {
+    return `"value" ${JSON.stringify(value)} is not a positive integer`;
+  }
+  if (value.length > MAX_VALUE_DIGITS) {
+    return `"value" has more than ${MAX_VALUE_DIGITS} digits`;
+  }
+  return null;
+}
+
+/**
+ * isRecordId
+ * ----------
+ * Checks that an id is a record id: a positive safe integer. An id read from a URL path
+ * must be converted with Number() first, after checking that it is all digits.
+ *
+ * @param {*} id - The id.
+ * @returns {boolean} Whether the id is a record id.
+ */
+export function isRecordId(id) {
+  return Number.isSafeInteger(id) && id > 0;
+}
+
+/**
+ * parseRecordInput
+ * ----------------
+ * Reads the body of POST /records: a single { value } object or an array of them.
+ *
+ * @param {*} body - The request body.
+ * @returns {{ inputs: Array<Object>, bulk: boolean, errors: string[] }} The validated
+ *          inputs, whether the body was an array, and the problems found (if any).
+ */
+export function parseRecordInput(body) {
+  const bulk = Array.isArray(body);
+  const items = bulk ? body : [body];
+  const errors = [];
+
+  if (bulk && items.length === 0) {
+    errors.push("The array of records is empty");
+  }
+  if (items.length > MAX_BULK_RECORDS) {
+    errors.push(`At most ${MAX_BULK_RECORDS} records can be created at once`);
+  }
+  if (errors.length > 0) {
+    return { inputs: [], bulk, errors };
+  }
+
+  items.forEach((item, i) => {
+    const where = bulk ? `Record ${i}: ` : "";
+    if (item === null || typeof item !== "object" || Array.isArray(item)) {
+      errors.push(`${where}must be an object with a "value"`);
+      return;
+    }
+    const problem = validateValue(item.value);
+    if (problem) {
+      errors.push(where + problem);
+    }
+  });
+  return { inputs: items.map(item => ({ value: item?.value })), bulk, errors };
+}
+
+/**
+ * createRecords
+ * -------------
+ * Stores new records with freshly assigned ids.
+ *
+ * @param {Array<Object>} inputs - Validated inputs in the format { value }.
+ * @returns {Promise<Array<Object>>} The created records.
+ */
+export async function createRecords(inputs) {
+  const ids = await reserveRecordIds(inputs.length);
+  const records = inputs.map((input, i) => ({ id: ids[i], value: input.value }));
+  await persistRecords(records);
+  await populateRecords(records);
+  return records;
+}
+
+/**
+ * updateRecord
+ * ------------
+ * Replaces the value of an existing record. A changed value needs checking again, so the
+ * old result is dropped and the record becomes pending; an unchanged value keeps it.
+ *
+ * @param {number} id - The record id.
+ * @param {Object} input - A validated input in the format { value }.
+ * @returns {Promise<Object|null>} The updated record, or null if it does not exist.
+ */
+export async function updateRecord(id, input) {
+  const existing = await getRecord(id);
+  if (!existing) {
+    return null;
+  }
+  if (existing.value === input.value) {
+    return existing;
+  }
+  const record = { id: existing.id, value: input.value };
+  await persistRecords([record]);
+  await setRecord(record);
+  return record;
+}
+
+/**
+ * removeRecord
+ * ------------
+ * @param {number} id - The record id.
+ * @returns {Promise<boolean>} True if the record existed and was deleted.
+ */
+export async function removeRecord(id) {
+  const existing = await getRecord(id);
+  if (!existing) {
+    return false;
+  }
+  await unpersistRecord(existing.id);
+  await deleteRecord(existing.id);
+  return true;
+}
+
+// Cursors are opaque to clients; they hold the last id of the previous page and, for pages
+// in value order, the value it was listed under.
+function encodeCursor(lastId, lastValue = null) {
+  const position = lastValue === null ? { after: lastId } : { after: lastId, value: lastValue };
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { after, value = null } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isInteger(after) || (value !== null && !/^[1-9][0-9]*$/.test(value))) {
+      return null;
+    }
+    return { after, afterValue: value };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * parseListQuery
+ * --------------
+ * Reads the query string of GET /records:
+ *   limit    - page size, 1 to MAX_PAGE_SIZE (default DEFAULT_PAGE_SIZE)
+ *   cursor   - the nextCursor of the previous page
+ *   prime    - "true", "false" or "pending" (not checked yet)
+ *   minValue - smallest value to include
+ *   maxValue - largest value to include
+ *
+ * @param {Object} query - The parsed query string.
+ * @returns {{ options: Object|null, error: string|null }} The list options, or an error.
+ */
+export function parseListQuery(query) {
+  const options = {
+    limit: DEFAULT_PAGE_SIZE,
+    after: 0,
+    afterValue: null,
+    prime: null,
+    minValue: null,
+    maxValue: null,
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { options: null, error: `"limit" must be an integer from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    options.limit = limit;
+  }
+  if (query.cursor !== undefined) {
+    const position = decodeCursor(String(query.cursor));
+    if (!position) {
+      return { options: null, error: '"cursor" is not valid' };
+    }
+    Object.assign(options, position);
+  }
+  if (query.prime !== undefined) {
+    if (!Object.hasOwn(PRIME_FILTERS, query.prime)) {
+      return { options: null, error: `"prime" must be one of ${Object.keys(PRIME_FILTERS).join(", ")}` };
+    }
+    options.prime = query.prime;
+  }
+  for (const name of ["minValue", "maxValue"]) {
+    if (query[name] === undefined) {
+      continue;
+    }
+    if (!/^[0-9]+$/.test(String(query[name]))) {
+      return { options: null, error: `"${name}" must be a non-negative integer` };
+    }
+    options[name] = BigInt(query[name]);
+  }
+  return { options, error: null };
+}
+
+/**
+ * listRecords
+ * -----------
+ * Returns one page of records.
+ *
+ * Without a value range, the page is in ascending id order and is read straight from the
+ * id index (or the status index for a "prime" filter). With a value range, the page is in
+ * ascending value order: the value index is read from the cursor on, one page's worth of
+ * entries at a time, until the page is full, skipping records with the wrong status.
+ *
+ * @param {Object} options - From parseListQuery().
+ * @returns {Promise<{ records: Array<Object>, nextCursor: string|null }>} The page, and the
+ *          cursor for the next page (null on the last page).
+ */
+export async function listRecords(options) {
+  const { after, limit } = options;
+  const status = options.prime ? PRIME_FILTERS[options.prime] : null;
+  const found = [];
+  // For pages in value order, the value each record was listed under, for the cursor.
+  const listedValues = new Map();
+
+  if (options.minValue === null && options.maxValue === null) {
+    const ids = await listRecordIds({ after, limit: limit + 1, status });
+    found.push(...(await getRecords(ids)).filter(Boolean));
+  } else {
+    let position = options.afterValue === null ? null : { id: after, value: options.afterValue };
+    while (found.length <= limit) {
+      const entries = await findRecordIdsByValue(options.minValue, options.maxValue, {
+        after: position,
+        limit: limit + 1,
+      });
+      const chunk = await getRecords(entries.map(entry => entry.id));
+      entries.forEach((entry, i) => {
+        const record = chunk[i];
+        if (record && (!status || recordStatus(record) === status)) {
+          found.push(record);
+          listedValues.set(record, entry.value);
+        }
+      });
+      if (entries.length <= limit) {
+        break;
+      }
+      position = entries[entries.length - 1];
+    }
+  }
+
+  const page = found.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    records: page,
+    nextCursor: found.length > limit ? encodeCursor(last.id, listedValues.get(last) ?? null) : null,
+  };
+}
+
+/**
+ * selectRecords
+ * -------------
+ * Collects the records that pass the filters of parseListQuery(), in the order of
+ * listRecords(), by reading it page by page.
+ *
+ * @param {Object} options - From parseListQuery(); limit and cursor are ignored.
+ * @param {number} [max=Infinity] - The most records to return.
+ * @returns {Promise<Array<Object>>} The matching records.
+ */
+export async function selectRecords(options, max = Infinity) {
+  const selected = [];
+  let position = { after: 0, afterValue: null };
+  while (selected.length < max) {
+    const limit = Math.min(MAX_PAGE_SIZE, max - selected.length);
+    const page = await listRecords({ ...options, ...position, limit });
+    selected.push(...page.records);
+    if (!page.nextCursor) {
+      break;
+    }
+    position = decodeCursor(page.nextCursor);
+  }
+  return selected;
+}
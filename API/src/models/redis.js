@@ -1,104 +1,693 @@
 /*
- * db.js
+ * redis.js
  *
  * Summary:
  * --------
  * This module abstracts the Redis I/O for our API. It:
  *   - Connects to Redis using the official redis client.
- *   - Provides helper functions to store, retrieve, and bulk‑populate
- *     records. Each record is stored as a JSON string under a key formatted
- *     as "record:<id>".
+ *   - Keeps every key under a namespace (REDIS_NAMESPACE, default "prime"), so the API
+ *     can share a Redis server and never needs to flush it.
+ *   - Stores each record as a JSON string under "<ns>:record:<id>" and keeps secondary
+ *     indexes next to it, updated in the same MULTI transaction as the record:
+ *       <ns>:records:ids        sorted set of all record ids (score = id)
+ *       <ns>:records:prime      sorted set of ids of records found prime (score = id)
+ *       <ns>:records:composite  sorted set of ids of records found not prime (score = id)
+ *       <ns>:records:pending    sorted set of ids of records not checked yet (score = id)
+ *       <ns>:records:byValue    lexicographic index of values (all scores 0), with
+ *                               members "<digit count, 4 digits>:<value>:<id>", so that
+ *                               ZRANGEBYLEX orders them numerically for any value size
+ *       <ns>:records:lastId     counter handing out new record ids
+ *     The status indexes are sorted by id so that filtered lists can be paged in id order.
  *
  * Annotated Sections:
  * -------------------
  * 1. Connection Setup: Uses the redis package to create and connect a client.
- * 2. Helper Functions:
- *      - setRecord(record): Stores a single record.
- *      - getRecord(id): Retrieves a record by id.
- *      - getAllRecords(): Retrieves all records (matching key "record:*").
- *      - populateRecords(records): Bulk‑populates the database with an array
- *        of records.
- * 3. Exports: The module exports these helper functions (and the client if needed).
+ * 2. Keys and indexes: key(), recordStatus(), valueIndexMember().
+ *    Timing: every async helper below is wrapped with timed(), which records its duration
+ *    in the redis_operation_duration_seconds histogram (see shared/src/metrics).
+ * 3. Record Helpers:
+ *      - setRecord(record): Stores a single record and updates its indexes.
+ *      - getRecord(id) / getRecords(ids): Retrieve records by id (MGET for several).
+ *      - scanRecords() / getAllRecords(): Iterate over all records with SCAN.
+ *      - populateRecords(records): Bulk-writes records in pipelined MULTI chunks.
+ *      - deleteRecord(id): Removes a record and its index entries.
+ *      - countRecords(): The number of records.
+ *      - countRecordsByStatus(): The number of prime, composite and pending records.
+ *      - listRecordIds(options): Pages through record ids, optionally of one status.
+ *      - findRecordIdsByValue(min, max, options): Pages through record ids in a value
+ *        range, in value order.
+ *      - reserveRecordIds(count): Hands out ids for new records.
+ *      - updateRecordResult(id, result, value): Merges a primality result into
+ *        an existing record that still has the given value, unless the record already
+ *        holds the result of the same request (same sentAt).
+ *      - clearNamespace(): Deletes every key of the namespace.
+ * 4. Batch Helpers:
+ *      - createBatch(batch) / getBatch(id): Stores and reads batch progress
+ *        hashes under "<ns>:batch:<id>".
+ *      - incrementBatch(id, field, by): Bumps one of the batch counters.
+ *      - setBatchFieldOnce(id, field, value): Sets a batch field only once.
+ *      - markBatchRecordCompleted(id, recordId): Records that a reply arrived
+ *        for a record of the batch; returns false for a repeated reply.
+ *      - recordBatchFailure(id, recordId, error) / getBatchFailures(id): Keep
+ *        the records of a batch that could not be sent, with the reason.
+ *      - updateBatch(id, fields): Sets fields of a batch, e.g. its status.
+ *      - resetBatchSendCounts(id): Zeroes the counts of a batch's sending (sent, cached,
+ *        failed, expired) and drops its failures, in one MULTI.
+ *      - scheduleBatch(id, notBefore, records): Keeps the records of a batch that is
+ *        sent later under "<ns>:batch:<id>:records", and the batch in the sorted set
+ *        "<ns>:batches:scheduled" (score = notBefore in milliseconds).
+ *      - getDueBatchIds(now, limit): The scheduled batches whose time has come.
+ *      - claimScheduledBatch(id, now, leaseUntil, fields): Claims a due batch for
+ *        sending. It stays on the schedule until leaseUntil (renewScheduledBatch()
+ *        extends that while it is sent) and is due again if completeScheduledBatch()
+ *        was not called by then, e.g. because the API stopped while sending it.
+ *      - unscheduleBatch(id, fields): Cancels a batch that was not claimed. Claims and
+ *        cancels watch the batch hash, so only one of them wins: a batch is never both
+ *        sent and cancelled, nor claimed by two API instances at once.
+ * 5. Task Helpers:
+ *      - createTask(task, ttlSeconds) / getTask(id): Store and read task hashes
+ *        under "<ns>:task:<id>", which expire after ttlSeconds.
+ *      - updateTask(id, fields): Sets fields of an existing task.
+ * 6. Job Helpers (range jobs split into chunks):
+ *      - createJob(job) / getJob(id): Store and read job hashes under "<ns>:job:<id>".
+ *      - incrementJob(id, field, by): Bumps one of the job counters.
+ *      - setJobFieldOnce(id, field, value): Sets a job field only once.
+ *      - markJobChunkDone(id, chunk): Records that a chunk was answered or failed;
+ *        returns false for a repeated reply.
+ *      - recordJobChunkFailure(id, chunk, error) / getJobChunkFailures(id): Keep
+ *        the chunks that failed, with the reason.
+ *      - storeJobChunkPrimes(id, chunk, primes) / getJobPrimes(id): Keep the
+ *        primes each chunk found, and read them all in chunk order.
+ * 7. Result History:
+ *      - appendResultEvent(event, maxLength): Adds a result to the capped stream
+ *        "<ns>:results:stream" and returns its stream entry id.
+ *      - getResultEventsAfter(lastId, count): Reads the results added after an entry id.
+ * 8. Exports: The module exports these helper functions (and the client if needed).
  *
  * Note: Top‑level await is used, so ensure Node.js v14+ and `"type": "module"`
  * is set in your package.json.
  */
-// Load environment variables from a .env file into process.env
 
-import { createClient } from 'redis';
-import dotenv from 'dotenv';
-dotenv.config();
+import { createClient, WatchError } from 'redis';
+import { client as metrics } from 'shared/metrics/index.js';
+import { getConfig } from 'shared/config/index.js';
+import { createLogger } from 'shared/logging/index.js';
 
+const log = createLogger('redis');
 
-// Read connection settings from environment or use defaults.
-const REDIS_HOST = process.env.REDIS_HOST || 'localhost';
-const REDIS_PORT = process.env.REDIS_PORT || 6379;
-const REDIS_PASSWORD = process.env.REDIS_PASSWORD || "redisIsSecure";
+// Read connection settings from the shared configuration (REDIS_HOST, REDIS_PORT,
+// REDIS_PASSWORD, REDIS_NAMESPACE).
+const {
+  host: REDIS_HOST,
+  port: REDIS_PORT,
+  password: REDIS_PASSWORD,
+  namespace: REDIS_NAMESPACE,
+} = getConfig().redis;
 
-// Build the Redis URL. (The official image uses a password via the --requirepass option.)
-const redisUrl = `redis://:${REDIS_PASSWORD}@${REDIS_HOST}:${REDIS_PORT}`;
+// Number of records written per MULTI, and keys read per MGET.
+const CHUNK_SIZE = 1000;
 
-// Create a Redis client.
+// Create a Redis client. (The official image uses a password via the --requirepass option;
+// without REDIS_PASSWORD no AUTH is sent.)
 const client = createClient({
-  url: redisUrl,
+  socket: { host: REDIS_HOST, port: REDIS_PORT },
+  password: REDIS_PASSWORD,
 });
 
 // Attach event listeners.
 client.on('error', (err) => {
-    console.error('Redis Client Error', err);
-  });
-  
-  client.on('ready', () => {
-    console.log('Redis client is ready and connected.');
-  });
+  log.error('Redis client error', { err });
+});
 
-// Attach an error handler.
-client.on('error', (err) => {
-  console.error('Redis Client Error', err);
+client.on('ready', () => {
+  log.info('Redis client is ready and connected');
 });
 
 // Connect to Redis (top-level await works in Node.js modules)
 await client.connect();
-console.log('Connected to Redis');
-await client.flushAll();
-console.log('Redis cache flushed.');
+log.info('Connected to Redis', { namespace: REDIS_NAMESPACE });
 
-// Helper function to store a record.
-// Each record is expected to be an object with an "id" property.
-export async function setRecord(record) {
-  const key = `record:${record.id}`;
-  await client.set(key, JSON.stringify(record));
-  // Optionally, log success:
-  // console.log(`Record ${record.id} stored.`);
+// Time every exported helper into one histogram, labelled with the helper's name.
+const redisOperationDuration = new metrics.Histogram({
+  name: 'redis_operation_duration_seconds',
+  help: 'Duration of the Redis helpers in redis.js, by helper',
+  labelNames: ['operation'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+});
+
+// Wrap an async helper so that each call is observed in redisOperationDuration, whether it
+// resolves or rejects.
+function timed(operation, fn) {
+  return async (...args) => {
+    const end = redisOperationDuration.startTimer({ operation });
+    try {
+      return await fn(...args);
+    } finally {
+      end();
+    }
+  };
+}
+
+// Build a key inside the namespace, e.g. key('record', 7) -> "prime:record:7".
+export function key(...parts) {
+  return [REDIS_NAMESPACE, ...parts].join(':');
+}
+
+const IDS_KEY = key('records', 'ids');
+const BY_VALUE_KEY = key('records', 'byValue');
+const LAST_ID_KEY = key('records', 'lastId');
+const STATUS_KEYS = {
+  prime: key('records', 'prime'),
+  composite: key('records', 'composite'),
+  pending: key('records', 'pending'),
+};
+
+// The status index a record belongs in: "prime", "composite" or "pending".
+export function recordStatus(record) {
+  if (!record.checkedAt) {
+    return 'pending';
+  }
+  return record.prime ? 'prime' : 'composite';
+}
+
+// Encode a value so that lexicographic order matches numeric order: longer numbers sort
+// after shorter ones, and numbers of equal length sort by their digits.
+function encodeValue(value) {
+  const digits = String(value).replace(/^0+(?=\d)/, '');
+  return `${String(digits.length).padStart(4, '0')}:${digits}`;
+}
+
+// The member of the byValue index for a record.
+function valueIndexMember(record) {
+  return `${encodeValue(record.value)}:${record.id}`;
+}
+
+// Queue the commands that remove a record's index entries onto a MULTI.
+function queueIndexRemoval(multi, record) {
+  multi.zRem(BY_VALUE_KEY, valueIndexMember(record));
+  multi.zRem(STATUS_KEYS[recordStatus(record)], String(record.id));
+}
+
+// Queue the commands that store a record and its index entries onto a MULTI, replacing
+// the entries of the previous version (if any).
+function queueRecordWrite(multi, record, previous) {
+  if (previous) {
+    queueIndexRemoval(multi, previous);
+  }
+  const id = String(record.id);
+  multi.set(key('record', id), JSON.stringify(record));
+  multi.zAdd(IDS_KEY, { score: Number(record.id), value: id });
+  multi.zAdd(STATUS_KEYS[recordStatus(record)], { score: Number(record.id), value: id });
+  multi.zAdd(BY_VALUE_KEY, { score: 0, value: valueIndexMember(record) });
+}
+
+// Read a record with its key watched and call fn(multi, current). fn queues its writes on
+// the MULTI and returns { multi, result }, or { multi: null, result } to write nothing.
+// The whole step is retried when another client changed the record before EXEC.
+async function withWatchedRecord(id, fn) {
+  const recordKey = key('record', id);
+  for (;;) {
+    try {
+      return await client.executeIsolated(async (isolated) => {
+        await isolated.watch(recordKey);
+        const data = await isolated.get(recordKey);
+        const { multi, result } = fn(isolated.multi(), data ? JSON.parse(data) : null);
+        if (multi) {
+          await multi.exec();
+        } else {
+          await isolated.unwatch();
+        }
+        return result;
+      });
+    } catch (err) {
+      if (!(err instanceof WatchError)) {
+        throw err;
+      }
+    }
+  }
 }
 
+// Helper function to store a record and update its indexes.
+// Each record is expected to be an object with an "id" property.
+export const setRecord = timed('setRecord', async (record) => {
+  await withWatchedRecord(record.id, (multi, previous) => {
+    queueRecordWrite(multi, record, previous);
+    return { multi, result: record };
+  });
+});
+
 // Helper function to get a record by its id.
-export async function getRecord(id) {
-  const key = `record:${id}`;
-  const result = await client.get(key);
+export const getRecord = timed('getRecord', async (id) => {
+  const result = await client.get(key('record', id));
   return result ? JSON.parse(result) : null;
-}
+});
 
-// Helper function to retrieve all records stored in Redis.
-export async function getAllRecords() {
-  const keys = await client.keys('record:*');
+// Helper function to get several records with MGET. The result has one entry per id,
+// null where no record exists.
+export const getRecords = timed('getRecords', async (ids) => {
   const records = [];
-  for (const key of keys) {
-    const data = await client.get(key);
-    if (data) {
-      records.push(JSON.parse(data));
+  for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + CHUNK_SIZE);
+    if (chunk.length === 0) {
+      break;
     }
+    const values = await client.mGet(chunk.map(id => key('record', id)));
+    records.push(...values.map(value => (value ? JSON.parse(value) : null)));
   }
   return records;
+});
+
+// Iterate over all records with SCAN, yielding them in arrays (in no particular order).
+export async function* scanRecords() {
+  let keys = [];
+  for await (const recordKey of client.scanIterator({ MATCH: key('record', '*'), COUNT: CHUNK_SIZE })) {
+    keys.push(recordKey);
+    if (keys.length >= CHUNK_SIZE) {
+      yield (await client.mGet(keys)).filter(Boolean).map(value => JSON.parse(value));
+      keys = [];
+    }
+  }
+  if (keys.length > 0) {
+    yield (await client.mGet(keys)).filter(Boolean).map(value => JSON.parse(value));
+  }
 }
 
-// Bulk-populate Redis with an array of record objects.
-export async function populateRecords(records) {
-  for (const rec of records) {
-    await setRecord(rec);
+// Helper function to retrieve all records stored in Redis, ordered by id.
+export const getAllRecords = timed('getAllRecords', async () => {
+  const records = [];
+  for await (const chunk of scanRecords()) {
+    records.push(...chunk);
+  }
+  return records.sort((a, b) => a.id - b.id);
+});
+
+// Bulk-populate Redis with an array of record objects, CHUNK_SIZE records per pipelined
+// MULTI. The id counter is moved past the largest id so that new records never reuse one.
+export const populateRecords = timed('populateRecords', async (records) => {
+  let maxId = 0;
+  for (let i = 0; i < records.length; i += CHUNK_SIZE) {
+    const chunk = records.slice(i, i + CHUNK_SIZE);
+    const previous = await getRecords(chunk.map(rec => rec.id));
+    const multi = client.multi();
+    chunk.forEach((rec, j) => {
+      queueRecordWrite(multi, rec, previous[j]);
+      maxId = Math.max(maxId, Number(rec.id) || 0);
+    });
+    await multi.exec();
+  }
+  const lastId = Number(await client.get(LAST_ID_KEY)) || 0;
+  if (maxId > lastId) {
+    await client.set(LAST_ID_KEY, String(maxId));
+  }
+  log.info('Records populated in Redis', { records: records.length });
+});
+
+// Helper function to delete a record and its index entries by its id.
+// Returns true if the record existed.
+export const deleteRecord = timed('deleteRecord', async (id) => {
+  return withWatchedRecord(id, (multi, previous) => {
+    if (!previous) {
+      return { multi: null, result: false };
+    }
+    multi.del(key('record', id));
+    multi.zRem(IDS_KEY, String(previous.id));
+    queueIndexRemoval(multi, previous);
+    return { multi, result: true };
+  });
+});
+
+// The number of records stored.
+export const countRecords = timed('countRecords', async () => {
+  return client.zCard(IDS_KEY);
+});
+
+// The number of records in each status index: { prime, composite, pending }.
+export const countRecordsByStatus = timed('countRecordsByStatus', async () => {
+  const statuses = Object.keys(STATUS_KEYS);
+  const counts = await Promise.all(statuses.map(status => client.zCard(STATUS_KEYS[status])));
+  return Object.fromEntries(statuses.map((status, i) => [status, counts[i]]));
+});
+
+// Page through record ids in ascending order: up to `limit` ids greater than `after`,
+// taken from all records or only those with the given status ("prime", "composite" or
+// "pending").
+export const listRecordIds = timed('listRecordIds', async ({ after = 0, limit, status = null }) => {
+  const indexKey = status ? STATUS_KEYS[status] : IDS_KEY;
+  const ids = await client.zRangeByScore(indexKey, `(${after}`, '+inf', {
+    LIMIT: { offset: 0, count: limit },
+  });
+  return ids.map(Number);
+});
+
+// Page through the records whose value lies in [min, max] (BigInts; either may be null for
+// an open end) in value order, using the byValue index: up to `limit` entries that come
+// after the entry `after` ({ id, value }, or null to start at min). Returns { id, value }
+// entries, value being the digits the record had when it was indexed.
+export const findRecordIdsByValue = timed('findRecordIdsByValue', async (min, max, { after = null, limit }) => {
+  let from = min === null ? '-' : `[${encodeValue(min)}:`;
+  if (after) {
+    const position = valueIndexMember(after);
+    if (min === null || position >= from.slice(1)) {
+      from = `(${position}`;
+    }
+  }
+  // ';' sorts right after ':', so this bound includes every id of the max value.
+  const to = max === null ? '+' : `[${encodeValue(max)};`;
+  const members = await client.zRangeByLex(BY_VALUE_KEY, from, to, {
+    LIMIT: { offset: 0, count: limit },
+  });
+  return members.map(member => {
+    const [, value, id] = member.split(':');
+    return { id: Number(id), value };
+  });
+});
+
+// Reserve count new record ids and return them in ascending order.
+export const reserveRecordIds = timed('reserveRecordIds', async (count) => {
+  const last = await client.incrBy(LAST_ID_KEY, count);
+  return Array.from({ length: count }, (_, i) => last - count + 1 + i);
+});
+
+// Helper function to merge a result (e.g. { prime, checkedAt }) into an existing record.
+// When a value is given, the result is only stored if the record still has that value,
+// so a late result for a value that has since been replaced is dropped. A result with the
+// sentAt of its request is not stored again when the record already has that sentAt: it
+// is a repeated reply, e.g. one redelivered after it was backed out.
+// Returns { record, stored }: the record (null if no matching record exists) and whether
+// the result was written.
+export const updateRecordResult = timed('updateRecordResult', async (id, result, value) => {
+  return withWatchedRecord(id, (multi, record) => {
+    if (!record || (value !== undefined && record.value !== value)) {
+      return { multi: null, result: { record: null, stored: false } };
+    }
+    if (result.sentAt !== undefined && record.sentAt === result.sentAt) {
+      return { multi: null, result: { record, stored: false } };
+    }
+    const updated = { ...record, ...result, id: record.id };
+    queueRecordWrite(multi, updated, record);
+    return { multi, result: { record: updated, stored: true } };
+  });
+});
+
+// Delete every key in the namespace (SCAN + UNLINK), leaving other data on the server alone.
+export const clearNamespace = timed('clearNamespace', async () => {
+  let deleted = 0;
+  let keys = [];
+  for await (const found of client.scanIterator({ MATCH: key('*'), COUNT: CHUNK_SIZE })) {
+    keys.push(found);
+    if (keys.length >= CHUNK_SIZE) {
+      deleted += await client.unlink(keys);
+      keys = [];
+    }
+  }
+  if (keys.length > 0) {
+    deleted += await client.unlink(keys);
+  }
+  log.info('Cleared the Redis namespace', { namespace: REDIS_NAMESPACE, keys: deleted });
+  return deleted;
+});
+
+// Store a new batch as a hash under "<ns>:batch:<id>". All values are kept as strings.
+export const createBatch = timed('createBatch', async (batch) => {
+  const fields = {};
+  for (const [name, value] of Object.entries(batch)) {
+    fields[name] = String(value);
+  }
+  await client.hSet(key('batch', batch.id), fields);
+});
+
+// Retrieve a batch hash by id, or null if it does not exist.
+export const getBatch = timed('getBatch', async (id) => {
+  const batch = await client.hGetAll(key('batch', id));
+  return Object.keys(batch).length > 0 ? batch : null;
+});
+
+// Increment one of the numeric batch counters and return its new value.
+export const incrementBatch = timed('incrementBatch', async (id, field, by = 1) => {
+  return client.hIncrBy(key('batch', id), field, by);
+});
+
+// Set a batch field only if it has not been set yet (e.g. its completion time).
+export const setBatchFieldOnce = timed('setBatchFieldOnce', async (id, field, value) => {
+  return client.hSetNX(key('batch', id), field, String(value));
+});
+
+// Remember that a reply for recordId arrived for this batch. Returns true the first
+// time, and false when the same record is reported again.
+export const markBatchRecordCompleted = timed('markBatchRecordCompleted', async (id, recordId) => {
+  const added = await client.sAdd(key('batch', id, 'completed'), String(recordId));
+  return added === 1;
+});
+
+// Remember why a record of a batch could not be sent.
+export const recordBatchFailure = timed('recordBatchFailure', async (id, recordId, error) => {
+  await client.hSet(key('batch', id, 'failures'), String(recordId), error);
+});
+
+// The records of a batch that could not be sent, as [{ id, error }] ordered by id.
+export const getBatchFailures = timed('getBatchFailures', async (id) => {
+  const failures = await client.hGetAll(key('batch', id, 'failures'));
+  return Object.entries(failures)
+    .map(([recordId, error]) => ({ id: Number(recordId), error }))
+    .sort((a, b) => a.id - b.id);
+});
+
+// Set fields of a batch. All values are kept as strings.
+export const updateBatch = timed('updateBatch', async (id, fields) => {
+  const values = {};
+  for (const [name, value] of Object.entries(fields)) {
+    values[name] = String(value);
+  }
+  await client.hSet(key('batch', id), values);
+});
+
+// Start counting the sending of a batch afresh, e.g. before it is sent again. The failures
+// go in the same MULTI as the failed count, so the two always agree.
+export const resetBatchSendCounts = timed('resetBatchSendCounts', async (id) => {
+  await client.multi()
+    .hSet(key('batch', id), { sent: '0', cached: '0', failed: '0', expired: '0' })
+    .del(key('batch', id, 'failures'))
+    .exec();
+});
+
+const SCHEDULED_BATCHES_KEY = key('batches', 'scheduled');
+
+// Keep the records of a batch until notBefore (milliseconds since the epoch), and add the
+// batch to the schedule.
+export const scheduleBatch = timed('scheduleBatch', async (id, notBefore, records) => {
+  await client.multi()
+    .set(key('batch', id, 'records'), JSON.stringify(records))
+    .zAdd(SCHEDULED_BATCHES_KEY, { score: notBefore, value: id })
+    .exec();
+});
+
+// The ids of up to limit scheduled batches due at now (milliseconds), earliest first.
+export const getDueBatchIds = timed('getDueBatchIds', async (now, limit) => {
+  return client.zRangeByScore(SCHEDULED_BATCHES_KEY, 0, now, { LIMIT: { offset: 0, count: limit } });
+});
+
+// Read a batch with its hash watched and call fn(multi, batch) as withWatchedRecord() does.
+async function withWatchedBatch(id, fn) {
+  const batchKey = key('batch', id);
+  for (;;) {
+    try {
+      return await client.executeIsolated(async (isolated) => {
+        await isolated.watch(batchKey);
+        const batch = await isolated.hGetAll(batchKey);
+        const { multi, result } = await fn(isolated, Object.keys(batch).length > 0 ? batch : null);
+        if (multi) {
+          await multi.exec();
+        } else {
+          await isolated.unwatch();
+        }
+        return result;
+      });
+    } catch (err) {
+      if (!(err instanceof WatchError)) {
+        throw err;
+      }
+    }
   }
-  console.log(`${records.length} records have been populated in Redis.`);
 }
 
+// Claim a scheduled batch that is due at now (milliseconds) for sending, and set fields on
+// it. The batch stays on the schedule with its time moved to leaseUntil, and keeps its
+// records, until completeScheduledBatch(): if it is not completed by then (the API stopped
+// or the send failed), it is due again and can be claimed again. Each claim stamps
+// claimedAt. Returns { records, batch } with the batch as it was before the claim, or null
+// when the batch is not due (not scheduled, cancelled, or claimed by another API instance).
+export const claimScheduledBatch = timed('claimScheduledBatch', async (id, now, leaseUntil, fields = {}) => {
+  const recordsKey = key('batch', id, 'records');
+  return withWatchedBatch(id, async (isolated, batch) => {
+    const due = await isolated.zScore(SCHEDULED_BATCHES_KEY, id);
+    if (due === null || due > now) {
+      return { multi: null, result: null };
+    }
+    const records = await isolated.get(recordsKey);
+    if (!batch || records === null) {
+      // Nothing left to send; drop the entry.
+      return { multi: isolated.multi().zRem(SCHEDULED_BATCHES_KEY, id).del(recordsKey), result: null };
+    }
+    const values = { claimedAt: new Date(now).toISOString() };
+    for (const [name, value] of Object.entries(fields)) {
+      values[name] = String(value);
+    }
+    const multi = isolated.multi()
+      .zAdd(SCHEDULED_BATCHES_KEY, { score: leaseUntil, value: id })
+      .hSet(key('batch', id), values);
+    return { multi, result: { records: JSON.parse(records), batch } };
+  });
+});
+
+// Extend the claim on a batch that is being sent to leaseUntil. Does nothing for a batch
+// that is no longer on the schedule.
+export const renewScheduledBatch = timed('renewScheduledBatch', async (id, leaseUntil) => {
+  await client.zAdd(SCHEDULED_BATCHES_KEY, { score: leaseUntil, value: id }, { XX: true });
+});
+
+// Take a claimed batch off the schedule and drop its records, once they have all been sent.
+export const completeScheduledBatch = timed('completeScheduledBatch', async (id) => {
+  await client.multi()
+    .zRem(SCHEDULED_BATCHES_KEY, id)
+    .del(key('batch', id, 'records'))
+    .exec();
+});
+
+// Take a batch that was never claimed off the schedule, drop its records and set fields on
+// it. Returns false when the batch is not scheduled or has been claimed for sending.
+export const unscheduleBatch = timed('unscheduleBatch', async (id, fields = {}) => {
+  return withWatchedBatch(id, async (isolated, batch) => {
+    const due = await isolated.zScore(SCHEDULED_BATCHES_KEY, id);
+    if (!batch || due === null || batch.claimedAt) {
+      return { multi: null, result: false };
+    }
+    const values = {};
+    for (const [name, value] of Object.entries(fields)) {
+      values[name] = String(value);
+    }
+    const multi = isolated.multi()
+      .zRem(SCHEDULED_BATCHES_KEY, id)
+      .del(key('batch', id, 'records'));
+    if (Object.keys(values).length > 0) {
+      multi.hSet(key('batch', id), values);
+    }
+    return { multi, result: true };
+  });
+});
+
+// Store a new task as a hash under "<ns>:task:<id>" that expires after ttlSeconds. All
+// values are kept as strings.
+export const createTask = timed('createTask', async (task, ttlSeconds) => {
+  const fields = {};
+  for (const [name, value] of Object.entries(task)) {
+    fields[name] = String(value);
+  }
+  await client.multi()
+    .hSet(key('task', task.id), fields)
+    .expire(key('task', task.id), ttlSeconds)
+    .exec();
+});
+
+// Retrieve a task hash by id, or null if it does not exist (or has expired).
+export const getTask = timed('getTask', async (id) => {
+  const task = await client.hGetAll(key('task', id));
+  return Object.keys(task).length > 0 ? task : null;
+});
+
+// Set fields of a task that still exists. Returns false when it does not.
+export const updateTask = timed('updateTask', async (id, fields) => {
+  const values = {};
+  for (const [name, value] of Object.entries(fields)) {
+    values[name] = String(value);
+  }
+  // Only update a task that exists, so that a late reply cannot recreate an expired task
+  // without its TTL.
+  const taskKey = key('task', id);
+  if (!(await client.exists(taskKey))) {
+    return false;
+  }
+  await client.hSet(taskKey, values);
+  return true;
+});
+
+// Store a new job as a hash under "<ns>:job:<id>". All values are kept as strings.
+export const createJob = timed('createJob', async (job) => {
+  const fields = {};
+  for (const [name, value] of Object.entries(job)) {
+    fields[name] = String(value);
+  }
+  await client.hSet(key('job', job.id), fields);
+});
+
+// Retrieve a job hash by id, or null if it does not exist.
+export const getJob = timed('getJob', async (id) => {
+  const job = await client.hGetAll(key('job', id));
+  return Object.keys(job).length > 0 ? job : null;
+});
+
+// Increment one of the numeric job counters and return its new value.
+export const incrementJob = timed('incrementJob', async (id, field, by = 1) => {
+  return client.hIncrBy(key('job', id), field, by);
+});
+
+// Set a job field only if it has not been set yet (e.g. its completion time).
+export const setJobFieldOnce = timed('setJobFieldOnce', async (id, field, value) => {
+  return client.hSetNX(key('job', id), field, String(value));
+});
+
+// Remember that a chunk of the job was answered or failed. Returns true the first time, and
+// false when the same chunk is reported again.
+export const markJobChunkDone = timed('markJobChunkDone', async (id, chunk) => {
+  const added = await client.sAdd(key('job', id, 'done'), String(chunk));
+  return added === 1;
+});
+
+// Remember why a chunk of a job failed.
+export const recordJobChunkFailure = timed('recordJobChunkFailure', async (id, chunk, error) => {
+  await client.hSet(key('job', id, 'failures'), String(chunk), error);
+});
+
+// The chunks of a job that failed, as [{ chunk, error }] ordered by chunk.
+export const getJobChunkFailures = timed('getJobChunkFailures', async (id) => {
+  const failures = await client.hGetAll(key('job', id, 'failures'));
+  return Object.entries(failures)
+    .map(([chunk, error]) => ({ chunk: Number(chunk), error }))
+    .sort((a, b) => a.chunk - b.chunk);
+});
+
+// Keep the primes a chunk of a job found, as a JSON array in the hash "<ns>:job:<id>:primes".
+export const storeJobChunkPrimes = timed('storeJobChunkPrimes', async (id, chunk, primes) => {
+  await client.hSet(key('job', id, 'primes'), String(chunk), JSON.stringify(primes));
+});
+
+// All primes the chunks of a job found so far, in ascending order (chunks cover ascending
+// parts of the range).
+export const getJobPrimes = timed('getJobPrimes', async (id) => {
+  const chunks = await client.hGetAll(key('job', id, 'primes'));
+  return Object.entries(chunks)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .flatMap(([, primes]) => JSON.parse(primes));
+});
+
+const RESULTS_STREAM_KEY = key('results', 'stream');
+
+// Add a result event to the results stream, trimming it to about maxLength entries.
+// Returns the entry id Redis assigned (e.g. "1718000000000-0"), which orders the events.
+export const appendResultEvent = timed('appendResultEvent', async (event, maxLength) => {
+  return client.xAdd(RESULTS_STREAM_KEY, '*', { data: JSON.stringify(event) }, {
+    TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxLength },
+  });
+});
+
+// The result events added after lastId, oldest first, as [{ eventId, event }].
+// XRANGE includes its start id, so an entry equal to lastId is dropped here.
+export const getResultEventsAfter = timed('getResultEventsAfter', async (lastId, count) => {
+  const entries = await client.xRange(RESULTS_STREAM_KEY, lastId, '+', { COUNT: count + 1 });
+  return entries
+    .filter(entry => entry.id !== lastId)
+    .slice(0, count)
+    .map(entry => ({ eventId: entry.id, event: JSON.parse(entry.message.data) }));
+});
+
 // Export the client, in case you need lower-level access.
 export { client };
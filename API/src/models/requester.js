@@ -0,0 +1,182 @@
+/*
+ * requester.js
+ *
+ * Summary:
+ * --------
+ * This module sends requests to the consumer and waits for their replies, for endpoints that
+ * answer synchronously (see primeRoutes.js). Every request is put on the request queue
+ * (DEV.QUEUE.1) with a new random CorrelId and the MQMD ReplyToQ set to the requester's reply
+ * queue. The consumer posts the reply there with the same CorrelId, and the requester gets it
+ * by CorrelId, so concurrent requests each take their own reply.
+ *
+ * The reply queue is either:
+ *   - a temporary dynamic queue that MQ creates from the model queue MQ_REPLY_MODEL_QUEUE
+ *     (default "DEV.APP.MODEL.QUEUE"), named after MQ_REPLY_DYNAMIC_QUEUE (default
+ *     "DEV.API.REPLY.*"). It belongs to this process and is deleted when it disconnects; or
+ *   - the shared queue MQ_SYNC_REPLY_QUEUE when that is set, e.g. when several API instances
+ *     should use one predefined queue. It must not be the reply queue (DEV.QUEUE.2), whose
+ *     listener takes every message.
+ * A reply that arrives after its request timed out stays on the reply queue: on a dynamic
+ * queue until the requester disconnects, on a shared queue until it is cleared or expires.
+ *
+ * The requester keeps one connection of its own, opened on first use. Its puts and gets are
+ * made outside syncpoint, so concurrent requests do not share a unit of work. When the
+ * connection is lost, the requests waiting on it fail and the next request reconnects. A put
+ * or get that fails with err.connectionBroken (see shared/transport) counts as lost even while
+ * the transport still reports itself connected, as IBM MQ does until a call fails.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Configuration: The reply queue settings and the default timeout (SYNC_REQUEST_TIMEOUT_MS,
+ *    default 5000), from the shared configuration.
+ * 2. createRequester(options): Creates a requester with request() and close().
+ */
+
+import crypto from 'crypto';
+import { connectToMessaging, mqRequestQueue } from './mq.js';
+import { getConfig } from 'shared/config/index.js';
+import { createLogger } from 'shared/logging/index.js';
+import { tracedPut, withReceiveSpan } from 'shared/tracing/index.js';
+import { encodeMessage, decodeMessage, MESSAGE_TYPES } from 'shared/messages/index.js';
+
+const log = createLogger('requester');
+
+// 1. Configuration
+const { syncReply } = getConfig().mq;
+
+// The reply type of each request type.
+const REPLY_TYPES = {
+  [MESSAGE_TYPES.REQUEST]: MESSAGE_TYPES.REPLY,
+  [MESSAGE_TYPES.TASK_REQUEST]: MESSAGE_TYPES.TASK_REPLY,
+};
+
+/**
+ * createRequester
+ * ---------------
+ * Creates a requester. It connects on first use and stays connected until close().
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.connect] - Returns a promise of a connected transport
+ *        (default: connectToMessaging from mq.js).
+ * @param {string} [options.queueName] - The request queue (default: MQ_REQUEST_QUEUE).
+ * @param {string} [options.replyQueueName] - A shared reply queue (default:
+ *        MQ_SYNC_REPLY_QUEUE); without one, a temporary dynamic queue is used.
+ * @param {string} [options.modelQueueName] - The model queue of the dynamic reply queue.
+ * @param {string} [options.dynamicQueueName] - The name pattern of the dynamic reply queue.
+ * @param {number} [options.timeoutMs] - How long request() waits for a reply by default.
+ * @returns {{ request: Function, close: Function, timeoutMs: number }} The requester.
+ */
+export function createRequester(options = {}) {
+  const connect = options.connect || connectToMessaging;
+  const queueName = options.queueName || mqRequestQueue;
+  const replyQueueName = options.replyQueueName ?? syncReply.queue;
+  const modelQueueName = options.modelQueueName || syncReply.modelQueue;
+  const dynamicQueueName = options.dynamicQueueName || syncReply.dynamicQueueName;
+  const timeoutMs = options.timeoutMs || syncReply.timeoutMs;
+
+  // Promise of { transport, requestQueue, replyQueue } once a request has connected.
+  let connection = null;
+  let closing = false;
+
+  async function openConnection() {
+    const transport = await connect();
+    try {
+      const requestQueue = await transport.open(queueName, 'output');
+      const replyQueue = replyQueueName
+        ? await transport.open(replyQueueName, 'input')
+        : await transport.open(modelQueueName, 'input', { dynamicQueueName });
+      log.info('Requester connected', { requestQueue: queueName, replyQueue: replyQueue.name });
+      return { transport, requestQueue, replyQueue };
+    } catch (err) {
+      await transport.disconnect().catch(() => {});
+      throw err;
+    }
+  }
+
+  function getConnection() {
+    if (!connection) {
+      connection = openConnection();
+      connection.catch(() => {
+        connection = null;
+      });
+    }
+    return connection;
+  }
+
+  // Drops a connection that failed, so the next request connects again.
+  function resetConnection(pending, conn, err) {
+    if (err.connectionBroken || !conn.transport.isConnected()) {
+      log.warn('Requester connection lost; the next request reconnects');
+      if (connection === pending) {
+        connection = null;
+      }
+      conn.transport.disconnect().catch(() => {});
+    }
+  }
+
+  /**
+   * request
+   * -------
+   * Puts a request and waits for its reply.
+   *
+   * @param {string} type - MESSAGE_TYPES.REQUEST or MESSAGE_TYPES.TASK_REQUEST.
+   * @param {Object} payload - The request's payload.
+   * @param {Object} [requestOptions]
+   * @param {number} [requestOptions.timeoutMs] - How long to wait for the reply.
+   * @param {Object} [requestOptions.attributes] - Span attributes of the put.
+   * @returns {Promise<Object>} The payload of the reply.
+   * @throws {Error} When the request cannot be sent, or the reply is invalid. When no reply
+   *         arrived in time, err.timedOut is set.
+   */
+  async function request(type, payload, { timeoutMs: waitMs = timeoutMs, attributes } = {}) {
+    if (closing) {
+      throw new Error('Requester is closed');
+    }
+    const body = encodeMessage(type, payload);
+    const pending = getConnection();
+    const conn = await pending;
+    const correlId = crypto.randomBytes(24);
+    let message;
+    try {
+      await tracedPut(conn.transport, conn.requestQueue, body, {
+        correlId,
+        replyToQueue: conn.replyQueue.name,
+        attributes,
+      });
+      message = await conn.transport.get(conn.replyQueue, { waitMs, correlId });
+    } catch (err) {
+      resetConnection(pending, conn, err);
+      throw err;
+    }
+
+    if (!message) {
+      log.warn('No reply in time', { correlId: correlId.toString('hex'), timeoutMs: waitMs });
+      const err = new Error(`No reply from the consumer within ${waitMs} ms`);
+      err.timedOut = true;
+      throw err;
+    }
+    return withReceiveSpan(conn.replyQueue.name, message, () => {
+      const reply = decodeMessage(message.body, {
+        type: REPLY_TYPES[type],
+        messageId: message.msgId.toString('hex'),
+      });
+      return reply.envelope.payload;
+    });
+  }
+
+  // Closes the reply queue (deleting a dynamic one) and disconnects.
+  async function close() {
+    closing = true;
+    if (!connection) {
+      return;
+    }
+    const conn = await connection.catch(() => null);
+    connection = null;
+    if (conn) {
+      await conn.transport.close(conn.replyQueue).catch(() => {});
+      await conn.transport.disconnect();
+    }
+  }
+
+  return { request, close, timeoutMs };
+}
@@ -0,0 +1,119 @@
+/*
+ * resultStream.js
+ *
+ * Summary:
+ * --------
+ * This module fans the results the consumer posts to the reply queue (DEV.QUEUE.2) out to
+ * live listeners, such as the GET /results/stream Server-Sent Events route. Every result is
+ * also appended to a short history in Redis (a capped stream, see redis.js), so that a client
+ * that reconnects with the id of the last event it saw can catch up on what it missed. Only
+ * results that were stored on their record are published, so a redelivered reply does not
+ * publish its results again (see applyPrimeResult() in apiModels.js).
+ *
+ * Event ids are the Redis stream entry ids ("<milliseconds>-<sequence>"), which increase with
+ * every event. Live delivery goes through an in-process EventEmitter, so a listener only sees
+ * results received by this API process; the history holds those of every process sharing
+ * the Redis namespace.
+ *
+ * Environment Variables (with defaults if not set):
+ *   RESULT_HISTORY_SIZE - Approximate number of results kept in Redis for resuming (default: 1000)
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. publishResult(event): Adds a result to the history and passes it to the listeners.
+ * 2. subscribeToResults(listener): Registers a listener; returns a function to remove it.
+ * 3. getResultsSince(lastEventId): Reads the history after an event id.
+ * 4. Helpers: isEventId(), compareEventIds() and matchesResultFilter().
+ */
+
+import { EventEmitter } from 'events';
+import { appendResultEvent, getResultEventsAfter } from './redis.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const log = createLogger('resultStream');
+
+const RESULT_HISTORY_SIZE = Number(process.env.RESULT_HISTORY_SIZE) || 1000;
+
+const results = new EventEmitter();
+// Every open stream adds a listener, so there is no sensible maximum.
+results.setMaxListeners(0);
+
+/**
+ * publishResult
+ * -------------
+ * Appends a result to the Redis history and then passes it to every listener as
+ * listener(eventId, event). When the history cannot be written the result is still passed
+ * on, with an eventId of null.
+ *
+ * @param {Object} event - The result, e.g. { id, value, prime, checkedAt, batchId }.
+ * @returns {Promise<string|null>} The event id.
+ */
+export async function publishResult(event) {
+  let eventId = null;
+  try {
+    eventId = await appendResultEvent(event, RESULT_HISTORY_SIZE);
+  } catch (err) {
+    log.error('Could not add a result to the Redis history', { err });
+  }
+  results.emit('result', eventId, event);
+  return eventId;
+}
+
+/**
+ * subscribeToResults
+ * ------------------
+ * @param {Function} listener - Called as listener(eventId, event) for every new result.
+ * @returns {Function} Removes the listener.
+ */
+export function subscribeToResults(listener) {
+  results.on('result', listener);
+  return () => results.off('result', listener);
+}
+
+/**
+ * getResultsSince
+ * ---------------
+ * Returns the results in the history that came after lastEventId, oldest first. Results
+ * older than the history are gone, so a client that was away for long gets only the most
+ * recent RESULT_HISTORY_SIZE (or so) of them.
+ *
+ * @param {string} lastEventId - The id of the last event the client received.
+ * @returns {Promise<Array<{ eventId: string, event: Object }>>}
+ */
+export function getResultsSince(lastEventId) {
+  return getResultEventsAfter(lastEventId, RESULT_HISTORY_SIZE);
+}
+
+// Whether a string is a stream entry id such as "1718000000000-0".
+export function isEventId(value) {
+  return typeof value === 'string' && /^\d+-\d+$/.test(value);
+}
+
+// Orders two event ids: negative when a came first, positive when b did, 0 when equal.
+export function compareEventIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(BigInt);
+  const [bMs, bSeq] = b.split('-').map(BigInt);
+  if (aMs !== bMs) {
+    return aMs < bMs ? -1 : 1;
+  }
+  return aSeq === bSeq ? 0 : aSeq < bSeq ? -1 : 1;
+}
+
+/**
+ * matchesResultFilter
+ * -------------------
+ * @param {Object} event - A published result.
+ * @param {Object} filter
+ * @param {string|null} [filter.batchId] - Only results of this batch.
+ * @param {boolean} [filter.primeOnly] - Only results that found the value prime.
+ * @returns {boolean}
+ */
+export function matchesResultFilter(event, { batchId = null, primeOnly = false } = {}) {
+  if (batchId && event.batchId !== batchId) {
+    return false;
+  }
+  if (primeOnly && event.prime !== true) {
+    return false;
+  }
+  return true;
+}
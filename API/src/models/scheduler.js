@@ -0,0 +1,102 @@
+/*
+ * scheduler.js
+ *
+ * Summary:
+ * --------
+ * This module sends the batches that were dispatched with a notBefore time (see
+ * batchModels.js) once that time has come. Scheduled batches are kept in Redis, so they
+ * survive a restart of the API, and several API instances can run a scheduler each: every
+ * batch is claimed by exactly one of them.
+ *
+ * The scheduler checks for due batches every SCHEDULER_POLL_MS (default 1000), so a batch is
+ * sent up to that long after its notBefore time. A batch it is sending stays on the schedule,
+ * claimed, until all of its records have been put; when the API stops before that, the
+ * claim runs out after SCHEDULER_LEASE_MS (default 60000) and the batch is sent again by the
+ * next scheduler to check (see runScheduledBatch() in batchModels.js).
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. createScheduler(options): Creates a scheduler with start() and stop(), which waits for
+ *    the check that is running.
+ */
+
+import { getDueBatchIds } from './redis.js';
+import { runScheduledBatch } from './batchModels.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const log = createLogger('scheduler');
+
+// The most batches claimed per check.
+const BATCHES_PER_CHECK = 100;
+
+/**
+ * createScheduler
+ * ---------------
+ * @param {Object} options
+ * @param {Object} options.dispatcher - The dispatcher from createDispatcher(), which sends
+ *        the batches.
+ * @param {number} [options.pollMs] - How often to check for due batches (default:
+ *        SCHEDULER_POLL_MS or 1000).
+ * @returns {{ start: Function, stop: Function }} The scheduler.
+ */
+export function createScheduler(options) {
+  const { dispatcher } = options;
+  const pollMs = options.pollMs || Number(process.env.SCHEDULER_POLL_MS) || 1000;
+
+  let timer = null;
+  let checking = null;
+  let stopped = true;
+
+  // Sends every batch that is due. Records that cannot be put are counted on their batch
+  // as usual; an error claiming a batch is logged.
+  async function check() {
+    const batchIds = await getDueBatchIds(Date.now(), BATCHES_PER_CHECK);
+    for (const batchId of batchIds) {
+      if (stopped) {
+        return;
+      }
+      try {
+        const sending = await runScheduledBatch(dispatcher, batchId);
+        if (sending) {
+          log.info('Scheduled batch is being sent', { batchId });
+        }
+      } catch (err) {
+        log.error('Error sending scheduled batch', { batchId, err });
+      }
+    }
+  }
+
+  function schedule() {
+    timer = setTimeout(() => {
+      checking = check()
+        .catch(err => log.error('Error checking for scheduled batches', { err }))
+        .finally(() => {
+          checking = null;
+          if (!stopped) {
+            schedule();
+          }
+        });
+    }, pollMs);
+    timer.unref();
+  }
+
+  return {
+    // Starts checking for due batches.
+    start() {
+      if (stopped) {
+        stopped = false;
+        log.info('Scheduler started', { pollMs });
+        schedule();
+      }
+    },
+
+    // Stops checking, and waits for the check that is running.
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (checking) {
+        await checking;
+      }
+    },
+  };
+}
@@ -0,0 +1,118 @@
+/*
+ * subscriptionModels.js
+ *
+ * Summary:
+ * --------
+ * This module manages durable subscriptions to the topics the consumer publishes results on
+ * (MQ_TOPIC_FOUND, default "primes/found", and MQ_TOPIC_COMPOSITE, default
+ * "primes/composite"; see RESULT_OUTPUT). A team that wants the results registers a
+ * subscription once; from then on MQ keeps a copy of every matching publication for it until
+ * the subscription is deleted, whether or not anyone is reading. Each subscription gets its
+ * own copies, so subscribers never take messages from each other.
+ *
+ * Services with an MQ client resume the subscription by name and read it themselves. Others
+ * can read it through the API (readSubscription()).
+ *
+ * Every operation uses a short-lived connection of its own, so it neither waits for nor
+ * disturbs the reply listener's connection.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. withConnection(fn): Runs fn(transport) on a new connection and disconnects afterwards.
+ * 2. createSubscription(name, topic): Creates (or resumes) a durable subscription.
+ * 3. readSubscription(name, max): Takes up to max publications from a subscription.
+ * 4. deleteSubscription(name): Removes a subscription and the publications it holds.
+ */
+
+import { connectToMessaging } from './mq.js';
+import { createLogger } from 'shared/logging/index.js';
+import { decodeMessage, MESSAGE_TYPES } from 'shared/messages/index.js';
+
+const log = createLogger('subscriptions');
+
+// 1. Runs fn on a connection of its own.
+async function withConnection(fn) {
+  const transport = await connectToMessaging();
+  try {
+    return await fn(transport);
+  } finally {
+    await transport.disconnect().catch(err => log.warn('Disconnect error', { err }));
+  }
+}
+
+/**
+ * createSubscription
+ * ------------------
+ * Creates a durable subscription, or resumes it when one with that name already exists.
+ * The subscription handle is closed again; the subscription stays.
+ *
+ * @param {string} name - The subscription name.
+ * @param {string} topic - The topic string; "+" matches one level and "#" any number.
+ * @returns {Promise<{ name: string, topic: string }>} The subscription.
+ */
+export function createSubscription(name, topic) {
+  return withConnection(async transport => {
+    const subscription = await transport.subscribe(topic, { name, durable: true });
+    await transport.close(subscription);
+    log.info('Subscription registered', { subscription: name, topic });
+    return { name, topic };
+  });
+}
+
+/**
+ * readSubscription
+ * ----------------
+ * Takes up to max publications that are waiting for a subscription, without waiting for
+ * more. The gets are committed only once they have all been decoded, so an error leaves
+ * the publications on the subscription. A publication in the format of the consumer's
+ * replies is returned as its envelope; anything else as its body text.
+ *
+ * @param {string} name - The subscription name.
+ * @param {number} max - The most publications to take.
+ * @returns {Promise<Object[]>} The publications, oldest first.
+ * @throws {Error} err.noSubscription when there is no subscription of that name.
+ */
+export function readSubscription(name, max) {
+  return withConnection(async transport => {
+    const subscription = await transport.subscribe(null, { name });
+    try {
+      const publications = [];
+      while (publications.length < max) {
+        const message = await transport.get(subscription, { syncpoint: true });
+        if (!message) {
+          break;
+        }
+        try {
+          const { envelope } = decodeMessage(message.body, {
+            type: [MESSAGE_TYPES.REPLY, MESSAGE_TYPES.TASK_REPLY],
+            messageId: message.msgId.toString('hex'),
+          });
+          publications.push(envelope);
+        } catch (err) {
+          publications.push({ body: message.body.toString() });
+        }
+      }
+      await transport.commit();
+      return publications;
+    } catch (err) {
+      await transport.backout().catch(() => {});
+      throw err;
+    } finally {
+      await transport.close(subscription).catch(() => {});
+    }
+  });
+}
+
+/**
+ * deleteSubscription
+ * ------------------
+ * @param {string} name - The subscription name.
+ * @returns {Promise<void>} Resolves once the subscription has been removed.
+ * @throws {Error} err.noSubscription when there is no subscription of that name.
+ */
+export function deleteSubscription(name) {
+  return withConnection(async transport => {
+    await transport.unsubscribe(name);
+    log.info('Subscription removed', { subscription: name });
+  });
+}
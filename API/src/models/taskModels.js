@@ -0,0 +1,137 @@
+/*
+ * taskModels.js
+ *
+ * Summary:
+ * --------
+ * This module tracks tasks: jobs for one of the consumer's registered task handlers (isPrime,
+ * factorize, nextPrime, previousPrime, isTwinPrime, and whatever the consumer's TASK_MODULES
+ * add). A task is sent as a "task.request" message naming the handler and its input, and
+ * the consumer answers with a "task.reply" holding the outcome (see shared/src/messages).
+ * The API does not know the handlers: the consumer checks the input against the handler's
+ * schema and fails the task when it does not match, so new tasks need no change here.
+ *
+ * Tasks are stored in Redis under "task:<id>" (see redis.js) with these fields:
+ *   id, task, input (JSON), status ("pending", "completed" or "failed"),
+ *   createdAt, sentAt, completedAt - ISO timestamps, once they happened
+ *   result (JSON), error, computeMs - the outcome
+ * and expire TASK_TTL_SECONDS (default 86400) after they were submitted.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. submitTask(dispatcher, task, input): Stores a task and sends it in the background.
+ * 2. applyTaskResult(reply, jobId): Stores the outcome a task.reply reports, or adds it to
+ *    its range job (see jobModels.js).
+ * 3. getTaskStatus(taskId): Reads a task for display.
+ */
+
+import crypto from "crypto";
+import { createTask, getTask, updateTask } from "./redis.js";
+import { recordRangeChunk } from "./jobModels.js";
+import { MESSAGE_TYPES } from "shared/messages/index.js";
+import { createLogger } from "shared/logging/index.js";
+
+const log = createLogger("tasks");
+
+// How long a task and its result are kept.
+const TASK_TTL_SECONDS = Number(process.env.TASK_TTL_SECONDS) || 86400;
+
+/**
+ * submitTask
+ * ----------
+ * Stores a new task and sends it to the consumer through the dispatcher (see dispatcher.js).
+ * Sending runs in the background, so callers can poll getTaskStatus() straight away; a task
+ * that cannot be sent is marked failed with the reason.
+ *
+ * @param {Object} dispatcher - The dispatcher from createDispatcher().
+ * @param {string} task - The name of the task handler, e.g. "nextPrime".
+ * @param {Object} input - The handler's input, e.g. { value: "100" }.
+ * @returns {Promise<Object>} The status of the newly created task.
+ */
+export async function submitTask(dispatcher, task, input) {
+  const taskId = crypto.randomUUID();
+  await createTask({
+    id: taskId,
+    task,
+    input: JSON.stringify(input),
+    status: "pending",
+    createdAt: new Date().toISOString(),
+  }, TASK_TTL_SECONDS);
+  log.info("Task submitted", { taskId, task });
+
+  dispatcher
+    .dispatch([{ taskId, task, input }], {
+      type: MESSAGE_TYPES.TASK_REQUEST,
+      onResult: (message, err) => {
+        if (!err) {
+          return updateTask(taskId, { sentAt: new Date().toISOString() });
+        }
+        log.error("Failed to send task", { taskId, task, err });
+        return updateTask(taskId, { status: "failed", error: err.message, completedAt: new Date().toISOString() });
+      },
+    })
+    .catch(err => {
+      log.error("Error dispatching task", { taskId, err });
+    });
+
+  return getTaskStatus(taskId);
+}
+
+/**
+ * applyTaskResult
+ * ---------------
+ * Stores the outcome of a task from a task.reply: { taskId, task, status, result?, error?,
+ * computeMs? }. Replies for unknown or expired tasks are logged and ignored. A reply with a
+ * job ID answers a chunk of a range job and is added to the job instead.
+ *
+ * @param {Object} reply - The reply's payload.
+ * @param {string|null} [jobId] - The job ID taken from the reply's CorrelId.
+ */
+export async function applyTaskResult(reply, jobId = null) {
+  if (jobId) {
+    return recordRangeChunk(jobId, reply);
+  }
+  const fields = { status: reply.status, completedAt: new Date().toISOString() };
+  if (reply.result !== undefined) {
+    fields.result = JSON.stringify(reply.result);
+  }
+  if (reply.error !== undefined) {
+    fields.error = reply.error;
+  }
+  if (reply.computeMs !== undefined) {
+    fields.computeMs = reply.computeMs;
+  }
+  if (!(await updateTask(reply.taskId, fields))) {
+    log.warn("Received a reply for an unknown task", { taskId: reply.taskId, task: reply.task });
+    return;
+  }
+  log.info("Task result stored", { taskId: reply.taskId, task: reply.task, status: reply.status });
+}
+
+/**
+ * getTaskStatus
+ * -------------
+ * Reads a task. Its status is "pending" until it is sent, "sent" until the consumer answers,
+ * and then "completed" or "failed".
+ *
+ * @param {string} taskId - The task ID.
+ * @returns {Promise<Object|null>} { id, task, input, status, createdAt, sentAt, completedAt,
+ *          result, error, computeMs }, or null if the task does not exist.
+ */
+export async function getTaskStatus(taskId) {
+  const task = await getTask(taskId);
+  if (!task) {
+    return null;
+  }
+  return {
+    id: task.id,
+    task: task.task,
+    input: JSON.parse(task.input),
+    status: task.status === "pending" && task.sentAt ? "sent" : task.status,
+    createdAt: task.createdAt,
+    sentAt: task.sentAt || null,
+    completedAt: task.completedAt || null,
+    result: task.result ? JSON.parse(task.result) : null,
+    error: task.error || null,
+    computeMs: task.computeMs !== undefined ? Number(task.computeMs) : null,
+  };
+}
@@ -1,38 +1,36 @@
 import { Router } from "express";
 import { getAllRecords } from '../models/redis.js';
-import { putRecordMessage } from '../models/mq.js';
+import { dispatchBatch } from '../models/batchModels.js';
+import { createLogger } from 'shared/logging/index.js';
 
 const router = Router();
+const log = createLogger('apiRoutes');
 
-// Simple health-check route.
+// Simple greeting route. It answers whatever the state of MQ, Redis and MSSQL; use
+// GET /health/ready (healthRoutes.js) to check those.
 router.get('/', (req, res) => {
   res.send('Hello! API is running.');
 });
 
-// Route to retrieve all records from Redis.
-router.get('/records', async (req, res) => {
-  try {
-    const records = await getAllRecords();
-    res.json(records);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Route to send all records to the IBM MQ queue.
+// Route to send all records to the IBM MQ queue. Kept for existing callers; it sends
+// everything as one batch through the dispatcher (see POST /dispatch for selections)
+// and waits until every record has been sent or has failed.
 router.get('/spamrecords', async (req, res) => {
   try {
+    const dispatcher = req.app.locals.dispatcher;
+    if (!dispatcher) {
+      return res.status(500).json({ error: 'MQ connection not available' });
+    }
     const records = await getAllRecords();
-    const mqConn = req.app.locals.mqConn;
-    if (!mqConn) {
-      return res.status(500).json({ error: 'IBM MQ connection not available' });
+    if (records.length === 0) {
+      return res.json({ message: 'No records to send.' });
     }
-    await Promise.all(
-      records.map(record => putRecordMessage(mqConn, record))
-    );
-    res.json({ message: `Sent ${records.length} records to QM1.` });
+    const { finished } = await dispatchBatch(dispatcher, records);
+    const batch = await finished;
+    const fromCache = batch.cached > 0 ? ` ${batch.cached} were answered from the result cache.` : '';
+    res.json({ message: `Sent ${batch.sent} of ${batch.total} records to QM1.${fromCache}`, batch });
   } catch (error) {
-    console.error('Error in /spamrecords route:', error);
+    log.error('Error in /spamrecords route', { err: error });
     res.status(500).json({ error: error.message });
   }
 });
@@ -0,0 +1,86 @@
+import { Router } from "express";
+import { getAllRecords, getRecords } from '../models/redis.js';
+import { dispatchBatch, getBatchStatus, cancelBatch } from '../models/batchModels.js';
+import { isRecordId } from '../models/recordModels.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('batchRoutes');
+
+// Batch IDs are 24-byte CorrelIds in hex.
+const BATCH_ID_PATTERN = /^[0-9a-f]{48}$/;
+
+// Route to create a batch and send its records to the IBM MQ queue.
+// The body may contain { "ids": [1, 2, 3] } to send only those records; otherwise all
+// records are sent. Responds with 202 as soon as the batch exists; the messages are put
+// in the background and progress can be followed through GET /batches/:id.
+router.post('/', async (req, res) => {
+  try {
+    const dispatcher = req.app.locals.dispatcher;
+    if (!dispatcher) {
+      return res.status(500).json({ error: 'MQ connection not available' });
+    }
+
+    const ids = req.body?.ids;
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(isRecordId))) {
+      return res.status(400).json({ error: '"ids" must be an array of record ids (positive integers)' });
+    }
+
+    let records;
+    if (ids) {
+      const found = await getRecords(ids);
+      const missing = ids.filter((id, i) => !found[i]);
+      if (missing.length > 0) {
+        return res.status(404).json({ error: `Records not found: ${missing.join(', ')}` });
+      }
+      records = found;
+    } else {
+      records = await getAllRecords();
+    }
+
+    const { batch } = await dispatchBatch(dispatcher, records);
+    res.status(202).location(`${req.baseUrl}/${batch.id}`).json(batch);
+  } catch (error) {
+    log.error('Error in POST /batches route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to report the progress of a batch.
+router.get('/:id', async (req, res) => {
+  try {
+    if (!BATCH_ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: 'Batch id must be a 48-character hex string' });
+    }
+    const batch = await getBatchStatus(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+    }
+    res.json(batch);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to cancel a batch that was dispatched with a notBefore time and has not been sent
+// yet. Responds with the cancelled batch, or 409 when the batch is no longer scheduled.
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!BATCH_ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: 'Batch id must be a 48-character hex string' });
+    }
+    const batch = await cancelBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+    }
+    res.json(batch);
+  } catch (error) {
+    if (error.notScheduled) {
+      return res.status(409).json({ error: error.message });
+    }
+    log.error('Error in DELETE /batches/:id route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
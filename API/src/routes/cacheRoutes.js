@@ -0,0 +1,20 @@
+import { Router } from "express";
+import { getCacheStats } from 'shared/cache/index.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('cacheRoutes');
+
+// Route to report how well the result cache (RESULT_CACHE, see shared/src/cache) works:
+// the hits and misses of every service that looks values up in it, and the hit ratio.
+// Responds with { enabled: false } when the cache is off, and 503 when Redis cannot be reached.
+router.get('/stats', async (req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (error) {
+    log.error('Error in GET /cache/stats route', { err: error });
+    res.status(503).json({ error: `Result cache not available: ${error.message}` });
+  }
+});
+
+export default router;
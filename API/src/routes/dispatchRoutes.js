@@ -0,0 +1,120 @@
+import { Router } from "express";
+import { getRecords } from '../models/redis.js';
+import { parseListQuery, selectRecords, isRecordId } from '../models/recordModels.js';
+import { dispatchBatch } from '../models/batchModels.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('dispatchRoutes');
+
+// The highest MQMD Priority.
+const MAX_PRIORITY = 9;
+
+// Reads priority, ttlMs and notBefore from a dispatch body. Returns { options } for
+// dispatchBatch(), or { error } with the message for a 400.
+function parseDeliveryOptions(body) {
+  const options = {};
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority) || body.priority < 0 || body.priority > MAX_PRIORITY) {
+      return { error: `"priority" must be an integer from 0 to ${MAX_PRIORITY}` };
+    }
+    options.priority = body.priority;
+  }
+  if (body.ttlMs !== undefined) {
+    if (!Number.isInteger(body.ttlMs) || body.ttlMs < 1) {
+      return { error: '"ttlMs" must be a positive integer' };
+    }
+    options.ttlMs = body.ttlMs;
+  }
+  if (body.notBefore !== undefined) {
+    const notBefore = typeof body.notBefore === 'string' || Number.isInteger(body.notBefore)
+      ? new Date(body.notBefore)
+      : new Date(NaN);
+    if (Number.isNaN(notBefore.getTime())) {
+      return { error: '"notBefore" must be an ISO date or milliseconds since the epoch' };
+    }
+    options.notBefore = notBefore;
+  }
+  return { options };
+}
+
+// Route to send a selection of records to the consumer as one batch.
+// The body chooses the records, either by id or with the same filters as GET /records:
+//   { "ids": [1, 2, 3] }
+//   { "prime": "pending", "minValue": "1000", "maxValue": "5000", "limit": 500 }
+// Ids that do not exist are listed in notFound instead of failing the request.
+// Records whose value is in the result cache are resolved from it instead of being sent,
+// unless the body has "cache": false.
+// Optional delivery settings:
+//   "priority": 0 to 9 (default 0), the MQMD Priority; higher is taken from the queue first.
+//   "ttlMs": how long the batch may take to be answered; after that MQ discards the messages
+//            not taken yet and the records not answered count as expired.
+//   "notBefore": an ISO date or milliseconds since the epoch; the batch is scheduled and sent
+//                at that time. Scheduled batches can be cancelled with DELETE /batches/:id.
+// Responds with 202 and the new batch as soon as it exists; with "wait": true it responds
+// once every record has been sent or has failed, listing the failures per record.
+router.post('/', async (req, res) => {
+  try {
+    const dispatcher = req.app.locals.dispatcher;
+    if (!dispatcher) {
+      return res.status(500).json({ error: 'MQ connection not available' });
+    }
+
+    const body = req.body ?? {};
+    if (body.cache !== undefined && typeof body.cache !== 'boolean') {
+      return res.status(400).json({ error: '"cache" must be true or false' });
+    }
+    const { options: delivery, error: deliveryError } = parseDeliveryOptions(body);
+    if (deliveryError) {
+      return res.status(400).json({ error: deliveryError });
+    }
+    if (body.wait === true && delivery.notBefore > new Date()) {
+      return res.status(400).json({ error: '"wait" cannot be used with a "notBefore" in the future' });
+    }
+    let records;
+    let notFound = [];
+    if (body.ids !== undefined) {
+      if (!Array.isArray(body.ids) || body.ids.length === 0 || !body.ids.every(isRecordId)) {
+        return res.status(400).json({ error: '"ids" must be a non-empty array of record ids (positive integers)' });
+      }
+      const found = await getRecords(body.ids);
+      notFound = body.ids.filter((id, i) => !found[i]);
+      records = found.filter(Boolean);
+    } else {
+      const { options, error } = parseListQuery({
+        prime: body.prime,
+        minValue: body.minValue,
+        maxValue: body.maxValue,
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      let max = Infinity;
+      if (body.limit !== undefined) {
+        max = Number(body.limit);
+        if (!Number.isInteger(max) || max < 1) {
+          return res.status(400).json({ error: '"limit" must be a positive integer' });
+        }
+      }
+      records = await selectRecords(options, max);
+    }
+
+    if (records.length === 0) {
+      return res.json({ batch: null, notFound, message: 'No records matched; nothing was sent.' });
+    }
+
+    const { batch, finished } = await dispatchBatch(dispatcher, records, {
+      useCache: body.cache !== false,
+      ...delivery,
+    });
+    if (body.wait === true) {
+      return res.json({ batch: await finished, notFound });
+    }
+    res.status(202).location(`/batches/${batch.id}`).json({ batch, notFound });
+  } catch (error) {
+    log.error('Error in POST /dispatch route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
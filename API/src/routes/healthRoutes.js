@@ -0,0 +1,29 @@
+import { Router } from "express";
+import { runChecks, checkMessaging, checkDatabase } from 'shared/health/index.js';
+import { client as redisClient } from '../models/redis.js';
+import { mqRequestQueue, mqReplyQueue } from '../models/mq.js';
+
+const router = Router();
+
+// Route for liveness probes: the process is up and serving requests. It does not look at
+// any dependency, so an outage elsewhere does not get the API restarted.
+router.get('/live', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Route for readiness probes. Checks the current MQ connection, which fails while the API is
+// reconnecting (and inquires the depths of the request and reply queues with it), Redis with
+// PING, and MSSQL when it is configured.
+// Responds with 200 when every check passes and 503 otherwise, with the report as the body.
+router.get('/ready', async (req, res) => {
+  const report = await runChecks({
+    mq: () => checkMessaging(req.app.locals.mq?.connection()?.transport, [mqRequestQueue, mqReplyQueue]),
+    redis: async () => {
+      await redisClient.ping();
+    },
+    mssql: checkDatabase,
+  });
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+export default router;
@@ -0,0 +1,81 @@
+import { Router } from "express";
+import { startRangeJob, getJobStatus, RANGE_LIMITS } from '../models/jobModels.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('jobRoutes');
+
+// Job IDs are 24-byte CorrelIds in hex.
+const JOB_ID_PATTERN = /^[0-9a-f]{48}$/;
+
+// Reads a non-negative integer given as a JSON number or a decimal string, or returns null.
+function parseInteger(value) {
+  if (typeof value === 'string' && /^[0-9]+$/.test(value)) {
+    value = Number(value);
+  }
+  return Number.isSafeInteger(value) && value >= 0 ? value : null;
+}
+
+// Route to count the primes in a range, e.g. POST /jobs/range with the body
+// { "start": 1, "end": 10000000, "chunkSize": 1000000, "listPrimes": false }.
+// The range is split into chunks that the consumers sieve in parallel. Responds with 202 as
+// soon as the job exists; progress and the count can be followed through GET /jobs/:id.
+router.post('/range', async (req, res) => {
+  try {
+    const dispatcher = req.app.locals.dispatcher;
+    if (!dispatcher) {
+      return res.status(500).json({ error: 'MQ connection not available' });
+    }
+
+    const body = req.body ?? {};
+    const start = parseInteger(body.start);
+    const end = parseInteger(body.end);
+    const chunkSize = body.chunkSize === undefined ? RANGE_LIMITS.defaultChunkSize : parseInteger(body.chunkSize);
+    const listPrimes = body.listPrimes ?? false;
+    if (start === null || end === null || end < start || end > RANGE_LIMITS.maxEnd) {
+      return res.status(400).json({
+        error: `"start" and "end" must be integers with 0 <= start <= end <= ${RANGE_LIMITS.maxEnd}`,
+      });
+    }
+    if (!chunkSize || chunkSize > RANGE_LIMITS.maxChunkSize) {
+      return res.status(400).json({ error: `"chunkSize" must be an integer from 1 to ${RANGE_LIMITS.maxChunkSize}` });
+    }
+    if (Math.ceil((end - start + 1) / chunkSize) > RANGE_LIMITS.maxChunks) {
+      return res.status(400).json({
+        error: `The range would need more than ${RANGE_LIMITS.maxChunks} chunks; use a larger "chunkSize"`,
+      });
+    }
+    if (typeof listPrimes !== 'boolean') {
+      return res.status(400).json({ error: '"listPrimes" must be a boolean' });
+    }
+    if (listPrimes && end - start + 1 > RANGE_LIMITS.listLimit) {
+      return res.status(400).json({
+        error: `Primes can only be listed for ranges of at most ${RANGE_LIMITS.listLimit} numbers`,
+      });
+    }
+
+    const { job } = await startRangeJob(dispatcher, { start, end, chunkSize, listPrimes });
+    res.status(202).location(`${req.baseUrl}/${job.id}`).json(job);
+  } catch (error) {
+    log.error('Error in POST /jobs/range route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to report the progress and result of a job.
+router.get('/:id', async (req, res) => {
+  try {
+    if (!JOB_ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: 'Job id must be a 48-character hex string' });
+    }
+    const job = await getJobStatus(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { metricsHandler } from 'shared/metrics/index.js';
+
+const router = Router();
+
+// Route for Prometheus scrapes: every API metric in the Prometheus text format, covering
+// messages put and got per queue, dispatch-to-reply latency, prime/composite results,
+// reconnects, Redis operation timings, result cache hits and misses and the Node.js process
+// metrics.
+router.get('/', metricsHandler);
+
+export default router;
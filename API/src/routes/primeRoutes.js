@@ -0,0 +1,55 @@
+import { Router } from "express";
+import crypto from 'crypto';
+import { MESSAGE_TYPES } from 'shared/messages/index.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('primeRoutes');
+
+// The longest a caller may ask to wait with ?timeoutMs=.
+const MAX_TIMEOUT_MS = 60000;
+
+// Route to test one number synchronously, e.g. GET /prime/97. The number is sent to the
+// consumer as an isPrime task with the MQMD ReplyToQ set to the requester's reply queue
+// (see requester.js), and the response waits for the reply, matched by CorrelId. Responds
+// with the analysis, or with 504 when no reply arrives within SYNC_REQUEST_TIMEOUT_MS (or
+// ?timeoutMs=, up to one minute).
+router.get('/:value', async (req, res) => {
+  try {
+    const requester = req.app.locals.requester;
+    if (!requester) {
+      return res.status(500).json({ error: 'MQ connection not available' });
+    }
+
+    const { value } = req.params;
+    if (!/^[0-9]+$/.test(value) || value.length > 1000) {
+      return res.status(400).json({ error: 'The value must be a non-negative integer of at most 1000 digits' });
+    }
+    let timeoutMs = requester.timeoutMs;
+    if (req.query.timeoutMs !== undefined) {
+      timeoutMs = Number(req.query.timeoutMs);
+      if (!Number.isInteger(timeoutMs) || timeoutMs < 1 || timeoutMs > MAX_TIMEOUT_MS) {
+        return res.status(400).json({ error: `timeoutMs must be an integer from 1 to ${MAX_TIMEOUT_MS}` });
+      }
+    }
+
+    const taskId = crypto.randomUUID();
+    const reply = await requester.request(
+      MESSAGE_TYPES.TASK_REQUEST,
+      { taskId, task: 'isPrime', input: { value } },
+      { timeoutMs, attributes: { 'task.id': taskId, 'task.name': 'isPrime' } }
+    );
+    if (reply.status !== 'completed') {
+      return res.status(502).json({ error: `The consumer could not test ${value}: ${reply.error}` });
+    }
+    res.json({ ...reply.result, computeMs: reply.computeMs });
+  } catch (error) {
+    if (error.timedOut) {
+      return res.status(504).json({ error: error.message });
+    }
+    log.error('Error in GET /prime/:value route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import { getQueueDepths } from '../models/mq.js';
+
+const router = Router();
+
+// Route to report how many messages wait on the request, reply and dead-letter queues.
+// Responds with [{ role, name, depth }]; depth is null (with an error) for a queue that
+// could not be inquired.
+router.get('/', async (req, res) => {
+  try {
+    const mqConn = req.app.locals.mq?.connection()?.transport;
+    if (!mqConn) {
+      return res.status(503).json({ error: 'MQ connection not available' });
+    }
+    res.json(await getQueueDepths(mqConn));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+import { Router } from "express";
+import { getRecord, countRecords, countRecordsByStatus } from '../models/redis.js';
+import { describeRecord } from '../models/apiModels.js';
+import {
+  parseRecordInput,
+  validateValue,
+  parseListQuery,
+  listRecords,
+  createRecords,
+  updateRecord,
+  removeRecord,
+  isRecordId,
+} from '../models/recordModels.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('recordRoutes');
+
+// Record ids in a URL path are written in decimal.
+const RECORD_ID_PATTERN = /^[1-9][0-9]*$/;
+
+// Reads the record id of a URL path; null if it is not a record id.
+function parseRecordIdParam(param) {
+  const id = Number(param);
+  return RECORD_ID_PATTERN.test(param) && isRecordId(id) ? id : null;
+}
+
+// Route to list records, each marked as "pending" or "checked", one page at a time.
+// Query parameters: limit, cursor, prime=true|false|pending, minValue, maxValue.
+// Responds with { records, nextCursor }; pass nextCursor as ?cursor= to get the next page.
+// Records come in id order, or in value order when minValue or maxValue is given.
+router.get('/', async (req, res) => {
+  try {
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const page = await listRecords(options);
+    res.json({ records: page.records.map(describeRecord), nextCursor: page.nextCursor });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to count the records by status: { total, prime, composite, pending }.
+router.get('/stats', async (req, res) => {
+  try {
+    const [total, byStatus] = await Promise.all([countRecords(), countRecordsByStatus()]);
+    res.json({ total, ...byStatus });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to create records. The body is { "value": "97" } for one record, or an array of
+// such objects to create several at once. Values must be positive integers written as
+// strings. Nothing is created if any of them is invalid.
+router.post('/', async (req, res) => {
+  try {
+    const { inputs, bulk, errors } = parseRecordInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid records', details: errors });
+    }
+    const records = await createRecords(inputs);
+    if (bulk) {
+      return res.status(201).json({ records: records.map(describeRecord) });
+    }
+    res.status(201).location(`${req.baseUrl}/${records[0].id}`).json(describeRecord(records[0]));
+  } catch (error) {
+    log.error('Error in POST /records route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to retrieve a single record (and its result, once checked) by id.
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseRecordIdParam(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ error: 'Record id must be a positive integer' });
+    }
+    const record = await getRecord(id);
+    if (!record) {
+      return res.status(404).json({ error: `Record ${req.params.id} not found` });
+    }
+    res.json(describeRecord(record));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to replace the value of a record. The body is { "value": "101" }. A new value
+// discards the old result, so the record is pending until it is checked again.
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseRecordIdParam(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ error: 'Record id must be a positive integer' });
+    }
+    const problem = validateValue(req.body?.value);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    const record = await updateRecord(id, { value: req.body.value });
+    if (!record) {
+      return res.status(404).json({ error: `Record ${req.params.id} not found` });
+    }
+    res.json(describeRecord(record));
+  } catch (error) {
+    log.error('Error in PUT /records/:id route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to delete a record.
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseRecordIdParam(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ error: 'Record id must be a positive integer' });
+    }
+    if (!(await removeRecord(id))) {
+      return res.status(404).json({ error: `Record ${req.params.id} not found` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error in DELETE /records/:id route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
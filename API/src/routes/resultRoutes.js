@@ -0,0 +1,103 @@
+import { Router } from "express";
+import {
+  subscribeToResults,
+  getResultsSince,
+  isEventId,
+  compareEventIds,
+  matchesResultFilter,
+} from '../models/resultStream.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('resultRoutes');
+
+// Batch IDs are 24-byte CorrelIds in hex.
+const BATCH_ID_PATTERN = /^[0-9a-f]{48}$/;
+
+// A comment line is sent this often so that proxies do not close an idle stream.
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+// Format one Server-Sent Event. Events without an id (the history could not be written)
+// are sent without an "id:" line, so the client keeps its last event id.
+function formatEvent(eventId, event) {
+  const idLine = eventId ? `id: ${eventId}\n` : '';
+  return `${idLine}event: result\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Route to stream the results from the reply queue as Server-Sent Events.
+// Query parameters:
+//   batchId=<48 hex chars>  only results of that batch
+//   prime=true              only results that found the value prime
+// A client that reconnects with a Last-Event-ID header (or a lastEventId query parameter,
+// for the first connection) first receives the results it missed that are still in the
+// Redis history, then the live results.
+router.get('/stream', async (req, res) => {
+  const { batchId, prime } = req.query;
+  if (batchId !== undefined && !BATCH_ID_PATTERN.test(batchId)) {
+    return res.status(400).json({ error: 'batchId must be a 48-character hex string' });
+  }
+  if (prime !== undefined && prime !== 'true') {
+    return res.status(400).json({ error: 'prime must be "true" when given' });
+  }
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  if (lastEventId !== undefined && !isEventId(lastEventId)) {
+    return res.status(400).json({ error: 'Last-Event-ID must be an id received from this stream' });
+  }
+  const filter = { batchId: batchId ?? null, primeOnly: prime === 'true' };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // Listen before reading the history so that no result falls in between. Results that
+  // arrive during the replay are held back and sent after it, skipping any the replay
+  // already contained.
+  let replaying = lastEventId !== undefined;
+  let lastSentId = lastEventId ?? null;
+  const held = [];
+  const send = (eventId, event) => {
+    if (!matchesResultFilter(event, filter)) {
+      return;
+    }
+    if (eventId && lastSentId && compareEventIds(eventId, lastSentId) <= 0) {
+      return;
+    }
+    res.write(formatEvent(eventId, event));
+    if (eventId) {
+      lastSentId = eventId;
+    }
+  };
+  const unsubscribe = subscribeToResults((eventId, event) => {
+    if (replaying) {
+      held.push([eventId, event]);
+    } else {
+      send(eventId, event);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  if (replaying) {
+    try {
+      const missed = await getResultsSince(lastEventId);
+      missed.forEach(({ eventId, event }) => send(eventId, event));
+    } catch (error) {
+      log.error('Error replaying result history', { err: error });
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Result history unavailable' })}\n\n`);
+    }
+    replaying = false;
+    held.forEach(([eventId, event]) => send(eventId, event));
+    held.length = 0;
+  }
+});
+
+export default router;
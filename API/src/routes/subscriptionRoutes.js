@@ -0,0 +1,75 @@
+import { Router } from "express";
+import { createSubscription, readSubscription, deleteSubscription } from '../models/subscriptionModels.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('subscriptionRoutes');
+
+// Subscription names: letters, digits and . _ -, up to 256 characters.
+const NAME_PATTERN = /^[A-Za-z0-9._-]{1,256}$/;
+// The most publications one read may take.
+const MAX_READ = 100;
+
+// Route to register a durable subscription, e.g. POST /subscriptions with the body
+// { "name": "analytics", "topic": "primes/found" }. Registering an existing name again
+// resumes it. Publications on the topic are kept for the subscription from now on.
+router.post('/', async (req, res) => {
+  try {
+    const { name, topic } = req.body ?? {};
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: '"name" must be 1 to 256 letters, digits or . _ -' });
+    }
+    if (typeof topic !== 'string' || topic.length === 0 || topic.length > 10240) {
+      return res.status(400).json({ error: '"topic" must be a topic string, e.g. "primes/found" or "primes/#"' });
+    }
+    const subscription = await createSubscription(name, topic);
+    res.status(201).location(`${req.baseUrl}/${encodeURIComponent(name)}`).json(subscription);
+  } catch (error) {
+    log.error('Error in POST /subscriptions route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to take the publications waiting for a subscription, e.g.
+// GET /subscriptions/analytics/messages?max=10 (default 10, at most 100). The publications
+// are removed from the subscription.
+router.get('/:name/messages', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: 'Invalid subscription name' });
+    }
+    const max = req.query.max === undefined ? 10 : Number(req.query.max);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_READ) {
+      return res.status(400).json({ error: `max must be an integer from 1 to ${MAX_READ}` });
+    }
+    const messages = await readSubscription(name, max);
+    res.json({ name, count: messages.length, messages });
+  } catch (error) {
+    if (error.noSubscription) {
+      return res.status(404).json({ error: `Subscription ${req.params.name} not found` });
+    }
+    log.error('Error in GET /subscriptions/:name/messages route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to remove a subscription and the publications it still holds.
+router.delete('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: 'Invalid subscription name' });
+    }
+    await deleteSubscription(name);
+    res.status(204).end();
+  } catch (error) {
+    if (error.noSubscription) {
+      return res.status(404).json({ error: `Subscription ${req.params.name} not found` });
+    }
+    log.error('Error in DELETE /subscriptions/:name route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import { Router } from "express";
+import { submitTask, getTaskStatus } from '../models/taskModels.js';
+import { validatePayload, MESSAGE_TYPES } from 'shared/messages/index.js';
+import { createLogger } from 'shared/logging/index.js';
+
+const router = Router();
+const log = createLogger('taskRoutes');
+
+// Task IDs are UUIDs.
+const TASK_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Route to submit a task to one of the consumer's task handlers, e.g. POST /tasks/nextPrime
+// with the body { "value": "100" }. The body is the handler's input; the consumer checks it
+// and fails the task if it does not fit. Responds with 202 as soon as the task exists; the
+// outcome can be followed through GET /tasks/:id.
+router.post('/:task', async (req, res) => {
+  try {
+    const dispatcher = req.app.locals.dispatcher;
+    if (!dispatcher) {
+      return res.status(500).json({ error: 'MQ connection not available' });
+    }
+
+    const input = req.body ?? {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return res.status(400).json({ error: 'The body must be a JSON object with the task input' });
+    }
+    // Check the message the task will be sent as, e.g. that the task name is valid.
+    const problems = validatePayload(MESSAGE_TYPES.TASK_REQUEST, {
+      taskId: 'check',
+      task: req.params.task,
+      input,
+    });
+    if (problems.length > 0) {
+      return res.status(400).json({ error: `Invalid task: ${problems.join('; ')}` });
+    }
+
+    const task = await submitTask(dispatcher, req.params.task, input);
+    res.status(202).location(`${req.baseUrl}/${task.id}`).json(task);
+  } catch (error) {
+    log.error('Error in POST /tasks/:task route', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to report the status and, once it is done, the result of a task.
+router.get('/:id', async (req, res) => {
+  try {
+    if (!TASK_ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: 'Task id must be a UUID' });
+    }
+    const task = await getTaskStatus(req.params.id);
+    if (!task) {
+      return res.status(404).json({ error: `Task ${req.params.id} not found` });
+    }
+    res.json(task);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+/*
+ * dispatcher.test.js
+ *
+ * Summary:
+ * --------
+ * Tests of the dispatcher (src/models/dispatcher.js) against the in-memory broker: chunked
+ * puts under syncpoint, validation, expiry, priority, retrying a failed chunk one record at
+ * a time, and shutting down. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The dispatcher's modules read the shared configuration when they are loaded.
+process.env.MQ_TRANSPORT = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.LOG_SPANS = 'false';
+
+const { createDispatcher, createRateLimiter } = await import('../src/models/dispatcher.js');
+const { createMemoryBroker } = await import('shared/transport/memoryBroker.js');
+const { createMemoryTransport } = await import('shared/transport/memoryTransport.js');
+const { decodeMessage, MESSAGE_TYPES } = await import('shared/messages/index.js');
+
+const QUEUE = 'TEST.REQUEST';
+
+// A dispatcher on a broker of its own. failPut(record id) may make single puts fail; every
+// put is recorded in puts as { id, priority, syncpoint }.
+function setup({ failPut = () => false, ...options } = {}) {
+  const broker = createMemoryBroker();
+  const puts = [];
+  const connect = async () => {
+    const transport = createMemoryTransport({ broker });
+    await transport.connect();
+    const put = transport.put;
+    transport.put = (queue, body, putOptions) => {
+      const [record] = JSON.parse(body).payload.records;
+      puts.push({ id: record.id, priority: putOptions.priority, syncpoint: putOptions.syncpoint });
+      if (failPut(record.id)) {
+        return Promise.reject(new Error(`put of record ${record.id} failed`));
+      }
+      return put(queue, body, putOptions);
+    };
+    return transport;
+  };
+  const dispatcher = createDispatcher({
+    connect,
+    queueName: QUEUE,
+    concurrency: 1,
+    batchSize: 2,
+    ...options,
+  });
+  return { broker, puts, dispatcher };
+}
+
+// The records of the messages waiting on the queue, in the order they are got.
+async function queuedRecords(broker) {
+  const records = [];
+  for (let message = await broker.get(QUEUE); message; message = await broker.get(QUEUE)) {
+    const { envelope } = decodeMessage(message.body, { type: MESSAGE_TYPES.REQUEST });
+    records.push({ ...envelope.payload.records[0], correlId: message.correlId, priority: message.priority });
+  }
+  return records;
+}
+
+const records = (...ids) => ids.map(id => ({ id, value: String(id * 10 + 1) }));
+
+test('sends each record as a prime.request under syncpoint', async () => {
+  const { broker, puts, dispatcher } = setup();
+  const correlId = Buffer.alloc(24, 1);
+  const summary = await dispatcher.dispatch(records(1, 2, 3), { correlId, priority: 3 });
+
+  assert.deepEqual(summary, { sent: 3, failed: 0, expired: 0, failures: [] });
+  assert.ok(puts.every(put => put.syncpoint));
+  const queued = await queuedRecords(broker);
+  assert.deepEqual(queued.map(record => [record.id, record.value]), [[1, '11'], [2, '21'], [3, '31']]);
+  assert.ok(queued.every(record => record.correlId.equals(correlId) && record.priority === 3));
+  assert.ok(queued.every(record => typeof record.sentAt === 'number'));
+  await dispatcher.close();
+});
+
+test('reports records that do not match the request schema without sending them', async () => {
+  const { broker, puts, dispatcher } = setup();
+  const results = [];
+  const summary = await dispatcher.dispatch([...records(1), { id: 2, value: 'abc' }], {
+    onResult: (record, err) => results.push([record.id, err ? err.message : null]),
+  });
+
+  assert.equal(summary.sent, 1);
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.failures[0].id, 2);
+  assert.match(summary.failures[0].error, /^Invalid record/);
+  assert.deepEqual(puts.map(put => put.id), [1]);
+  assert.deepEqual(results.map(([id, error]) => [id, error === null]), [[2, false], [1, true]]);
+  assert.equal((await queuedRecords(broker)).length, 1);
+  await dispatcher.close();
+});
+
+test('does not put the records of a dispatch that has expired', async () => {
+  const { broker, puts, dispatcher } = setup();
+  const summary = await dispatcher.dispatch(records(1, 2, 3), { expiresAt: Date.now() - 1 });
+
+  assert.deepEqual(summary, { sent: 0, failed: 0, expired: 3, failures: [] });
+  assert.equal(puts.length, 0);
+  assert.equal(broker.depth(QUEUE), 0);
+  await dispatcher.close();
+});
+
+test('sends the chunks of a higher priority first', async () => {
+  const { puts, dispatcher } = setup({ batchSize: 1 });
+  // The lane starts on record 1 straight away; the urgent record goes ahead of 2 and 3.
+  const low = dispatcher.dispatch(records(1, 2, 3), { priority: 0 });
+  const high = dispatcher.dispatch(records(9), { priority: 8 });
+  await Promise.all([low, high]);
+
+  assert.deepEqual(puts.map(put => put.id), [1, 9, 2, 3]);
+  await dispatcher.close();
+});
+
+test('retries a failed chunk one record at a time, so only the bad record fails', async () => {
+  const { broker, dispatcher } = setup({ batchSize: 4, failPut: id => id === 3 });
+  const summary = await dispatcher.dispatch(records(1, 2, 3, 4));
+
+  assert.equal(summary.sent, 3);
+  assert.equal(summary.failed, 1);
+  assert.deepEqual(summary.failures, [{ id: 3, error: 'put of record 3 failed' }]);
+  // The chunk was backed out before the retry, so nothing is sent twice.
+  assert.deepEqual((await queuedRecords(broker)).map(record => record.id), [1, 2, 4]);
+  await dispatcher.close();
+});
+
+test('fails every record of a chunk when the lane cannot connect', async () => {
+  const dispatcher = createDispatcher({
+    connect: () => Promise.reject(new Error('queue manager unavailable')),
+    queueName: QUEUE,
+    concurrency: 1,
+    batchSize: 2,
+  });
+  const summary = await dispatcher.dispatch(records(1, 2, 3));
+
+  assert.equal(summary.failed, 3);
+  assert.ok(summary.failures.every(failure => failure.error === 'queue manager unavailable'));
+  await dispatcher.close();
+});
+
+test('close() finishes the chunk being sent and fails the rest', async () => {
+  const { broker, dispatcher } = setup({ batchSize: 1 });
+  const sending = dispatcher.dispatch(records(1, 2, 3));
+  await dispatcher.close();
+  const summary = await sending;
+
+  assert.equal(summary.sent, 1);
+  assert.equal(summary.failed, 2);
+  assert.ok(summary.failures.every(failure => failure.error === 'Dispatcher is shutting down'));
+  assert.equal(broker.depth(QUEUE), 1);
+
+  const later = await dispatcher.dispatch(records(4));
+  assert.equal(later.failed, 1);
+});
+
+test('createRateLimiter spaces out acquisitions', async () => {
+  const unlimited = createRateLimiter(0);
+  await unlimited();
+
+  const acquire = createRateLimiter(100);
+  const start = Date.now();
+  await Promise.all([acquire(), acquire(), acquire(), acquire()]);
+  assert.ok(Date.now() - start >= 25, 'four messages at 100/s take about 30 ms');
+});
@@ -0,0 +1,140 @@
+/*
+ * requester.test.js
+ *
+ * Summary:
+ * --------
+ * Tests of the requester (src/models/requester.js) against the in-memory broker: replies
+ * matched by CorrelId, timeouts, and reconnecting after the connection breaks, including a
+ * break that the transport does not report through isConnected(). Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The requester's modules read the shared configuration when they are loaded.
+process.env.MQ_TRANSPORT = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.LOG_SPANS = 'false';
+
+const { createRequester } = await import('../src/models/requester.js');
+const { createMemoryBroker } = await import('shared/transport/memoryBroker.js');
+const { createMemoryTransport } = await import('shared/transport/memoryTransport.js');
+const { encodeMessage, decodeMessage, MESSAGE_TYPES } = await import('shared/messages/index.js');
+
+const QUEUE = 'TEST.REQUEST';
+const REPLY_QUEUE = 'TEST.SYNC.REPLY';
+
+// An error like the one the IBM MQ transport rejects with once the connection is gone.
+function connectionBroken() {
+  const err = new Error('MQCONN: MQCC = MQCC_FAILED [2] MQRC = MQRC_CONNECTION_BROKEN [2009]');
+  err.mqrc = 2009;
+  err.connectionBroken = true;
+  return err;
+}
+
+// A requester on a broker of its own. failPut() and failGet() may return an error for a put
+// or get to reject with; the transport stays connected either way. Every transport the
+// requester connects is kept in transports.
+function setup({ failPut = () => null, failGet = () => null, ...options } = {}) {
+  const broker = createMemoryBroker();
+  const transports = [];
+  const connect = async () => {
+    const transport = createMemoryTransport({ broker });
+    await transport.connect();
+    const { put, get } = transport;
+    transport.put = (queue, body, putOptions) => {
+      const err = failPut();
+      return err ? Promise.reject(err) : put(queue, body, putOptions);
+    };
+    transport.get = (queue, getOptions) => {
+      const err = failGet();
+      return err ? Promise.reject(err) : get(queue, getOptions);
+    };
+    transports.push(transport);
+    return transport;
+  };
+  const requester = createRequester({
+    connect,
+    queueName: QUEUE,
+    replyQueueName: REPLY_QUEUE,
+    timeoutMs: 1000,
+    ...options,
+  });
+  return { broker, transports, requester };
+}
+
+// Plays the consumer for one request: answers it on its reply queue with its CorrelId.
+async function answer(broker) {
+  const message = await broker.get(QUEUE, 1000);
+  const { envelope } = decodeMessage(message.body, { type: MESSAGE_TYPES.REQUEST });
+  const [record] = envelope.payload.records;
+  const result = { id: record.id, value: record.value, prime: true, method: 'trial-division', certain: true };
+  broker.put(message.replyToQueue, {
+    body: encodeMessage(MESSAGE_TYPES.REPLY, { results: [result] }),
+    correlId: message.correlId,
+  });
+}
+
+const prime = id => ({ records: [{ id, value: '97' }] });
+
+test('puts the request with a reply queue and returns the reply with its CorrelId', async () => {
+  const { broker, requester } = setup();
+  // A reply to some other request is left alone.
+  broker.put(REPLY_QUEUE, { body: 'not for us', correlId: Buffer.alloc(24, 7) });
+  const [reply] = await Promise.all([requester.request(MESSAGE_TYPES.REQUEST, prime(1)), answer(broker)]);
+
+  assert.deepEqual(reply.results.map(result => [result.id, result.prime]), [[1, true]]);
+  assert.equal(broker.depth(REPLY_QUEUE), 1);
+  await requester.close();
+});
+
+test('reports a request that gets no reply in time', async () => {
+  const { transports, requester } = setup();
+  const err = await requester.request(MESSAGE_TYPES.REQUEST, prime(1), { timeoutMs: 20 }).catch(e => e);
+
+  assert.equal(err.timedOut, true);
+  assert.ok(transports[0].isConnected());
+  await requester.close();
+});
+
+test('reconnects after a put finds the connection broken, though isConnected() is true', async () => {
+  let broken = true;
+  const { broker, transports, requester } = setup({ failPut: () => (broken ? connectionBroken() : null) });
+  const err = await requester.request(MESSAGE_TYPES.REQUEST, prime(1)).catch(e => e);
+  assert.equal(err.mqrc, 2009);
+
+  broken = false;
+  const [reply] = await Promise.all([requester.request(MESSAGE_TYPES.REQUEST, prime(2)), answer(broker)]);
+  assert.equal(reply.results[0].id, 2);
+  assert.equal(transports.length, 2);
+  assert.equal(transports[0].isConnected(), false, 'the broken connection is disconnected');
+  await requester.close();
+});
+
+test('reconnects after a get finds the connection broken', async () => {
+  let gets = 0;
+  const { broker, transports, requester } = setup({
+    failGet: () => (++gets === 1 ? connectionBroken() : null),
+  });
+  await assert.rejects(requester.request(MESSAGE_TYPES.REQUEST, prime(1)), /MQRC_CONNECTION_BROKEN/);
+  await broker.get(QUEUE); // the request was put before the get failed
+
+  const [reply] = await Promise.all([requester.request(MESSAGE_TYPES.REQUEST, prime(2)), answer(broker)]);
+  assert.equal(reply.results[0].id, 2);
+  assert.equal(transports.length, 2);
+  await requester.close();
+});
+
+test('keeps the connection after a failure that does not break it', async () => {
+  let gets = 0;
+  const { broker, transports, requester } = setup({
+    failGet: () => (++gets === 1 ? new Error('MQRC_TRUNCATED_MSG_FAILED') : null),
+  });
+  await assert.rejects(requester.request(MESSAGE_TYPES.REQUEST, prime(1)), /TRUNCATED/);
+  await broker.get(QUEUE);
+
+  const [reply] = await Promise.all([requester.request(MESSAGE_TYPES.REQUEST, prime(2)), answer(broker)]);
+  assert.equal(reply.results[0].id, 2);
+  assert.equal(transports.length, 1);
+  await requester.close();
+});
@@ -0,0 +1,321 @@
+/*
+ * dashboard.js
+ *
+ * Summary:
+ * --------
+ * The script behind index.html. It talks only to the dashboard server: GET /overview for
+ * the status panels, and /api/... for everything the API offers.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Helpers: api() for JSON calls, el() for building table rows and other elements.
+ * 2. Status panels: refreshOverview() fills the health badges, statistics and queue depths,
+ *    every OVERVIEW_INTERVAL_MS.
+ * 3. Records: loadRecords() lists the records matching the filter form, page by page.
+ * 4. Submitting numbers: creates records from the text area and optionally dispatches them.
+ * 5. Batches: watchBatch() polls a batch's progress until it is done.
+ * 6. Live results: connectResults() follows GET /results/stream with an EventSource.
+ */
+
+const OVERVIEW_INTERVAL_MS = 5000;
+const BATCH_POLL_MS = 1000;
+const MAX_FEED_ITEMS = 200;
+
+const $ = (id) => document.getElementById(id);
+
+// Calls the API through the dashboard server. Resolves to the JSON body (or null for an
+// empty one) and rejects with the API's error message for non-2xx responses.
+async function api(method, path, body) {
+  const response = await fetch(`/api${path}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : null;
+  if (!response.ok) {
+    const details = data?.details ? `: ${data.details.slice(0, 5).join('; ')}` : '';
+    throw new Error((data?.error || `${response.status} ${response.statusText}`) + details);
+  }
+  return data;
+}
+
+// Creates an element with text content (never HTML) and optional class and children.
+function el(tag, { text, className } = {}, children = []) {
+  const node = document.createElement(tag);
+  if (text !== undefined && text !== null) node.textContent = String(text);
+  if (className) node.className = className;
+  children.forEach((child) => node.appendChild(child));
+  return node;
+}
+
+function showError(id, err) {
+  $(id).textContent = err ? err.message || String(err) : '';
+}
+
+// "prime", "composite" or "pending", as the API's status indexes name them.
+function recordStatus(record) {
+  if (!record.checkedAt) return 'pending';
+  return record.prime ? 'prime' : 'composite';
+}
+
+/* ---------------------------------------------------------------- status panels */
+
+function setBadge(id, label, up, detail, state = up ? 'up' : 'down') {
+  const badge = $(id);
+  badge.textContent = `${label}: ${state}${detail ? ` (${detail})` : ''}`;
+  badge.className = `badge ${up ? 'up' : 'down'}`;
+  badge.title = up ? '' : detail || '';
+}
+
+// Shows a service's readiness report: ready, not ready (naming the failed checks), or down.
+function setServiceBadge(id, label, health) {
+  if (health.status === 'down') {
+    setBadge(id, label, false, health.error);
+    return;
+  }
+  if (health.ready) {
+    setBadge(id, label, true, `${health.latencyMs} ms`, 'ready');
+    return;
+  }
+  const failed = Object.entries(health.checks || {})
+    .filter(([, check]) => check.status === 'fail')
+    .map(([name, check]) => `${name}: ${check.error}`);
+  setBadge(id, label, false, failed.join('; '), 'not ready');
+}
+
+async function refreshOverview() {
+  let overview;
+  try {
+    const response = await fetch('/overview');
+    overview = await response.json();
+  } catch (err) {
+    setBadge('health-api', 'API', false, 'dashboard server unreachable');
+    return;
+  }
+
+  setServiceBadge('health-api', 'API', overview.api);
+  setServiceBadge('health-consumer', 'Consumer', overview.consumer);
+
+  const { queues, stats } = overview;
+  const queueRows = $('queue-rows');
+  queueRows.replaceChildren();
+  if (Array.isArray(queues)) {
+    const unreadable = queues.filter((queue) => queue.depth === null);
+    setBadge('health-mq', 'Messaging', unreadable.length < queues.length,
+      unreadable.length > 0 ? `${unreadable.length} queue(s) unreadable` : '');
+    queues.forEach((queue) => {
+      queueRows.appendChild(el('tr', {}, [
+        el('td', { text: queue.name }),
+        el('td', { text: queue.role }),
+        el('td', { text: queue.depth ?? `? ${queue.error || ''}` }),
+      ]));
+    });
+    showError('queues-error', null);
+  } else {
+    setBadge('health-mq', 'Messaging', false, queues.error);
+    showError('queues-error', queues.error);
+  }
+
+  if (stats.error) {
+    showError('stats-error', stats.error);
+    return;
+  }
+  showError('stats-error', null);
+  for (const name of ['total', 'prime', 'composite', 'pending']) {
+    $(`stat-${name}`).textContent = stats[name].toLocaleString();
+  }
+  const bar = $('stat-bar');
+  for (const name of ['prime', 'composite', 'pending']) {
+    const share = stats.total > 0 ? (stats[name] / stats.total) * 100 : 0;
+    const part = bar.querySelector(`.${name}`);
+    part.style.width = `${share}%`;
+    part.title = `${name}: ${share.toFixed(1)}%`;
+  }
+}
+
+/* ---------------------------------------------------------------- records */
+
+let nextCursor = null;
+
+// The filters from the form, without empty fields.
+function currentFilters() {
+  const form = new FormData($('filter-form'));
+  const filters = {};
+  for (const name of ['prime', 'minValue', 'maxValue']) {
+    const value = form.get(name).trim();
+    if (value) filters[name] = value;
+  }
+  return { filters, limit: Number(form.get('limit')) || 25 };
+}
+
+async function loadRecords(cursor = null) {
+  const { filters, limit } = currentFilters();
+  const query = new URLSearchParams({ ...filters, limit: String(limit) });
+  if (cursor) query.set('cursor', cursor);
+  try {
+    const page = await api('GET', `/records?${query}`);
+    const rows = $('record-rows');
+    if (!cursor) rows.replaceChildren();
+    page.records.forEach((record) => {
+      const status = recordStatus(record);
+      rows.appendChild(el('tr', {}, [
+        el('td', { text: record.id }),
+        el('td', { text: record.value }),
+        el('td', { text: status, className: status }),
+        el('td', { text: record.smallestFactor ?? '' }),
+        el('td', { text: record.checkedAt ? new Date(record.checkedAt).toLocaleString() : '' }),
+      ]));
+    });
+    nextCursor = page.nextCursor;
+    $('next-page').hidden = !nextCursor;
+    showError('records-error', null);
+  } catch (err) {
+    showError('records-error', err);
+  }
+}
+
+$('filter-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  loadRecords();
+});
+
+$('next-page').addEventListener('click', () => loadRecords(nextCursor));
+
+$('dispatch-filtered').addEventListener('click', async () => {
+  const { filters } = currentFilters();
+  try {
+    const result = await api('POST', '/dispatch', filters);
+    if (!result.batch) {
+      showError('records-error', new Error(result.message));
+      return;
+    }
+    watchBatch(result.batch.id);
+    showError('records-error', null);
+  } catch (err) {
+    showError('records-error', err);
+  }
+});
+
+/* ---------------------------------------------------------------- submitting numbers */
+
+$('submit-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const form = new FormData(event.target);
+  const values = form.get('values').split(/[\s,;]+/).filter(Boolean);
+  if (values.length === 0) {
+    showError('submit-error', new Error('Enter at least one number.'));
+    return;
+  }
+  try {
+    const { records } = await api('POST', '/records', values.map((value) => ({ value })));
+    let message = `Created ${records.length} record(s), ids ${records[0].id}–${records[records.length - 1].id}.`;
+    if (form.get('dispatch')) {
+      const { batch } = await api('POST', '/dispatch', { ids: records.map((record) => record.id) });
+      watchBatch(batch.id);
+      message += ` Dispatched as batch ${batch.id.slice(0, 8)}…`;
+    }
+    $('submit-result').textContent = message;
+    event.target.reset();
+    showError('submit-error', null);
+    refreshOverview();
+  } catch (err) {
+    showError('submit-error', err);
+  }
+});
+
+/* ---------------------------------------------------------------- batches */
+
+const watched = new Map(); // batch id -> its element
+
+function renderBatch(node, batch) {
+  const finished = batch.completed + batch.failed;
+  node.replaceChildren(
+    el('div', {}, [
+      el('span', { text: batch.id, className: 'id' }),
+      el('span', { text: batch.done ? ' — done' : ' — running', className: 'muted' }),
+    ]),
+    Object.assign(el('progress'), { max: batch.total || 1, value: finished }),
+    el('div', {
+      text: `${batch.sent}/${batch.total} sent, ${batch.completed} answered, ${batch.prime} prime, ` +
+        `${batch.failed} failed, ${(batch.elapsedMs / 1000).toFixed(1)} s`,
+    }),
+  );
+  batch.failures.slice(0, 5).forEach((failure) => {
+    node.appendChild(el('div', { text: `Record ${failure.id}: ${failure.error}`, className: 'error' }));
+  });
+}
+
+async function watchBatch(batchId) {
+  if (watched.has(batchId)) return;
+  const node = el('div', { className: 'batch', text: `${batchId} — loading…` });
+  watched.set(batchId, node);
+  $('batch-list').prepend(node);
+
+  for (;;) {
+    try {
+      const batch = await api('GET', `/batches/${batchId}`);
+      renderBatch(node, batch);
+      if (batch.done) break;
+    } catch (err) {
+      node.textContent = `${batchId}: ${err.message}`;
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, BATCH_POLL_MS));
+  }
+  refreshOverview();
+}
+
+$('watch-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  const batchId = new FormData(event.target).get('batchId').trim();
+  if (batchId) watchBatch(batchId);
+});
+
+/* ---------------------------------------------------------------- live results */
+
+let source = null;
+
+function connectResults() {
+  if (source) source.close();
+  const form = new FormData($('results-form'));
+  const query = new URLSearchParams();
+  const batchId = form.get('batchId').trim();
+  if (batchId) query.set('batchId', batchId);
+  if (form.get('prime')) query.set('prime', 'true');
+
+  $('result-feed').replaceChildren();
+  source = new EventSource(`/api/results/stream?${query}`);
+  source.addEventListener('open', () => {
+    $('results-state').textContent = 'connected';
+  });
+  source.addEventListener('error', () => {
+    // EventSource reconnects by itself and resumes with the Last-Event-ID it saw.
+    $('results-state').textContent = source.readyState === EventSource.CLOSED ? 'closed' : 'reconnecting…';
+  });
+  source.addEventListener('result', (event) => {
+    const result = JSON.parse(event.data);
+    const status = recordStatus(result);
+    const feed = $('result-feed');
+    feed.prepend(el('li', {
+      text: `#${result.id} ${result.value} ${status}` +
+        (result.smallestFactor ? ` (smallest factor ${result.smallestFactor})` : ''),
+      className: status,
+    }));
+    while (feed.children.length > MAX_FEED_ITEMS) {
+      feed.lastChild.remove();
+    }
+  });
+}
+
+$('results-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  connectResults();
+});
+
+/* ---------------------------------------------------------------- start */
+
+refreshOverview();
+setInterval(refreshOverview, OVERVIEW_INTERVAL_MS);
+loadRecords();
+connectResults();
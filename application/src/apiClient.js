@@ -0,0 +1,151 @@
+/*
+ * apiClient.js
+ *
+ * Summary:
+ * --------
+ * This module is the dashboard's only way of talking to the API and the consumer. It wraps
+ * an axios instance pointed at the API and offers two helpers:
+ *
+ *   - getOverview(): Collects the readiness of the API and the consumer, the queue depths
+ *     and the record statistics in one call, for the dashboard's status panels. A part that
+ *     cannot be read is reported with its error instead of failing the whole overview.
+ *   - forwardRequest(req, res): Passes a browser request on to the API and streams the
+ *     answer back unchanged, so the dashboard page can use every API route (including the
+ *     Server-Sent Events stream of results) through the dashboard server. The request's
+ *     trace is passed on in the traceparent header, so the API continues it.
+ *
+ * Configuration:
+ *   API_URL        - Base URL of the API (default: "http://localhost:3102")
+ *   CONSUMER_URL   - Base URL of the consumer's health endpoints (default: "http://localhost:3104")
+ *     Both come from the shared configuration (see shared/src/config).
+ *   API_TIMEOUT_MS - Timeout for the overview calls (default: 3000)
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Configuration: Creates the axios instance.
+ * 2. getOverview(): Calls GET /health/ready on both services, and GET /queues and
+ *    GET /records/stats on the API, in parallel.
+ * 3. forwardRequest(req, res, prefix): Proxies one request and rewrites Location headers.
+ */
+
+import axios from 'axios';
+import { getConfig } from 'shared/config/index.js';
+import { currentSpan, formatTraceparent } from 'shared/tracing/index.js';
+
+const { http } = getConfig();
+export const apiUrl = http.apiUrl.replace(/\/+$/, '');
+export const consumerUrl = http.consumerUrl.replace(/\/+$/, '');
+const apiTimeoutMs = Number(process.env.API_TIMEOUT_MS) || 3000;
+
+const api = axios.create({ baseURL: apiUrl });
+
+// Response headers copied from the API to the browser.
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'cache-control', 'location'];
+
+// Reads the message of a failed axios call, preferring the API's own { error } body.
+function describeError(err) {
+  return err.response?.data?.error || err.message;
+}
+
+// Reads a service's readiness report. A 503 still carries the report, so only an
+// unreachable service counts as down.
+async function getReadiness(url) {
+  const started = Date.now();
+  try {
+    const response = await axios.get(`${url}/health/ready`, {
+      timeout: apiTimeoutMs,
+      validateStatus: status => status === 200 || status === 503,
+    });
+    return {
+      status: 'up',
+      ready: response.status === 200,
+      latencyMs: Date.now() - started,
+      checks: response.data.checks,
+    };
+  } catch (err) {
+    return { status: 'down', ready: false, error: describeError(err) };
+  }
+}
+
+/**
+ * getOverview
+ * -----------
+ * @returns {Promise<Object>} {
+ *   api:      { status: "up" | "down", ready, latencyMs, checks } or { status: "down", error },
+ *   consumer: the same for the consumer,
+ *   queues:   [{ role, name, depth }] or { error },
+ *   stats:    { total, prime, composite, pending } or { error }
+ * }
+ */
+export async function getOverview() {
+  const [apiHealth, consumerHealth, queues, stats] = await Promise.allSettled([
+    getReadiness(apiUrl),
+    getReadiness(consumerUrl),
+    api.get('/queues', { timeout: apiTimeoutMs }),
+    api.get('/records/stats', { timeout: apiTimeoutMs }),
+  ]);
+
+  return {
+    api: apiHealth.value,
+    consumer: consumerHealth.value,
+    queues: queues.status === 'fulfilled' ? queues.value.data : { error: describeError(queues.reason) },
+    stats: stats.status === 'fulfilled' ? stats.value.data : { error: describeError(stats.reason) },
+  };
+}
+
+/**
+ * forwardRequest
+ * --------------
+ * Sends req on to the API (the path after the mount point, with its query string and JSON
+ * body) and pipes the API's status, headers and body back into res. The upstream request is
+ * aborted when the browser goes away, which also ends forwarded event streams.
+ *
+ * @param {Object} req - The Express request.
+ * @param {Object} res - The Express response.
+ * @param {string} prefix - Where the proxy is mounted (e.g. "/api"); Location headers from
+ *                          the API are rewritten to point below it.
+ * @returns {Promise<void>}
+ */
+export async function forwardRequest(req, res, prefix) {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const headers = {};
+  if (req.get('Last-Event-ID')) {
+    headers['Last-Event-ID'] = req.get('Last-Event-ID');
+  }
+  const span = currentSpan();
+  if (span) {
+    headers.traceparent = formatTraceparent(span);
+  }
+
+  let upstream;
+  try {
+    upstream = await api.request({
+      method: req.method,
+      url: req.url,
+      data: req.body,
+      headers,
+      responseType: 'stream',
+      signal: controller.signal,
+      // Every API status, including errors, is passed through to the browser as it is.
+      validateStatus: () => true,
+    });
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      res.status(502).json({ error: `API unavailable at ${apiUrl}: ${err.message}` });
+    }
+    return;
+  }
+
+  res.status(upstream.status);
+  for (const name of FORWARDED_RESPONSE_HEADERS) {
+    const value = upstream.headers[name];
+    if (value !== undefined) {
+      res.set(name, name === 'location' && value.startsWith('/') ? prefix + value : value);
+    }
+  }
+  res.flushHeaders();
+  upstream.data.on('error', () => res.end());
+  upstream.data.pipe(res);
+}
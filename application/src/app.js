@@ -0,0 +1,76 @@
+/*
+ * app.js
+ *
+ * Summary:
+ * --------
+ * This Express server is the operator dashboard of the ecosystem. It serves a single page
+ * (../public) from which operators can:
+ *   - browse and filter records, page by page,
+ *   - submit new numbers,
+ *   - start dispatches and watch the progress and live results of their batches,
+ *   - see the queue depths and whether the API and the consumer are ready,
+ *   - see how many records are prime, composite or still pending.
+ *
+ * The page never calls the API directly. Everything goes through this server: the status
+ * panels use GET /overview, and all other calls are forwarded to the API under /api (see
+ * ./apiClient.js), so the browser only needs to reach the dashboard.
+ *
+ * Configuration (from the shared configuration, see shared/src/config):
+ *   APP_PORT - Port the dashboard listens on (default: 3103)
+ *   API_URL  - Base URL of the API (default: "http://localhost:3102")
+ *   CONSUMER_URL - Base URL of the consumer's health endpoints (default: "http://localhost:3104")
+ *
+ * Requests other than static files are logged as JSON lines and traced (see shared/src/logging
+ * and shared/src/tracing); the trace continues in the API calls they are forwarded as.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Static files: The dashboard page, script and stylesheet.
+ * 2. GET /overview: Service readiness, queue depths and record statistics in one response.
+ * 3. /api/*: Forwards any other call to the API.
+ * 4. Server start.
+ */
+import 'dotenv/config'; // Load .env before any module reads the configuration
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig } from 'shared/config/index.js';
+import { initLogging, createLogger } from 'shared/logging/index.js';
+import { tracingMiddleware } from 'shared/tracing/index.js';
+import { apiUrl, getOverview, forwardRequest } from './apiClient.js';
+
+initLogging('dashboard');
+const log = createLogger('dashboard');
+const app = express();
+const publicDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+// Serve the dashboard page and its assets.
+app.use(express.static(publicDir));
+
+// Trace and log every other request.
+app.use(tracingMiddleware());
+
+// Route to collect what the status panels show.
+app.get('/overview', async (req, res) => {
+  try {
+    res.json(await getOverview());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route to forward every other call to the API, e.g. /api/records?prime=true -> /records?prime=true.
+// The body is parsed here so it can be sent on; the API applies its own limits.
+app.use('/api', express.json({ limit: process.env.API_BODY_LIMIT || '10mb' }), (req, res) => {
+  forwardRequest(req, res, req.baseUrl).catch(error => {
+    log.error('Error forwarding request', { method: req.method, path: req.url, err: error });
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+const PORT = getConfig().http.appPort;
+app.listen(PORT, () => {
+  log.info('Dashboard is running', { port: PORT, apiUrl });
+});
@@ -0,0 +1,34 @@
+/*
+ * computeWorker.js
+ *
+ * Summary:
+ * --------
+ * Worker thread for the consumer's compute pool (see workerPool.js). It receives tasks of
+ * the form { taskId, task, input, context }, runs the registered handler named by "task"
+ * (see tasks/index.js) on the input, and posts back { taskId, result: { output, computeMs } }
+ * with the handler's result and the time it took, or { taskId, error } when it failed.
+ *
+ * Numbers travel as decimal strings because BigInts cannot be posted between threads.
+ */
+import { parentPort } from "worker_threads";
+import { performance } from "perf_hooks";
+import { loadTasks, getTask } from "./tasks/index.js";
+
+// The same task modules as the main thread, loaded once.
+const ready = loadTasks();
+
+parentPort.on("message", async ({ taskId, task, input, context }) => {
+  try {
+    await ready;
+    const handler = getTask(task);
+    if (!handler) {
+      throw new Error(`Unknown task ${JSON.stringify(task)}`);
+    }
+    const start = performance.now();
+    const output = await handler.run(input, context);
+    const computeMs = Math.round((performance.now() - start) * 1000) / 1000;
+    parentPort.postMessage({ taskId, result: { output, computeMs } });
+  } catch (err) {
+    parentPort.postMessage({ taskId, error: err.message });
+  }
+});
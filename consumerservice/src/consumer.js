@@ -3,279 +3,976 @@
  *
  * Summary:
  * --------
- * This consumer connects to the IBM MQ queue manager (QM1) and opens two queues:
- *   - DEV.QUEUE.1 (input): where it reads incoming JSON messages. Each message must contain:
- *         { "id": <record id>, "value": <number as a string> }
- *   - DEV.QUEUE.2 (output): where it posts a response JSON after processing.
+ * This consumer connects to the messaging backend (the IBM MQ queue manager QM1 by default,
+ * or the local broker when MQ_TRANSPORT says so) through the shared transport and opens
+ * two queues:
+ *   - DEV.QUEUE.1 (input): where it reads incoming "prime.request" messages. The message
+ *     envelope and its payload are defined in shared/src/messages; the payload lists the
+ *     records to analyze:
+ *         { "records": [{ "id": <record id>, "value": <number as a string> }, ...] }
+ *     Unversioned messages from older producers (a bare record, or an array of records for
+ *     a batch) are accepted too. The same queue carries "task.request" messages, each naming
+ *     a registered task handler and its input:
+ *         { "taskId": "...", "task": "nextPrime", "input": { "value": "100" } }
+ *   - DEV.QUEUE.2 (output): where it posts a "prime.reply" (or "task.reply") message after
+ *     processing, unless the request names another queue in its MQMD ReplyToQ.
+ * RESULT_OUTPUT chooses where prime results go: "queue" (the default) replies on DEV.QUEUE.2,
+ * "topic" publishes each result on the topic primes/found or primes/composite instead (see
+ * publishResults()), and "both" does both. Task outcomes and replies to a ReplyToQ are always
+ * sent as replies.
  *
  * For each message from DEV.QUEUE.1, the consumer:
- *   1. Parses the JSON.
- *   2. Converts "value" to a BigInt.
- *   3. Runs the Miller–Rabin test to check for primality.
- *   4. Sends a response JSON to DEV.QUEUE.2 with { id, value, prime }.
+ *   1. Parses the JSON and validates it against the message schemas.
+ *   2. Converts each "value" to a BigInt.
+ *   3. Runs a deterministic primality test (see primality.js) and factors composites, on a
+ *      pool of worker threads (see workerPool.js). With RESULT_CACHE=true, values already in
+ *      the Redis result cache (see shared/src/cache) are answered from it, marked "cached",
+ *      and the results computed here are added to it.
+ *   4. Stores the result in the MSSQL table dbo.PrimeResults when MSSQL_SERVER is set (see
+ *      shared/src/db). The write is an upsert keyed by record ID, so storing a redelivered
+ *      message's result again does no harm.
+ *   5. Sends a reply to DEV.QUEUE.2 (or the request's ReplyToQ), copying the request's MQMD
+ *      CorrelId onto it so the API can match it to the batch or request it was sent for, and
+ *      its MQMD Priority, so the replies to urgent requests are read first. The reply's
+ *      payload holds one result per record, in request order:
+ *         { "results": [{ "id", "value", "prime", "method", "certain", "smallestFactor",
+ *                         "factors", "unfactored", "computeMs" }, ...] }
+ *      Each result has its record's "sentAt" when it has one, so the API can measure the
+ *      round trip. An unversioned request is answered in the unversioned format: a bare
+ *      result, or an array of results for a batch.
+ *
+ * A task.request is run by the handler its "task" names (see tasks/index.js; the built-ins
+ * are isPrime, factorize, nextPrime, previousPrime, isTwinPrime and countPrimes, and
+ * TASK_MODULES adds more). Its input and result are checked against the handler's schemas,
+ * and the reply is a task.reply with the outcome:
+ *     { "taskId", "task", "status": "completed", "result": { ... }, "computeMs" }
+ *     { "taskId", "task", "status": "failed", "error": "..." }
+ * An unknown task, invalid input or an error thrown by the handler fails the task; the
+ * message is answered, not dead-lettered. Task results are not stored in MSSQL.
  *
  * Annotated Sections:
  * -------------------
- * 1. Connection Setup: Reads environment variables and creates MQCD/MQCSP objects.
- * 2. Queue Open:
+ * 1. Connection Setup: Reads the validated configuration (shared/src/config), logs it with the
+ *    passwords masked, and hands the configured transport to a connection manager
+ *    (shared/src/transport/connectionManager.js), which connects with exponential backoff and
+ *    jitter (MQ_RECONNECT_INITIAL_MS, MQ_RECONNECT_MAX_MS) and connects again the same way
+ *    when the connection is lost.
+ * 2. Queue Open: The manager opens these queues on every connection:
  *      - Input Queue (DEV.QUEUE.1) is opened for getting messages.
  *      - Output Queue (DEV.QUEUE.2) is opened for posting responses.
- * 3. Polling Loop: Retrieves messages from DEV.QUEUE.1 using a 1024-byte buffer.
- * 4. Message Processing: Parses the JSON message, computes the prime flag, and calls sendResponse().
- * 5. Response Posting: sendResponse() serializes the response object and posts it to DEV.QUEUE.2.
- * 6. Utility Functions: Contains the Miller–Rabin test and modular exponentiation.
+ *      - Dead-letter Queue (DEV.DEAD.LETTER.QUEUE) is opened for rejected messages.
+ *      - The result topics (MQ_TOPIC_FOUND, MQ_TOPIC_COMPOSITE) are opened for publishing
+ *        when RESULT_OUTPUT is "topic" or "both".
+ * 3. Polling Loop: Retrieves messages from DEV.QUEUE.1 under syncpoint, waiting up to 3
+ *    seconds per get. Up to MAX_IN_FLIGHT messages (default twice the pool size) are
+ *    processed at once; when that many are in flight, polling waits for one of them to
+ *    finish. Get errors are retried; repeated get errors or a lost connection hand the
+ *    connection back to the manager as broken. No messages are taken until it has
+ *    reconnected.
+ * 4. Units of Work: Each get and the reply put for it belong to one unit of work. The work is
+ *    committed every MQ_COMMIT_BATCH_SIZE messages (default 10), after MQ_COMMIT_INTERVAL_MS
+ *    (default 1000) or when the queue is empty, and backed out when processing fails. Either
+ *    way, polling stops first and the messages still in flight are finished. A reply guard
+ *    (replyGuard.js) stops redelivered messages from being answered twice.
+ * 5. Message Processing: Decodes the message with decodeMessage(). For a prime.request, each
+ *    value not in the result cache is analyzed by the isPrime task on the compute pool
+ *    (WORKER_POOL_SIZE threads, default one less than the number of CPUs; see
+ *    analyzeRecords()) and the results are stored with storeResults(); a task.request is run
+ *    by runTask(). Then sendResponse() is called.
+ * 6. Response Posting: sendResponse() encodes the reply and posts it to the request's
+ *    ReplyToQ when it has one, and to DEV.QUEUE.2 otherwise. ReplyToQ queues are opened on
+ *    first use and kept open on the connection (see replyQueueFor()). publishResults()
+ *    publishes prime results on the result topics. Messages that cannot be processed are
+ *    moved to the dead-letter queue by deadLetter(), with the original payload, the reason,
+ *    the source queue and a timestamp.
+ * 7. Health and metrics: /health/live, /health/ready and /metrics (Prometheus) on
+ *    CONSUMER_PORT (default 3104, see healthServer.js). Readiness checks the current MQ
+ *    connection and the depths of DEV.QUEUE.1 and DEV.QUEUE.2 and MSSQL when it is
+ *    configured, and reports how busy the worker pool is and which tasks are registered.
+ * 8. Logging and tracing: Logs are JSON lines (shared/src/logging, LOG_LEVEL). Each message
+ *    is processed in a CONSUMER span that continues the trace in its traceparent property,
+ *    and the reply and dead-letter puts pass the trace on (shared/src/tracing), so every
+ *    log record about a message carries the trace ID of the API request that sent it.
+ * 9. Shutdown: On SIGTERM or SIGINT, polling stops, the messages in flight are finished and
+ *    committed, the queues are closed and the connection is disconnected (MQDISC); then the
+ *    worker pool, the health server, the result cache client and the MSSQL pool are closed.
+ *    SHUTDOWN_TIMEOUT_MS (default 15000) bounds how long this may take.
  */
-import dotenv from "dotenv"; // Import dotenv to handle .env files
-dotenv.config(); // Load environment variables from .env file
+import "dotenv/config"; // Load .env before any module reads the configuration
+import os from "os";
+import { getConfig, redactConfig } from "shared/config/index.js"; // Validated configuration
+import { initLogging, createLogger } from "shared/logging/index.js"; // Structured JSON logs
+import { tracedPut, withReceiveSpan } from "shared/tracing/index.js"; // Spans across MQ hops
+import { decodeMessage, encodeMessage, replyOptions, MESSAGE_TYPES } from "shared/messages/index.js"; // Message envelope and schemas
+import { createTransport, createConnectionManager } from "shared/transport/index.js"; // Messaging transport and reconnects
+import { createReplyGuard } from "./replyGuard.js"; // Remembers answered messages
+import { createWorkerPool } from "./workerPool.js"; // Runs tasks on worker threads
+import { loadTasks, getTask, listTasks, validateTaskInput, validateTaskResult } from "./tasks/index.js"; // Task handlers
+import { isDatabaseConfigured, upsertPrimeResults, closeDatabase } from "shared/db/index.js"; // MSSQL result storage
+import { checkMessaging, checkDatabase } from "shared/health/index.js"; // Readiness checks
+import { getCachedResults, cacheResults, closeCache } from "shared/cache/index.js"; // Redis result cache
+import {
+  initMetrics,
+  messagesReplied,
+  messagesFailed,
+  countPrimeResult,
+  client as metrics,
+} from "shared/metrics/index.js"; // Prometheus metrics
+import { startHealthServer } from "./healthServer.js"; // /health/live and /health/ready
+
+// Load and validate the configuration. Log it with the passwords masked.
+let config;
+try {
+  config = getConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+initLogging("consumer");
+const log = createLogger("consumer");
+log.info("Configuration loaded", { environment: config.environment, config: redactConfig(config) });
+
+// Define the queue names.
+const inputQueueName = config.mq.queues.request; // Receives Messages sent from the API
+const outputQueueName = config.mq.queues.reply; //Sends responses to API
+const deadLetterQueueName = config.mq.queues.deadLetter; // Receives messages that cannot be processed
+// Where prime results go, and the topics they are published on.
+const resultOutput = config.mq.results.output;
+const replyResults = resultOutput !== "topic";
+const publishToTopics = resultOutput !== "queue";
+// How many ReplyToQ queues a connection keeps open; the least recently opened is closed first.
+const maxReplyQueues = Number(process.env.MAX_REPLY_QUEUES) || 100;
+// Messages backed out this many times are dead-lettered instead of processed again.
+const backoutThreshold = Number(process.env.MQ_BACKOUT_THRESHOLD) || 3;
+
+// Units of work: messages are got and answered under syncpoint, and committed together once
+// this many have been handled or the oldest uncommitted one is this old.
+const commitBatchSize = Number(process.env.MQ_COMMIT_BATCH_SIZE) || 10;
+const commitIntervalMs = Number(process.env.MQ_COMMIT_INTERVAL_MS) || 1000;
+const replyGuard = createReplyGuard(Number(process.env.REPLY_GUARD_SIZE) || 10000);
+
+// How long the consumer may spend factoring a composite before reporting it as partly factored.
+const factorTimeLimitMs = Number(process.env.FACTOR_TIME_LIMIT_MS) || 1000;
 
-console.info(process.env);
-import * as mq from "ibmmq"; // IBM MQ client library
-const MQC = mq.MQC; // IBM MQ constants
+// Compute pool: worker threads for the number analysis, and how many messages may be got
+// and not yet answered at once.
+const workerPoolSize = Number(process.env.WORKER_POOL_SIZE) || Math.max(1, os.cpus().length - 1);
+const maxInFlight = Number(process.env.MAX_IN_FLIGHT) || workerPoolSize * 2;
+const computePool = createWorkerPool({
+  workerFile: new URL("./computeWorker.js", import.meta.url),
+  size: workerPoolSize,
+});
 
-// Define the target queue manager and queue names.
-const qMgr = process.env.MQ_QMGR || "QM1";
-const inputQueueName = process.env.MQ_INPUT_QUEUE || "DEV.QUEUE.1"; // Receives Messages sent from the API
-const outputQueueName = process.env.MQ_OUTPUT_QUEUE || "DEV.QUEUE.2"; //Sends responses to API
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// Global variable to hold the output queue handle.
-let outQueueHandle;
+initMetrics("consumer");
+const primalityCheckDuration = new metrics.Histogram({
+  name: "primality_check_duration_seconds",
+  help: "Time spent on the primality test and factoring of one value, by test method",
+  labelNames: ["method"],
+  buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+});
+const taskDuration = new metrics.Histogram({
+  name: "task_duration_seconds",
+  help: "Time spent running one task.request, by task and outcome",
+  labelNames: ["task", "status"],
+  buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+});
+
+// The connection manager, created by startConsumer(). Its current connection is the one
+// being polled, and is what the readiness check looks at.
+let manager = null;
+
+// Set by shutdown(). stopRequested resolves (to undefined) at the same time, to end a wait
+// for a connection.
+let stopping = false;
+let requestStop;
+const stopRequested = new Promise((resolve) => {
+  requestStop = resolve;
+});
 
 /**
- * processMessage
+ * analyzeRequest
  * ---------------
- * Processes a JSON message from DEV.QUEUE.1.
- * The message should include "id" and "value" properties.
- * It converts "value" to a BigInt, checks for primality, and sends a response
- * (with the id, original value, and prime flag) to DEV.QUEUE.2.
+ * Analyzes the value of one record with the isPrime task on the compute pool.
  *
- * @param {Buffer} msg - The message content as a Buffer.
+ * @param {Object} data - A valid record: { id, value, sentAt? }.
+ * @returns {Promise<Object>} The response: { id, value, prime, method, ... }.
  */
-function processMessage(msg) {
-  console.log("Processing a message...");
-  const msgText = msg.toString();
-  try {
-    const data = JSON.parse(msgText);
-    if (!data.hasOwnProperty("id") || data.value === undefined) {
-      console.error("Message JSON missing required fields:", msgText);
-      return;
+function analyzeRequest(data) {
+  const task = { task: "isPrime", input: { value: String(data.value) }, context: { factorTimeLimitMs } };
+  return computePool.run(task).then(({ output, computeMs }) => {
+    // The handler's result includes the value, as a decimal string.
+    const analysis = { ...output, computeMs };
+    log.info("Value analyzed", {
+      recordId: data.id,
+      value: String(data.value),
+      prime: analysis.prime,
+      method: analysis.method,
+      certain: analysis.certain,
+      computeMs: analysis.computeMs,
+    });
+    primalityCheckDuration.observe({ method: analysis.method }, analysis.computeMs / 1000);
+    countPrimeResult(analysis.prime);
+    const response = { id: data.id, ...analysis };
+    if (data.sentAt !== undefined) {
+      response.sentAt = data.sentAt;
     }
-    let value;
-    try {
-      value = BigInt(data.value);
-    } catch (error) {
-      console.error("Invalid value in message:", data.value);
-      return;
+    return response;
+  });
+}
+
+/**
+ * analyzeRecords
+ * ---------------
+ * Analyzes the values of a request's records. Values found in the result cache are answered
+ * from it, with "cached": true; the others are analyzed with analyzeRequest(), and their
+ * results are added to the cache.
+ *
+ * @param {Object[]} records - The request's records: [{ id, value, sentAt? }, ...].
+ * @returns {Promise<Object[]>} The responses, in record order.
+ */
+function analyzeRecords(records) {
+  return getCachedResults(records.map((record) => record.value)).then((cached) => {
+    const computed = [];
+    const responses = records.map((record) => {
+      const hit = cached.get(String(record.value));
+      if (!hit) {
+        return analyzeRequest(record).then((response) => {
+          computed.push(response);
+          return response;
+        });
+      }
+      log.info("Value answered from the result cache", {
+        recordId: record.id,
+        value: hit.value,
+        prime: hit.prime,
+      });
+      countPrimeResult(hit.prime);
+      const response = { id: record.id, ...hit, cached: true };
+      if (record.sentAt !== undefined) {
+        response.sentAt = record.sentAt;
+      }
+      return response;
+    });
+    return Promise.all(responses).then((results) => cacheResults(computed).then(() => results));
+  });
+}
+
+/**
+ * runTask
+ * --------
+ * Runs a task.request on the compute pool with the handler it names, after checking its
+ * input, and checks the result. A task that cannot be run or fails is answered as failed.
+ *
+ * @param {Object} payload - The request's payload: { taskId, task, input, sentAt? }.
+ * @returns {Promise<Object>} The task.reply payload; rejects only when the pool failed, so
+ *          the message is delivered again.
+ */
+function runTask({ taskId, task, input, sentAt }) {
+  const reply = { taskId, task };
+  if (sentAt !== undefined) {
+    reply.sentAt = sentAt;
+  }
+  const fail = (error, computeMs) => {
+    log.warn("Task failed", { taskId, task, error });
+    if (computeMs === undefined) {
+      return { ...reply, status: "failed", error };
     }
-    const isPrime = millerRabin(value, 5);
-    console.log(
-      `Record ${data.id} with value ${value.toString()} is ${
-        isPrime ? "prime" : "not prime"
-      }.`
+    taskDuration.observe({ task, status: "failed" }, computeMs / 1000);
+    return { ...reply, status: "failed", error, computeMs };
+  };
+
+  if (!getTask(task)) {
+    return Promise.resolve(fail(`Unknown task ${JSON.stringify(task)}`));
+  }
+  const problems = validateTaskInput(task, input);
+  if (problems.length > 0) {
+    return Promise.resolve(fail(`Invalid task input: ${problems.join("; ")}`));
+  }
+
+  return computePool.run({ task, input, context: { factorTimeLimitMs } }).then(
+    ({ output, computeMs }) => {
+      const resultProblems = validateTaskResult(task, output);
+      if (resultProblems.length > 0) {
+        return fail(`Task returned an invalid result: ${resultProblems.join("; ")}`, computeMs);
+      }
+      log.info("Task completed", { taskId, task, computeMs });
+      taskDuration.observe({ task, status: "completed" }, computeMs / 1000);
+      return { ...reply, status: "completed", result: output, computeMs };
+    },
+    (err) => {
+      if (!err.taskFailed) {
+        throw err;
+      }
+      return fail(err.message);
+    }
+  );
+}
+
+/**
+ * storeResults
+ * -------------
+ * Upserts the results of a message into dbo.PrimeResults, tagged with the message ID and
+ * the batch ID from its CorrelId. Does nothing when no database is configured.
+ *
+ * @param {Object[]} responses - The responses for the message.
+ * @param {Object} message - The message they answer.
+ * @returns {Promise<void>} Resolves once the results are stored; rejects if the write failed.
+ */
+function storeResults(responses, message) {
+  if (!isDatabaseConfigured()) {
+    return Promise.resolve();
+  }
+  const msgId = message.msgId.toString("hex");
+  const batchId = message.correlId.some((byte) => byte !== 0)
+    ? message.correlId.toString("hex")
+    : null;
+  return upsertPrimeResults(responses.map((response) => ({ ...response, msgId, batchId }))).then(
+    () => {},
+    (err) => {
+      log.error("Error storing results in MSSQL", { err });
+      throw err;
+    }
+  );
+}
+
+/**
+ * processMessage
+ * ---------------
+ * Processes a request message from DEV.QUEUE.1.
+ * The message is decoded and validated with decodeMessage(), which also upgrades older
+ * versions. A task.request is run with runTask() and answered with its task.reply. The
+ * payload of a prime.request lists the records: { records: [{ id, value }, ...] }. Each
+ * value is taken from the result cache or analyzed on the compute pool (see
+ * analyzeRecords()), and one reply holding a result (with the id, original value, prime flag
+ * and the rest of the analysis) per record is sent to DEV.QUEUE.2, in the version of the
+ * request. The results are stored in MSSQL (see
+ * storeResults()) before the reply is sent.
+ *
+ * Messages that cannot be processed - bad JSON, a message that does not match its schema,
+ * an unsupported version, or a BackoutCount at or above the threshold - are moved to the
+ * dead-letter queue instead of
+ * being dropped. Messages that were already answered (see replyGuard.js) are consumed
+ * without sending a second reply.
+ *
+ * The response and dead-letter puts are made under syncpoint, in the same unit of work as
+ * the get. The returned promise rejects if computing the result or putting fails, and the
+ * caller then backs the unit of work out so the message is delivered again.
+ *
+ * @param {Object} conn - The connection: { transport, outQueue, replyQueues, deadLetterQueue }.
+ * @param {Object} message - The message from the transport: { body, msgId, correlId, replyToQueue,
+ *        backoutCount }.
+ * @returns {Promise<void>} Resolves once the response or dead-letter message has been put.
+ */
+function processMessage(conn, message) {
+  const msgKey = message.msgId.toString("hex");
+  log.debug("Processing a message", { msgId: msgKey, backoutCount: message.backoutCount });
+  if (replyGuard.has(msgKey)) {
+    log.warn("Message was already answered; skipping the duplicate reply", { msgId: msgKey });
+    return Promise.resolve();
+  }
+  if (message.backoutCount >= backoutThreshold) {
+    return deadLetter(
+      conn,
+      message,
+      `Message was backed out ${message.backoutCount} times (threshold ${backoutThreshold})`
     );
+  }
 
-    // Create the response object.
-    const response = {
-      id: data.id,
-      value: data.value,
-      prime: isPrime,
-    };
-    // Post the response to the output queue.
-    sendResponse(response);
+  let request;
+  try {
+    request = decodeMessage(message.body, {
+      type: [MESSAGE_TYPES.REQUEST, MESSAGE_TYPES.TASK_REQUEST],
+      messageId: msgKey,
+    });
   } catch (err) {
-    console.error("Error parsing JSON:", err, msgText);
+    return deadLetter(conn, message, err.message);
+  }
+
+  if (request.envelope.type === MESSAGE_TYPES.TASK_REQUEST) {
+    return runTask(request.envelope.payload).then((reply) =>
+      sendResponse(conn, MESSAGE_TYPES.TASK_REPLY, reply, request, message)
+    );
+  }
+
+  const { records } = request.envelope.payload;
+  if (records.length > 1) {
+    log.info("Message is a batch", { msgId: msgKey, records: records.length });
+  }
+  return analyzeRecords(records)
+    .then((responses) => storeResults(responses, message).then(() => responses))
+    .then((responses) =>
+      Promise.all([
+        replyResults || message.replyToQueue
+          ? sendResponse(conn, MESSAGE_TYPES.REPLY, { results: responses }, request, message)
+          : null,
+        publishToTopics ? publishResults(conn, responses, request, message) : null,
+      ])
+    )
+    .then(() => {});
+}
+
+/**
+ * deadLetter
+ * -----------
+ * Moves a message that cannot be processed to the dead-letter queue. The dead-letter
+ * message is JSON describing what went wrong:
+ *   { reason, sourceQueue, deadLetteredAt, backoutCount, msgId, payload, payloadEncoding }
+ * The original body is kept as text when it is valid UTF-8, and as base64 otherwise.
+ * The original CorrelId is kept so the message can still be traced to its batch.
+ * The put is made under syncpoint, so the message only leaves the input queue once the
+ * dead-letter message is committed.
+ *
+ * @param {Object} conn - The connection: { transport, outQueue, deadLetterQueue }.
+ * @param {Object} message - The rejected message from the transport.
+ * @param {string} reason - Why the message was rejected.
+ * @returns {Promise<void>} Resolves once the dead-letter put has completed; rejects if it failed.
+ */
+function deadLetter(conn, message, reason) {
+  log.warn("Rejecting message", { msgId: message.msgId.toString("hex"), reason });
+  messagesFailed.inc({ queue: inputQueueName, reason: "dead_letter" });
+  const text = message.body.toString("utf8");
+  const isText = Buffer.from(text, "utf8").equals(message.body);
+  const dlqMsg = {
+    reason,
+    sourceQueue: inputQueueName,
+    deadLetteredAt: new Date().toISOString(),
+    backoutCount: message.backoutCount,
+    msgId: message.msgId.toString("hex"),
+    payload: isText ? text : message.body.toString("base64"),
+    payloadEncoding: isText ? "utf8" : "base64",
+  };
+
+  return tracedPut(conn.transport, conn.deadLetterQueue, JSON.stringify(dlqMsg), {
+    correlId: message.correlId,
+    syncpoint: true,
+  })
+    .then(() => {
+      log.info("Message moved to the dead-letter queue", { queue: deadLetterQueueName });
+    })
+    .catch((err) => {
+      log.error("Error putting message to the dead-letter queue", { queue: deadLetterQueueName, err });
+      throw err;
+    });
+}
+
+/**
+ * replyQueueFor
+ * --------------
+ * The queue handle to reply on: the output queue, or the queue named by a request's ReplyToQ,
+ * which is opened on first use and then kept in conn.replyQueues. When more than
+ * maxReplyQueues are open, the one opened first is closed.
+ *
+ * @param {Object} conn - The connection: { transport, outQueue, replyQueues }.
+ * @param {string|null} replyToQueue - The request's ReplyToQ.
+ * @returns {Promise<Object>} The queue handle.
+ */
+function replyQueueFor(conn, replyToQueue) {
+  if (!replyToQueue || replyToQueue === outputQueueName) {
+    return Promise.resolve(conn.outQueue);
+  }
+  if (!conn.replyQueues.has(replyToQueue)) {
+    if (conn.replyQueues.size >= maxReplyQueues) {
+      dropReplyQueue(conn, conn.replyQueues.keys().next().value);
+    }
+    const opening = conn.transport.open(replyToQueue, "output");
+    // A queue that could not be opened is tried again by the next reply for it.
+    opening.catch(() => {
+      if (conn.replyQueues.get(replyToQueue) === opening) {
+        conn.replyQueues.delete(replyToQueue);
+      }
+    });
+    conn.replyQueues.set(replyToQueue, opening);
+  }
+  return conn.replyQueues.get(replyToQueue);
+}
+
+// Forgets a ReplyToQ handle and closes it.
+function dropReplyQueue(conn, replyToQueue) {
+  const opening = conn.replyQueues.get(replyToQueue);
+  if (opening) {
+    conn.replyQueues.delete(replyToQueue);
+    opening.then((queue) => conn.transport.close(queue)).catch(() => {});
   }
 }
 
 /**
  * sendResponse
  * -------------
- * Serializes the response object as JSON and posts it to DEV.QUEUE.2.
+ * Encodes a reply to the request (see replyOptions()) and posts it to the request's ReplyToQ,
+ * or to DEV.QUEUE.2 when it has none. The request's CorrelId is set on the reply so the API
+ * can tie it to its batch or request, the reply keeps the request's priority, and the active
+ * trace is passed on in the message properties.
  *
- * @param {Object} responseObj - The response containing { id, value, prime }.
+ * @param {Object} conn - The connection: { transport, outQueue, replyQueues, deadLetterQueue }.
+ * @param {string} type - MESSAGE_TYPES.REPLY or MESSAGE_TYPES.TASK_REPLY.
+ * @param {Object} payload - The reply's payload: { results: [{ id, value, prime, ... }] } or
+ *        a task outcome, { taskId, task, status, ... }.
+ * @param {Object} request - The request being answered, as returned by decodeMessage().
+ * @param {Object} message - The request message from the transport: { correlId, replyToQueue,
+ *        priority }.
+ * @returns {Promise<void>} Resolves once the put has completed; rejects if encoding, opening
+ *          the ReplyToQ or the put failed.
  */
-function sendResponse(responseObj) {
-  const msgStr = JSON.stringify(responseObj);
-  const buf = Buffer.from(msgStr);
-  const mqmd = new mq.MQMD();
-  const pmo = new mq.MQPMO();
-  pmo.Options = MQC.MQPMO_NO_SYNCPOINT;
-  if (!outQueueHandle) {
-    console.error(
-      "Output queue handle is not available. Cannot send response."
+function sendResponse(conn, type, payload, request, message) {
+  if (!conn.outQueue) {
+    return Promise.reject(
+      new Error("Output queue handle is not available. Cannot send response.")
     );
-    return;
   }
-  mq.PutSync(outQueueHandle, mqmd, pmo, buf, (err) => {
-    if (err) {
-      console.error("Error putting message to output queue:", err);
-    } else {
-      console.log(`Response sent to ${outputQueueName}: ${msgStr}`);
-    }
-  });
+  const queueName = message.replyToQueue || outputQueueName;
+  let msgStr;
+  try {
+    msgStr = encodeMessage(type, payload, replyOptions(request));
+  } catch (err) {
+    log.error("Error encoding the reply", { err });
+    return Promise.reject(err);
+  }
+  // What the reply answers, for the logs and the span.
+  let details;
+  let attributes;
+  if (type === MESSAGE_TYPES.TASK_REPLY) {
+    details = { taskId: payload.taskId, task: payload.task, status: payload.status };
+    attributes = { "task.id": payload.taskId, "task.name": payload.task };
+  } else {
+    const recordIds = payload.results.map((response) => response.id);
+    details = recordIds.length > 1 ? { recordIds } : { recordId: recordIds[0] };
+    attributes = { "prime.record.count": recordIds.length };
+  }
+  return replyQueueFor(conn, message.replyToQueue)
+    .then((queue) =>
+      tracedPut(conn.transport, queue, msgStr, {
+        correlId: message.correlId,
+        priority: message.priority,
+        syncpoint: true,
+        attributes,
+      })
+    )
+    .then(() => {
+      messagesReplied.inc({ queue: queueName });
+      log.info("Response put (pending commit)", { queue: queueName, ...details });
+    })
+    .catch((err) => {
+      // The handle may be what failed; the next reply to this queue opens it again.
+      dropReplyQueue(conn, message.replyToQueue);
+      log.error("Error putting message to the reply queue", { queue: queueName, ...details, err });
+      throw err;
+    });
 }
 
 /**
- * millerRabin
- * ------------
- * Implements the Miller-Rabin probabilistic test to determine if a number is prime.
+ * publishResults
+ * ---------------
+ * Publishes each result on the found topic (primes) or the composite topic (everything else)
+ * as a prime.reply with that one result, so subscribers can follow either kind without the
+ * other. The publications carry the request's CorrelId and priority, as replies do, and are
+ * made under syncpoint in the unit of work of the request.
  *
- * @param {bigint} n - The number to test.
- * @param {number} k - The number of iterations for the test.
- * @returns {boolean} - True if n is probably prime, false otherwise.
+ * @param {Object} conn - The connection: { transport, topics: { found, composite } }.
+ * @param {Object[]} results - The results, as in a prime.reply payload.
+ * @param {Object} request - The request being answered, as returned by decodeMessage().
+ * @param {Object} message - The request message from the transport.
+ * @returns {Promise<void>} Resolves once every publication has been put.
+ */
+function publishResults(conn, results, request, message) {
+  return Promise.all(
+    results.map((result) => {
+      const topic = result.prime ? conn.topics.found : conn.topics.composite;
+      let body;
+      try {
+        body = encodeMessage(MESSAGE_TYPES.REPLY, { results: [result] }, { correlationId: request.envelope.id });
+      } catch (err) {
+        log.error("Error encoding the publication", { err });
+        return Promise.reject(err);
+      }
+      return tracedPut(conn.transport, topic, body, {
+        correlId: message.correlId,
+        priority: message.priority,
+        syncpoint: true,
+        attributes: { "prime.record.id": result.id },
+      }).then(
+        () => {
+          log.info("Result published (pending commit)", { topic: topic.name, recordId: result.id });
+        },
+        (err) => {
+          log.error("Error publishing the result", { topic: topic.name, recordId: result.id, err });
+          throw err;
+        }
+      );
+    })
+  ).then(() => {});
+}
+
+/**
+ * createUnitOfWork
+ * -----------------
+ * Creates the state of a connection's current unit of work:
+ *   messageIds - IDs (hex) of the messages got in it
+ *   startedAt  - when its first message was got
+ *   inFlight   - processing promises of the messages not yet answered
+ *   failed     - set when processing a message failed, so the work must be backed out
+ *   commitNow  - set when the work must be committed before the next get
  */
-function millerRabin(n, k) {
-  if (n === 2n || n === 3n) return true;
-  if (n < 2n || n % 2n === 0n) return false;
-
-  let s = 0n;
-  let d = n - 1n;
-  while (d % 2n === 0n) {
-    d /= 2n;
-    s += 1n;
+function createUnitOfWork() {
+  return { messageIds: [], startedAt: 0, inFlight: new Set(), failed: false, commitNow: false };
+}
+
+/**
+ * commitWork
+ * -----------
+ * Commits the current unit of work: the gets of the handled messages and their response
+ * or dead-letter puts. Committed messages are added to the reply guard. When the outcome of
+ * the commit is unknown, they are added as well, because a reply may already have been
+ * delivered; when the commit is known to have been backed out, they are not.
+ *
+ * @param {Object} conn - The connection: { transport, outQueue, deadLetterQueue }.
+ * @param {Object} uow - The unit of work, from createUnitOfWork().
+ * @returns {Promise<void>} Resolves once the commit has completed or failed.
+ */
+function commitWork(conn, uow) {
+  const handled = uow.messageIds;
+  uow.messageIds = [];
+  uow.commitNow = false;
+  if (handled.length === 0) {
+    return Promise.resolve();
   }
+  return conn.transport.commit().then(
+    () => {
+      handled.forEach((msgId) => replyGuard.add(msgId));
+      log.info("Committed unit of work", { messages: handled.length });
+    },
+    (err) => {
+      if (err.backedOut) {
+        log.error("Commit failed; the unit of work was backed out", { err });
+      } else {
+        log.error("Commit outcome unknown; treating the replies as sent", { err });
+        handled.forEach((msgId) => replyGuard.add(msgId));
+      }
+    }
+  );
+}
 
-  WitnessLoop: for (let i = 0; i < k; i++) {
-    const a = 2n + BigInt(Math.floor(Math.random() * Number(n - 4n)));
-    let x = modPow(a, d, n);
-    if (x === 1n || x === n - 1n) continue;
-    for (let r = 1n; r < s; r++) {
-      x = modPow(x, 2n, n);
-      if (x === n - 1n) continue WitnessLoop;
+/**
+ * backoutWork
+ * ------------
+ * Backs out the current unit of work. Every message got in it returns to the input queue
+ * with its BackoutCount increased, and its response or dead-letter put is discarded.
+ *
+ * @param {Object} conn - The connection: { transport, outQueue, deadLetterQueue }.
+ * @param {Object} uow - The unit of work, from createUnitOfWork().
+ * @returns {Promise<void>} Resolves once the backout has completed or failed.
+ */
+function backoutWork(conn, uow) {
+  const count = uow.messageIds.length;
+  uow.messageIds = [];
+  uow.failed = false;
+  uow.commitNow = false;
+  return conn.transport.backout().then(
+    () => {
+      log.warn("Backed out unit of work", { messages: count });
+    },
+    (err) => {
+      log.error("Error backing out unit of work", { err });
     }
-    return false;
-  }
-  return true;
+  );
 }
 
 /**
- * modPow
- * -------
- * Computes (base^exponent) mod modulus using exponentiation by squaring.
+ * settleWork
+ * -----------
+ * Ends the current unit of work. It first waits for the messages still in flight, because
+ * committing before their replies are put would consume them unanswered. Then it commits,
+ * or backs out when processing any of the messages failed. After a backout it pauses for a
+ * second so a message that keeps failing is not retried in a tight loop.
  *
- * @param {bigint} base - The base number.
- * @param {bigint} exponent - The exponent.
- * @param {bigint} modulus - The modulus.
- * @returns {bigint} - The result of (base^exponent) mod modulus.
+ * @param {Object} conn - The connection: { transport, outQueue, deadLetterQueue }.
+ * @param {Object} uow - The unit of work, from createUnitOfWork().
+ * @returns {Promise<void>} Resolves once the unit of work has been committed or backed out.
  */
-function modPow(base, exponent, modulus) {
-  if (modulus === 1n) return 0n;
-  let result = 1n;
-  base = base % modulus;
-  while (exponent > 0n) {
-    if (exponent % 2n === 1n) {
-      result = (result * base) % modulus;
+function settleWork(conn, uow) {
+  // The in-flight promises never reject; failures are recorded in uow.failed.
+  return Promise.all(uow.inFlight).then(() => {
+    if (uow.failed) {
+      return backoutWork(conn, uow).then(() => sleep(1000));
     }
-    exponent = exponent / 2n;
-    base = (base * base) % modulus;
-  }
-  return result;
+    return commitWork(conn, uow);
+  });
 }
 
 /**
- * startConsumer
+ * pollConnection
  * ---------------
- * Connects to QM1, opens both the input (DEV.QUEUE.1) and output (DEV.QUEUE.2) queues,
- * and begins polling for messages from the input queue. For each message, it processes
- * the JSON and posts the result to the output queue.
+ * Polls the input queue on one connection from the connection manager. For each message,
+ * it processes the JSON and posts the result to the output queue.
+ *
+ * Polling on the connection ends in two ways:
+ *   - shutdown() was called: the messages in flight are finished and the unit of work is
+ *     committed.
+ *   - Getting failed maxGetFailures times in a row, or the transport has lost its connection:
+ *     the connection is assumed to be broken.
+ *     The messages in flight are finished (their puts fail on a broken connection), the
+ *     unit of work is abandoned, and the failure is reported so the manager reconnects.
+ *
+ * @param {Object} managed - A connection from the manager: { transport, queues }.
+ * @returns {Promise<void>} Resolves once polling on this connection has ended.
  */
-function startConsumer() {
-  console.log("Starting consumer...");
-
-  // Create connection options and specify client binding.
-  const cno = new mq.MQCNO();
-  cno.Options = MQC.MQCNO_CLIENT_BINDING;
-
-  // Set up connection details using an MQCD structure.
-  const cd = new mq.MQCD();
-  cd.ChannelName = process.env.MQ_CHANNEL || "DEV.APP.SVRCONN";
-  cd.ConnectionName = process.env.MQ_CONNNAME || "localhost(1414)";
-  cno.ClientConn = cd;
-
-  // Set up security parameters using MQCSP.
-  const csp = new mq.MQCSP();
-  csp.UserId = process.env.MQ_USER || "app";
-  csp.Password = process.env.MQ_PASSWORD || "appIsSecure";
-  cno.SecurityParms = csp;
-
-  // Connect asynchronously to the queue manager.
-  mq.Connx(qMgr, cno, (err, hConn) => {
-    if (err) {
-      console.error("Error connecting to MQ:", err);
-      console.log("Retrying connection in 5 seconds...");
-      setTimeout(startConsumer, 5000); // Retry after 5 seconds
-      return;
-    }
-    console.log(`Connected to queue manager ${qMgr}`);
-
-    // --- Open the input queue (DEV.QUEUE.1) ---
-    const odIn = new mq.MQOD();
-    odIn.ObjectName = inputQueueName;
-    odIn.ObjectType = MQC.MQOT_Q;
-    const openOptionsIn = MQC.MQOO_INPUT_AS_Q_DEF | MQC.MQOO_OUTPUT;
-    mq.Open(hConn, odIn, openOptionsIn, (err, hIn) => {
-      if (err) {
-        console.error("Error opening input queue:", err);
-        mq.Disc(hConn, (discErr) => {
-          if (discErr) console.error("Disconnect error:", discErr);
+function pollConnection(managed) {
+  const { transport } = managed;
+  const inQueue = managed.queues.input;
+  // The transport and queues used by this connection. Messages still in flight when the
+  // consumer reconnects keep using the old connection, so they cannot join the new one's
+  // units of work.
+  const conn = {
+    transport,
+    outQueue: managed.queues.output,
+    deadLetterQueue: managed.queues.deadLetter,
+    replyQueues: new Map(), // ReplyToQ name -> Promise of its handle, see replyQueueFor()
+    topics: { found: managed.queues.found, composite: managed.queues.composite },
+  };
+
+  // Get errors are retried after a pause. After maxGetFailures failures in a row the
+  // connection is handed back to the manager as broken.
+  const maxGetFailures = 3;
+  let getFailures = 0;
+  const uow = createUnitOfWork();
+
+  return new Promise((resolve) => {
+    // Processes a message in the background as part of the current unit of work.
+    function track(message) {
+      if (uow.messageIds.length === 0) {
+        uow.startedAt = Date.now();
+      }
+      uow.messageIds.push(message.msgId.toString("hex"));
+      // A redelivered message is committed straight away, so that if a message got after it
+      // fails, it is not backed out again with that one.
+      if (message.backoutCount > 0) {
+        uow.commitNow = true;
+      }
+
+      const task = withReceiveSpan(inputQueueName, message, () => processMessage(conn, message))
+        .catch((err) => {
+          log.error("Error processing message; the unit of work will be backed out", {
+            msgId: message.msgId.toString("hex"),
+            err,
+          });
+          messagesFailed.inc({ queue: inputQueueName, reason: "processing_error" });
+          uow.failed = true;
+        })
+        .finally(() => {
+          uow.inFlight.delete(task);
         });
-        console.log("Retrying connection in 5 seconds...");
-        setTimeout(startConsumer, 5000); // Retry after 5 seconds
+      uow.inFlight.add(task);
+    }
+
+    function getMessage() {
+      // Shutting down: finish the messages in flight and commit them.
+      if (stopping) {
+        settleWork(conn, uow).then(resolve);
         return;
       }
-      console.log(`Input queue ${inputQueueName} opened.`);
-
-      // --- Open the output queue (DEV.QUEUE.2) for posting responses ---
-      const odOut = new mq.MQOD();
-      odOut.ObjectName = outputQueueName;
-      odOut.ObjectType = MQC.MQOT_Q;
-      const openOptionsOut = MQC.MQOO_OUTPUT;
-      mq.Open(hConn, odOut, openOptionsOut, (err, hOut) => {
-        if (err) {
-          console.error("Error opening output queue:", err);
-          mq.Disc(hConn, (discErr) => {
-            if (discErr) console.error("Disconnect error:", discErr);
-          });
-          console.log("Retrying connection in 5 seconds...");
-          setTimeout(startConsumer, 5000); // Retry after 5 seconds
-          return;
-        }
-        console.log(`Output queue ${outputQueueName} opened.`);
-        outQueueHandle = hOut; // Save the output queue handle for later use.
-
-        // --- Start polling for messages from the input queue ---
-        function getMessage() {
-          console.log("Polling for a message...");
-          const md = new mq.MQMD();
-          const gmo = new mq.MQGMO();
-          // Set options: wait up to 3 seconds and perform conversion.
-          gmo.Options = MQC.MQGMO_WAIT | MQC.MQGMO_CONVERT;
-          gmo.WaitInterval = 3000;
-          const buf = Buffer.alloc(1024);
-
-          mq.GetSync(hIn, md, gmo, buf, (err, len) => {
-            if (err) {
-              if (err.mqrc === MQC.MQRC_NO_MSG_AVAILABLE) {
-                console.log("No message available. Polling again...");
-                // Use setImmediate to schedule getMessage() after the stack clears.
-                return setImmediate(getMessage);
-              } else {
-                console.error("Error getting message:", err);
+
+      // Back-pressure: with maxInFlight messages being processed, wait for one to finish.
+      if (uow.inFlight.size >= maxInFlight) {
+        Promise.race(uow.inFlight).then(getMessage);
+        return;
+      }
+
+      // Settle the unit of work before getting more when processing failed or it is due.
+      if (
+        uow.messageIds.length > 0 &&
+        (uow.failed ||
+          uow.commitNow ||
+          uow.messageIds.length >= commitBatchSize ||
+          Date.now() - uow.startedAt >= commitIntervalMs)
+      ) {
+        settleWork(conn, uow).then(() => setImmediate(getMessage));
+        return;
+      }
+
+      log.trace("Polling for a message");
+      // Wait up to 3 seconds for a message, but no longer than until the current unit of
+      // work is due to be committed.
+      let waitMs = 3000;
+      if (uow.messageIds.length > 0) {
+        waitMs = Math.max(0, Math.min(waitMs, uow.startedAt + commitIntervalMs - Date.now()));
+      }
+      transport
+        .get(inQueue, { waitMs, syncpoint: true })
+        .then(
+          (message) => {
+            getFailures = 0;
+            if (!message) {
+              if (uow.messageIds.length === 0) {
+                log.trace("No message available; polling again");
                 return;
               }
+              // Nothing is waiting, so commit whatever has been handled so far.
+              return settleWork(conn, uow);
+            }
+            log.debug("Message received", { bytes: message.body.length });
+            track(message);
+          },
+          (err) => {
+            getFailures += 1;
+            log.error("Error getting message", { failure: getFailures, maxFailures: maxGetFailures, err });
+            // A transport that has lost its connection will not recover by itself.
+            if (getFailures >= maxGetFailures || !transport.isConnected()) {
+              return Promise.reject(err);
             }
-            console.log(`Message received, length: ${len} bytes.`);
-            const msgBuffer = buf.slice(0, len);
-            processMessage(msgBuffer);
-            // Again, schedule the next polling iteration with setImmediate.
+            log.info("Polling again in 5 seconds");
+            return sleep(5000);
+          }
+        )
+        .then(
+          () => {
+            // Use setImmediate to schedule getMessage() after the stack clears.
             setImmediate(getMessage);
-          });
-        }
-        // Begin polling for messages.
-        getMessage();
-      });
-    });
+          },
+          (err) => {
+            // Abandon the unit of work; the manager backs it out as it drops the connection.
+            Promise.all(uow.inFlight).then(() => {
+              uow.messageIds = [];
+              manager.reportFailure(managed, err);
+              resolve();
+            });
+          }
+        );
+    }
+
+    log.info("Polling", { maxInFlight, workerThreads: workerPoolSize });
+    getMessage();
+  });
+}
+
+/**
+ * startConsumer
+ * ---------------
+ * Creates the connection manager, which connects to the messaging backend and opens the
+ * input (DEV.QUEUE.1), output (DEV.QUEUE.2) and dead-letter queues, and the result topics
+ * when results are published, on every connection, reconnecting with backoff when the
+ * connection is lost. Polls each connection with pollConnection() until shutdown() is
+ * called; while disconnected, no messages are taken.
+ *
+ * @returns {Promise<void>} Resolves once polling has stopped for good.
+ */
+async function startConsumer() {
+  log.info("Starting consumer");
+
+  // The transport selected by MQ_TRANSPORT, with the connection details from the configuration.
+  try {
+    await createTransport();
+  } catch (err) {
+    // A missing MQ client library will not fix itself, so do not retry.
+    log.error("Error creating MQ transport", { err });
+    process.exitCode = 1;
+    computePool.close();
+    healthServer.close();
+    return;
+  }
+
+  // The task handlers, including those of TASK_MODULES.
+  try {
+    const tasks = await loadTasks();
+    log.info("Tasks registered", { tasks });
+  } catch (err) {
+    log.error("Error loading task modules", { err });
+    process.exitCode = 1;
+    computePool.close();
+    healthServer.close();
+    return;
+  }
+
+  manager = createConnectionManager({
+    name: "Consumer",
+    connect: async () => {
+      const transport = await createTransport();
+      await transport.connect();
+      return transport;
+    },
+    queues: {
+      input: { name: inputQueueName, mode: "input" },
+      output: { name: outputQueueName, mode: "output" },
+      deadLetter: { name: deadLetterQueueName, mode: "output" },
+      ...(publishToTopics && {
+        found: { topic: config.mq.results.foundTopic },
+        composite: { topic: config.mq.results.compositeTopic },
+      }),
+    },
   });
+  manager.start();
+
+  for (;;) {
+    // Intake pauses here while the manager reconnects.
+    const managed = await Promise.race([manager.waitForConnection(), stopRequested]);
+    if (!managed) {
+      return;
+    }
+    await pollConnection(managed);
+    if (stopping) {
+      return;
+    }
+  }
+}
+
+/**
+ * shutdown
+ * ---------
+ * Stops the consumer gracefully on SIGTERM or SIGINT: polling stops after the current get,
+ * the messages in flight are finished and committed, the queue handles are closed and the
+ * connection is disconnected, then the worker pool, the health server, the result cache
+ * client and the database pool are closed. If that takes longer than SHUTDOWN_TIMEOUT_MS
+ * (default 15000), the process exits anyway; uncommitted messages are then backed out by the
+ * queue manager.
+ *
+ * @param {string} signal - The signal that was received.
+ */
+async function shutdown(signal) {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+  requestStop();
+  log.info("Signal received; finishing the messages in flight before exiting", { signal });
+  const timer = setTimeout(() => {
+    log.error("Shutdown is taking too long; exiting without finishing");
+    process.exit(1);
+  }, Number(process.env.SHUTDOWN_TIMEOUT_MS) || 15000);
+  timer.unref();
+
+  try {
+    await consumerStopped;
+    if (manager) {
+      await manager.close();
+    }
+    await computePool.close();
+    await new Promise((resolve) => {
+      healthServer.close(resolve);
+      healthServer.closeIdleConnections();
+    });
+    await closeCache();
+    await closeDatabase();
+    log.info("Consumer stopped");
+  } catch (err) {
+    log.error("Error during shutdown", { err });
+    process.exitCode = 1;
+  }
+  process.exit();
 }
 
-// Start the consumer service.
-startConsumer();
+// Start the health endpoints and the consumer service, and stop gracefully on a signal.
+const healthServer = startHealthServer({
+  port: config.http.consumerPort,
+  checks: {
+    mq: () => checkMessaging(manager?.connection()?.transport, [inputQueueName, outputQueueName]),
+    workers: async () => ({
+      size: computePool.size,
+      busy: computePool.busy(),
+      tasks: listTasks().map((task) => task.name),
+    }),
+    mssql: checkDatabase,
+  },
+});
+const consumerStopped = startConsumer();
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
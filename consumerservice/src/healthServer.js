@@ -0,0 +1,53 @@
+/*
+ * healthServer.js
+ *
+ * Summary:
+ * --------
+ * A small HTTP server that lets orchestrators, Prometheus and on-call staff see the
+ * consumer's state. The consumer has no other HTTP surface, so this is all the server offers:
+ *
+ *   GET /health/live   200 while the process is up and its event loop is serving requests.
+ *   GET /health/ready  200 when every readiness check passes, 503 otherwise. The body is the
+ *                      report from runChecks() (shared/src/health), including the depths of
+ *                      the queues the consumer reads from and writes to.
+ *   GET /metrics       The consumer's metrics in the Prometheus text format (see
+ *                      shared/src/metrics).
+ *
+ * The checks are passed in by the consumer, because only it knows its current connection.
+ */
+import express from "express";
+import { runChecks } from "shared/health/index.js";
+import { metricsHandler } from "shared/metrics/index.js";
+import { createLogger } from "shared/logging/index.js";
+
+const log = createLogger("healthServer");
+
+/**
+ * startHealthServer
+ * ------------------
+ * @param {Object} options
+ * @param {number|string} options.port - The port to listen on.
+ * @param {Object<string, Function>} options.checks - Readiness checks by name (see runChecks()).
+ * @returns {import("http").Server} The listening server.
+ */
+export function startHealthServer({ port, checks }) {
+  const app = express();
+
+  // Route for liveness probes; it does not look at MQ or MSSQL.
+  app.get("/health/live", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Route for readiness probes.
+  app.get("/health/ready", async (req, res) => {
+    const report = await runChecks(checks);
+    res.status(report.status === "ok" ? 200 : 503).json(report);
+  });
+
+  // Route for Prometheus scrapes.
+  app.get("/metrics", metricsHandler);
+
+  return app.listen(port, () => {
+    log.info("Consumer health and metrics endpoints listening", { port });
+  });
+}
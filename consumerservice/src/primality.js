@@ -0,0 +1,507 @@
+/*
+ * primality.js
+ *
+ * Summary:
+ * --------
+ * Primality testing and factorization for the consumer, on BigInt values of any size.
+ *
+ * The primality test is chosen by the size of the number:
+ *   - Below 10,000: trial division against a precomputed table of primes.
+ *   - Below 2^64: Miller–Rabin with the fixed witnesses 2, 3, 5, ..., 37, which is proven
+ *     to give the right answer for every number in that range.
+ *   - 2^64 and above: Baillie–PSW (a strong base-2 Miller–Rabin test followed by a strong
+ *     Lucas test). No composite is known to pass it, but that is not proven, so a "prime"
+ *     answer in this range is reported as not certain. A "composite" answer is always certain.
+ *
+ * Composites are factored with trial division followed by Pollard's rho (Brent's variant)
+ * within a time limit. When the limit is reached, the part that could not be split is
+ * reported as "unfactored".
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Helpers: small prime table, modular arithmetic, gcd, integer square root, Jacobi symbol.
+ * 2. Tests: strongProbablePrime(), strongLucasProbablePrime().
+ * 3. testPrimality(n): Picks a test and reports { prime, method, certain }.
+ * 4. factorize(n, deadline): Trial division and Pollard–Brent rho.
+ * 5. analyzeNumber(n, options): The combined result sent back by the consumer.
+ * 6. nextPrime(n) / previousPrime(n): The nearest primes above and below n.
+ * 7. countPrimesInRange(start, end, options): A segmented sieve of Eratosthenes over a range.
+ */
+
+import { performance } from "perf_hooks";
+
+const TRIAL_DIVISION_LIMIT = 10000;
+const TWO_POW_64 = 1n << 64n;
+// Testing against all of these bases is deterministic for n < 2^64.
+const DETERMINISTIC_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+
+/**
+ * SMALL_PRIMES
+ * -------------
+ * All primes below TRIAL_DIVISION_LIMIT, computed once with a sieve of Eratosthenes.
+ */
+const SMALL_PRIMES = (() => {
+  const composite = new Uint8Array(TRIAL_DIVISION_LIMIT);
+  const primes = [];
+  for (let i = 2; i < TRIAL_DIVISION_LIMIT; i++) {
+    if (composite[i]) continue;
+    primes.push(BigInt(i));
+    for (let j = i * i; j < TRIAL_DIVISION_LIMIT; j += i) {
+      composite[j] = 1;
+    }
+  }
+  return primes;
+})();
+
+// Modulo that always returns a value in [0, m), also for negative a.
+function mod(a, m) {
+  const r = a % m;
+  return r < 0n ? r + m : r;
+}
+
+/**
+ * modPow
+ * -------
+ * Computes (base^exponent) mod modulus using exponentiation by squaring.
+ *
+ * @param {bigint} base - The base number.
+ * @param {bigint} exponent - The exponent.
+ * @param {bigint} modulus - The modulus.
+ * @returns {bigint} - The result of (base^exponent) mod modulus.
+ */
+export function modPow(base, exponent, modulus) {
+  if (modulus === 1n) return 0n;
+  let result = 1n;
+  base = mod(base, modulus);
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % modulus;
+    }
+    exponent >>= 1n;
+    base = (base * base) % modulus;
+  }
+  return result;
+}
+
+function gcd(a, b) {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a < 0n ? -a : a;
+}
+
+// Largest integer r with r * r <= n (Newton's method).
+function isqrt(n) {
+  if (n < 2n) return n;
+  let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+  for (;;) {
+    const y = (x + n / x) >> 1n;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+// Jacobi symbol (a/n) for odd positive n.
+function jacobi(a, n) {
+  a = mod(a, n);
+  let result = 1;
+  while (a !== 0n) {
+    while ((a & 1n) === 0n) {
+      a >>= 1n;
+      const r = n % 8n;
+      if (r === 3n || r === 5n) result = -result;
+    }
+    [a, n] = [n, a];
+    if (a % 4n === 3n && n % 4n === 3n) result = -result;
+    a %= n;
+  }
+  return n === 1n ? result : 0;
+}
+
+/**
+ * strongProbablePrime
+ * --------------------
+ * One round of Miller–Rabin: checks whether odd n > 2 is a strong probable prime to base a.
+ */
+function strongProbablePrime(n, a) {
+  a = mod(a, n);
+  if (a === 0n) return true;
+
+  let d = n - 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    s += 1;
+  }
+
+  let x = modPow(a, d, n);
+  if (x === 1n || x === n - 1n) return true;
+  for (let r = 1; r < s; r++) {
+    x = (x * x) % n;
+    if (x === n - 1n) return true;
+    if (x === 1n) return false;
+  }
+  return false;
+}
+
+/**
+ * strongLucasProbablePrime
+ * -------------------------
+ * The strong Lucas test with Selfridge's parameters (method A): D is the first of
+ * 5, -7, 9, -11, ... with Jacobi symbol (D/n) = -1, P = 1 and Q = (1 - D) / 4.
+ * n must be odd, greater than 2 and not a perfect square.
+ */
+function strongLucasProbablePrime(n) {
+  let D = 5n;
+  for (;;) {
+    const j = jacobi(D, n);
+    if (j === -1) break;
+    if (j === 0 && (D < 0n ? -D : D) !== n) return false;
+    D = D > 0n ? -(D + 2n) : -(D - 2n);
+  }
+  const P = 1n;
+  const Q = (1n - D) / 4n;
+
+  // Write n + 1 = d * 2^s with d odd.
+  let d = n + 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    s += 1;
+  }
+
+  // Halve x modulo n (n is odd, so an odd x is made even by adding n).
+  const half = (x) => {
+    x = mod(x, n);
+    return ((x & 1n) ? x + n : x) / 2n % n;
+  };
+
+  // Compute U_d, V_d and Q^d from the most significant bit of d down.
+  let U = 1n;
+  let V = P;
+  let Qk = mod(Q, n);
+  const bits = d.toString(2);
+  for (let i = 1; i < bits.length; i++) {
+    U = (U * V) % n;
+    V = mod(V * V - 2n * Qk, n);
+    Qk = (Qk * Qk) % n;
+    if (bits[i] === "1") {
+      const nextU = half(P * U + V);
+      V = half(D * U + P * V);
+      U = nextU;
+      Qk = mod(Qk * Q, n);
+    }
+  }
+
+  if (U === 0n || V === 0n) return true;
+  for (let r = 1; r < s; r++) {
+    V = mod(V * V - 2n * Qk, n);
+    if (V === 0n) return true;
+    Qk = (Qk * Qk) % n;
+  }
+  return false;
+}
+
+/**
+ * testPrimality
+ * --------------
+ * Decides whether n is prime, using the test that fits its size (see the summary above).
+ *
+ * @param {bigint} n - The number to test.
+ * @returns {{ prime: boolean, method: string, certain: boolean }}
+ */
+export function testPrimality(n) {
+  if (n < 2n) {
+    return { prime: false, method: "trivial", certain: true };
+  }
+  for (const p of SMALL_PRIMES) {
+    if (p * p > n) {
+      return { prime: true, method: "trial-division", certain: true };
+    }
+    if (n % p === 0n) {
+      return { prime: n === p, method: "trial-division", certain: true };
+    }
+  }
+
+  if (n < TWO_POW_64) {
+    const prime = DETERMINISTIC_BASES.every((a) => strongProbablePrime(n, a));
+    return { prime, method: "miller-rabin-deterministic", certain: true };
+  }
+
+  const root = isqrt(n);
+  const prime =
+    root * root !== n && strongProbablePrime(n, 2n) && strongLucasProbablePrime(n);
+  // Baillie–PSW never calls a prime composite, so only a "prime" answer is uncertain.
+  return { prime, method: "bpsw", certain: !prime };
+}
+
+/**
+ * pollardBrent
+ * -------------
+ * Finds a non-trivial factor of the odd composite n with Brent's variant of Pollard's rho.
+ * Returns null if the deadline (a performance.now() timestamp) passes first.
+ */
+function pollardBrent(n, deadline) {
+  const m = 128;
+  for (let c = 1n; ; c++) {
+    const f = (v) => (v * v + c) % n;
+    let y = 2n;
+    let g = 1n;
+    let q = 1n;
+    let r = 1;
+    let x;
+    let ys;
+
+    do {
+      x = y;
+      for (let i = 0; i < r; i++) {
+        y = f(y);
+      }
+      for (let k = 0; k < r && g === 1n; k += m) {
+        ys = y;
+        for (let i = 0; i < Math.min(m, r - k); i++) {
+          y = f(y);
+          q = (q * (x > y ? x - y : y - x)) % n;
+        }
+        g = gcd(q, n);
+        if (performance.now() > deadline) return null;
+      }
+      r *= 2;
+    } while (g === 1n);
+
+    if (g === n) {
+      // The batched gcd overshot; step through the last batch one value at a time.
+      do {
+        ys = f(ys);
+        g = gcd(x > ys ? x - ys : ys - x, n);
+      } while (g === 1n);
+    }
+    if (g !== n) return g;
+    // Otherwise this polynomial failed; try the next constant c.
+  }
+}
+
+/**
+ * factorize
+ * ----------
+ * Factors n > 1 into primes, stopping when the deadline passes.
+ *
+ * @param {bigint} n - The number to factor.
+ * @param {number} deadline - A performance.now() timestamp after which to give up.
+ * @returns {{ factors: Array<{ prime: bigint, exponent: number }>, unfactored: bigint[] }}
+ *          The prime factors found, in ascending order, and any composite parts left over.
+ */
+export function factorize(n, deadline) {
+  const found = new Map();
+  const unfactored = [];
+  const addFactor = (p) => found.set(p, (found.get(p) || 0) + 1);
+
+  let rest = n;
+  for (const p of SMALL_PRIMES) {
+    if (p * p > rest) break;
+    while (rest % p === 0n) {
+      addFactor(p);
+      rest /= p;
+    }
+  }
+
+  const pending = rest > 1n ? [rest] : [];
+  while (pending.length > 0) {
+    const m = pending.pop();
+    if (testPrimality(m).prime) {
+      addFactor(m);
+      continue;
+    }
+    const root = isqrt(m);
+    const divisor = root * root === m ? root : pollardBrent(m, deadline);
+    if (divisor === null) {
+      unfactored.push(m);
+    } else {
+      pending.push(divisor, m / divisor);
+    }
+  }
+
+  const factors = [...found.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([prime, exponent]) => ({ prime, exponent }));
+  return { factors, unfactored: unfactored.sort((a, b) => (a < b ? -1 : 1)) };
+}
+
+/**
+ * analyzeNumber
+ * --------------
+ * Tests n for primality and, for composites, factors it.
+ *
+ * The result looks like:
+ *   {
+ *     prime: false,
+ *     method: "miller-rabin-deterministic",   // "trivial", "trial-division", ... or "bpsw"
+ *     certain: true,                          // false only for a BPSW "prime" answer
+ *     smallestFactor: "3",                    // null for primes, 0, 1, or when unknown
+ *     factors: [{ prime: "3", exponent: 2 }], // null for primes
+ *     unfactored: [],                         // composite parts left when time ran out
+ *     computeMs: 0.42
+ *   }
+ * All numbers except exponents and computeMs are decimal strings.
+ *
+ * @param {bigint} n - The number to analyze.
+ * @param {Object} [options]
+ * @param {number} [options.factorTimeLimitMs=1000] - Time allowed for factoring.
+ * @returns {Object} The analysis.
+ */
+export function analyzeNumber(n, { factorTimeLimitMs = 1000 } = {}) {
+  const start = performance.now();
+  const { prime, method, certain } = testPrimality(n);
+
+  let smallestFactor = null;
+  let factors = null;
+  let unfactored = [];
+  if (!prime && n > 1n) {
+    const result = factorize(n, start + factorTimeLimitMs);
+    factors = result.factors.map(({ prime: p, exponent }) => ({ prime: p.toString(), exponent }));
+    unfactored = result.unfactored.map((m) => m.toString());
+    // Trial division finds factors in ascending order, so the smallest factor found is the
+    // smallest overall when it came from trial division or nothing is left unfactored.
+    const smallest = result.factors[0]?.prime;
+    if (smallest !== undefined && (unfactored.length === 0 || smallest < BigInt(TRIAL_DIVISION_LIMIT))) {
+      smallestFactor = smallest.toString();
+    }
+  } else if (n <= 1n) {
+    factors = [];
+  }
+
+  return {
+    prime,
+    method,
+    certain,
+    smallestFactor,
+    factors,
+    unfactored,
+    computeMs: Math.round((performance.now() - start) * 1000) / 1000,
+  };
+}
+
+/**
+ * nextPrime / previousPrime
+ * --------------------------
+ * nextPrime(n) returns the smallest prime greater than n; previousPrime(n) returns the
+ * largest prime less than n, or null when n <= 2. Candidates are tested with testPrimality(),
+ * so above 2^64 the answer is a BPSW probable prime.
+ *
+ * @param {bigint} n - The starting point (any integer).
+ * @returns {bigint|null} The prime found.
+ */
+export function nextPrime(n) {
+  if (n < 2n) {
+    return 2n;
+  }
+  // The odd numbers above n; 2 is handled above.
+  for (let candidate = n % 2n === 0n ? n + 1n : n + 2n; ; candidate += 2n) {
+    if (testPrimality(candidate).prime) {
+      return candidate;
+    }
+  }
+}
+
+export function previousPrime(n) {
+  if (n <= 2n) {
+    return null;
+  }
+  if (n === 3n) {
+    return 2n;
+  }
+  for (let candidate = n % 2n === 0n ? n - 1n : n - 2n; candidate > 2n; candidate -= 2n) {
+    if (testPrimality(candidate).prime) {
+      return candidate;
+    }
+  }
+  return 2n;
+}
+
+// Ranges are sieved in segments of this many numbers, so memory use does not grow with them.
+const SEGMENT_SIZE = 1 << 18;
+// The largest end countPrimesInRange() accepts: its square root bounds the base primes kept
+// in memory (about 2 million primes below 3.2e7), and all arithmetic stays exact in Numbers.
+export const MAX_SIEVE_END = 1e15;
+
+// The primes up to the largest limit asked for so far, kept between calls.
+let basePrimes = { limit: 1, primes: new Uint32Array(0) };
+
+// Returns the primes up to limit (inclusive), sieving them the first time.
+function basePrimesUpTo(limit) {
+  if (limit <= basePrimes.limit) {
+    return basePrimes.primes;
+  }
+  const composite = new Uint8Array(limit + 1);
+  let count = 0;
+  for (let i = 2; i <= limit; i++) {
+    if (composite[i]) continue;
+    count++;
+    for (let j = i * i; j <= limit; j += i) {
+      composite[j] = 1;
+    }
+  }
+  const primes = new Uint32Array(count);
+  for (let i = 2, k = 0; i <= limit; i++) {
+    if (!composite[i]) primes[k++] = i;
+  }
+  basePrimes = { limit, primes };
+  return primes;
+}
+
+// The integer square root of a safe integer.
+function isqrtNumber(n) {
+  let r = Math.floor(Math.sqrt(n));
+  while (r * r > n) r--;
+  while ((r + 1) * (r + 1) <= n) r++;
+  return r;
+}
+
+/**
+ * countPrimesInRange
+ * -------------------
+ * Counts the primes in [start, end] with a segmented sieve of Eratosthenes: the primes up to
+ * sqrt(end) are sieved once, and then cross off their multiples in one segment of the range
+ * at a time.
+ *
+ * @param {number} start - The first number of the range (a non-negative safe integer).
+ * @param {number} end - The last number of the range, at most MAX_SIEVE_END.
+ * @param {Object} [options]
+ * @param {boolean} [options.listPrimes=false] - Also return the primes found.
+ * @returns {{ count: number, primes?: number[] }} The number of primes, and the primes in
+ *          ascending order when asked for.
+ */
+export function countPrimesInRange(start, end, { listPrimes = false } = {}) {
+  if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end) || start < 0 || end > MAX_SIEVE_END) {
+    throw new RangeError(`The range must lie within 0 to ${MAX_SIEVE_END}`);
+  }
+  const primes = listPrimes ? [] : undefined;
+  let count = 0;
+  if (end < 2 || end < start) {
+    return { count, primes };
+  }
+  const base = basePrimesUpTo(isqrtNumber(end));
+  const composite = new Uint8Array(SEGMENT_SIZE);
+
+  for (let low = Math.max(start, 2); low <= end; low += SEGMENT_SIZE) {
+    const high = Math.min(low + SEGMENT_SIZE - 1, end);
+    composite.fill(0);
+    for (let i = 0; i < base.length; i++) {
+      const p = base[i];
+      if (p * p > high) break;
+      // The first multiple of p in the segment, but not p itself.
+      const offset = low % p;
+      let m = Math.max(p * p, offset === 0 ? low : low + p - offset);
+      for (; m <= high; m += p) {
+        composite[m - low] = 1;
+      }
+    }
+    for (let n = low; n <= high; n++) {
+      if (!composite[n - low]) {
+        count++;
+        if (primes) primes.push(n);
+      }
+    }
+  }
+  return { count, primes };
+}
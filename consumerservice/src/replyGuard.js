@@ -0,0 +1,39 @@
+/*
+ * replyGuard.js
+ *
+ * Summary:
+ * --------
+ * Remembers which request messages the consumer has already answered, so a message that
+ * is delivered again is not answered twice. Redelivery happens when the outcome of a
+ * commit is unknown (for example, the connection broke during MQCMIT) and the queue
+ * manager later backs the unit of work out after all.
+ *
+ * Message IDs are kept in insertion order in a Map; once maxSize is reached the oldest
+ * entries are dropped, so memory use stays bounded.
+ */
+
+/**
+ * createReplyGuard
+ * -----------------
+ * @param {number} maxSize - The maximum number of message IDs to remember.
+ * @returns {{ has: Function, add: Function, size: Function }}
+ */
+export function createReplyGuard(maxSize) {
+  const answered = new Map();
+
+  return {
+    has(msgId) {
+      return answered.has(msgId);
+    },
+    add(msgId) {
+      answered.delete(msgId);
+      answered.set(msgId, Date.now());
+      while (answered.size > maxSize) {
+        answered.delete(answered.keys().next().value);
+      }
+    },
+    size() {
+      return answered.size;
+    },
+  };
+}
@@ -0,0 +1,142 @@
+/*
+ * tasks/index.js
+ *
+ * Summary:
+ * --------
+ * The registry of task handlers the consumer runs for "task.request" messages (see
+ * shared/src/messages). A handler is a definition:
+ *
+ *   {
+ *     description: "Finds the smallest prime greater than a number.",
+ *     inputSchema: { ... },        // JSON Schema of the input
+ *     resultSchema: { ... },       // JSON Schema of the result
+ *     run(input, context) { ... }  // returns the result, or a promise of it; throws on failure
+ *   }
+ *
+ * run() is called on a compute worker thread (see computeWorker.js), only with input that
+ * matches inputSchema, and with context { factorTimeLimitMs }. Its result is checked against
+ * resultSchema before it is sent back. An error it throws fails the task; the message itself
+ * is still answered.
+ *
+ * Handlers come from task modules, whose default export maps task names to definitions. The
+ * built-in number theory tasks are in numberTheory.js; TASK_MODULES adds more modules, as a
+ * comma-separated list of package names or file paths (relative to the working directory).
+ * That way new compute jobs can use the MQ pipeline without changes to the consumer. The main
+ * thread and every worker load the same modules.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. registerTask(name, definition): Adds a handler.
+ * 2. loadTasks(): Registers the built-in tasks and those of TASK_MODULES, once.
+ * 3. getTask(name) / listTasks(): Look handlers up.
+ * 4. validateTaskInput(name, input) / validateTaskResult(name, result): Schema checks.
+ */
+import path from "path";
+import { pathToFileURL } from "url";
+import { createValidator } from "shared/messages/index.js";
+import builtInTasks from "./numberTheory.js";
+
+// Task names as the task.request schema allows them.
+const TASK_NAME = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+// name -> { name, description, run, checkInput, checkResult }
+const registry = new Map();
+let loaded = null;
+
+/**
+ * registerTask
+ * -------------
+ * @param {string} name - The task name used in task.request messages, e.g. "nextPrime".
+ * @param {Object} definition - { description, inputSchema, resultSchema, run }.
+ * @throws {Error} When the name is invalid or taken, run is missing, or a schema is invalid.
+ */
+export function registerTask(name, definition) {
+  if (!TASK_NAME.test(name)) {
+    throw new Error(`Invalid task name ${JSON.stringify(name)}`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Task ${name} is already registered`);
+  }
+  if (typeof definition?.run !== "function") {
+    throw new Error(`Task ${name} has no run() function`);
+  }
+  registry.set(name, {
+    name,
+    description: definition.description || "",
+    run: definition.run,
+    checkInput: createValidator(definition.inputSchema || { type: "object" }),
+    checkResult: createValidator(definition.resultSchema || { type: "object" }),
+  });
+}
+
+// Imports a task module named in TASK_MODULES: a package name, or a path.
+function importTaskModule(specifier) {
+  const isPath = specifier.startsWith(".") || path.isAbsolute(specifier);
+  return import(isPath ? pathToFileURL(path.resolve(specifier)).href : specifier);
+}
+
+/**
+ * loadTasks
+ * ----------
+ * Registers the built-in tasks and those of the modules in TASK_MODULES. Later calls return
+ * the same promise.
+ *
+ * @returns {Promise<string[]>} The names of the registered tasks; rejects when a module cannot
+ *          be loaded or defines an invalid task.
+ */
+export function loadTasks() {
+  if (!loaded) {
+    loaded = (async () => {
+      const modules = [builtInTasks];
+      const specifiers = (process.env.TASK_MODULES || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      for (const specifier of specifiers) {
+        const module = await importTaskModule(specifier);
+        if (!module.default || typeof module.default !== "object") {
+          throw new Error(`Task module ${specifier} has no default export of task definitions`);
+        }
+        modules.push(module.default);
+      }
+      for (const tasks of modules) {
+        for (const [name, definition] of Object.entries(tasks)) {
+          registerTask(name, definition);
+        }
+      }
+      return [...registry.keys()];
+    })();
+  }
+  return loaded;
+}
+
+/**
+ * getTask / listTasks
+ * --------------------
+ * getTask(name) returns the registered handler, or undefined. listTasks() returns
+ * { name, description } for every handler.
+ */
+export function getTask(name) {
+  return registry.get(name);
+}
+
+export function listTasks() {
+  return [...registry.values()].map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * validateTaskInput / validateTaskResult
+ * ---------------------------------------
+ * @param {string} name - The task name.
+ * @param {Object} data - The input or result to check.
+ * @returns {string[]} The problems found; empty when data matches the task's schema.
+ */
+export function validateTaskInput(name, input) {
+  const task = registry.get(name);
+  return task ? task.checkInput(input, "input") : [`unknown task ${JSON.stringify(name)}`];
+}
+
+export function validateTaskResult(name, result) {
+  const task = registry.get(name);
+  return task ? task.checkResult(result, "result") : [`unknown task ${JSON.stringify(name)}`];
+}
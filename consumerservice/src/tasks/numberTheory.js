@@ -0,0 +1,212 @@
+/*
+ * tasks/numberTheory.js
+ *
+ * Summary:
+ * --------
+ * The consumer's built-in task handlers, on top of primality.js. Each takes { value } (a
+ * non-negative integer as a decimal string) and returns decimal strings for every number, so
+ * results survive JSON:
+ *   - isPrime:       The full analysis of analyzeNumber(): { value, prime, method, certain,
+ *                    smallestFactor, factors, unfactored }.
+ *   - factorize:     { value, factors: [{ prime, exponent }], unfactored, complete }. Takes an
+ *                    optional timeLimitMs (default FACTOR_TIME_LIMIT_MS).
+ *   - nextPrime:     { value, nextPrime, certain }: the smallest prime above value.
+ *   - previousPrime: { value, previousPrime, certain }: the largest prime below value; fails
+ *                    for values up to 2.
+ *   - isTwinPrime:   { value, prime, twinPrime, twins, certain }: whether value and value - 2
+ *                    or value + 2 are both prime, with the primes that pair with it.
+ * "certain" is false when a prime in the answer is only a BPSW probable prime (2^64 and up).
+ *
+ * countPrimes works on ranges instead: it takes { start, end, listPrimes? } (integers up to
+ * 1e15, at most MAX_RANGE_SPAN numbers) and returns { start, end, count, primes? }, sieving
+ * the range with countPrimesInRange(). The API sends range jobs to it in chunks.
+ *
+ * The module follows the contract of task modules (see ./index.js): its default export maps
+ * task names to handler definitions.
+ */
+import { performance } from "perf_hooks";
+import {
+  analyzeNumber,
+  factorize,
+  testPrimality,
+  nextPrime,
+  previousPrime,
+  countPrimesInRange,
+  MAX_SIEVE_END,
+} from "../primality.js";
+
+// The most numbers one countPrimes task may sieve.
+const MAX_RANGE_SPAN = 1e8;
+
+// Input of every handler: { value }, in the format of prime.request records.
+const valueInput = (extra = {}) => ({
+  type: "object",
+  required: ["value"],
+  properties: {
+    value: { description: "The number, in decimal.", type: "string", pattern: "^[0-9]+$", maxLength: 1000 },
+    ...extra,
+  },
+  additionalProperties: false,
+});
+
+const decimal = { type: "string", pattern: "^[0-9]+$" };
+const factorList = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["prime", "exponent"],
+    properties: { prime: decimal, exponent: { type: "integer", minimum: 1 } },
+  },
+};
+
+export default {
+  isPrime: {
+    description: "Tests a number for primality and factors it when it is composite.",
+    inputSchema: valueInput(),
+    resultSchema: {
+      type: "object",
+      required: ["value", "prime", "method", "certain", "smallestFactor", "factors", "unfactored"],
+      properties: {
+        value: decimal,
+        prime: { type: "boolean" },
+        method: { type: "string" },
+        certain: { type: "boolean" },
+        smallestFactor: { anyOf: [decimal, { type: "null" }] },
+        factors: { anyOf: [factorList, { type: "null" }] },
+        unfactored: { type: "array", items: decimal },
+      },
+    },
+    run({ value }, { factorTimeLimitMs }) {
+      // computeMs is measured for every task by the worker.
+      const { computeMs, ...analysis } = analyzeNumber(BigInt(value), { factorTimeLimitMs });
+      return { value, ...analysis };
+    },
+  },
+
+  factorize: {
+    description: "Factors a number into primes within a time limit.",
+    inputSchema: valueInput({
+      timeLimitMs: { description: "Time allowed for factoring.", type: "integer", minimum: 1, maximum: 60000 },
+    }),
+    resultSchema: {
+      type: "object",
+      required: ["value", "factors", "unfactored", "complete"],
+      properties: {
+        value: decimal,
+        factors: factorList,
+        unfactored: { type: "array", items: decimal },
+        complete: { type: "boolean" },
+      },
+    },
+    run({ value, timeLimitMs }, { factorTimeLimitMs }) {
+      const n = BigInt(value);
+      if (n < 2n) {
+        return { value, factors: [], unfactored: [], complete: true };
+      }
+      const result = factorize(n, performance.now() + (timeLimitMs ?? factorTimeLimitMs));
+      return {
+        value,
+        factors: result.factors.map(({ prime, exponent }) => ({ prime: prime.toString(), exponent })),
+        unfactored: result.unfactored.map((m) => m.toString()),
+        complete: result.unfactored.length === 0,
+      };
+    },
+  },
+
+  nextPrime: {
+    description: "Finds the smallest prime greater than a number.",
+    inputSchema: valueInput(),
+    resultSchema: {
+      type: "object",
+      required: ["value", "nextPrime", "certain"],
+      properties: { value: decimal, nextPrime: decimal, certain: { type: "boolean" } },
+    },
+    run({ value }) {
+      const p = nextPrime(BigInt(value));
+      return { value, nextPrime: p.toString(), certain: testPrimality(p).certain };
+    },
+  },
+
+  previousPrime: {
+    description: "Finds the largest prime less than a number (which must be greater than 2).",
+    inputSchema: valueInput(),
+    resultSchema: {
+      type: "object",
+      required: ["value", "previousPrime", "certain"],
+      properties: { value: decimal, previousPrime: decimal, certain: { type: "boolean" } },
+    },
+    run({ value }) {
+      const p = previousPrime(BigInt(value));
+      if (p === null) {
+        throw new Error(`There is no prime less than ${value}`);
+      }
+      return { value, previousPrime: p.toString(), certain: testPrimality(p).certain };
+    },
+  },
+
+  isTwinPrime: {
+    description: "Tests whether a number is prime and differs by 2 from another prime.",
+    inputSchema: valueInput(),
+    resultSchema: {
+      type: "object",
+      required: ["value", "prime", "twinPrime", "twins", "certain"],
+      properties: {
+        value: decimal,
+        prime: { type: "boolean" },
+        twinPrime: { type: "boolean" },
+        twins: { type: "array", items: decimal },
+        certain: { type: "boolean" },
+      },
+    },
+    run({ value }) {
+      const n = BigInt(value);
+      const test = testPrimality(n);
+      const twins = [];
+      let certain = test.certain;
+      if (test.prime) {
+        for (const m of [n - 2n, n + 2n]) {
+          const twin = testPrimality(m);
+          if (twin.prime) {
+            twins.push(m.toString());
+            certain = certain && twin.certain;
+          }
+        }
+      }
+      return { value, prime: test.prime, twinPrime: twins.length > 0, twins, certain };
+    },
+  },
+
+  countPrimes: {
+    description: "Counts (and optionally lists) the primes in a range with a segmented sieve.",
+    inputSchema: {
+      type: "object",
+      required: ["start", "end"],
+      properties: {
+        start: { description: "First number of the range.", type: "integer", minimum: 0, maximum: MAX_SIEVE_END },
+        end: { description: "Last number of the range (inclusive).", type: "integer", minimum: 0, maximum: MAX_SIEVE_END },
+        listPrimes: { description: "Also return the primes.", type: "boolean" },
+      },
+      additionalProperties: false,
+    },
+    resultSchema: {
+      type: "object",
+      required: ["start", "end", "count"],
+      properties: {
+        start: { type: "integer" },
+        end: { type: "integer" },
+        count: { type: "integer", minimum: 0 },
+        primes: { type: "array", items: { type: "integer" } },
+      },
+    },
+    run({ start, end, listPrimes = false }) {
+      if (end < start) {
+        throw new Error(`The range ends (${end}) before it starts (${start})`);
+      }
+      if (end - start + 1 > MAX_RANGE_SPAN) {
+        throw new Error(`The range has more than ${MAX_RANGE_SPAN} numbers`);
+      }
+      const { count, primes } = countPrimesInRange(start, end, { listPrimes });
+      return listPrimes ? { start, end, count, primes } : { start, end, count };
+    },
+  },
+};
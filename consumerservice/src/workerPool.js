@@ -0,0 +1,110 @@
+/*
+ * workerPool.js
+ *
+ * Summary:
+ * --------
+ * A fixed-size pool of worker threads that runs the consumer's CPU-bound tasks (see
+ * computeWorker.js) off the main event loop, so polling, replies and commits are not held up by a large value.
+ *
+ * Tasks are handed to idle workers in the order they were submitted; when every worker is
+ * busy they wait in a queue. If a worker exits unexpectedly, its task is rejected and the
+ * worker is replaced. A task that failed in the worker is rejected with an error whose
+ * taskFailed flag is set, so callers can tell it from a failure of the pool.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. createWorkerPool(options): Starts the workers.
+ * 2. run(task): Queues a task and resolves with the worker's result.
+ * 3. close(): Terminates the workers; queued tasks are rejected.
+ */
+import { Worker } from "worker_threads";
+import { createLogger } from "shared/logging/index.js";
+
+const log = createLogger("workerPool");
+
+/**
+ * createWorkerPool
+ * -----------------
+ * @param {Object} options
+ * @param {URL|string} options.workerFile - The worker script (e.g. computeWorker.js).
+ * @param {number} options.size - The number of worker threads.
+ * @returns {{ run: Function, close: Function, size: number, busy: Function }}
+ */
+export function createWorkerPool({ workerFile, size }) {
+  const idle = [];
+  const queue = []; // tasks waiting for a worker: { task, resolve, reject }
+  const running = new Map(); // worker -> { taskId, resolve, reject }
+  let nextTaskId = 1;
+  let closed = false;
+
+  function startWorker() {
+    const worker = new Worker(workerFile);
+    worker.on("message", ({ taskId, result, error }) => {
+      const job = running.get(worker);
+      if (!job || job.taskId !== taskId) return;
+      running.delete(worker);
+      if (error) {
+        job.reject(Object.assign(new Error(error), { taskFailed: true }));
+      } else {
+        job.resolve(result);
+      }
+      release(worker);
+    });
+    worker.on("error", (err) => {
+      log.error("Compute worker failed", { err });
+    });
+    worker.on("exit", (code) => {
+      const job = running.get(worker);
+      running.delete(worker);
+      idle.splice(idle.indexOf(worker) >>> 0, 1);
+      if (job) {
+        job.reject(new Error(`Compute worker exited with code ${code}`));
+      }
+      if (!closed) {
+        release(startWorker());
+      }
+    });
+    return worker;
+  }
+
+  // Give the worker the next queued task, or mark it idle.
+  function release(worker) {
+    const next = queue.shift();
+    if (!next) {
+      idle.push(worker);
+      return;
+    }
+    const taskId = nextTaskId++;
+    running.set(worker, { taskId, resolve: next.resolve, reject: next.reject });
+    worker.postMessage({ ...next.task, taskId });
+  }
+
+  for (let i = 0; i < size; i++) {
+    idle.push(startWorker());
+  }
+
+  return {
+    size,
+    busy: () => running.size,
+    run(task) {
+      if (closed) {
+        return Promise.reject(new Error("Worker pool is closed"));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        const worker = idle.shift();
+        if (worker) {
+          release(worker);
+        }
+      });
+    },
+    close() {
+      closed = true;
+      for (const { reject } of queue.splice(0)) {
+        reject(new Error("Worker pool is closed"));
+      }
+      const workers = [...idle, ...running.keys()];
+      return Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}
@@ -0,0 +1,140 @@
+/*
+ * primality.test.js
+ *
+ * Summary:
+ * --------
+ * Tests of the consumer's primality tests and factorization (src/primality.js), in each of
+ * the size ranges that use a different test. Run with `npm test`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  modPow,
+  testPrimality,
+  factorize,
+  analyzeNumber,
+  nextPrime,
+  previousPrime,
+  countPrimesInRange,
+  MAX_SIEVE_END,
+} from "../src/primality.js";
+
+const MERSENNE_61 = (1n << 61n) - 1n; // prime, below 2^64
+const MERSENNE_89 = (1n << 89n) - 1n; // prime, above 2^64
+// 149491 * 747451 * 34233211: a strong pseudoprime to every base from 2 to 23.
+const STRONG_PSEUDOPRIME = 3825123056546413051n;
+
+test("modPow", () => {
+  assert.equal(modPow(4n, 13n, 497n), 445n);
+  assert.equal(modPow(2n, 0n, 7n), 1n);
+  assert.equal(modPow(2n, 10n, 1n), 0n);
+});
+
+test("numbers below 2 are not prime", () => {
+  for (const n of [-7n, 0n, 1n]) {
+    assert.deepEqual(testPrimality(n), { prime: false, method: "trivial", certain: true });
+  }
+});
+
+test("small numbers are decided by trial division", () => {
+  const primes = [2n, 3n, 5n, 97n, 7919n, 9973n];
+  const composites = [4n, 9n, 561n, 7917n, 9999n];
+  for (const n of primes) {
+    assert.deepEqual(testPrimality(n), { prime: true, method: "trial-division", certain: true }, `${n}`);
+  }
+  for (const n of composites) {
+    assert.equal(testPrimality(n).prime, false, `${n}`);
+  }
+});
+
+test("numbers below 2^64 are decided by deterministic Miller-Rabin", () => {
+  assert.deepEqual(testPrimality(MERSENNE_61), {
+    prime: true,
+    method: "miller-rabin-deterministic",
+    certain: true,
+  });
+  assert.deepEqual(testPrimality(STRONG_PSEUDOPRIME), {
+    prime: false,
+    method: "miller-rabin-deterministic",
+    certain: true,
+  });
+  assert.equal(testPrimality(10007n * 10009n).prime, false);
+});
+
+test("numbers from 2^64 use BPSW, whose prime answers are not certain", () => {
+  assert.deepEqual(testPrimality(MERSENNE_89), { prime: true, method: "bpsw", certain: false });
+  assert.deepEqual(testPrimality((1n << 64n) + 1n), { prime: false, method: "bpsw", certain: true });
+  assert.equal(testPrimality(MERSENNE_89 * MERSENNE_89).prime, false);
+});
+
+test("factorize finds every prime factor with its exponent, in ascending order", () => {
+  const deadline = Infinity;
+  assert.deepEqual(factorize(360n, deadline), {
+    factors: [
+      { prime: 2n, exponent: 3 },
+      { prime: 3n, exponent: 2 },
+      { prime: 5n, exponent: 1 },
+    ],
+    unfactored: [],
+  });
+  assert.deepEqual(factorize(STRONG_PSEUDOPRIME, deadline).factors, [
+    { prime: 149491n, exponent: 1 },
+    { prime: 747451n, exponent: 1 },
+    { prime: 34233211n, exponent: 1 },
+  ]);
+  // A square of a large prime is split by its square root rather than by rho.
+  assert.deepEqual(factorize(1000003n * 1000003n, deadline).factors, [{ prime: 1000003n, exponent: 2 }]);
+});
+
+test("analyzeNumber reports decimal strings, and null factors for primes", () => {
+  const composite = analyzeNumber((1n << 64n) + 1n);
+  assert.equal(composite.prime, false);
+  assert.equal(composite.smallestFactor, "274177");
+  assert.deepEqual(composite.factors, [
+    { prime: "274177", exponent: 1 },
+    { prime: "67280421310721", exponent: 1 },
+  ]);
+  assert.deepEqual(composite.unfactored, []);
+  assert.equal(typeof composite.computeMs, "number");
+
+  const prime = analyzeNumber(97n);
+  assert.equal(prime.prime, true);
+  assert.equal(prime.smallestFactor, null);
+  assert.equal(prime.factors, null);
+
+  const one = analyzeNumber(1n);
+  assert.equal(one.smallestFactor, null);
+  assert.deepEqual(one.factors, []);
+});
+
+test("analyzeNumber leaves what it could not split in time as unfactored", () => {
+  const result = analyzeNumber(MERSENNE_61 * MERSENNE_89, { factorTimeLimitMs: 0 });
+  assert.equal(result.prime, false);
+  assert.deepEqual(result.factors, []);
+  assert.deepEqual(result.unfactored, [(MERSENNE_61 * MERSENNE_89).toString()]);
+  // Without the whole factorization the smallest factor is not known.
+  assert.equal(result.smallestFactor, null);
+});
+
+test("nextPrime and previousPrime", () => {
+  assert.equal(nextPrime(-5n), 2n);
+  assert.equal(nextPrime(2n), 3n);
+  assert.equal(nextPrime(13n), 17n);
+  assert.equal(nextPrime(7908n), 7919n);
+  assert.equal(previousPrime(2n), null);
+  assert.equal(previousPrime(3n), 2n);
+  assert.equal(previousPrime(100n), 97n);
+  assert.equal(previousPrime(MERSENNE_61 + 1n), MERSENNE_61);
+});
+
+test("countPrimesInRange counts and lists the primes of a range", () => {
+  assert.equal(countPrimesInRange(0, 100).count, 25);
+  assert.equal(countPrimesInRange(0, 1000000).count, 78498);
+  assert.deepEqual(countPrimesInRange(10, 30, { listPrimes: true }), {
+    count: 6,
+    primes: [11, 13, 17, 19, 23, 29],
+  });
+  assert.equal(countPrimesInRange(24, 28).count, 0);
+  assert.throws(() => countPrimesInRange(0, MAX_SIEVE_END + 1), RangeError);
+});
@@ -0,0 +1,52 @@
+-- Creates the tables defined in the node-mq-prime-ecosystem SQL project.
+-- Applied by shared/src/db/migrate.js (`npm run migrate` in the shared package).
+
+CREATE TABLE [dbo].[Records]
+(
+    [Id]        INT           NOT NULL,
+    [Value]     VARCHAR(1000) NOT NULL,
+    [CreatedAt] DATETIME2(3)  NOT NULL CONSTRAINT [DF_Records_CreatedAt] DEFAULT SYSUTCDATETIME(),
+    [UpdatedAt] DATETIME2(3)  NOT NULL CONSTRAINT [DF_Records_UpdatedAt] DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT [PK_Records] PRIMARY KEY CLUSTERED ([Id]),
+    CONSTRAINT [CK_Records_Value] CHECK ([Value] NOT LIKE '%[^0-9]%' AND [Value] <> '')
+);
+GO
+
+CREATE TABLE [dbo].[PrimeResults]
+(
+    [RecordId]       INT            NOT NULL,
+    [Value]          VARCHAR(1000)  NOT NULL,
+    [IsPrime]        BIT            NOT NULL,
+    [Method]         VARCHAR(40)    NOT NULL,
+    [Certain]        BIT            NOT NULL,
+    [SmallestFactor] VARCHAR(1000)  NULL,
+    [Factors]        NVARCHAR(MAX)  NULL,
+    [Unfactored]     NVARCHAR(MAX)  NULL,
+    [ComputeMs]      FLOAT          NULL,
+    [BatchId]        CHAR(48)       NULL,
+    [MsgId]          CHAR(48)       NULL,
+    [CheckedAt]      DATETIME2(3)   NOT NULL CONSTRAINT [DF_PrimeResults_CheckedAt] DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT [PK_PrimeResults] PRIMARY KEY CLUSTERED ([RecordId]),
+    CONSTRAINT [CK_PrimeResults_Factors] CHECK ([Factors] IS NULL OR ISJSON([Factors]) = 1),
+    CONSTRAINT [CK_PrimeResults_Unfactored] CHECK ([Unfactored] IS NULL OR ISJSON([Unfactored]) = 1)
+);
+GO
+
+CREATE NONCLUSTERED INDEX [IX_PrimeResults_BatchId]
+    ON [dbo].[PrimeResults] ([BatchId])
+    WHERE [BatchId] IS NOT NULL;
+GO
+
+CREATE TABLE [dbo].[Batches]
+(
+    [Id]          CHAR(48)     NOT NULL,
+    [Total]       INT          NOT NULL,
+    [Sent]        INT          NOT NULL CONSTRAINT [DF_Batches_Sent] DEFAULT 0,
+    [Failed]      INT          NOT NULL CONSTRAINT [DF_Batches_Failed] DEFAULT 0,
+    [Completed]   INT          NOT NULL CONSTRAINT [DF_Batches_Completed] DEFAULT 0,
+    [Prime]       INT          NOT NULL CONSTRAINT [DF_Batches_Prime] DEFAULT 0,
+    [CreatedAt]   DATETIME2(3) NOT NULL CONSTRAINT [DF_Batches_CreatedAt] DEFAULT SYSUTCDATETIME(),
+    [CompletedAt] DATETIME2(3) NULL,
+    CONSTRAINT [PK_Batches] PRIMARY KEY CLUSTERED ([Id])
+);
+GO
@@ -0,0 +1,13 @@
+-- Dispatch batches. [Id] is the hex form of the 24-byte MQMD CorrelId the batch was sent with.
+CREATE TABLE [dbo].[Batches]
+(
+    [Id]          CHAR(48)     NOT NULL,
+    [Total]       INT          NOT NULL,
+    [Sent]        INT          NOT NULL CONSTRAINT [DF_Batches_Sent] DEFAULT 0,
+    [Failed]      INT          NOT NULL CONSTRAINT [DF_Batches_Failed] DEFAULT 0,
+    [Completed]   INT          NOT NULL CONSTRAINT [DF_Batches_Completed] DEFAULT 0,
+    [Prime]       INT          NOT NULL CONSTRAINT [DF_Batches_Prime] DEFAULT 0,
+    [CreatedAt]   DATETIME2(3) NOT NULL CONSTRAINT [DF_Batches_CreatedAt] DEFAULT SYSUTCDATETIME(),
+    [CompletedAt] DATETIME2(3) NULL,
+    CONSTRAINT [PK_Batches] PRIMARY KEY CLUSTERED ([Id])
+);
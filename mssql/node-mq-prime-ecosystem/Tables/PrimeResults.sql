@@ -0,0 +1,27 @@
+-- The latest primality result for each record, written by the consumer. [Value] is the
+-- value the result was computed for; a result whose value differs from the record's current
+-- value is out of date. There is no foreign key to [Records], because the consumer also
+-- answers requests for records the API has not stored.
+CREATE TABLE [dbo].[PrimeResults]
+(
+    [RecordId]       INT            NOT NULL,
+    [Value]          VARCHAR(1000)  NOT NULL,
+    [IsPrime]        BIT            NOT NULL,
+    [Method]         VARCHAR(40)    NOT NULL,
+    [Certain]        BIT            NOT NULL,
+    [SmallestFactor] VARCHAR(1000)  NULL,
+    [Factors]        NVARCHAR(MAX)  NULL,
+    [Unfactored]     NVARCHAR(MAX)  NULL,
+    [ComputeMs]      FLOAT          NULL,
+    [BatchId]        CHAR(48)       NULL,
+    [MsgId]          CHAR(48)       NULL,
+    [CheckedAt]      DATETIME2(3)   NOT NULL CONSTRAINT [DF_PrimeResults_CheckedAt] DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT [PK_PrimeResults] PRIMARY KEY CLUSTERED ([RecordId]),
+    CONSTRAINT [CK_PrimeResults_Factors] CHECK ([Factors] IS NULL OR ISJSON([Factors]) = 1),
+    CONSTRAINT [CK_PrimeResults_Unfactored] CHECK ([Unfactored] IS NULL OR ISJSON([Unfactored]) = 1)
+);
+GO
+
+CREATE NONCLUSTERED INDEX [IX_PrimeResults_BatchId]
+    ON [dbo].[PrimeResults] ([BatchId])
+    WHERE [BatchId] IS NOT NULL;
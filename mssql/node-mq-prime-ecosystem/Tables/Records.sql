@@ -0,0 +1,11 @@
+-- Records whose values are checked for primality. Values are kept as decimal strings
+-- because they may be larger than any SQL Server numeric type.
+CREATE TABLE [dbo].[Records]
+(
+    [Id]        INT           NOT NULL,
+    [Value]     VARCHAR(1000) NOT NULL,
+    [CreatedAt] DATETIME2(3)  NOT NULL CONSTRAINT [DF_Records_CreatedAt] DEFAULT SYSUTCDATETIME(),
+    [UpdatedAt] DATETIME2(3)  NOT NULL CONSTRAINT [DF_Records_UpdatedAt] DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT [PK_Records] PRIMARY KEY CLUSTERED ([Id]),
+    CONSTRAINT [CK_Records_Value] CHECK ([Value] NOT LIKE '%[^0-9]%' AND [Value] <> '')
+);
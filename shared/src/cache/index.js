@@ -0,0 +1,260 @@
+/*
+ * cache/index.js
+ *
+ * Summary:
+ * --------
+ * A cache of primality results by value, kept in Redis and shared by the API and the
+ * consumer. The answer for a value never changes, so once one service has it, the others can
+ * use it instead of sending or computing the value again: the consumer looks values up before
+ * analyzing them and stores what it computed, and the API resolves records from the cache when
+ * it dispatches them (see API/src/models/batchModels.js).
+ *
+ * Each value is kept under "<ns>:cache:result:<value>" as the JSON of its result without the
+ * record fields (id, sentAt):
+ *   { "value", "prime", "method", "certain", "smallestFactor", "factors", "unfactored",
+ *     "computeMs" }
+ * and expires RESULT_CACHE_TTL_SECONDS (default 86400) after it was stored. Only complete
+ * results are cached: a composite that was not fully factored within the consumer's time
+ * limit is analyzed again the next time.
+ *
+ * The cache is off unless RESULT_CACHE=true. It uses the Redis server of the redis section of
+ * the configuration (REDIS_HOST, REDIS_PORT, REDIS_PASSWORD, REDIS_NAMESPACE) through a
+ * client of its own, connected on first use. The first command waits for that first
+ * connection attempt; after it, commands are sent only while the client is connected. The
+ * cache only ever saves work: while Redis cannot be reached, lookups find nothing and stores
+ * are skipped, with a warning.
+ *
+ * Hits and misses are counted per value looked up, in this service's
+ * result_cache_lookups_total{outcome} metric and in the Redis hash "<ns>:cache:stats", whose
+ * fields "<service>:hits" and "<service>:misses" getCacheStats() reports for every service.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. isCacheEnabled(): Whether RESULT_CACHE is on.
+ * 2. getClient(): Creates the Redis client on first use and waits for its first connection
+ *    attempt.
+ * 3. getCachedResults(values): Looks values up and counts the hits and misses.
+ * 4. cacheResults(results): Stores complete results with the TTL.
+ * 5. getCacheStats(): The hit and miss counts of every service.
+ * 6. closeCache(): Disconnects the client.
+ */
+
+import { createClient } from "redis";
+import { getConfig } from "../config/index.js";
+import { createLogger, getServiceName } from "../logging/index.js";
+import { resultCacheLookups } from "../metrics/index.js";
+
+const log = createLogger("resultCache");
+
+// The fields of a result that depend only on its value.
+const RESULT_FIELDS = ["value", "prime", "method", "certain", "smallestFactor", "factors", "unfactored", "computeMs"];
+
+let client = null;
+// Resolves to the client once its first connection attempt has succeeded or failed.
+let firstAttempt = null;
+// Set while Redis cannot be reached, so that an outage is reported once rather than per call.
+let unavailable = false;
+
+function cacheKey(...parts) {
+  return [getConfig().redis.namespace, "cache", ...parts].join(":");
+}
+
+/**
+ * isCacheEnabled
+ * ---------------
+ * @returns {boolean} True when RESULT_CACHE is on.
+ */
+export function isCacheEnabled() {
+  return getConfig().redis.cache.enabled;
+}
+
+/**
+ * getClient
+ * ----------
+ * Creates the client on first use and starts connecting it. Commands are not queued while
+ * the client is disconnected, so a lookup during an outage fails at once instead of waiting
+ * for Redis to come back; the client keeps reconnecting in the background. Only the first
+ * connection attempt is waited for, so that the first commands do not fail just because the
+ * client has not connected yet.
+ *
+ * @returns {Promise<Object>} The client.
+ */
+function getClient() {
+  if (!client) {
+    const { host, port, password } = getConfig().redis;
+    client = createClient({
+      socket: { host, port, reconnectStrategy: (retries) => Math.min(100 * 2 ** retries, 30000) },
+      password,
+      disableOfflineQueue: true,
+    });
+    client.on("error", (err) => {
+      if (!unavailable) {
+        unavailable = true;
+        log.warn("Result cache unavailable; values are computed until Redis is back", { err });
+      }
+    });
+    client.on("ready", () => {
+      unavailable = false;
+      log.info("Result cache connected", { namespace: getConfig().redis.namespace });
+    });
+    const created = client;
+    firstAttempt = new Promise((resolve) => {
+      created.once("ready", () => resolve(created));
+      created.once("error", () => resolve(created));
+      created.connect().catch(() => resolve(created));
+    });
+  }
+  return firstAttempt;
+}
+
+// Adds this service's hits and misses to the shared counts; a failure only costs the count.
+async function countLookups(hits, misses) {
+  resultCacheLookups.inc({ outcome: "hit" }, hits);
+  resultCacheLookups.inc({ outcome: "miss" }, misses);
+  const service = getServiceName() || "unknown";
+  const multi = (await getClient()).multi();
+  if (hits > 0) {
+    multi.hIncrBy(cacheKey("stats"), `${service}:hits`, hits);
+  }
+  if (misses > 0) {
+    multi.hIncrBy(cacheKey("stats"), `${service}:misses`, misses);
+  }
+  return multi.exec().then(
+    () => {},
+    (err) => log.debug("Could not count result cache lookups", { err })
+  );
+}
+
+/**
+ * getCachedResults
+ * -----------------
+ * Looks values up in the cache. Every value counts as one lookup, so a value that appears
+ * twice is counted twice. Resolves to an empty map when the cache is off or Redis cannot be
+ * reached.
+ *
+ * @param {Array<string|number>} values - The values, as decimal strings or numbers.
+ * @returns {Promise<Map<string, Object>>} The cached results found, by value as a decimal
+ *          string: { value, prime, method, ... }.
+ */
+export async function getCachedResults(values) {
+  const found = new Map();
+  if (!isCacheEnabled() || values.length === 0) {
+    return found;
+  }
+  const unique = [...new Set(values.map(String))];
+  try {
+    const entries = await (await getClient()).mGet(unique.map((value) => cacheKey("result", value)));
+    unique.forEach((value, i) => {
+      if (entries[i] !== null) {
+        found.set(value, JSON.parse(entries[i]));
+      }
+    });
+  } catch (err) {
+    if (!unavailable) {
+      log.warn("Result cache lookup failed", { err });
+    }
+  }
+  const hits = values.filter((value) => found.has(String(value))).length;
+  await countLookups(hits, values.length - hits);
+  return found;
+}
+
+/**
+ * cacheResults
+ * -------------
+ * Stores results in the cache, each under its value and with the TTL. Results that are not
+ * complete (values left unfactored) and results without a prime flag are skipped. Never
+ * rejects: a result that cannot be stored is simply computed again.
+ *
+ * @param {Object[]} results - Results as the consumer replies them: { id, value, prime, ... }.
+ * @returns {Promise<number>} The number of results stored.
+ */
+export async function cacheResults(results) {
+  if (!isCacheEnabled()) {
+    return 0;
+  }
+  const complete = results.filter(
+    (result) => typeof result.prime === "boolean" && !(result.unfactored?.length > 0)
+  );
+  if (complete.length === 0) {
+    return 0;
+  }
+  const { ttlSeconds } = getConfig().redis.cache;
+  const multi = (await getClient()).multi();
+  for (const result of complete) {
+    const entry = {};
+    for (const field of RESULT_FIELDS) {
+      if (result[field] !== undefined) {
+        entry[field] = result[field];
+      }
+    }
+    entry.value = String(result.value);
+    multi.set(cacheKey("result", entry.value), JSON.stringify(entry), { EX: ttlSeconds });
+  }
+  try {
+    await multi.exec();
+    return complete.length;
+  } catch (err) {
+    if (!unavailable) {
+      log.warn("Could not store results in the result cache", { err, results: complete.length });
+    }
+    return 0;
+  }
+}
+
+/**
+ * getCacheStats
+ * --------------
+ * @returns {Promise<Object>} { enabled, ttlSeconds, hits, misses, hitRatio, services }, where
+ *          services holds { hits, misses } by service name; hitRatio is null before the first
+ *          lookup. Only { enabled: false } when the cache is off.
+ * @throws {Error} When Redis cannot be reached.
+ */
+export async function getCacheStats() {
+  if (!isCacheEnabled()) {
+    return { enabled: false };
+  }
+  const counts = await (await getClient()).hGetAll(cacheKey("stats"));
+  const services = {};
+  let hits = 0;
+  let misses = 0;
+  for (const [field, count] of Object.entries(counts)) {
+    const [service, outcome] = field.split(":");
+    services[service] = services[service] || { hits: 0, misses: 0 };
+    services[service][outcome] = Number(count);
+    if (outcome === "hits") {
+      hits += Number(count);
+    } else {
+      misses += Number(count);
+    }
+  }
+  return {
+    enabled: true,
+    ttlSeconds: getConfig().redis.cache.ttlSeconds,
+    hits,
+    misses,
+    hitRatio: hits + misses > 0 ? hits / (hits + misses) : null,
+    services,
+  };
+}
+
+/**
+ * closeCache
+ * -----------
+ * Disconnects the client, if the cache was used. A connected client quits after its pending
+ * commands; one that is still trying to reach Redis is disconnected at once, since a QUIT
+ * would wait for a connection that may never come.
+ */
+export async function closeCache() {
+  if (!client) {
+    return;
+  }
+  const closing = client;
+  client = null;
+  firstAttempt = null;
+  if (closing.isReady) {
+    await closing.quit().catch(() => closing.disconnect());
+  } else {
+    await closing.disconnect().catch(() => {});
+  }
+}
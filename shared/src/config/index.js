@@ -0,0 +1,467 @@
+/*
+ * config/index.js
+ *
+ * Summary:
+ * --------
+ * The configuration of the ecosystem, shared by the API, the consumer and the dashboard.
+ * Every setting is described once in SCHEMA below: where it lives in the configuration
+ * object, the environment variable that sets it, its type and its default. Values are taken,
+ * from lowest to highest precedence, from:
+ *
+ *   1. the defaults in SCHEMA,
+ *   2. config/default.json,
+ *   3. config/<environment>.json, where the environment is APP_ENV or NODE_ENV
+ *      (default "development"),
+ *   4. environment variables (including those loaded from a .env file).
+ *
+ * The files live in the repository's config directory, or in CONFIG_DIR when it is set,
+ * and are optional. They use the same nesting as the configuration object, e.g.
+ *   { "mq": { "qmgr": "QM1", "tls": { "cipherSpec": "ANY_TLS12_OR_HIGHER" } } }
+ *
+ * The whole configuration is validated when it is loaded. Every problem found - a value of
+ * the wrong type, an unknown setting in a file, a required value that is missing - is
+ * collected, and loading fails with one error that lists them all, naming both the setting
+ * and its environment variable. Passwords have no defaults and are marked secret: use
+ * redactConfig() to get a copy that is safe to log.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. SCHEMA: Every setting, by section (mq, redis, mssql, logging, http).
+ * 2. Reading values: parseValue() converts environment strings and checks file values.
+ * 3. Cross-checks: Rules that involve more than one setting, e.g. the IBM MQ connection needs
+ *    either a channel and connection name or a CCDT, TLS needs a key repository, and the
+ *    synchronous reply queue must be a queue of its own.
+ * 4. loadConfig(options): Reads, merges and validates the configuration.
+ * 5. getConfig(): The service's configuration, loaded once on first use.
+ * 6. redactConfig(config): A copy of the configuration with the secrets masked.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const TRANSPORT_KINDS = ["ibmmq", "memory", "local"];
+export const LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "silent"];
+export const RESULT_OUTPUTS = ["queue", "topic", "both"];
+
+const DEFAULT_CONFIG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../../config");
+
+// IBM MQ object names: up to 48 characters for queue managers and queues, 20 for channels.
+const MQ_NAME = /^[A-Za-z0-9._/%]+$/;
+// MQ topic strings to publish on: levels separated by "/", without wildcards or whitespace.
+const TOPIC_STRING = /^[^#+\s]+$/;
+// One or more "host(port)" entries separated by commas.
+const CONN_NAME = /^[^\s(),]+\(\d{1,5}\)(,[^\s(),]+\(\d{1,5}\))*$/;
+
+/**
+ * SCHEMA
+ * -------
+ * A setting is an object with a type; anything else is a section. Setting fields:
+ *   env      - Environment variable that sets it.
+ *   type     - "string", "integer", "boolean" or "enum" (with values).
+ *   default  - Used when no file or variable sets it.
+ *   min, max - Range of an integer.
+ *   maxLength, pattern - Checks on a string.
+ *   secret   - Masked by redactConfig().
+ */
+const SCHEMA = {
+  mq: {
+    transport: { env: "MQ_TRANSPORT", type: "enum", values: TRANSPORT_KINDS, default: "ibmmq" },
+    qmgr: { env: "MQ_QMGR", type: "string", default: "QM1", maxLength: 48, pattern: MQ_NAME },
+    channel: { env: "MQ_CHANNEL", type: "string", maxLength: 20, pattern: MQ_NAME },
+    connName: { env: "MQ_CONNNAME", type: "string", pattern: CONN_NAME },
+    ccdtUrl: { env: "MQ_CCDT_URL", type: "string" },
+    user: { env: "MQ_USER", type: "string" },
+    password: { env: "MQ_PASSWORD", type: "string", secret: true },
+    tls: {
+      cipherSpec: { env: "MQ_TLS_CIPHER_SPEC", type: "string" },
+      keyRepository: { env: "MQ_TLS_KEY_REPOSITORY", type: "string" },
+      certLabel: { env: "MQ_TLS_CERT_LABEL", type: "string" },
+      peerName: { env: "MQ_TLS_PEER_NAME", type: "string" },
+    },
+    brokerAddress: { env: "MQ_BROKER_ADDRESS", type: "string", default: "localhost:1415" },
+    maxMsgLength: { env: "MQ_MAX_MSG_LENGTH", type: "integer", min: 1, max: 100 * 1024 * 1024 },
+    queues: {
+      request: { env: "MQ_REQUEST_QUEUE", type: "string", default: "DEV.QUEUE.1", maxLength: 48, pattern: MQ_NAME },
+      reply: { env: "MQ_REPLY_QUEUE", type: "string", default: "DEV.QUEUE.2", maxLength: 48, pattern: MQ_NAME },
+      deadLetter: {
+        env: "MQ_DEAD_LETTER_QUEUE",
+        type: "string",
+        default: "DEV.DEAD.LETTER.QUEUE",
+        maxLength: 48,
+        pattern: MQ_NAME,
+      },
+    },
+    // Synchronous requests (GET /prime/:value): replies come back on the shared queue when
+    // one is set, otherwise on a temporary dynamic queue created from the model queue.
+    syncReply: {
+      queue: { env: "MQ_SYNC_REPLY_QUEUE", type: "string", maxLength: 48, pattern: MQ_NAME },
+      modelQueue: {
+        env: "MQ_REPLY_MODEL_QUEUE",
+        type: "string",
+        default: "DEV.APP.MODEL.QUEUE",
+        maxLength: 48,
+        pattern: MQ_NAME,
+      },
+      // MQ replaces a trailing "*" with a unique suffix, which leaves 33 characters before it.
+      dynamicQueueName: {
+        env: "MQ_REPLY_DYNAMIC_QUEUE",
+        type: "string",
+        default: "DEV.API.REPLY.*",
+        maxLength: 34,
+        pattern: /^[A-Za-z0-9._/%]+\*?$/,
+      },
+      timeoutMs: { env: "SYNC_REQUEST_TIMEOUT_MS", type: "integer", default: 5000, min: 1, max: 300000 },
+    },
+    // Where the consumer sends prime results: the reply queue, the topics, or both. With
+    // "topic" the API reads results from durable subscriptions named after apiSubscription.
+    results: {
+      output: { env: "RESULT_OUTPUT", type: "enum", values: RESULT_OUTPUTS, default: "queue" },
+      foundTopic: {
+        env: "MQ_TOPIC_FOUND",
+        type: "string",
+        default: "primes/found",
+        maxLength: 10240,
+        pattern: TOPIC_STRING,
+      },
+      compositeTopic: {
+        env: "MQ_TOPIC_COMPOSITE",
+        type: "string",
+        default: "primes/composite",
+        maxLength: 10240,
+        pattern: TOPIC_STRING,
+      },
+      apiSubscription: { env: "MQ_API_SUBSCRIPTION", type: "string", default: "prime-api", maxLength: 1000, pattern: /^\S+$/ },
+    },
+    reconnect: {
+      initialDelayMs: { env: "MQ_RECONNECT_INITIAL_MS", type: "integer", default: 1000, min: 1 },
+      maxDelayMs: { env: "MQ_RECONNECT_MAX_MS", type: "integer", default: 30000, min: 1 },
+    },
+  },
+  redis: {
+    host: { env: "REDIS_HOST", type: "string", default: "localhost" },
+    port: { env: "REDIS_PORT", type: "integer", default: 6379, min: 1, max: 65535 },
+    password: { env: "REDIS_PASSWORD", type: "string", secret: true },
+    namespace: { env: "REDIS_NAMESPACE", type: "string", default: "prime", pattern: /^[^\s:]+$/ },
+    // The result cache shared by the API and the consumer (see shared/src/cache).
+    cache: {
+      enabled: { env: "RESULT_CACHE", type: "boolean", default: false },
+      ttlSeconds: { env: "RESULT_CACHE_TTL_SECONDS", type: "integer", default: 86400, min: 1 },
+    },
+  },
+  mssql: {
+    server: { env: "MSSQL_SERVER", type: "string" },
+    port: { env: "MSSQL_PORT", type: "integer", default: 1433, min: 1, max: 65535 },
+    database: { env: "MSSQL_DATABASE", type: "string" },
+    user: { env: "MSSQL_USER", type: "string" },
+    password: { env: "MSSQL_PASSWORD", type: "string", secret: true },
+    encrypt: { env: "MSSQL_ENCRYPT", type: "boolean", default: true },
+    trustServerCertificate: { env: "MSSQL_TRUST_SERVER_CERTIFICATE", type: "boolean", default: true },
+  },
+  logging: {
+    level: { env: "LOG_LEVEL", type: "enum", values: LOG_LEVELS, default: "info" },
+    spans: { env: "LOG_SPANS", type: "boolean", default: true },
+  },
+  http: {
+    apiPort: { env: "API_PORT", type: "integer", default: 3102, min: 1, max: 65535 },
+    consumerPort: { env: "CONSUMER_PORT", type: "integer", default: 3104, min: 1, max: 65535 },
+    appPort: { env: "APP_PORT", type: "integer", default: 3103, min: 1, max: 65535 },
+    apiUrl: { env: "API_URL", type: "string", default: "http://localhost:3102", pattern: /^https?:\/\// },
+    consumerUrl: { env: "CONSUMER_URL", type: "string", default: "http://localhost:3104", pattern: /^https?:\/\// },
+  },
+};
+
+const isSetting = (node) => typeof node.type === "string";
+
+/**
+ * parseValue
+ * -----------
+ * Converts a value to the setting's type and checks it. Strings from environment variables
+ * are parsed; values from files must already have the right JSON type.
+ *
+ * @param {Object} setting - The setting from SCHEMA.
+ * @param {*} value - The raw value.
+ * @param {boolean} fromEnv - Whether the value is an environment string.
+ * @returns {{ value?: *, error?: string }} The converted value, or what is wrong with it.
+ */
+function parseValue(setting, value, fromEnv) {
+  let parsed = value;
+  switch (setting.type) {
+    case "integer":
+      if (fromEnv) {
+        parsed = /^-?\d+$/.test(value.trim()) ? Number(value) : NaN;
+      }
+      if (!Number.isSafeInteger(parsed)) {
+        return { error: `must be an integer, got ${JSON.stringify(value)}` };
+      }
+      if (setting.min !== undefined && parsed < setting.min) {
+        return { error: `must be at least ${setting.min}, got ${parsed}` };
+      }
+      if (setting.max !== undefined && parsed > setting.max) {
+        return { error: `must be at most ${setting.max}, got ${parsed}` };
+      }
+      return { value: parsed };
+    case "boolean":
+      if (fromEnv) {
+        if (/^(true|1|yes)$/i.test(value)) {
+          return { value: true };
+        }
+        if (/^(false|0|no)$/i.test(value)) {
+          return { value: false };
+        }
+      }
+      if (typeof parsed !== "boolean") {
+        return { error: `must be true or false, got ${JSON.stringify(value)}` };
+      }
+      return { value: parsed };
+    case "enum":
+      if (!setting.values.includes(parsed)) {
+        return { error: `must be one of ${setting.values.join(", ")}, got ${JSON.stringify(value)}` };
+      }
+      return { value: parsed };
+    default:
+      if (typeof parsed !== "string") {
+        return { error: `must be a string, got ${JSON.stringify(value)}` };
+      }
+      if (setting.maxLength !== undefined && parsed.length > setting.maxLength) {
+        return { error: `must be at most ${setting.maxLength} characters long` };
+      }
+      // Secrets are never echoed back, even in errors.
+      if (setting.pattern && !setting.pattern.test(parsed)) {
+        return { error: setting.secret ? "has an invalid format" : `has an invalid format: ${JSON.stringify(value)}` };
+      }
+      return { value: parsed };
+  }
+}
+
+// "mq.password (MQ_PASSWORD)", for messages.
+function describeSetting(name, setting) {
+  return setting.env ? `${name} (${setting.env})` : name;
+}
+
+// Reads one JSON configuration file; a missing file is skipped.
+function readConfigFile(file, errors) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      errors.push(`${file}: ${err.message}`);
+    }
+    return null;
+  }
+  try {
+    const data = JSON.parse(text);
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+      errors.push(`${file}: must contain a JSON object`);
+      return null;
+    }
+    return data;
+  } catch (err) {
+    errors.push(`${file}: invalid JSON (${err.message})`);
+    return null;
+  }
+}
+
+// Reports the keys of a file that the schema does not know.
+function checkUnknownKeys(schema, data, prefix, file, errors) {
+  for (const [key, value] of Object.entries(data)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const node = schema[key];
+    if (!node) {
+      errors.push(`${file}: unknown setting ${name}`);
+    } else if (!isSetting(node)) {
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${file}: ${name} must be an object`);
+      } else {
+        checkUnknownKeys(node, value, name, file, errors);
+      }
+    }
+  }
+}
+
+// Builds one section of the configuration from the layers, highest precedence last.
+function buildSection(schema, layers, env, prefix, errors) {
+  const section = {};
+  for (const [key, node] of Object.entries(schema)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const nested = layers.map((layer) => layer.data?.[key]).map((data, i) => ({ ...layers[i], data }));
+    if (!isSetting(node)) {
+      section[key] = buildSection(node, nested, env, name, errors);
+      continue;
+    }
+
+    let value = node.default;
+    for (const { file, data } of nested) {
+      if (data === undefined || data === null) {
+        continue;
+      }
+      const result = parseValue(node, data, false);
+      if (result.error) {
+        errors.push(`${describeSetting(name, node)} in ${file} ${result.error}`);
+      } else {
+        value = result.value;
+      }
+    }
+    const raw = env[node.env];
+    if (raw !== undefined && raw !== "") {
+      const result = parseValue(node, raw, true);
+      if (result.error) {
+        errors.push(`${describeSetting(name, node)} ${result.error}`);
+      } else {
+        value = result.value;
+      }
+    }
+    section[key] = value;
+  }
+  return section;
+}
+
+/**
+ * crossCheck
+ * -----------
+ * Rules that involve more than one setting. Only the settings in use are checked: the IBM
+ * MQ connection when MQ_TRANSPORT is "ibmmq", MSSQL when MSSQL_SERVER is set.
+ */
+function crossCheck(config, errors) {
+  const { mq, mssql } = config;
+  if (mq.transport === "ibmmq") {
+    if (mq.ccdtUrl) {
+      if (!/^(file|https?|ftp):\/\//.test(mq.ccdtUrl)) {
+        errors.push("mq.ccdtUrl (MQ_CCDT_URL) must be a file://, http://, https:// or ftp:// URL");
+      }
+    } else {
+      if (!mq.channel) {
+        errors.push("mq.channel (MQ_CHANNEL) is required when no CCDT (MQ_CCDT_URL) is used");
+      }
+      if (!mq.connName) {
+        errors.push("mq.connName (MQ_CONNNAME) is required when no CCDT (MQ_CCDT_URL) is used");
+      }
+    }
+    if (mq.user && !mq.password) {
+      errors.push("mq.password (MQ_PASSWORD) is required when mq.user (MQ_USER) is set");
+    }
+    if (mq.tls.cipherSpec && !mq.tls.keyRepository) {
+      errors.push("mq.tls.keyRepository (MQ_TLS_KEY_REPOSITORY) is required when mq.tls.cipherSpec (MQ_TLS_CIPHER_SPEC) is set");
+    }
+    if (!mq.tls.cipherSpec && (mq.tls.certLabel || mq.tls.peerName) && !mq.ccdtUrl) {
+      errors.push("mq.tls.certLabel and mq.tls.peerName need mq.tls.cipherSpec (MQ_TLS_CIPHER_SPEC)");
+    }
+  }
+  if (mq.reconnect.initialDelayMs > mq.reconnect.maxDelayMs) {
+    errors.push("mq.reconnect.initialDelayMs (MQ_RECONNECT_INITIAL_MS) must not exceed mq.reconnect.maxDelayMs (MQ_RECONNECT_MAX_MS)");
+  }
+  // The API's reply listener takes every message on the reply queue, so synchronous replies
+  // need a queue of their own.
+  if (mq.syncReply.queue && Object.values(mq.queues).includes(mq.syncReply.queue)) {
+    errors.push("mq.syncReply.queue (MQ_SYNC_REPLY_QUEUE) must not be one of the request, reply or dead-letter queues");
+  }
+  if (mq.results.foundTopic === mq.results.compositeTopic) {
+    errors.push("mq.results.foundTopic (MQ_TOPIC_FOUND) and mq.results.compositeTopic (MQ_TOPIC_COMPOSITE) must differ");
+  }
+  if (mssql.server) {
+    for (const key of ["database", "user", "password"]) {
+      if (!mssql[key]) {
+        errors.push(`${describeSetting(`mssql.${key}`, SCHEMA.mssql[key])} is required when mssql.server (MSSQL_SERVER) is set`);
+      }
+    }
+  }
+}
+
+/**
+ * loadConfig
+ * -----------
+ * Reads and validates the configuration. Most code should call getConfig() instead.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - The environment variables.
+ * @param {string} [options.dir] - Directory of the configuration files (default: CONFIG_DIR
+ *        or the repository's config directory).
+ * @param {string} [options.environment] - Name of the environment file to read (default:
+ *        APP_ENV, NODE_ENV or "development").
+ * @returns {Object} The configuration, frozen, with its environment name as config.environment.
+ * @throws {Error} When anything is invalid; err.details lists every problem.
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const dir = options.dir || env.CONFIG_DIR || DEFAULT_CONFIG_DIR;
+  const environment = options.environment || env.APP_ENV || env.NODE_ENV || "development";
+  const errors = [];
+
+  if (!/^[A-Za-z0-9_-]+$/.test(environment)) {
+    errors.push(`APP_ENV/NODE_ENV must be a plain name, got ${JSON.stringify(environment)}`);
+  }
+  const layers = [];
+  for (const name of errors.length === 0 ? ["default", environment] : []) {
+    const file = path.join(dir, `${name}.json`);
+    const data = readConfigFile(file, errors);
+    if (data) {
+      checkUnknownKeys(SCHEMA, data, "", file, errors);
+      layers.push({ file, data });
+    }
+  }
+
+  const config = buildSection(SCHEMA, layers, env, "", errors);
+  if (errors.length === 0) {
+    crossCheck(config, errors);
+  }
+  if (errors.length > 0) {
+    const err = new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+    err.details = errors;
+    throw err;
+  }
+  config.environment = environment;
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === "object") {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
+let cached = null;
+
+/**
+ * getConfig
+ * ----------
+ * Loads the configuration on first use and returns the same object afterwards. Load .env
+ * (import "dotenv/config") before the first call.
+ *
+ * @returns {Object} The configuration.
+ * @throws {Error} When the configuration is invalid (see loadConfig()).
+ */
+export function getConfig() {
+  if (!cached) {
+    cached = loadConfig();
+  }
+  return cached;
+}
+
+/**
+ * redactConfig
+ * -------------
+ * @param {Object} config - A configuration from loadConfig() or getConfig().
+ * @returns {Object} A copy in which every secret that is set reads "********".
+ */
+export function redactConfig(config) {
+  return redactSection(config, SCHEMA);
+}
+
+function redactSection(section, schema) {
+  const copy = {};
+  for (const [key, value] of Object.entries(section)) {
+    const node = schema[key];
+    if (node && isSetting(node)) {
+      copy[key] = node.secret && value !== undefined ? "********" : value;
+    } else if (node && value && typeof value === "object") {
+      copy[key] = redactSection(value, node);
+    } else {
+      copy[key] = value;
+    }
+  }
+  return copy;
+}
@@ -0,0 +1,55 @@
+/*
+ * batches.js
+ *
+ * Summary:
+ * --------
+ * Data access for dbo.Batches, which keeps a lasting copy of each dispatch batch's
+ * progress (the live counters are kept in Redis by the API).
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. saveBatch(batch): Inserts a batch or updates its counters and completion time.
+ */
+
+import { connectToDatabase, sql } from "./connection.js";
+
+const SAVE_SQL = `
+MERGE [dbo].[Batches] WITH (HOLDLOCK) AS target
+USING (SELECT @id AS Id) AS source
+ON target.[Id] = source.Id
+WHEN MATCHED THEN UPDATE SET
+  [Total] = @total,
+  [Sent] = @sent,
+  [Failed] = @failed,
+  [Completed] = @completed,
+  [Prime] = @prime,
+  [CompletedAt] = @completedAt
+WHEN NOT MATCHED THEN INSERT
+  ([Id], [Total], [Sent], [Failed], [Completed], [Prime], [CreatedAt], [CompletedAt])
+VALUES
+  (@id, @total, @sent, @failed, @completed, @prime, @createdAt, @completedAt);
+`;
+
+/**
+ * saveBatch
+ * ----------
+ * Stores the current state of a batch.
+ *
+ * @param {Object} batch - A batch status: { id, total, sent, failed, completed, prime,
+ *        createdAt, completedAt }, with ISO timestamps (completedAt may be null).
+ * @returns {Promise<void>}
+ */
+export async function saveBatch(batch) {
+  const pool = await connectToDatabase();
+  await pool
+    .request()
+    .input("id", sql.Char(48), batch.id)
+    .input("total", sql.Int, batch.total)
+    .input("sent", sql.Int, batch.sent)
+    .input("failed", sql.Int, batch.failed)
+    .input("completed", sql.Int, batch.completed)
+    .input("prime", sql.Int, batch.prime)
+    .input("createdAt", sql.DateTime2(3), new Date(batch.createdAt))
+    .input("completedAt", sql.DateTime2(3), batch.completedAt ? new Date(batch.completedAt) : null)
+    .query(SAVE_SQL);
+}
@@ -0,0 +1,118 @@
+/*
+ * connection.js
+ *
+ * Summary:
+ * --------
+ * Manages the connection pool to the MSSQL database shared by the API and the consumer.
+ * Connection settings come from the mssql section of the shared configuration (see
+ * shared/src/config):
+ *   MSSQL_SERVER, MSSQL_PORT (default 1433), MSSQL_DATABASE, MSSQL_USER, MSSQL_PASSWORD,
+ *   MSSQL_ENCRYPT (default true), MSSQL_TRUST_SERVER_CERTIFICATE (default true, for the
+ *   self-signed certificate of the development container).
+ *
+ * Persistence is optional: when MSSQL_SERVER is not set, isDatabaseConfigured() returns
+ * false and callers skip their database writes.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. readDatabaseConfig(): Builds the mssql configuration from the shared configuration.
+ * 2. isDatabaseConfigured(): Whether a database server has been configured.
+ * 3. connectToDatabase(): Connects once and returns the shared pool. A failed connection
+ *    is not cached, so the next call tries again.
+ * 4. pingDatabase(): Runs a trivial query to check that the database answers.
+ * 5. closeDatabase(): Closes the pool.
+ */
+
+import sql from "mssql";
+import { getConfig } from "../config/index.js";
+import { createLogger } from "../logging/index.js";
+
+const log = createLogger("mssql");
+
+let poolPromise = null;
+
+/**
+ * readDatabaseConfig
+ * -------------------
+ * @returns {Object} The mssql connection configuration.
+ */
+export function readDatabaseConfig() {
+  const { server, port, database, user, password, encrypt, trustServerCertificate } = getConfig().mssql;
+  return {
+    server,
+    port,
+    database,
+    user,
+    password,
+    options: { encrypt, trustServerCertificate },
+  };
+}
+
+/**
+ * isDatabaseConfigured
+ * ---------------------
+ * @returns {boolean} True when MSSQL_SERVER is set.
+ */
+export function isDatabaseConfigured() {
+  return Boolean(getConfig().mssql.server);
+}
+
+/**
+ * connectToDatabase
+ * ------------------
+ * Connects to the database on first use and returns the shared connection pool.
+ *
+ * @returns {Promise<sql.ConnectionPool>} The connected pool.
+ */
+export function connectToDatabase() {
+  if (!poolPromise) {
+    const config = readDatabaseConfig();
+    poolPromise = new sql.ConnectionPool(config)
+      .connect()
+      .then((pool) => {
+        log.info("Connected to MSSQL", { database: config.database, server: config.server });
+        pool.on("error", (err) => {
+          log.error("MSSQL pool error", { err });
+        });
+        return pool;
+      })
+      .catch((err) => {
+        poolPromise = null;
+        throw err;
+      });
+  }
+  return poolPromise;
+}
+
+/**
+ * pingDatabase
+ * -------------
+ * Connects if needed and runs SELECT 1.
+ *
+ * @returns {Promise<void>} Rejects when the database cannot be reached.
+ */
+export async function pingDatabase() {
+  const pool = await connectToDatabase();
+  await pool.request().query("SELECT 1 AS ok");
+}
+
+/**
+ * closeDatabase
+ * --------------
+ * Closes the shared pool, if one was opened.
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeDatabase() {
+  if (!poolPromise) {
+    return;
+  }
+  const pending = poolPromise;
+  poolPromise = null;
+  const pool = await pending.catch(() => null);
+  if (pool) {
+    await pool.close();
+  }
+}
+
+export { sql };
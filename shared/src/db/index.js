@@ -0,0 +1,33 @@
+/*
+ * db/index.js
+ *
+ * Summary:
+ * --------
+ * Entry point to the MSSQL data-access layer shared by the API and the consumer.
+ *
+ * Tables (defined in the mssql SQL project and created by the migrations in
+ * mssql/migrations, see migrate.js):
+ *   dbo.Records      - records and their current values
+ *   dbo.PrimeResults - the latest primality result per record, written by the consumer
+ *   dbo.Batches      - dispatch batches and their final counters, written by the API
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. connection.js: isDatabaseConfigured(), connectToDatabase(), pingDatabase(), closeDatabase().
+ * 2. records.js: upsertRecords(), getRecordsWithResults(), deleteRecord().
+ * 3. primeResults.js: upsertPrimeResults().
+ * 4. batches.js: saveBatch().
+ * 5. migrate.js: runMigrations().
+ */
+
+export {
+  isDatabaseConfigured,
+  connectToDatabase,
+  pingDatabase,
+  closeDatabase,
+  sql,
+} from "./connection.js";
+export { upsertRecords, getRecordsWithResults, deleteRecord } from "./records.js";
+export { upsertPrimeResults } from "./primeResults.js";
+export { saveBatch } from "./batches.js";
+export { runMigrations } from "./migrate.js";
@@ -0,0 +1,110 @@
+/*
+ * migrate.js
+ *
+ * Summary:
+ * --------
+ * Applies the SQL migrations in mssql/migrations to the configured database (see
+ * connection.js). Migration files are applied once each, in file name order, and recorded
+ * in dbo.SchemaMigrations. A file may hold several batches separated by lines containing
+ * only "GO", as in SQL Server Management Studio and sqlcmd. Each file runs in its own
+ * transaction, so a failed migration leaves nothing half applied.
+ *
+ * Run it with `npm run migrate` from the shared package. MSSQL_MIGRATIONS_DIR overrides the
+ * migrations directory.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. splitBatches(text): Splits a migration file on GO lines.
+ * 2. runMigrations(options): Applies the pending migrations and returns their names.
+ * 3. Command-line entry point.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { connectToDatabase, closeDatabase, sql } from "./connection.js";
+import { createLogger, initLogging } from "../logging/index.js";
+
+const log = createLogger("migrate");
+
+const DEFAULT_MIGRATIONS_DIR = fileURLToPath(new URL("../../../mssql/migrations", import.meta.url));
+
+const CREATE_HISTORY_SQL = `
+IF OBJECT_ID(N'[dbo].[SchemaMigrations]', N'U') IS NULL
+  CREATE TABLE [dbo].[SchemaMigrations] (
+    [Name]      NVARCHAR(255) NOT NULL CONSTRAINT [PK_SchemaMigrations] PRIMARY KEY,
+    [AppliedAt] DATETIME2(3)  NOT NULL CONSTRAINT [DF_SchemaMigrations_AppliedAt] DEFAULT SYSUTCDATETIME()
+  );
+`;
+
+/**
+ * splitBatches
+ * -------------
+ * @param {string} text - The contents of a migration file.
+ * @returns {string[]} The non-empty batches of the file.
+ */
+export function splitBatches(text) {
+  return text
+    .split(/^\s*GO\s*$/im)
+    .map((batch) => batch.trim())
+    .filter((batch) => batch.length > 0);
+}
+
+/**
+ * runMigrations
+ * --------------
+ * Applies every migration that has not been applied yet.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The migrations directory (default: MSSQL_MIGRATIONS_DIR
+ *        or mssql/migrations).
+ * @returns {Promise<string[]>} The names of the migrations applied by this run.
+ */
+export async function runMigrations(options = {}) {
+  const dir = options.dir || process.env.MSSQL_MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR;
+  const pool = await connectToDatabase();
+  await pool.request().batch(CREATE_HISTORY_SQL);
+
+  const { recordset } = await pool.request().query("SELECT [Name] FROM [dbo].[SchemaMigrations];");
+  const applied = new Set(recordset.map((row) => row.Name));
+  const files = (await fs.readdir(dir)).filter((file) => file.endsWith(".sql")).sort();
+
+  const ran = [];
+  for (const file of files) {
+    if (applied.has(file)) {
+      continue;
+    }
+    const batches = splitBatches(await fs.readFile(path.join(dir, file), "utf8"));
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      for (const batch of batches) {
+        await new sql.Request(transaction).batch(batch);
+      }
+      await new sql.Request(transaction)
+        .input("name", sql.NVarChar(255), file)
+        .query("INSERT INTO [dbo].[SchemaMigrations] ([Name]) VALUES (@name);");
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback().catch(() => {});
+      throw new Error(`Migration ${file} failed: ${err.message}`);
+    }
+    log.info("Applied migration", { file });
+    ran.push(file);
+  }
+  return ran;
+}
+
+// Apply the migrations when this file is run directly.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  initLogging("migrate");
+  runMigrations()
+    .then((ran) => {
+      log.info(ran.length > 0 ? "Migrations applied" : "Database is up to date", { applied: ran.length });
+    })
+    .catch((err) => {
+      log.error("Migration failed", { err });
+      process.exitCode = 1;
+    })
+    .finally(() => closeDatabase());
+}
@@ -0,0 +1,123 @@
+/*
+ * primeResults.js
+ *
+ * Summary:
+ * --------
+ * Data access for dbo.PrimeResults, which holds the latest primality result for each
+ * record. A result is keyed by record ID and keeps the value it was computed for, so a
+ * result for an older value of a record can be told apart from a current one.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. upsertPrimeResults(results): Inserts or replaces results in one MERGE statement.
+ *    Writing the same result twice leaves the table unchanged, so redelivered messages
+ *    can be stored again safely.
+ * 2. rowToResult(row): Converts a PrimeResults row back to the reply format.
+ */
+
+import { connectToDatabase, sql } from "./connection.js";
+import { createLogger } from "../logging/index.js";
+
+const log = createLogger("primeResults");
+
+const INT_MAX = 2147483647;
+
+// The rows of @results are read with OPENJSON, so any number of results is written in
+// one round trip.
+const UPSERT_SQL = `
+MERGE [dbo].[PrimeResults] WITH (HOLDLOCK) AS target
+USING (
+  SELECT * FROM OPENJSON(@results) WITH (
+    RecordId       INT            '$.id',
+    Value          VARCHAR(1000)  '$.value',
+    IsPrime        BIT            '$.prime',
+    Method         VARCHAR(40)    '$.method',
+    Certain        BIT            '$.certain',
+    SmallestFactor VARCHAR(1000)  '$.smallestFactor',
+    Factors        NVARCHAR(MAX)  '$.factors' AS JSON,
+    Unfactored     NVARCHAR(MAX)  '$.unfactored' AS JSON,
+    ComputeMs      FLOAT          '$.computeMs',
+    BatchId        CHAR(48)       '$.batchId',
+    MsgId          CHAR(48)       '$.msgId'
+  )
+) AS source
+ON target.[RecordId] = source.RecordId
+WHEN MATCHED THEN UPDATE SET
+  [Value] = source.Value,
+  [IsPrime] = source.IsPrime,
+  [Method] = source.Method,
+  [Certain] = source.Certain,
+  [SmallestFactor] = source.SmallestFactor,
+  [Factors] = source.Factors,
+  [Unfactored] = source.Unfactored,
+  [ComputeMs] = source.ComputeMs,
+  [BatchId] = source.BatchId,
+  [MsgId] = source.MsgId,
+  [CheckedAt] = SYSUTCDATETIME()
+WHEN NOT MATCHED THEN INSERT
+  ([RecordId], [Value], [IsPrime], [Method], [Certain], [SmallestFactor], [Factors],
+   [Unfactored], [ComputeMs], [BatchId], [MsgId], [CheckedAt])
+VALUES
+  (source.RecordId, source.Value, source.IsPrime, source.Method, source.Certain,
+   source.SmallestFactor, source.Factors, source.Unfactored, source.ComputeMs,
+   source.BatchId, source.MsgId, SYSUTCDATETIME());
+`;
+
+/**
+ * upsertPrimeResults
+ * -------------------
+ * Stores results in dbo.PrimeResults, replacing any earlier result for the same record.
+ * Results whose id is not a positive 32-bit integer cannot be stored and are skipped.
+ * When the same record appears more than once, the last result wins.
+ *
+ * @param {Array<Object>} results - Results in the reply format { id, value, prime, method,
+ *        certain, smallestFactor, factors, unfactored, computeMs }, optionally with the
+ *        batchId and msgId (hex) of the request they answer.
+ * @returns {Promise<number>} The number of results written.
+ */
+export async function upsertPrimeResults(results) {
+  const byId = new Map();
+  for (const result of results) {
+    const id = Number(result.id);
+    if (!Number.isInteger(id) || id < 1 || id > INT_MAX) {
+      log.warn("Not storing a result: the record id is not a positive integer", { recordId: result.id });
+      continue;
+    }
+    byId.set(id, { ...result, id, value: String(result.value) });
+  }
+  if (byId.size === 0) {
+    return 0;
+  }
+
+  const pool = await connectToDatabase();
+  await pool
+    .request()
+    .input("results", sql.NVarChar(sql.MAX), JSON.stringify([...byId.values()]))
+    .query(UPSERT_SQL);
+  return byId.size;
+}
+
+/**
+ * rowToResult
+ * ------------
+ * Converts a row with the PrimeResults columns into the reply format used by the API.
+ *
+ * @param {Object} row - A row with IsPrime, Method, Certain, ... columns.
+ * @returns {Object|null} { prime, method, certain, smallestFactor, factors, unfactored,
+ *          computeMs, checkedAt }, or null when the row has no result.
+ */
+export function rowToResult(row) {
+  if (row.IsPrime === null || row.IsPrime === undefined) {
+    return null;
+  }
+  return {
+    prime: row.IsPrime,
+    method: row.Method,
+    certain: row.Certain,
+    smallestFactor: row.SmallestFactor,
+    factors: row.Factors ? JSON.parse(row.Factors) : null,
+    unfactored: row.Unfactored ? JSON.parse(row.Unfactored) : [],
+    computeMs: row.ComputeMs,
+    checkedAt: row.CheckedAt.toISOString(),
+  };
+}
@@ -0,0 +1,98 @@
+/*
+ * records.js
+ *
+ * Summary:
+ * --------
+ * Data access for dbo.Records, the records whose values are checked for primality.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. upsertRecords(records): Inserts new records and updates the values of existing ones.
+ * 2. getRecordsWithResults(): Reads every record with its current result, if any.
+ * 3. deleteRecord(id): Deletes a record and its result.
+ */
+
+import { connectToDatabase, sql } from "./connection.js";
+import { rowToResult } from "./primeResults.js";
+
+const UPSERT_SQL = `
+MERGE [dbo].[Records] WITH (HOLDLOCK) AS target
+USING (
+  SELECT * FROM OPENJSON(@records) WITH (
+    Id    INT           '$.id',
+    Value VARCHAR(1000) '$.value'
+  )
+) AS source
+ON target.[Id] = source.Id
+WHEN MATCHED AND target.[Value] <> source.Value THEN UPDATE SET
+  [Value] = source.Value,
+  [UpdatedAt] = SYSUTCDATETIME()
+WHEN NOT MATCHED THEN INSERT ([Id], [Value])
+VALUES (source.Id, source.Value);
+`;
+
+// A result only counts when it was computed for the record's current value.
+const SELECT_WITH_RESULTS_SQL = `
+SELECT r.[Id], r.[Value], p.[IsPrime], p.[Method], p.[Certain], p.[SmallestFactor],
+       p.[Factors], p.[Unfactored], p.[ComputeMs], p.[CheckedAt]
+FROM [dbo].[Records] AS r
+LEFT JOIN [dbo].[PrimeResults] AS p
+  ON p.[RecordId] = r.[Id] AND p.[Value] = r.[Value]
+ORDER BY r.[Id];
+`;
+
+/**
+ * upsertRecords
+ * --------------
+ * Stores records in dbo.Records in a single statement.
+ *
+ * @param {Array<Object>} records - Records in the format { id, value }.
+ * @returns {Promise<void>}
+ */
+export async function upsertRecords(records) {
+  if (records.length === 0) {
+    return;
+  }
+  const rows = records.map((record) => ({ id: record.id, value: String(record.value) }));
+  const pool = await connectToDatabase();
+  await pool
+    .request()
+    .input("records", sql.NVarChar(sql.MAX), JSON.stringify(rows))
+    .query(UPSERT_SQL);
+}
+
+/**
+ * getRecordsWithResults
+ * ----------------------
+ * Reads all records, each merged with its current result (see rowToResult()).
+ *
+ * @returns {Promise<Array<Object>>} Records in the format { id, value, prime?, ..., checkedAt? },
+ *          ordered by id.
+ */
+export async function getRecordsWithResults() {
+  const pool = await connectToDatabase();
+  const { recordset } = await pool.request().query(SELECT_WITH_RESULTS_SQL);
+  return recordset.map((row) => ({
+    id: row.Id,
+    value: row.Value,
+    ...rowToResult(row),
+  }));
+}
+
+/**
+ * deleteRecord
+ * -------------
+ * Deletes a record together with its result.
+ *
+ * @param {number} id - The record id.
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(id) {
+  const pool = await connectToDatabase();
+  await pool
+    .request()
+    .input("id", sql.Int, id)
+    .query(
+      "DELETE FROM [dbo].[PrimeResults] WHERE [RecordId] = @id; DELETE FROM [dbo].[Records] WHERE [Id] = @id;"
+    );
+}
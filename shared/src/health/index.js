@@ -0,0 +1,120 @@
+/*
+ * health/index.js
+ *
+ * Summary:
+ * --------
+ * Readiness checks shared by the API and the consumer. Each service builds its own
+ * /health/ready route from these pieces, with the checks for the dependencies it uses:
+ *
+ *   runChecks(checks)                  runs named checks in parallel, each with a timeout,
+ *                                      and combines their outcomes into one report
+ *   checkMessaging(transport, queues)  checks the MQ connection handle and inquires the
+ *                                      depth of each queue
+ *   checkDatabase()                    pings MSSQL, or reports "skipped" when no database
+ *                                      is configured
+ *
+ * A check is an async function. It passes by resolving (optionally to details that are
+ * added to its entry in the report), fails by rejecting, and is skipped by resolving to
+ * SKIPPED. The report looks like:
+ *
+ *   {
+ *     status: "ok",                       // "fail" when any check failed
+ *     checks: {
+ *       mq:    { status: "ok", latencyMs: 3, queues: [{ name: "DEV.QUEUE.1", depth: 12 }] },
+ *       mssql: { status: "skipped", latencyMs: 0 }
+ *     }
+ *   }
+ *
+ * Environment Variables (with defaults if not set):
+ *   HEALTH_CHECK_TIMEOUT_MS - Time a single check may take before it fails (default: 2000)
+ */
+
+import { isDatabaseConfigured, pingDatabase } from "../db/index.js";
+
+export const SKIPPED = Symbol("skipped");
+
+const defaultTimeoutMs = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+// Rejects when promise has not settled within ms.
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * runChecks
+ * ----------
+ * @param {Object<string, Function>} checks - Check functions by name.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Per-check timeout (default: HEALTH_CHECK_TIMEOUT_MS or 2000).
+ * @returns {Promise<{ status: string, checks: Object }>} The combined report.
+ */
+export async function runChecks(checks, { timeoutMs = defaultTimeoutMs } = {}) {
+  const names = Object.keys(checks);
+  const outcomes = await Promise.all(
+    names.map(async (name) => {
+      const started = Date.now();
+      try {
+        const details = await withTimeout(Promise.resolve().then(checks[name]), timeoutMs);
+        const latencyMs = Date.now() - started;
+        if (details === SKIPPED) {
+          return { status: "skipped", latencyMs };
+        }
+        return { status: "ok", latencyMs, ...details };
+      } catch (err) {
+        return { status: "fail", latencyMs: Date.now() - started, error: err.message };
+      }
+    })
+  );
+
+  const report = { status: "ok", checks: {} };
+  names.forEach((name, i) => {
+    report.checks[name] = outcomes[i];
+    if (outcomes[i].status === "fail") {
+      report.status = "fail";
+    }
+  });
+  return report;
+}
+
+/**
+ * checkMessaging
+ * ---------------
+ * Fails when there is no transport or its connection handle is gone, or when the depth of
+ * any of the queues cannot be inquired.
+ *
+ * @param {Object|null} transport - The service's current transport.
+ * @param {string[]} queueNames - Queues whose depth to report.
+ * @returns {Promise<{ target: string, queues: Array<{ name: string, depth: number }> }>}
+ */
+export async function checkMessaging(transport, queueNames) {
+  if (!transport || !transport.isConnected()) {
+    throw new Error("Not connected to the messaging backend");
+  }
+  const queues = await Promise.all(
+    queueNames.map((name) =>
+      transport.depth(name).then(
+        (depth) => ({ name, depth }),
+        (err) => {
+          throw new Error(`Cannot inquire the depth of ${name}: ${err.message}`);
+        }
+      )
+    )
+  );
+  return { target: transport.describe(), queues };
+}
+
+/**
+ * checkDatabase
+ * --------------
+ * @returns {Promise<void|symbol>} SKIPPED when MSSQL_SERVER is not set.
+ */
+export async function checkDatabase() {
+  if (!isDatabaseConfigured()) {
+    return SKIPPED;
+  }
+  await pingDatabase();
+}
@@ -0,0 +1,133 @@
+/*
+ * logging/index.js
+ *
+ * Summary:
+ * --------
+ * Structured logging for the API, the consumer and the dashboard. Every log record is one
+ * JSON object on its own line on stdout, so log collectors can parse and index it:
+ *
+ *   {"time":"2025-05-01T12:00:00.000Z","level":"info","service":"consumer",
+ *    "component":"consumer","msg":"Response put","traceId":"4bf9...","spanId":"00f0...",
+ *    "recordId":42,"queue":"DEV.QUEUE.2"}
+ *
+ * When a log call happens inside a span (see shared/src/tracing), the record carries that
+ * span's traceId and spanId, so all records about one request - in the API, on its way
+ * through MQ and in the consumer - can be found by trace ID.
+ *
+ * Levels, from most to least verbose: trace, debug, info, warn, error. Records below the
+ * configured level (LOG_LEVEL, default "info") are dropped; "silent" drops everything.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. initLogging(service): Sets the service name and the level from the configuration.
+ *    getServiceName() returns the name.
+ * 2. createLogger(component, fields): Creates a logger for one module.
+ * 3. serializeError(err): The JSON form of an error.
+ */
+
+import { getConfig, LOG_LEVELS } from "../config/index.js";
+import { currentSpan } from "../tracing/context.js";
+
+export { LOG_LEVELS };
+
+let service = undefined;
+let threshold = undefined;
+
+// The configured level, read on first use so modules can log while they are imported.
+function getThreshold() {
+  if (threshold === undefined) {
+    let level = "info";
+    try {
+      level = getConfig().logging.level;
+    } catch (err) {
+      // An invalid configuration is reported by the service itself; log at "info" until then.
+    }
+    threshold = LOG_LEVELS.indexOf(level);
+  }
+  return threshold;
+}
+
+/**
+ * initLogging
+ * ------------
+ * Call once at startup, after the configuration has been validated. Records written before
+ * (by modules that log while they are imported) have no service name.
+ *
+ * @param {string} name - The service name, added to every record as "service".
+ */
+export function initLogging(name) {
+  service = name;
+  threshold = LOG_LEVELS.indexOf(getConfig().logging.level);
+}
+
+// The service name given to initLogging(), if it has been called.
+export function getServiceName() {
+  return service;
+}
+
+/**
+ * serializeError
+ * ---------------
+ * @param {Error} err - Any error; IBM MQ errors carry mqcc and mqrc.
+ * @returns {Object} { type, message, stack } plus the error's code, mqcc and mqrc if set.
+ */
+export function serializeError(err) {
+  if (!(err instanceof Error)) {
+    return { message: String(err) };
+  }
+  const serialized = { type: err.name, message: err.message, stack: err.stack };
+  for (const key of ["code", "mqcc", "mqrc"]) {
+    if (err[key] !== undefined) {
+      serialized[key] = err[key];
+    }
+  }
+  return serialized;
+}
+
+// Errors among the fields are serialized; everything else is written as it is.
+function write(level, component, bound, msg, fields) {
+  const record = { time: new Date().toISOString(), level, service, component, msg };
+  const span = currentSpan();
+  if (span) {
+    record.traceId = span.traceId;
+    record.spanId = span.spanId;
+  }
+  for (const source of [bound, fields]) {
+    for (const [key, value] of Object.entries(source || {})) {
+      record[key] = value instanceof Error ? serializeError(value) : value;
+    }
+  }
+  let line;
+  try {
+    line = JSON.stringify(record, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+  } catch (err) {
+    line = JSON.stringify({ time: record.time, level, service, component, msg, logError: err.message });
+  }
+  process.stdout.write(line + "\n");
+}
+
+/**
+ * createLogger
+ * -------------
+ * Creates a logger whose methods are trace(), debug(), info(), warn() and error(), each
+ * called as log.info("Message", { key: value, ... }). Pass an Error as the "err" field.
+ *
+ * @param {string} component - The module the records come from, e.g. "dispatcher".
+ * @param {Object} [fields] - Fields added to every record of this logger.
+ * @returns {Object} The logger; child(fields) returns one with more fields.
+ */
+export function createLogger(component, fields = {}) {
+  const logger = {
+    child: (more) => createLogger(component, { ...fields, ...more }),
+    isLevelEnabled: (level) => LOG_LEVELS.indexOf(level) >= getThreshold(),
+  };
+  for (const level of LOG_LEVELS.slice(0, -1)) {
+    const rank = LOG_LEVELS.indexOf(level);
+    logger[level] = (msg, more) => {
+      if (rank >= getThreshold()) {
+        write(level, component, fields, msg, more);
+      }
+    };
+  }
+  return logger;
+}
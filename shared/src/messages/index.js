@@ -0,0 +1,287 @@
+/*
+ * messages/index.js
+ *
+ * Summary:
+ * --------
+ * The wire format of the messages the API and the consumer exchange over MQ. Every message
+ * is a JSON envelope:
+ *
+ *   {
+ *     "version": 1,                                  // envelope schema version
+ *     "type": "prime.request",                       // selects the payload schema
+ *     "id": "0b6f4c1e-...",                          // unique message ID
+ *     "correlationId": "...",                        // replies: the ID of the request
+ *     "createdAt": "2025-05-01T12:00:00.000Z",
+ *     "producer": { "service": "api", "host": "web-1", "pid": 4242 },
+ *     "payload": { "records": [{ "id": 42, "value": "97", "sentAt": 1746100800000 }] }
+ *   }
+ *
+ * The envelope and each payload are described by JSON Schema (draft-07) files in ./schemas,
+ * so services written in other languages can check the same format. Messages are validated
+ * when they are built (encodeMessage) and when they are received (decodeMessage); a message
+ * that fails is rejected with every problem listed.
+ *
+ * Versions: messages from before the envelope (a bare record or result, or an array of them
+ * for a batch) are version 0. decodeMessage() validates a message against the schemas of
+ * its own version and then upgrades it step by step (see UPGRADES) to the current version,
+ * which it validates again, so the code handling it only sees valid messages in the current
+ * format. Replies are encoded in the version of the request they answer (see
+ * replyOptions()), so a producer that still sends version 0 gets version 0 replies.
+ * Producers and consumers can therefore be upgraded separately.
+ *
+ * Types: prime.request / prime.reply carry records to test for primality and their results.
+ * task.request / task.reply carry a job for one of the consumer's registered task handlers
+ * (see consumerservice/src/tasks) and its outcome; they only exist in version 1.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Schemas: Loads and compiles the JSON Schema files. createValidator(schema) compiles other
+ *    schemas, such as the input and result schemas of task handlers.
+ * 2. validatePayload(type, payload): Checks a payload against the schema of its type.
+ * 3. encodeMessage(type, payload, options): Builds, validates and serializes a message.
+ * 4. decodeMessage(body, options): Parses, validates and upgrades a received message.
+ * 5. replyOptions(request): The encodeMessage() options for answering a decoded request.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import Ajv from "ajv";
+import { getServiceName } from "../logging/index.js";
+
+export const ENVELOPE_VERSION = 1;
+
+export const MESSAGE_TYPES = {
+  REQUEST: "prime.request",
+  REPLY: "prime.reply",
+  TASK_REQUEST: "task.request",
+  TASK_REPLY: "task.reply",
+};
+
+// 1. Schemas, compiled once. Union types ("integer" or "string" IDs) need allowUnionTypes.
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+function loadSchema(file) {
+  const schema = JSON.parse(fs.readFileSync(new URL(`./schemas/${file}`, import.meta.url), "utf8"));
+  return ajv.compile(schema);
+}
+
+const validators = {
+  envelope: loadSchema("envelope.v1.json"),
+  [MESSAGE_TYPES.REQUEST]: {
+    0: loadSchema("prime.request.v0.json"),
+    1: loadSchema("prime.request.v1.json"),
+  },
+  [MESSAGE_TYPES.REPLY]: {
+    0: loadSchema("prime.reply.v0.json"),
+    1: loadSchema("prime.reply.v1.json"),
+  },
+  [MESSAGE_TYPES.TASK_REQUEST]: {
+    1: loadSchema("task.request.v1.json"),
+  },
+  [MESSAGE_TYPES.TASK_REPLY]: {
+    1: loadSchema("task.reply.v1.json"),
+  },
+};
+
+// Runs a compiled schema; returns the problems found as "<path> <message>" strings.
+function check(validate, data, prefix) {
+  if (validate(data)) {
+    return [];
+  }
+  return validate.errors.map((err) => {
+    const at = err.instancePath ?? err.dataPath ?? "";
+    return `${prefix}${at} ${err.message}`.trim();
+  });
+}
+
+/**
+ * createValidator
+ * ----------------
+ * @param {Object} schema - A JSON Schema (draft-07).
+ * @returns {Function} validate(data, prefix = "") returning the problems found as
+ *          "<prefix><path> <message>" strings; empty when data is valid.
+ * @throws {Error} When the schema itself is invalid.
+ */
+export function createValidator(schema) {
+  const validate = ajv.compile(schema);
+  return (data, prefix = "") => check(validate, data, prefix);
+}
+
+function invalidMessage(summary, details) {
+  const err = new Error(`${summary}: ${details.join("; ")}`);
+  err.details = details;
+  return err;
+}
+
+/**
+ * UPGRADES
+ * --------
+ * UPGRADES[n](message, context) turns a valid message of version n into one of version n + 1.
+ * context is { type, messageId } from decodeMessage(). A new envelope version adds an entry
+ * here, so older messages keep being accepted.
+ */
+const UPGRADES = {
+  0: (data, { type, messageId }) => {
+    const entries = Array.isArray(data) ? data : [data];
+    // Values were sent as numbers or strings; version 1 only has strings.
+    const withStringValue = (entry) =>
+      entry.value === undefined ? entry : { ...entry, value: String(entry.value) };
+    const payload =
+      type === MESSAGE_TYPES.REQUEST
+        ? { records: entries.map(withStringValue) }
+        : { results: entries.map(withStringValue) };
+    return {
+      version: 1,
+      type,
+      id: messageId || crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      producer: { service: "unknown" },
+      payload,
+    };
+  },
+};
+
+/**
+ * validatePayload
+ * ----------------
+ * @param {string} type - A message type from MESSAGE_TYPES.
+ * @param {Object} payload - The payload, in the current version.
+ * @returns {string[]} The problems found; empty when the payload is valid.
+ */
+export function validatePayload(type, payload) {
+  const validate = validators[type]?.[ENVELOPE_VERSION];
+  if (!validate) {
+    return [`unknown message type ${JSON.stringify(type)}`];
+  }
+  return check(validate, payload, "payload");
+}
+
+/**
+ * encodeMessage
+ * --------------
+ * Builds a message of the given type around payload, validates it and returns its JSON.
+ *
+ * @param {string} type - A message type from MESSAGE_TYPES.
+ * @param {Object} payload - The payload, in the current version.
+ * @param {Object} [options]
+ * @param {string} [options.correlationId] - The ID of the message this one answers.
+ * @param {number} [options.version] - Encode in an older version (0: the bare payload entries).
+ * @param {boolean} [options.single] - Version 0 only: send the only entry without an array.
+ * @returns {string} The message body.
+ * @throws {Error} When the message does not match its schema; err.details lists the problems.
+ */
+export function encodeMessage(type, payload, { correlationId, version = ENVELOPE_VERSION, single = false } = {}) {
+  const problems = validatePayload(type, payload);
+  if (problems.length > 0) {
+    throw invalidMessage(`Invalid ${type} message`, problems);
+  }
+
+  if (version === 0) {
+    if (!validators[type][0]) {
+      throw invalidMessage(`Invalid ${type} message`, [`${type} has no version 0 format`]);
+    }
+    const entries = type === MESSAGE_TYPES.REQUEST ? payload.records : payload.results;
+    return JSON.stringify(single && entries.length === 1 ? entries[0] : entries);
+  }
+
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    type,
+    id: crypto.randomUUID(),
+    correlationId,
+    createdAt: new Date().toISOString(),
+    producer: { service: getServiceName() || "unknown", host: os.hostname(), pid: process.pid },
+    payload,
+  };
+  const envelopeProblems = check(validators.envelope, envelope, "");
+  if (envelopeProblems.length > 0) {
+    throw invalidMessage(`Invalid ${type} envelope`, envelopeProblems);
+  }
+  return JSON.stringify(envelope);
+}
+
+/**
+ * decodeMessage
+ * --------------
+ * Parses a message body, validates it against the schemas of its version and upgrades it to
+ * the current version. A JSON object with a "version" field is an envelope; anything else is
+ * taken as version 0.
+ *
+ * @param {Buffer|string} body - The message body.
+ * @param {Object} options
+ * @param {string|string[]} options.type - The message type expected here, or the types
+ *        accepted. A version 0 message carries no type and is taken as the first.
+ * @param {string} [options.messageId] - The MQ message ID (hex), used as the ID of a
+ *        version 0 message.
+ * @returns {{ envelope: Object, version: number, single: boolean }} The message in the
+ *          current version, the version it was sent in, and whether a version 0 message was
+ *          a single entry rather than an array.
+ * @throws {Error} When the body is not valid JSON, has an unsupported version or type, or
+ *         does not match its schemas; err.details lists the problems.
+ */
+export function decodeMessage(body, { type: expected, messageId }) {
+  const types = Array.isArray(expected) ? expected : [expected];
+  let data;
+  try {
+    data = JSON.parse(body.toString());
+  } catch (err) {
+    throw invalidMessage("Message is not valid JSON", [err.message]);
+  }
+
+  const isEnvelope = data !== null && typeof data === "object" && !Array.isArray(data) && Object.hasOwn(data, "version");
+  const version = isEnvelope ? data.version : 0;
+  if (!Number.isInteger(version) || version < 0 || version > ENVELOPE_VERSION) {
+    throw invalidMessage("Unsupported message version", [
+      `version ${JSON.stringify(version)} is not between 0 and ${ENVELOPE_VERSION}`,
+    ]);
+  }
+
+  if (isEnvelope) {
+    const problems = check(validators.envelope, data, "");
+    if (problems.length > 0) {
+      throw invalidMessage("Invalid message envelope", problems);
+    }
+    if (!types.includes(data.type)) {
+      throw invalidMessage("Unexpected message type", [`expected ${types.join(" or ")}, got ${data.type}`]);
+    }
+  }
+  const type = isEnvelope ? data.type : types[0];
+  if (!validators[type]?.[version]) {
+    throw invalidMessage("Unsupported message version", [`${type} has no version ${version} format`]);
+  }
+  const problems = check(validators[type][version], isEnvelope ? data.payload : data, isEnvelope ? "payload" : "message");
+  if (problems.length > 0) {
+    throw invalidMessage(`Invalid ${type} message (version ${version})`, problems);
+  }
+
+  let envelope = data;
+  for (let v = version; v < ENVELOPE_VERSION; v++) {
+    envelope = UPGRADES[v](envelope, { type, messageId });
+  }
+  // An older format may allow what the current one does not, so the upgraded message is
+  // checked too; otherwise it would only fail once the code handling it encodes the answer.
+  if (version < ENVELOPE_VERSION) {
+    const upgradeProblems = [
+      ...check(validators.envelope, envelope, ""),
+      ...check(validators[type][ENVELOPE_VERSION], envelope.payload, "payload"),
+    ];
+    if (upgradeProblems.length > 0) {
+      throw invalidMessage(
+        `Invalid ${type} message (version ${version}, upgraded to ${ENVELOPE_VERSION})`,
+        upgradeProblems
+      );
+    }
+  }
+  return { envelope, version, single: version === 0 && !Array.isArray(data) };
+}
+
+/**
+ * replyOptions
+ * -------------
+ * @param {Object} request - A request as returned by decodeMessage().
+ * @returns {Object} encodeMessage() options that answer it in its own version.
+ */
+export function replyOptions(request) {
+  return { correlationId: request.envelope.id, version: request.version, single: request.single };
+}
@@ -0,0 +1,114 @@
+/*
+ * metrics/index.js
+ *
+ * Summary:
+ * --------
+ * Prometheus metrics shared by the API and the consumer, built on prom-client. Every
+ * metric lives in prom-client's default registry, so each service exposes all of its
+ * metrics - these, the ones it defines itself, and the Node.js process metrics - from one
+ * GET /metrics route (see metricsHandler()).
+ *
+ * Metrics defined here:
+ *   mq_messages_put_total{queue}            messages put, counted by the transport
+ *   mq_messages_got_total{queue}            messages got, counted by the transport
+ *   mq_messages_replied_total{queue}        reply messages the consumer put for requests
+ *   mq_messages_failed_total{queue,reason}  messages that failed, e.g. a put error or a
+ *                                           message moved to the dead-letter queue
+ *   mq_reconnects_total                     times a service retried connecting to the backend
+ *   prime_results_total{outcome}            results by outcome, "prime" or "composite"
+ *   result_cache_lookups_total{outcome}     values looked up in the result cache (see
+ *                                           shared/src/cache), by outcome, "hit" or "miss"
+ *
+ * Puts made under syncpoint are counted when put, whether or not their unit of work is
+ * later committed.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. initMetrics(service): Labels every metric with the service name and starts collecting
+ *    the default Node.js metrics.
+ * 2. The shared counters listed above.
+ * 3. metricsHandler(req, res): An Express handler that serves the registry.
+ */
+
+import client from "prom-client";
+
+let initialized = false;
+
+/**
+ * initMetrics
+ * ------------
+ * Call once at startup, before the first request to /metrics.
+ *
+ * @param {string} service - The service name, added as the "service" label.
+ */
+export function initMetrics(service) {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+  client.register.setDefaultLabels({ service });
+  client.collectDefaultMetrics();
+}
+
+export const messagesPut = new client.Counter({
+  name: "mq_messages_put_total",
+  help: "Messages put, by queue",
+  labelNames: ["queue"],
+});
+
+export const messagesGot = new client.Counter({
+  name: "mq_messages_got_total",
+  help: "Messages got, by queue",
+  labelNames: ["queue"],
+});
+
+export const messagesReplied = new client.Counter({
+  name: "mq_messages_replied_total",
+  help: "Reply messages put for request messages, by reply queue",
+  labelNames: ["queue"],
+});
+
+export const messagesFailed = new client.Counter({
+  name: "mq_messages_failed_total",
+  help: "Messages that could not be put, got or processed, by queue and reason",
+  labelNames: ["queue", "reason"],
+});
+
+export const reconnects = new client.Counter({
+  name: "mq_reconnects_total",
+  help: "Times a service retried connecting to the messaging backend after a failure",
+});
+
+export const primeResults = new client.Counter({
+  name: "prime_results_total",
+  help: "Primality results, by outcome",
+  labelNames: ["outcome"],
+});
+
+// Counts one result as "prime" or "composite".
+export function countPrimeResult(prime) {
+  primeResults.inc({ outcome: prime ? "prime" : "composite" });
+}
+
+export const resultCacheLookups = new client.Counter({
+  name: "result_cache_lookups_total",
+  help: "Values looked up in the result cache, by outcome",
+  labelNames: ["outcome"],
+});
+
+/**
+ * metricsHandler
+ * ---------------
+ * Serves every registered metric in the Prometheus text format.
+ */
+export async function metricsHandler(req, res) {
+  try {
+    res.set("Content-Type", client.register.contentType);
+    res.send(await client.register.metrics());
+  } catch (err) {
+    res.status(500).send(err.message);
+  }
+}
+
+// The prom-client module, for metrics that belong to one service only.
+export { client };
@@ -0,0 +1,31 @@
+/*
+ * tracing/context.js
+ *
+ * Summary:
+ * --------
+ * Holds the active span for the code running on its behalf, across awaits and callbacks,
+ * with AsyncLocalStorage. Kept apart from tracing/index.js so the logger can read the
+ * active span without importing the rest of the tracing code.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * currentSpan
+ * ------------
+ * @returns {Object|undefined} The active span, if any.
+ */
+export function currentSpan() {
+  return storage.getStore();
+}
+
+/**
+ * runInSpan
+ * ----------
+ * Runs fn with span as the active span, and returns what fn returns.
+ */
+export function runInSpan(span, fn) {
+  return storage.run(span, fn);
+}
@@ -0,0 +1,297 @@
+/*
+ * tracing/index.js
+ *
+ * Summary:
+ * --------
+ * Lightweight tracing that follows one request from the API, through MQ, to the consumer
+ * and back. It uses the W3C Trace Context and OpenTelemetry data model without depending on
+ * the OpenTelemetry SDK:
+ *
+ *   - A trace is identified by a 16-byte traceId, each step in it (a span) by an 8-byte
+ *     spanId, both in lowercase hex. Spans know their parent, and have a kind (SERVER,
+ *     PRODUCER, CONSUMER or INTERNAL), a start and end time, attributes and a status.
+ *   - Between processes the context travels as a W3C "traceparent" value: in the HTTP
+ *     traceparent header, and in the "traceparent" property of every MQ message put on
+ *     behalf of a trace (see messageProperties() and the transport's properties option).
+ *   - The active span is kept in AsyncLocalStorage (context.js); every log record written
+ *     while it is active carries its traceId and spanId (see shared/src/logging).
+ *   - When a span ends it is written as a log record with msg "span" and the span's fields
+ *     under "span", named as in the OpenTelemetry protocol (startTimeUnixNano, kind, ...),
+ *     so a log pipeline can forward spans to a tracing backend. LOG_SPANS=false turns this
+ *     off.
+ *
+ * The hops of a record: API request (SERVER) -> put on the request queue (PRODUCER) -> get
+ * and processing in the consumer (CONSUMER) -> reply put (PRODUCER) -> reply handled by the
+ * API (CONSUMER), all with the same traceId.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. Trace context: parseTraceparent(), formatTraceparent().
+ * 2. startSpan(name, options): Starts a span, by default as a child of the active one.
+ * 3. withSpan(name, options, fn): Runs fn inside a new span and ends it afterwards.
+ * 4. messageProperties(span) / messageTraceContext(message): Trace context on MQ messages.
+ *    tracedPut() puts a message in a PRODUCER span; withReceiveSpan() handles one that was
+ *    got in a CONSUMER span that continues the sender's trace.
+ * 5. tracingMiddleware(options): An Express middleware that runs each request in a SERVER
+ *    span and logs it.
+ */
+
+import crypto from "crypto";
+import { performance } from "perf_hooks";
+import { currentSpan, runInSpan } from "./context.js";
+import { createLogger, serializeError } from "../logging/index.js";
+import { getConfig } from "../config/index.js";
+
+export { currentSpan, runInSpan };
+
+const log = createLogger("tracing");
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Nanoseconds since the epoch, as a string (too large for a safe integer).
+function nowUnixNano() {
+  return (BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n).toString();
+}
+
+/**
+ * parseTraceparent
+ * -----------------
+ * @param {string} value - A W3C traceparent, "00-<traceId>-<parentSpanId>-<flags>".
+ * @returns {{ traceId: string, spanId: string }|null} The context, or null when the value is
+ *          missing or malformed (including all-zero ids).
+ */
+export function parseTraceparent(value) {
+  const match = typeof value === "string" ? TRACEPARENT.exec(value.trim().toLowerCase()) : null;
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2] };
+}
+
+/**
+ * formatTraceparent
+ * ------------------
+ * @param {{ traceId: string, spanId: string }} span - A span or span context.
+ * @returns {string} Its traceparent value (always sampled).
+ */
+export function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-01`;
+}
+
+/**
+ * startSpan
+ * ----------
+ * @param {string} name - What the span does, e.g. "send DEV.QUEUE.1".
+ * @param {Object} [options]
+ * @param {string} [options.kind="INTERNAL"] - SERVER, CLIENT, PRODUCER, CONSUMER or INTERNAL.
+ * @param {Object|null} [options.parent] - Parent span or { traceId, spanId }. Defaults to the
+ *        active span; null or no active span starts a new trace.
+ * @param {Object} [options.attributes] - Initial attributes.
+ * @returns {Object} The span: { traceId, spanId, parentSpanId, name, setAttribute(),
+ *          setAttributes(), recordError(), end() }.
+ */
+export function startSpan(name, options = {}) {
+  const parent = options.parent === undefined ? currentSpan() : options.parent;
+  const span = {
+    traceId: parent ? parent.traceId : crypto.randomBytes(16).toString("hex"),
+    spanId: crypto.randomBytes(8).toString("hex"),
+    parentSpanId: parent ? parent.spanId : undefined,
+    name,
+    kind: options.kind || "INTERNAL",
+    startTimeUnixNano: nowUnixNano(),
+    attributes: { ...options.attributes },
+    status: { code: "UNSET" },
+    ended: false,
+
+    setAttribute(key, value) {
+      span.attributes[key] = value;
+      return span;
+    },
+    setAttributes(attributes) {
+      Object.assign(span.attributes, attributes);
+      return span;
+    },
+    // Marks the span as failed; the error is added as an "exception" event.
+    recordError(err) {
+      const { type, message } = serializeError(err);
+      span.status = { code: "ERROR", message };
+      span.events = [...(span.events || []), { name: "exception", attributes: { "exception.type": type, "exception.message": message } }];
+      return span;
+    },
+    end() {
+      if (span.ended) {
+        return;
+      }
+      span.ended = true;
+      if (!getConfig().logging.spans) {
+        return;
+      }
+      const endTimeUnixNano = nowUnixNano();
+      log.info("span", {
+        traceId: span.traceId,
+        spanId: span.spanId,
+        span: {
+          name: span.name,
+          kind: span.kind,
+          parentSpanId: span.parentSpanId,
+          startTimeUnixNano: span.startTimeUnixNano,
+          endTimeUnixNano,
+          durationMs: Number(BigInt(endTimeUnixNano) - BigInt(span.startTimeUnixNano)) / 1e6,
+          status: span.status,
+          attributes: span.attributes,
+          events: span.events,
+        },
+      });
+    },
+  };
+  return span;
+}
+
+/**
+ * withSpan
+ * ---------
+ * Starts a span, runs fn(span) with it as the active span, and ends it when fn's promise
+ * settles. A rejection is recorded on the span and passed on.
+ *
+ * @param {string} name - The span name.
+ * @param {Object} options - As for startSpan().
+ * @param {Function} fn - Called with the span; may return a promise.
+ * @returns {Promise<*>} What fn resolves to.
+ */
+export async function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  try {
+    return await runInSpan(span, () => fn(span));
+  } catch (err) {
+    span.recordError(err);
+    throw err;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * messageProperties / messageTraceContext
+ * ---------------------------------------
+ * messageProperties(span) returns the MQ message properties that carry span's context, for
+ * the properties option of put(). messageTraceContext(message) reads the context back from a
+ * message that was got, or returns null when it has none.
+ */
+export function messageProperties(span) {
+  return span ? { traceparent: formatTraceparent(span) } : {};
+}
+
+export function messageTraceContext(message) {
+  return parseTraceparent(message?.properties?.traceparent);
+}
+
+/**
+ * tracedPut
+ * ----------
+ * Puts a message in a PRODUCER span named "send <queue>", passing the span's context on in
+ * the message's traceparent property.
+ *
+ * @param {Object} transport - A connected transport.
+ * @param {Object} queue - A queue handle opened for output.
+ * @param {string|Buffer} body - The message body.
+ * @param {Object} [options] - The put options, plus the span's parent and attributes.
+ * @returns {Promise<Object>} What the put resolves to.
+ */
+export function tracedPut(transport, queue, body, { parent, attributes, ...putOptions } = {}) {
+  const options = {
+    kind: "PRODUCER",
+    parent,
+    attributes: {
+      "messaging.operation.type": "send",
+      "messaging.destination.name": queue.name,
+      "messaging.message.body.size": Buffer.byteLength(body),
+      ...attributes,
+    },
+  };
+  return withSpan(`send ${queue.name}`, options, (span) =>
+    transport.put(queue, body, { ...putOptions, properties: { ...putOptions.properties, ...messageProperties(span) } })
+  );
+}
+
+/**
+ * withReceiveSpan
+ * ----------------
+ * Runs fn(span) for a message that was got, in a CONSUMER span named "process <queue>" whose
+ * parent is the trace context the message carries (a new trace when it has none).
+ *
+ * @param {string} queueName - The queue the message was got from.
+ * @param {Object} message - The message from the transport.
+ * @param {Function} fn - Called with the span; may return a promise.
+ * @returns {Promise<*>} What fn resolves to.
+ */
+export function withReceiveSpan(queueName, message, fn) {
+  const options = {
+    kind: "CONSUMER",
+    parent: messageTraceContext(message),
+    attributes: {
+      "messaging.operation.type": "process",
+      "messaging.destination.name": queueName,
+      "messaging.message.id": message.msgId ? message.msgId.toString("hex") : undefined,
+      "messaging.message.body.size": message.body ? message.body.length : undefined,
+    },
+  };
+  return withSpan(`process ${queueName}`, options, fn);
+}
+
+/**
+ * tracingMiddleware
+ * ------------------
+ * Runs each request in a SERVER span, continuing the trace of an incoming traceparent header,
+ * and returns the trace context in the traceparent and X-Trace-Id response headers. When the
+ * response is finished (or the connection closes), the request is logged with its status and
+ * duration and the span is ended.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.ignorePaths] - Path prefixes that are neither traced nor logged,
+ *        such as health probes and metrics scrapes.
+ * @returns {Function} The middleware.
+ */
+export function tracingMiddleware({ ignorePaths = [] } = {}) {
+  const requestLog = createLogger("http");
+  return (req, res, next) => {
+    if (ignorePaths.some((prefix) => req.path.startsWith(prefix))) {
+      return next();
+    }
+    const span = startSpan(`${req.method} ${req.path}`, {
+      kind: "SERVER",
+      parent: parseTraceparent(req.get("traceparent")),
+      attributes: { "http.request.method": req.method, "url.path": req.path },
+    });
+    res.set("traceparent", formatTraceparent(span));
+    res.set("X-Trace-Id", span.traceId);
+
+    let done = false;
+    const finish = () => {
+      if (done) {
+        return;
+      }
+      done = true;
+      // Name the span after the matched route, e.g. "GET /records/:id".
+      if (req.route) {
+        span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+      }
+      span.setAttribute("http.response.status_code", res.statusCode);
+      if (res.statusCode >= 500) {
+        span.status = { code: "ERROR" };
+      }
+      const durationMs = Number(BigInt(nowUnixNano()) - BigInt(span.startTimeUnixNano)) / 1e6;
+      runInSpan(span, () => {
+        const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+        requestLog[level]("Request handled", {
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode,
+          durationMs,
+        });
+      });
+      span.end();
+    };
+    res.on("finish", finish);
+    res.on("close", finish);
+    runInSpan(span, next);
+  };
+}
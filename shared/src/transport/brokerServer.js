@@ -0,0 +1,158 @@
+/*
+ * brokerServer.js
+ *
+ * Summary:
+ * --------
+ * A local stand-in for a queue manager. It wraps an in-memory broker (memoryBroker.js) in a
+ * TCP or Unix socket server so the API and the consumer, running as separate processes on
+ * the same machine, can exchange messages through the local transport.
+ *
+ * Run it with `npm run broker` from the shared package. The listen address is read from
+ * MQ_BROKER_ADDRESS ("host:port", "port" or a socket path; default "localhost:1415").
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. startBrokerServer(options): Creates the broker and starts listening.
+ * 2. handleRequest(): Executes one request (put, get, commit, backout, depth, open, close,
+ *    publish, subscribe, closeSubscription or unsubscribe) against the client's broker
+ *    session.
+ * 3. Connection handling: Each client connection gets its own session. When the client
+ *    disconnects, its uncommitted work is backed out, a get that completes afterwards
+ *    puts its message back on the queue, so no message is lost with the client, and its
+ *    temporary dynamic queues and non-durable subscriptions are deleted.
+ * 4. Command-line entry point.
+ */
+
+import net from "net";
+import { pathToFileURL } from "url";
+import { createMemoryBroker } from "./memoryBroker.js";
+import {
+  DEFAULT_BROKER_ADDRESS,
+  parseBrokerAddress,
+  encodeMessage,
+  createLineReader,
+} from "./localProtocol.js";
+import { createLogger } from "../logging/index.js";
+
+const log = createLogger("broker");
+
+/**
+ * startBrokerServer
+ * ------------------
+ * Starts a broker server.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.address] - Listen address (default: MQ_BROKER_ADDRESS or "localhost:1415").
+ * @param {Object} [options.broker] - Broker to serve (default: a new memory broker).
+ * @returns {Promise<net.Server>} A promise that resolves once the server is listening.
+ */
+export function startBrokerServer(options = {}) {
+  const address = options.address || process.env.MQ_BROKER_ADDRESS || DEFAULT_BROKER_ADDRESS;
+  const broker = options.broker || createMemoryBroker();
+
+  // The message fields of a put or publish request.
+  function messageFields(request) {
+    return {
+      body: Buffer.from(request.body ?? "", "base64"),
+      correlId: request.correlId ? Buffer.from(request.correlId, "hex") : undefined,
+      replyToQueue: request.replyToQueue,
+      properties: request.properties,
+      priority: request.priority,
+      expiryMs: request.expiryMs,
+    };
+  }
+
+  async function handleRequest(request, session) {
+    const syncpoint = Boolean(request.syncpoint);
+    switch (request.op) {
+      case "put": {
+        const { msgId } = session.put(request.queue, messageFields(request), { syncpoint });
+        return { msgId: msgId.toString("hex") };
+      }
+      case "publish": {
+        const { msgId } = session.publish(request.topic, messageFields(request), { syncpoint });
+        return { msgId: msgId.toString("hex") };
+      }
+      case "get": {
+        const correlId = request.correlId ? Buffer.from(request.correlId, "hex") : undefined;
+        const message = await session.get(request.queue, request.waitMs ?? 0, { syncpoint, correlId });
+        return { message: encodeMessage(message) };
+      }
+      case "commit":
+        session.commit();
+        return {};
+      case "backout":
+        session.backout();
+        return {};
+      case "depth":
+        return { depth: broker.depth(request.queue) };
+      case "open":
+        if (!request.dynamicQueueName) {
+          throw new Error('"open" needs a dynamicQueueName');
+        }
+        return { name: session.openDynamic(request.dynamicQueueName) };
+      case "close":
+        session.closeQueue(request.queue);
+        return {};
+      case "subscribe":
+        return { subscription: session.subscribe(request.topic, { name: request.name, durable: request.durable }) };
+      case "closeSubscription":
+        session.closeSubscription(request.name);
+        return {};
+      case "unsubscribe":
+        session.unsubscribe(request.name);
+        return {};
+      default:
+        throw new Error(`Unknown operation "${request.op}"`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    const session = broker.createSession();
+    const send = (response) => {
+      if (!socket.destroyed) {
+        socket.write(JSON.stringify(response) + "\n");
+      }
+    };
+
+    socket.on(
+      "data",
+      createLineReader((line) => {
+        let request;
+        try {
+          request = JSON.parse(line);
+        } catch (err) {
+          send({ id: null, ok: false, error: "Request is not valid JSON" });
+          return;
+        }
+        handleRequest(request, session)
+          .then((result) => send({ id: request.id, ok: true, result }))
+          .catch((err) =>
+            send({ id: request.id, ok: false, error: err.message, noSubscription: err.noSubscription })
+          );
+      })
+    );
+    socket.on("error", (err) => {
+      log.warn("Broker client connection error", { err });
+    });
+    socket.on("close", () => {
+      session.close();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(parseBrokerAddress(address), () => {
+      log.info("Local MQ broker listening", { address });
+      resolve(server);
+    });
+  });
+}
+
+// Start the broker when this file is run directly.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startBrokerServer().catch((err) => {
+    log.error("Failed to start the local MQ broker", { err });
+    process.exit(1);
+  });
+}
@@ -0,0 +1,244 @@
+/*
+ * connectionManager.js
+ *
+ * Summary:
+ * --------
+ * Keeps one messaging connection, with its queues open, available to a service. The API
+ * and the consumer use it instead of connecting once and hoping the connection lasts:
+ *
+ *   - Connecting retries with exponential backoff and jitter until it succeeds, so a
+ *     service can start while the queue manager is still down.
+ *   - Queue handles belong to a connection, so every (re)connect opens the configured
+ *     queues again. Users always take handles from the current connection.
+ *   - Code that finds the connection broken (e.g. a get fails) calls reportFailure(). The
+ *     manager drops that connection and reconnects; meanwhile waitForConnection() holds new
+ *     work back, which pauses intake until the connection is back.
+ *   - close() stops reconnecting, closes the queue handles and disconnects (MQDISC).
+ *
+ * A connection handed out by the manager looks like:
+ *   { transport, queues: { <key>: <queue handle>, ... } }
+ * with one handle per entry of the queues option.
+ *
+ * The default delays come from the shared configuration (see shared/src/config):
+ *   MQ_RECONNECT_INITIAL_MS - Delay before the first retry (default: 1000)
+ *   MQ_RECONNECT_MAX_MS     - Longest delay between retries (default: 30000)
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. backoffDelay(attempt, options): The delay before a retry.
+ * 2. createConnectionManager(options): Creates a manager.
+ * 3. The manager: start(), connection(), waitForConnection(), reportFailure(), close().
+ */
+
+import { reconnects } from "../metrics/index.js";
+import { getConfig } from "../config/index.js";
+import { createLogger } from "../logging/index.js";
+
+/**
+ * backoffDelay
+ * -------------
+ * The delay grows by multiplier with every failed attempt, up to maxDelayMs. Jitter takes
+ * a random part of up to jitter * delay off, so that many clients do not retry in step.
+ *
+ * @param {number} attempt - The number of failed attempts so far, minus one (0 for the first retry).
+ * @param {Object} options - { initialDelayMs, maxDelayMs, multiplier, jitter }.
+ * @returns {number} The delay in milliseconds.
+ */
+export function backoffDelay(attempt, { initialDelayMs, maxDelayMs, multiplier, jitter }) {
+  const delay = Math.min(maxDelayMs, initialDelayMs * multiplier ** attempt);
+  return Math.round(delay * (1 - jitter * Math.random()));
+}
+
+/**
+ * createConnectionManager
+ * ------------------------
+ * @param {Object} options
+ * @param {Function} options.connect - Returns a promise of a connected transport.
+ * @param {Object} [options.queues] - Queues to open on every connection, by key:
+ *        { reply: { name: "DEV.QUEUE.2", mode: "input" }, ... }. An entry can also be a
+ *        topic to publish on, { topic: "primes/found" }, or a subscription to read from,
+ *        { subscription: { topic: "primes/#", name: "analytics" } } (see subscribe()).
+ * @param {string} [options.name="MQ"] - Name of the connection, added to its log records.
+ * @param {number} [options.initialDelayMs] - Default: MQ_RECONNECT_INITIAL_MS or 1000.
+ * @param {number} [options.maxDelayMs] - Default: MQ_RECONNECT_MAX_MS or 30000.
+ * @param {number} [options.multiplier=2] - Growth of the delay per failed attempt.
+ * @param {number} [options.jitter=0.5] - Largest fraction of the delay taken off at random.
+ * @returns {Object} The manager.
+ */
+export function createConnectionManager(options) {
+  const { connect, queues = {}, name = "MQ" } = options;
+  const { reconnect } = getConfig().mq;
+  const backoff = {
+    initialDelayMs: options.initialDelayMs ?? reconnect.initialDelayMs,
+    maxDelayMs: options.maxDelayMs ?? reconnect.maxDelayMs,
+    multiplier: options.multiplier ?? 2,
+    jitter: options.jitter ?? 0.5,
+  };
+  const log = createLogger("connectionManager", { connection: name });
+
+  let current = null; // the usable connection, or null
+  let connecting = null; // promise of the running connect loop
+  let closed = false;
+  let everConnected = false; // whether a connection was made, so later connects are retries
+  let waiters = []; // { resolve, reject } of waitForConnection() calls
+  let wakeUp = null; // ends the backoff sleep early on close()
+
+  // Connects and opens every configured queue; disconnects again if any open fails.
+  async function connectOnce() {
+    const transport = await connect();
+    try {
+      const opened = {};
+      for (const [key, queue] of Object.entries(queues)) {
+        if (queue.subscription) {
+          const { topic, ...subscribeOptions } = queue.subscription;
+          opened[key] = await transport.subscribe(topic, subscribeOptions);
+        } else if (queue.topic) {
+          opened[key] = await transport.openTopic(queue.topic);
+        } else {
+          opened[key] = await transport.open(queue.name, queue.mode);
+        }
+      }
+      return { transport, queues: opened };
+    } catch (err) {
+      await transport.disconnect().catch(() => {});
+      throw err;
+    }
+  }
+
+  // Backs out any unfinished work and disconnects, without waiting on a broken connection
+  // longer than necessary.
+  async function dropConnection(conn) {
+    await conn.transport.backout().catch(() => {});
+    for (const queue of Object.values(conn.queues)) {
+      await conn.transport.close(queue).catch(() => {});
+    }
+    await conn.transport.disconnect().catch((err) => {
+      log.warn("Disconnect error", { err });
+    });
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  // Runs connect attempts until one succeeds or the manager is closed.
+  function connectLoop() {
+    if (connecting) {
+      return connecting;
+    }
+    connecting = (async () => {
+      for (let attempt = 0; !closed; attempt++) {
+        // Every attempt but the very first connect of the manager is a retry.
+        if (attempt > 0 || everConnected) {
+          reconnects.inc();
+        }
+        try {
+          const conn = await connectOnce();
+          if (closed) {
+            await dropConnection(conn);
+            return;
+          }
+          current = conn;
+          everConnected = true;
+          log.info("Connected", { target: conn.transport.describe() });
+          waiters.splice(0).forEach(({ resolve }) => resolve(conn));
+          return;
+        } catch (err) {
+          const delay = backoffDelay(attempt, backoff);
+          log.error("Connection attempt failed; retrying", { attempt: attempt + 1, retryInMs: delay, err });
+          await sleep(delay);
+        }
+      }
+    })().finally(() => {
+      connecting = null;
+    });
+    return connecting;
+  }
+
+  return {
+    /**
+     * start
+     * ------
+     * Starts connecting in the background. Returns at once; use waitForConnection() to
+     * wait for the connection.
+     */
+    start() {
+      connectLoop();
+    },
+
+    // The current connection, or null while disconnected.
+    connection() {
+      return current;
+    },
+
+    /**
+     * waitForConnection
+     * ------------------
+     * @returns {Promise<Object>} Resolves to the current connection as soon as there is one.
+     *          Rejects once the manager is closed.
+     */
+    waitForConnection() {
+      if (closed) {
+        return Promise.reject(new Error(`${name}: connection manager is closed`));
+      }
+      if (current) {
+        return Promise.resolve(current);
+      }
+      connectLoop();
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+
+    /**
+     * reportFailure
+     * --------------
+     * Tells the manager that conn no longer works. If it is still the current connection,
+     * it is dropped and a new one is made; reports about older connections are ignored, so
+     * several users of one connection can all report the same failure.
+     *
+     * @param {Object} conn - The connection that failed.
+     * @param {Error} [err] - What went wrong, for the log.
+     */
+    reportFailure(conn, err) {
+      if (!conn || conn !== current) {
+        return;
+      }
+      current = null;
+      log.error("Connection lost; reconnecting", { target: conn.transport.describe(), err });
+      dropConnection(conn);
+      if (!closed) {
+        connectLoop();
+      }
+    },
+
+    /**
+     * close
+     * ------
+     * Stops reconnecting, rejects pending waitForConnection() calls, closes the queue handles
+     * and disconnects. Work that was not committed is backed out first.
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+      closed = true;
+      if (wakeUp) {
+        wakeUp();
+      }
+      waiters.splice(0).forEach(({ reject }) => reject(new Error(`${name}: connection manager is closed`)));
+      if (connecting) {
+        await connecting;
+      }
+      const conn = current;
+      current = null;
+      if (conn) {
+        await dropConnection(conn);
+        log.info("Disconnected", { target: conn.transport.describe() });
+      }
+    },
+  };
+}
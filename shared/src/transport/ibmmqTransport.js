@@ -0,0 +1,479 @@
+/*
+ * ibmmqTransport.js
+ *
+ * Summary:
+ * --------
+ * The IBM MQ backend of the transport interface (see index.js). It connects to a queue
+ * manager as a client using the usual MQCNO/MQCD/MQCSP setup and maps open, put, get and
+ * close onto the ibmmq Promise API where one exists.
+ *
+ * Getting messages:
+ * -----------------
+ * ibmmq has no Promise-based get. GetSync() with MQGMO_WAIT blocks the whole Node.js event
+ * loop while it waits, and the asynchronous Get() needs MQCTL, which stops the same
+ * connection from being used for puts. So get() issues GetSync() with MQGMO_NO_WAIT and,
+ * while the queue is empty, retries every pollIntervalMs until waitMs has passed.
+ *
+ * Message sizes:
+ * --------------
+ * Gets start with a buffer of bufferSize bytes. When a message does not fit, MQ leaves it on
+ * the queue and reports MQRC_TRUNCATED_MSG_FAILED with the message's real length; the get is
+ * then retried with a buffer of that size, and later gets start with the larger buffer too.
+ * Messages longer than maxMsgLength are rejected rather than read.
+ *
+ * Message properties:
+ * -------------------
+ * The properties option of put() is set as MQ message properties on a message handle that
+ * is passed to the put as MQPMO.OriginalMsgHandle. Gets read the properties into a message
+ * handle (MQGMO_PROPERTIES_IN_HANDLE) and return them, converted to strings, as
+ * message.properties. A put's handle is deleted after the put; gets reuse one handle per
+ * connection, which each get overwrites.
+ *
+ * Channels and TLS:
+ * -----------------
+ * The channel is either defined by channel and connName, or taken from a client channel
+ * definition table (CCDT) at ccdtUrl, which MQ reads itself. For a TLS channel, tls.cipherSpec
+ * is set on the channel definition and the key repository (and optionally the certificate
+ * label) go into an MQSCO; with a CCDT the cipher spec comes from the table instead.
+ *
+ * Broken connections:
+ * -------------------
+ * MQ reports a lost connection only through the reason code of the next call that uses it.
+ * When any call fails with one of CONNECTION_BROKEN_REASONS (the connection is broken, the
+ * handle is no longer valid, or the queue manager is unavailable or shutting down), the error
+ * is flagged with err.connectionBroken = true and isConnected() returns false until connect()
+ * succeeds again, so callers know to reconnect.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. connect(): Builds the connection options (MQCNO with MQCD or CCDT, MQSCO and MQCSP) and
+ *    connects with ConnxPromise().
+ * 2. open()/close(): Open a queue for input or output, and close it again. With a
+ *    dynamicQueueName the queue name is a model queue, and MQ creates a temporary dynamic
+ *    queue from it that is deleted when it is closed.
+ *    openTopic() opens a topic for publishing: a put on the handle publishes on the topic.
+ *    subscribe() creates or resumes a subscription (MQSUB) with a managed queue, which is
+ *    read with get(); close() leaves a durable subscription in place, and unsubscribe()
+ *    removes it (MQCO_REMOVE_SUB).
+ * 3. put(): Puts a message, stamping the given CorrelId, ReplyToQ, properties, Priority and
+ *    Expiry if there are any. A message with a ReplyToQ is sent as a request (MQMT_REQUEST).
+ *    Without a priority the message gets priority 0 rather than the queue's default, as it
+ *    does on the other backends. The expiry is given in milliseconds and rounded up to the
+ *    tenths of a second MQ counts in.
+ * 4. get(): Polls the queue with GetSync() as described above, growing the buffer as needed.
+ * 5. commit()/backout(): Wrap Cmit() and Back() for gets and puts made under syncpoint.
+ *    A commit that fails with MQRC_BACKED_OUT is flagged with err.backedOut = true.
+ * 6. depth(): Inquires the current depth of a queue through a short-lived inquire handle.
+ * 7. disconnect(): Disconnects from the queue manager.
+ * 8. guard(fn): Wraps each operation so that a connection-level failure marks the
+ *    connection as broken.
+ */
+
+import * as mq from "ibmmq"; // Import the IBM MQ client library
+const MQC = mq.MQC; // IBM MQ constants
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reason codes after which the connection handle cannot be used again.
+const CONNECTION_BROKEN_REASONS = new Set([
+  MQC.MQRC_CONNECTION_BROKEN, // 2009
+  MQC.MQRC_HCONN_ERROR, // 2018
+  MQC.MQRC_Q_MGR_NOT_AVAILABLE, // 2059
+  MQC.MQRC_Q_MGR_QUIESCING, // 2161
+  MQC.MQRC_Q_MGR_STOPPING, // 2162
+  MQC.MQRC_CONNECTION_QUIESCING, // 2202
+  MQC.MQRC_CONNECTION_STOPPING, // 2203
+]);
+
+/**
+ * createIbmMqTransport
+ * ---------------------
+ * Creates an IBM MQ transport.
+ *
+ * @param {Object} options
+ * @param {string} options.qmgr - Queue manager name.
+ * @param {string} [options.channel] - Client connection channel.
+ * @param {string} [options.connName] - Connection name in the format "hostname(port)".
+ * @param {string} [options.ccdtUrl] - URL of a CCDT; used instead of channel and connName.
+ * @param {Object} [options.tls] - { cipherSpec, keyRepository, certLabel, peerName }.
+ * @param {string} [options.user] - Authentication user; no MQCSP is sent without one.
+ * @param {string} [options.password] - Authentication password.
+ * @param {number} [options.pollIntervalMs=100] - Delay between gets while a queue is empty.
+ * @param {number} [options.bufferSize=4096] - Initial size of the buffer used for each get.
+ * @param {number} [options.maxMsgLength=104857600] - Largest message get() will read (100 MB,
+ *        the IBM MQ maximum).
+ * @returns {Object} The transport.
+ */
+export function createIbmMqTransport(options) {
+  const { qmgr, channel, connName, ccdtUrl, user, password } = options;
+  const tls = options.tls || {};
+  const pollIntervalMs = options.pollIntervalMs ?? 100;
+  const maxMsgLength = options.maxMsgLength ?? 100 * 1024 * 1024;
+  let bufferSize = Math.min(options.bufferSize ?? 4096, maxMsgLength);
+  let hConn = null;
+  let broken = false; // whether a call found the connection broken
+  let getHandle = null; // message handle that gets read properties into
+
+  function connect() {
+    // Create and configure the connection options (MQCNO).
+    const cno = new mq.MQCNO();
+    // Specify client binding since we are connecting remotely.
+    cno.Options = MQC.MQCNO_CLIENT_BINDING;
+
+    if (ccdtUrl) {
+      // The channel definition (including its cipher spec) comes from the CCDT.
+      cno.CCDTUrl = ccdtUrl;
+    } else {
+      // Create an MQCD (Client Connection Details) structure and set the channel and connection name.
+      const cd = new mq.MQCD();
+      cd.ChannelName = channel;
+      cd.ConnectionName = connName;
+      if (tls.cipherSpec) {
+        cd.SSLCipherSpec = tls.cipherSpec;
+        // Only accept a queue manager certificate whose distinguished name matches.
+        if (tls.peerName) {
+          cd.SSLPeerName = tls.peerName;
+        }
+      }
+      cno.ClientConn = cd;
+    }
+
+    // The key repository holds the trusted CA certificates and, for mutual TLS, our own.
+    if (tls.keyRepository) {
+      const sco = new mq.MQSCO();
+      sco.KeyRepository = tls.keyRepository;
+      if (tls.certLabel) {
+        sco.CertificateLabel = tls.certLabel;
+      }
+      cno.SSLConfig = sco;
+    }
+
+    // Set up security parameters using MQCSP with the provided user and password.
+    if (user) {
+      const csp = new mq.MQCSP();
+      csp.UserId = user;
+      csp.Password = password;
+      cno.SecurityParms = csp;
+    }
+
+    return mq.ConnxPromise(qmgr, cno).then((conn) => {
+      hConn = conn;
+      broken = false;
+      getHandle = null;
+    });
+  }
+
+  function open(queueName, mode, { dynamicQueueName } = {}) {
+    const od = new mq.MQOD();
+    od.ObjectName = queueName;
+    od.ObjectType = MQC.MQOT_Q;
+    if (dynamicQueueName) {
+      od.DynamicQName = dynamicQueueName;
+    }
+    const openOptions =
+      (mode === "input" ? MQC.MQOO_INPUT_AS_Q_DEF : MQC.MQOO_OUTPUT) |
+      MQC.MQOO_FAIL_IF_QUIESCING;
+
+    // For a model queue, MQ returns the name of the dynamic queue it created in ObjectName.
+    return mq.OpenPromise(hConn, od, openOptions).then((hObj) => ({
+      name: dynamicQueueName ? od.ObjectName.trim() : queueName,
+      mode,
+      hObj,
+      dynamic: Boolean(dynamicQueueName),
+    }));
+  }
+
+  function openTopic(topicString) {
+    const od = new mq.MQOD();
+    od.ObjectType = MQC.MQOT_TOPIC;
+    od.ObjectString = topicString;
+    return mq.OpenPromise(hConn, od, MQC.MQOO_OUTPUT | MQC.MQOO_FAIL_IF_QUIESCING).then((hObj) => ({
+      name: topicString,
+      mode: "output",
+      hObj,
+      topic: true,
+    }));
+  }
+
+  // Without a topic string only an existing (durable) subscription is resumed.
+  function subscribe(topicString, { name, durable = true } = {}) {
+    const sd = new mq.MQSD();
+    sd.Options =
+      (topicString ? MQC.MQSO_CREATE | MQC.MQSO_RESUME : MQC.MQSO_RESUME) |
+      (durable ? MQC.MQSO_DURABLE : MQC.MQSO_NON_DURABLE) |
+      MQC.MQSO_MANAGED |
+      MQC.MQSO_FAIL_IF_QUIESCING;
+    if (topicString) {
+      sd.ObjectString = topicString;
+    }
+    if (name) {
+      sd.SubName = name;
+    }
+    return new Promise((resolve, reject) => {
+      mq.Sub(hConn, null, sd, (err, hObj, hSub) => {
+        if (err) {
+          err.noSubscription = err.mqrc === MQC.MQRC_NO_SUBSCRIPTION;
+          return reject(err);
+        }
+        resolve({
+          name: name || topicString,
+          mode: "input",
+          hObj,
+          hSub,
+          subscription: { name, topic: topicString, durable },
+        });
+      });
+    });
+  }
+
+  async function unsubscribe(subscriptionName) {
+    const subscription = await subscribe(null, { name: subscriptionName });
+    await mq.ClosePromise(subscription.hSub, MQC.MQCO_REMOVE_SUB);
+    await mq.ClosePromise(subscription.hObj, 0);
+  }
+
+  function createMessageHandle() {
+    return mq.CrtMh(hConn, new mq.MQCMHO());
+  }
+
+  function deleteMessageHandle(hMsg) {
+    try {
+      mq.DltMh(hConn, hMsg, new mq.MQDMHO());
+    } catch (err) {
+      // The connection may be gone already; the handle goes with it.
+    }
+  }
+
+  // Reads every property of a message handle, as strings. InqMp() reports each property
+  // through its callback (it has no synchronous form) and ends with
+  // MQRC_PROPERTY_NOT_AVAILABLE once there are no more.
+  function readProperties(hMsg) {
+    return new Promise((resolve, reject) => {
+      const properties = {};
+      const impo = new mq.MQIMPO();
+      const pd = new mq.MQPD();
+      const buffer = Buffer.alloc(4096);
+      impo.Options = MQC.MQIMPO_CONVERT_VALUE | MQC.MQIMPO_INQ_FIRST;
+      const inquireNext = () => {
+        mq.InqMp(hConn, hMsg, impo, pd, "%", buffer, (err, name, value, length) => {
+          if (err) {
+            return err.mqrc === MQC.MQRC_PROPERTY_NOT_AVAILABLE ? resolve(properties) : reject(err);
+          }
+          if (value === null || value === undefined) {
+            properties[name] = "";
+          } else if (Buffer.isBuffer(value)) {
+            properties[name] = value.toString("utf8", 0, length);
+          } else {
+            properties[name] = String(value);
+          }
+          impo.Options = MQC.MQIMPO_CONVERT_VALUE | MQC.MQIMPO_INQ_NEXT;
+          inquireNext();
+        });
+      };
+      inquireNext();
+    });
+  }
+
+  async function put(
+    queue,
+    body,
+    { correlId, replyToQueue, syncpoint = false, properties, priority = 0, expiryMs } = {}
+  ) {
+    const mqmd = new mq.MQMD();
+    const pmo = new mq.MQPMO();
+    pmo.Options =
+      (syncpoint ? MQC.MQPMO_SYNCPOINT : MQC.MQPMO_NO_SYNCPOINT) |
+      MQC.MQPMO_NEW_MSG_ID |
+      MQC.MQPMO_FAIL_IF_QUIESCING;
+    // Without a CorrelId the message carries MQCI_NONE, as it does on the other backends.
+    if (correlId) {
+      mqmd.CorrelId = correlId;
+    }
+    if (replyToQueue) {
+      mqmd.MsgType = MQC.MQMT_REQUEST;
+      mqmd.ReplyToQ = replyToQueue;
+    }
+    mqmd.Priority = priority;
+    if (expiryMs > 0) {
+      mqmd.Expiry = Math.ceil(expiryMs / 100);
+    }
+
+    let hMsg = null;
+    if (properties && Object.keys(properties).length > 0) {
+      hMsg = createMessageHandle();
+      for (const [name, value] of Object.entries(properties)) {
+        mq.SetMp(hConn, hMsg, new mq.MQSMPO(), name, new mq.MQPD(), String(value));
+      }
+      pmo.OriginalMsgHandle = hMsg;
+    }
+    try {
+      await mq.PutPromise(queue.hObj, mqmd, pmo, body);
+      return { msgId: Buffer.from(mqmd.MsgId) };
+    } finally {
+      if (hMsg) {
+        deleteMessageHandle(hMsg);
+      }
+    }
+  }
+
+  // A single GetSync() that returns immediately; resolves to null when the queue is empty.
+  // A message larger than the buffer stays on the queue, and the get is retried with a
+  // buffer of the length MQ reports.
+  // With a correlId only a message with that CorrelId is taken.
+  async function getNoWait(queue, syncpoint, correlId) {
+    for (;;) {
+      const md = new mq.MQMD();
+      const gmo = new mq.MQGMO();
+      gmo.Options =
+        (syncpoint ? MQC.MQGMO_SYNCPOINT : MQC.MQGMO_NO_SYNCPOINT) |
+        MQC.MQGMO_NO_WAIT |
+        MQC.MQGMO_CONVERT |
+        MQC.MQGMO_FAIL_IF_QUIESCING;
+      gmo.MatchOptions = MQC.MQMO_NONE;
+      if (correlId) {
+        gmo.MatchOptions = MQC.MQMO_MATCH_CORREL_ID;
+        md.CorrelId = correlId;
+      }
+      // GetSync() returns before anything else can use the handle, so one is enough.
+      if (!getHandle) {
+        getHandle = createMessageHandle();
+      }
+      gmo.MsgHandle = getHandle;
+      gmo.Options |= MQC.MQGMO_PROPERTIES_IN_HANDLE;
+      const buf = Buffer.alloc(bufferSize);
+
+      const result = await new Promise((resolve, reject) => {
+        mq.GetSync(queue.hObj, md, gmo, buf, (err, len) => {
+          if (err) {
+            if (err.mqrc === MQC.MQRC_NO_MSG_AVAILABLE) {
+              return resolve(null);
+            }
+            if (err.mqrc === MQC.MQRC_TRUNCATED_MSG_FAILED) {
+              return resolve({ truncated: true, length: len });
+            }
+            return reject(err);
+          }
+          // The properties are read before anything else can get into the handle.
+          readProperties(getHandle).then(
+            (properties) =>
+              resolve({
+                body: Buffer.from(buf.subarray(0, len)),
+                msgId: Buffer.from(md.MsgId),
+                correlId: Buffer.from(md.CorrelId),
+                replyToQueue: (md.ReplyToQ || "").trim() || null,
+                properties,
+                priority: md.Priority,
+                backoutCount: md.BackoutCount,
+              }),
+            reject
+          );
+        });
+      });
+      if (!result || !result.truncated) {
+        return result;
+      }
+      if (result.length > maxMsgLength) {
+        throw new Error(
+          `Message on ${queue.name} is ${result.length} bytes, more than the ${maxMsgLength} byte limit`
+        );
+      }
+      // Another getter may take the message first; the retry then reads whatever is next.
+      bufferSize = Math.max(bufferSize, result.length);
+    }
+  }
+
+  async function get(queue, { waitMs = 0, syncpoint = false, correlId } = {}) {
+    const deadline = Date.now() + waitMs;
+    for (;;) {
+      const message = await getNoWait(queue, syncpoint, correlId);
+      const remaining = deadline - Date.now();
+      if (message || remaining <= 0) {
+        return message;
+      }
+      await sleep(Math.min(pollIntervalMs, remaining));
+    }
+  }
+
+  function commit() {
+    return new Promise((resolve, reject) => {
+      mq.Cmit(hConn, (err) => {
+        if (err) {
+          err.backedOut = err.mqrc === MQC.MQRC_BACKED_OUT;
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  function backout() {
+    return new Promise((resolve, reject) => {
+      mq.Back(hConn, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // A subscription handle is closed first; a durable subscription stays defined.
+  async function close(queue) {
+    if (queue.hSub) {
+      await mq.ClosePromise(queue.hSub, 0);
+    }
+    return mq.ClosePromise(queue.hObj, 0);
+  }
+
+  // Opens the queue for inquire only, reads MQIA_CURRENT_Q_DEPTH and closes it again.
+  async function depth(queueName) {
+    const od = new mq.MQOD();
+    od.ObjectName = queueName;
+    od.ObjectType = MQC.MQOT_Q;
+    const hObj = await mq.OpenPromise(hConn, od, MQC.MQOO_INQUIRE | MQC.MQOO_FAIL_IF_QUIESCING);
+    try {
+      const selectors = [new mq.MQAttr(MQC.MQIA_CURRENT_Q_DEPTH)];
+      return await new Promise((resolve, reject) => {
+        mq.Inq(hObj, selectors, (err, attrs) => (err ? reject(err) : resolve(attrs[0].value)));
+      });
+    } finally {
+      await mq.ClosePromise(hObj, 0).catch(() => {});
+    }
+  }
+
+  function disconnect() {
+    const conn = hConn;
+    hConn = null;
+    getHandle = null; // handles end with their connection
+    return conn ? mq.DiscPromise(conn) : Promise.resolve();
+  }
+
+  // 8. Runs an operation; a failure with a connection-level reason code marks the connection
+  // as broken (see the summary above).
+  function guard(fn) {
+    return async (...args) => {
+      try {
+        return await fn(...args);
+      } catch (err) {
+        if (CONNECTION_BROKEN_REASONS.has(err.mqrc)) {
+          err.connectionBroken = true;
+          broken = true;
+        }
+        throw err;
+      }
+    };
+  }
+
+  return {
+    kind: "ibmmq",
+    describe: () => `IBM MQ queue manager ${qmgr} at ${ccdtUrl ? `the CCDT ${ccdtUrl}` : connName}${tls.cipherSpec ? " (TLS)" : ""}`,
+    connect,
+    isConnected: () => hConn !== null && !broken,
+    open: guard(open),
+    openTopic: guard(openTopic),
+    subscribe: guard(subscribe),
+    unsubscribe: guard(unsubscribe),
+    put: guard(put),
+    get: guard(get),
+    commit: guard(commit),
+    backout: guard(backout),
+    close: guard(close),
+    depth: guard(depth),
+    disconnect,
+  };
+}
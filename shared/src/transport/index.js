@@ -0,0 +1,285 @@
+/*
+ * transport/index.js
+ *
+ * Summary:
+ * --------
+ * This module is the entry point to the messaging transport used by the API and the
+ * consumer. A transport hides which messaging backend is in use behind one small set of
+ * Promise-based operations, so the rest of the code never calls a client library directly.
+ *
+ * Backends (selected with the `kind` option or the MQ_TRANSPORT setting, see shared/src/config):
+ *   ibmmq  - IBM MQ through the ibmmq native client (default).
+ *   memory - An in-process broker. Only useful when producer and consumer share a process.
+ *   local  - A client for the local broker server (brokerServer.js), so separate processes
+ *            on one machine can exchange messages without a queue manager.
+ *
+ * Transport interface:
+ * --------------------
+ *   kind                          -> "ibmmq", "memory" or "local"
+ *   describe()                    -> string describing where the transport connects to
+ *   connect()                     -> Promise<void>
+ *   isConnected()                 -> boolean            whether the connection handle is usable
+ *   open(queueName, mode, options) -> Promise<queue>    mode is "input" or "output";
+ *                                                       options: { dynamicQueueName }
+ *   put(queue, body, options)     -> Promise<{ msgId }> options: { correlId, replyToQueue, syncpoint,
+ *                                                       properties, priority, expiryMs }
+ *   get(queue, options)           -> Promise<message|null> options: { waitMs, syncpoint, correlId }
+ *   commit()                      -> Promise<void>
+ *   backout()                     -> Promise<void>
+ *   close(queue)                  -> Promise<void>
+ *   openTopic(topicString)        -> Promise<topic>     a handle to publish on with put()
+ *   subscribe(topicString, options) -> Promise<subscription> options: { name, durable = true };
+ *                                                       read publications with get()
+ *   unsubscribe(subscriptionName) -> Promise<void>      removes a durable subscription
+ *   depth(queueName)              -> Promise<number>    messages waiting on the queue
+ *   disconnect()                  -> Promise<void>
+ *
+ * A message returned by get() looks like:
+ *   { body: Buffer, msgId: Buffer, correlId: Buffer, replyToQueue: string|null,
+ *     properties: Object, priority: number, backoutCount: number }
+ * get() resolves to null when no message arrived within waitMs. With the correlId option it
+ * only takes a message with that CorrelId, leaving the others on the queue. replyToQueue is
+ * the queue the sender wants the reply on (the MQMD ReplyToQ), or null when none was set.
+ * properties holds the message properties given to put() (string values, e.g.
+ * { traceparent: "00-..." }); on IBM MQ they are MQ message properties.
+ *
+ * priority (0 to 9, the MQMD Priority) orders a queue: higher priorities are got first, and
+ * messages of equal priority in the order they were put. Without it a message gets priority 0.
+ * expiryMs (the MQMD Expiry, which MQ counts in tenths of a second) is how long the message
+ * may wait to be got; once it has expired, the queue manager discards it and no get returns
+ * it. Without it a message never expires.
+ *
+ * Puts and gets made with syncpoint: true belong to the connection's current unit of work.
+ * commit() makes them permanent; backout() discards the puts and returns the messages that
+ * were got to their queue with backoutCount increased by one. A commit() that rejects with
+ * err.backedOut set is known to have been backed out; any other commit failure leaves the
+ * outcome in doubt.
+ *
+ * open() with dynamicQueueName creates a temporary dynamic queue from the model queue
+ * queueName; the handle's name is the generated queue name (dynamicQueueName with its
+ * trailing "*" replaced by a unique suffix). The queue is deleted when it is closed or the
+ * connection ends, which makes it suitable as a private reply queue.
+ *
+ * Publish/subscribe: a put on a handle from openTopic() publishes the message on the topic
+ * (topic strings such as "primes/found"); under syncpoint, the publication reaches the
+ * subscribers on commit. subscribe() subscribes to a topic string, in which "+" matches one
+ * level and "#" any number of levels, and returns a handle named after the subscription whose
+ * get() reads the publications from the subscription's managed queue. A durable subscription
+ * needs a name; subscribing again with that name resumes it, and without a topic string
+ * subscribe() only resumes an existing one. Durable subscriptions keep collecting
+ * publications after close() and disconnect() until unsubscribe() removes them; non-durable
+ * ones end when they are closed. Operations on a subscription that does not exist reject
+ * with err.noSubscription set.
+ *
+ * isConnected() turns false once the connection is lost, and stays false until connect()
+ * succeeds again. IBM MQ only notices a lost connection when a call fails: such a call rejects
+ * with err.connectionBroken set (see ibmmqTransport.js), and a caller that keeps a connection
+ * should then drop it and reconnect.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. createTransport(options): Picks and creates a backend, with the connection settings of
+ *    the shared configuration unless options override them. The IBM MQ backend is imported
+ *    lazily so the other backends work on machines without the MQ client installed.
+ *    Every backend is wrapped by instrumentTransport(), which counts the messages put and
+ *    got and the failed puts and gets per queue (see shared/src/metrics).
+ * 2. consumeQueue(transport, queues, onMessage, options): Runs a get loop on one or more
+ *    queues until stopped, handing each message to onMessage(), optionally under syncpoint.
+ * 3. createConnectionManager(options): Keeps a connection with its queues open, reconnecting
+ *    with backoff when it breaks (see connectionManager.js).
+ */
+
+import { createMemoryTransport } from "./memoryTransport.js";
+import { createLocalTransport } from "./localTransport.js";
+import { messagesPut, messagesGot, messagesFailed } from "../metrics/index.js";
+import { getConfig, TRANSPORT_KINDS } from "../config/index.js";
+import { createLogger } from "../logging/index.js";
+
+export { createConnectionManager, backoffDelay } from "./connectionManager.js";
+export { TRANSPORT_KINDS };
+
+const log = createLogger("transport");
+
+/**
+ * createTransport
+ * ----------------
+ * Creates a (not yet connected) transport for the configured backend. Settings not given in
+ * options come from the mq section of the shared configuration.
+ *
+ * @param {Object} [options] - Backend selection and connection settings.
+ * @param {string} [options.kind] - "ibmmq", "memory" or "local" (default: MQ_TRANSPORT or "ibmmq").
+ * @param {string} [options.qmgr] - IBM MQ queue manager name.
+ * @param {string} [options.channel] - IBM MQ client channel.
+ * @param {string} [options.connName] - IBM MQ connection name, "hostname(port)".
+ * @param {string} [options.user] - IBM MQ user.
+ * @param {string} [options.password] - IBM MQ password.
+ * @param {string} [options.ccdtUrl] - IBM MQ: URL of a CCDT to take the channel definition from.
+ * @param {Object} [options.tls] - IBM MQ TLS: { cipherSpec, keyRepository, certLabel, peerName }.
+ * @param {number} [options.maxMsgLength] - IBM MQ: largest message a get will read.
+ * @param {string} [options.brokerAddress] - Local broker address, "host:port" or a socket path.
+ * @returns {Promise<Object>} A promise that resolves to the transport.
+ */
+export async function createTransport(options = {}) {
+  const { transport: configuredKind, ...settings } = getConfig().mq;
+  const kind = options.kind || configuredKind;
+  options = { ...settings, ...options };
+
+  switch (kind) {
+    case "ibmmq": {
+      // Imported on demand: loading it requires the IBM MQ client libraries.
+      const { createIbmMqTransport } = await import("./ibmmqTransport.js");
+      return instrumentTransport(createIbmMqTransport(options));
+    }
+    case "memory":
+      return instrumentTransport(createMemoryTransport(options));
+    case "local":
+      return instrumentTransport(createLocalTransport(options));
+    default:
+      throw new Error(
+        `Unknown MQ transport "${kind}". Expected one of: ${TRANSPORT_KINDS.join(", ")}.`
+      );
+  }
+}
+
+/**
+ * instrumentTransport
+ * --------------------
+ * Returns the transport with put() and get() replaced by versions that update the message
+ * counters, labelled with the queue name.
+ *
+ * @param {Object} transport - A transport from one of the backends.
+ * @returns {Object} The same transport, instrumented.
+ */
+function instrumentTransport(transport) {
+  const { put, get } = transport;
+  transport.put = (queue, body, options) =>
+    put(queue, body, options).then(
+      (result) => {
+        messagesPut.inc({ queue: queue.name });
+        return result;
+      },
+      (err) => {
+        messagesFailed.inc({ queue: queue.name, reason: "put_error" });
+        throw err;
+      }
+    );
+  transport.get = (queue, options) =>
+    get(queue, options).then(
+      (message) => {
+        if (message) {
+          messagesGot.inc({ queue: queue.name });
+        }
+        return message;
+      },
+      (err) => {
+        messagesFailed.inc({ queue: queue.name, reason: "get_error" });
+        throw err;
+      }
+    );
+  return transport;
+}
+
+/**
+ * consumeQueue
+ * -------------
+ * Repeatedly gets messages from open input queues and passes each one to onMessage().
+ * The next get is only issued once onMessage() has finished. Errors from onMessage() are
+ * passed to onError() and do not stop the loop; a failing get stops it, because it
+ * usually means the connection or queue handle is no longer usable.
+ *
+ * Without syncpoint a message is gone once it has been got, whether or not onMessage()
+ * succeeds. With syncpoint: true each message is got under syncpoint and committed once
+ * onMessage() has resolved; when onMessage() fails, the get is backed out, so the message
+ * returns to its queue, and the loop waits retryDelayMs before the next get. A failing
+ * commit or backout stops the loop like a failing get.
+ *
+ * A unit of work belongs to the connection, so several loops on one connection must not use
+ * syncpoint at the same time. Pass all of the connection's queues to one loop instead: it
+ * takes them in turn, without waiting on one queue while another has messages.
+ *
+ * @param {Object} transport - A connected transport.
+ * @param {Object|Object[]} queues - A queue opened with mode "input", or several.
+ * @param {Function} onMessage - Called as onMessage(message, queue) with each message; may
+ *        return a promise.
+ * @param {Object} [options]
+ * @param {number} [options.waitMs=3000] - How long each get waits for a message. With several
+ *        queues the gets do not wait; the loop rests pollIntervalMs when all of them are empty.
+ * @param {number} [options.pollIntervalMs=100] - Rest between rounds over several queues.
+ * @param {boolean} [options.syncpoint=false] - Commit each message only once it was handled.
+ * @param {number} [options.retryDelayMs=1000] - With syncpoint, the wait after a backout.
+ * @param {Function} [options.onError] - Called with (err, message, queue) when onMessage()
+ *        fails.
+ * @returns {{ stop: Function, stopped: Promise<void> }} stop() ends the loop after the
+ *          current get; stopped resolves when the loop has ended, or rejects if a get, commit
+ *          or backout failed.
+ */
+export function consumeQueue(transport, queues, onMessage, options = {}) {
+  const list = Array.isArray(queues) ? queues : [queues];
+  const waitMs = list.length === 1 ? options.waitMs ?? 3000 : 0;
+  const pollIntervalMs = options.pollIntervalMs ?? 100;
+  const syncpoint = options.syncpoint ?? false;
+  const retryDelayMs = options.retryDelayMs ?? 1000;
+  const onError = options.onError || ((err) => log.error("Error handling message", { err }));
+  let running = true;
+  let wakeUp = null; // ends a rest early on stop()
+
+  function rest(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  // Handles one message; resolves to false when it was backed out.
+  async function handle(queue, message) {
+    try {
+      await onMessage(message, queue);
+    } catch (err) {
+      onError(err, message, queue);
+      if (syncpoint) {
+        await transport.backout();
+        return false;
+      }
+      return true;
+    }
+    if (syncpoint) {
+      await transport.commit();
+    }
+    return true;
+  }
+
+  const stopped = (async () => {
+    while (running) {
+      let got = false;
+      for (const queue of list) {
+        if (!running) {
+          break;
+        }
+        const message = await transport.get(queue, { waitMs, syncpoint });
+        if (!message) {
+          continue;
+        }
+        got = true;
+        if (!(await handle(queue, message)) && running) {
+          await rest(retryDelayMs);
+        }
+      }
+      if (!got && list.length > 1 && running) {
+        await rest(pollIntervalMs);
+      }
+    }
+  })();
+
+  return {
+    stop() {
+      running = false;
+      if (wakeUp) {
+        wakeUp();
+      }
+    },
+    stopped,
+  };
+}
@@ -0,0 +1,105 @@
+/*
+ * localProtocol.js
+ *
+ * Summary:
+ * --------
+ * Wire format shared by the local broker server (brokerServer.js) and the local transport
+ * (localTransport.js). Requests and responses are JSON objects, one per line:
+ *
+ *   request:  { "id": 1, "op": "put", "queue": "DEV.QUEUE.1", "body": "<base64>", "correlId": "<hex>",
+ *               "replyToQueue": "DEV.QUEUE.2", "properties": { "traceparent": "00-..." },
+ *               "priority": 5, "expiryMs": 60000 }
+ *             { "id": 2, "op": "get", "queue": "DEV.QUEUE.1", "waitMs": 3000, "syncpoint": true,
+ *               "correlId": "<hex>" }
+ *             { "id": 3, "op": "commit" }   (or "backout")
+ *             { "id": 4, "op": "depth", "queue": "DEV.QUEUE.1" }
+ *             { "id": 5, "op": "open", "dynamicQueueName": "DEV.API.REPLY.*" }
+ *             { "id": 6, "op": "close", "queue": "DEV.API.REPLY.0A1B..." }
+ *             { "id": 7, "op": "publish", "topic": "primes/found", "body": "<base64>", ... }
+ *               (the other fields as for "put")
+ *             { "id": 8, "op": "subscribe", "topic": "primes/#", "name": "analytics", "durable": true }
+ *             { "id": 9, "op": "closeSubscription", "name": "analytics" }
+ *             { "id": 10, "op": "unsubscribe", "name": "analytics" }
+ *   response: { "id": 1, "ok": true, "result": { ... } }
+ *             { "id": 2, "ok": false, "error": "...", "noSubscription": true }   (the flag only
+ *               when a subscription does not exist)
+ *
+ * Buffers travel as base64 (bodies) or hex (message and correlation IDs).
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. parseBrokerAddress(address): Turns "host:port", "port" or a socket path into
+ *    net.connect()/server.listen() options.
+ * 2. encodeMessage()/decodeMessage(): Convert a message to and from its JSON form.
+ * 3. createLineReader(onLine): Splits a socket stream into lines.
+ */
+
+export const DEFAULT_BROKER_ADDRESS = "localhost:1415";
+
+/**
+ * parseBrokerAddress
+ * -------------------
+ * @param {string} address - "host:port", "port" or a Unix socket / named pipe path.
+ * @returns {Object} { host, port } or { path }.
+ */
+export function parseBrokerAddress(address = DEFAULT_BROKER_ADDRESS) {
+  if (/^\d+$/.test(address)) {
+    return { host: "localhost", port: Number(address) };
+  }
+  const match = /^([^/\\:]+):(\d+)$/.exec(address);
+  if (match) {
+    return { host: match[1], port: Number(match[2]) };
+  }
+  return { path: address };
+}
+
+export function encodeMessage(message) {
+  if (!message) {
+    return null;
+  }
+  return {
+    body: message.body.toString("base64"),
+    msgId: message.msgId.toString("hex"),
+    correlId: message.correlId.toString("hex"),
+    replyToQueue: message.replyToQueue || undefined,
+    properties: message.properties,
+    priority: message.priority,
+    backoutCount: message.backoutCount,
+  };
+}
+
+export function decodeMessage(encoded) {
+  if (!encoded) {
+    return null;
+  }
+  return {
+    body: Buffer.from(encoded.body, "base64"),
+    msgId: Buffer.from(encoded.msgId, "hex"),
+    correlId: Buffer.from(encoded.correlId, "hex"),
+    replyToQueue: encoded.replyToQueue || null,
+    properties: encoded.properties || {},
+    priority: encoded.priority ?? 0,
+    backoutCount: encoded.backoutCount,
+  };
+}
+
+/**
+ * createLineReader
+ * -----------------
+ * Returns a "data" event handler that buffers incoming chunks and calls onLine() once for
+ * every complete, non-empty line.
+ */
+export function createLineReader(onLine) {
+  let pending = "";
+  return (chunk) => {
+    pending += chunk.toString();
+    let newline;
+    while ((newline = pending.indexOf("\n")) !== -1) {
+      const line = pending.slice(0, newline);
+      pending = pending.slice(newline + 1);
+      if (line.trim()) {
+        onLine(line);
+      }
+    }
+  };
+}
@@ -0,0 +1,172 @@
+/*
+ * localTransport.js
+ *
+ * Summary:
+ * --------
+ * The local backend of the transport interface (see index.js). It is a client for the
+ * local broker server (brokerServer.js) and sends every operation as a request over one
+ * socket. Requests are matched to responses by id, so several gets and puts can be in
+ * flight at once.
+ *
+ * The broker address comes from the brokerAddress option or MQ_BROKER_ADDRESS
+ * (default "localhost:1415").
+ */
+
+import net from "net";
+import {
+  DEFAULT_BROKER_ADDRESS,
+  parseBrokerAddress,
+  decodeMessage,
+  createLineReader,
+} from "./localProtocol.js";
+
+/**
+ * createLocalTransport
+ * ---------------------
+ * Creates a transport that talks to a local broker server.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.brokerAddress] - Broker address (default: MQ_BROKER_ADDRESS or "localhost:1415").
+ * @returns {Object} The transport.
+ */
+export function createLocalTransport(options = {}) {
+  const address = options.brokerAddress || process.env.MQ_BROKER_ADDRESS || DEFAULT_BROKER_ADDRESS;
+  const pending = new Map(); // request id -> { resolve, reject }
+  let socket = null;
+  let nextId = 1;
+
+  function failPending(err) {
+    for (const { reject } of pending.values()) {
+      reject(err);
+    }
+    pending.clear();
+  }
+
+  function handleResponse(line) {
+    const response = JSON.parse(line);
+    const request = pending.get(response.id);
+    if (!request) {
+      return;
+    }
+    pending.delete(response.id);
+    if (response.ok) {
+      request.resolve(response.result);
+    } else {
+      const err = new Error(response.error);
+      if (response.noSubscription) {
+        err.noSubscription = true;
+      }
+      request.reject(err);
+    }
+  }
+
+  function send(op, params) {
+    if (!socket) {
+      return Promise.reject(new Error("Local transport is not connected"));
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      socket.write(JSON.stringify({ id, op, ...params }) + "\n");
+    });
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const conn = net.connect(parseBrokerAddress(address));
+      conn.once("connect", () => {
+        conn.off("error", reject);
+        socket = conn;
+        conn.on("data", createLineReader(handleResponse));
+        conn.on("error", (err) => failPending(err));
+        conn.on("close", () => {
+          socket = null;
+          failPending(new Error(`Connection to local broker ${address} closed`));
+        });
+        resolve();
+      });
+      conn.once("error", reject);
+    });
+  }
+
+  return {
+    kind: "local",
+    describe: () => `local broker at ${address}`,
+    connect,
+    isConnected: () => socket !== null && !socket.destroyed,
+    async open(queueName, mode, { dynamicQueueName } = {}) {
+      if (!socket) {
+        throw new Error("Local transport is not connected");
+      }
+      if (dynamicQueueName) {
+        const result = await send("open", { dynamicQueueName });
+        return { name: result.name, mode, dynamic: true };
+      }
+      return { name: queueName, mode };
+    },
+    async openTopic(topicString) {
+      if (!socket) {
+        throw new Error("Local transport is not connected");
+      }
+      return { name: topicString, mode: "output", topic: true };
+    },
+    async subscribe(topicString, { name, durable = true } = {}) {
+      const { subscription } = await send("subscribe", { topic: topicString, name, durable });
+      return {
+        name: subscription.name,
+        mode: "input",
+        subscription: { name: subscription.name, topic: subscription.topic, durable: subscription.durable },
+        queueName: subscription.queueName,
+      };
+    },
+    unsubscribe(subscriptionName) {
+      return send("unsubscribe", { name: subscriptionName }).then(() => {});
+    },
+    // A put on a topic handle is a publication.
+    put(queue, body, { correlId, replyToQueue, syncpoint, properties, priority, expiryMs } = {}) {
+      return send(queue.topic ? "publish" : "put", {
+        [queue.topic ? "topic" : "queue"]: queue.name,
+        body: Buffer.from(body).toString("base64"),
+        correlId: correlId ? Buffer.from(correlId).toString("hex") : undefined,
+        replyToQueue,
+        properties,
+        priority,
+        expiryMs,
+        syncpoint,
+      }).then((result) => ({ msgId: Buffer.from(result.msgId, "hex") }));
+    },
+    get(queue, { waitMs = 0, syncpoint, correlId } = {}) {
+      return send("get", {
+        queue: queue.queueName || queue.name,
+        waitMs,
+        syncpoint,
+        correlId: correlId ? Buffer.from(correlId).toString("hex") : undefined,
+      }).then((result) => decodeMessage(result.message));
+    },
+    commit() {
+      return send("commit", {}).then(() => {});
+    },
+    backout() {
+      return send("backout", {}).then(() => {});
+    },
+    async close(queue) {
+      if (socket && queue.dynamic) {
+        await send("close", { queue: queue.name });
+      }
+      if (socket && queue.subscription) {
+        await send("closeSubscription", { name: queue.subscription.name });
+      }
+    },
+    depth(queueName) {
+      return send("depth", { queue: queueName }).then((result) => result.depth);
+    },
+    disconnect() {
+      if (!socket) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => {
+        socket.end(resolve);
+      });
+    },
+  };
+}
@@ -0,0 +1,391 @@
+/*
+ * memoryBroker.js
+ *
+ * Summary:
+ * --------
+ * A minimal in-memory message broker that mimics the IBM MQ behaviour the services rely on:
+ * named queues that are created on first use, generated 24-byte message IDs, CorrelIds,
+ * ReplyToQ and message properties carried through unchanged, gets that wait for a message up
+ * to a timeout (optionally only for one with a given CorrelId), temporary dynamic queues,
+ * units of work (syncpoint) with a BackoutCount that grows each time a message is backed out,
+ * and publish/subscribe on topics.
+ *
+ * Queues deliver in priority order, as MQ queues with MSGDLVSQ(PRIORITY) do: a message of
+ * priority 0 to 9 (default 0) goes after the messages of the same or a higher priority, so a
+ * higher priority is got first and equal priorities keep their order. A message put with an
+ * expiry is discarded once it has expired, like MQ does when it finds an expired message.
+ *
+ * Topics follow MQ topic strings: levels are separated by "/", and a subscription's topic may
+ * use "+" for exactly one level and "#" for any number of levels. Every subscription has a
+ * managed queue that receives a copy of each matching publication. Durable subscriptions have
+ * a name and outlive the session that created them; non-durable ones end with their session.
+ *
+ * The broker is used directly by the memory transport, and wrapped by brokerServer.js so
+ * that separate processes can share it through the local transport.
+ *
+ * Annotated Sections:
+ * -------------------
+ * 1. createMemoryBroker(): Creates a broker with its own set of queues.
+ * 2. put(queueName, message): Queues a message by priority, or hands it straight to a
+ *    waiting getter.
+ * 3. get(queueName, waitMs, options): Takes the first message (with the given CorrelId, if
+ *    any) that has not expired, waiting up to waitMs for one.
+ * 4. requeue(queueName, message): Puts a message back in front of the messages of its
+ *    priority, for a getter that went away before it could use the message.
+ * 5. depth(queueName): Returns the number of unexpired messages waiting on a queue.
+ *    deleteQueue(queueName): Removes a queue and its messages; waiting gets return null.
+ * 6. Topics: topicMatches(), subscribe(topic, options), unsubscribe(name), publish(topic,
+ *    message) and subscriptionFor(name).
+ * 7. createSession(): Creates a session - the equivalent of one MQ connection - whose puts,
+ *    publications and gets can be made under syncpoint and then committed or backed out
+ *    together, and which owns the temporary dynamic queues and non-durable subscriptions it
+ *    creates.
+ */
+
+import crypto from "crypto";
+
+const ID_LENGTH = 24; // Same length as an MQMD MsgId/CorrelId
+
+/**
+ * createMemoryBroker
+ * -------------------
+ * Creates a new broker. Queues are kept in a Map of name -> { messages, waiters }.
+ *
+ * @returns {Object} The broker.
+ */
+export function createMemoryBroker() {
+  const queues = new Map();
+  const subscriptions = new Map(); // name -> { name, topic, durable, queueName }
+
+  function queueFor(name) {
+    let queue = queues.get(name);
+    if (!queue) {
+      queue = { messages: [], waiters: [] };
+      queues.set(name, queue);
+    }
+    return queue;
+  }
+
+  // Whether a message is one a get asked for: any message, or one with the given CorrelId.
+  function matcher(correlId) {
+    return correlId ? (message) => message.correlId.equals(Buffer.from(correlId)) : () => true;
+  }
+
+  // Deliver a message to the first waiting getter that wants it, if there is one.
+  function deliver(queue, message) {
+    const index = queue.waiters.findIndex((waiter) => waiter.matches(message));
+    if (index === -1) {
+      return false;
+    }
+    const [waiter] = queue.waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.resolve(message);
+    return true;
+  }
+
+  function createMessage({ body, correlId, replyToQueue, properties, priority, expiryMs } = {}) {
+    return {
+      body: Buffer.from(body ?? ""),
+      msgId: crypto.randomBytes(ID_LENGTH),
+      correlId: correlId ? Buffer.from(correlId) : Buffer.alloc(ID_LENGTH),
+      replyToQueue: replyToQueue || null,
+      properties: { ...properties },
+      priority: priority ?? 0,
+      expiresAt: expiryMs > 0 ? Date.now() + expiryMs : null,
+      backoutCount: 0,
+    };
+  }
+
+  // Inserts a message after the messages of a higher priority and, unless first is set, after
+  // those of its own priority too.
+  function insertByPriority(queue, message, first = false) {
+    const index = queue.messages.findIndex((queued) =>
+      first ? queued.priority <= message.priority : queued.priority < message.priority
+    );
+    queue.messages.splice(index === -1 ? queue.messages.length : index, 0, message);
+  }
+
+  // Discards the messages of a queue that have expired.
+  function removeExpired(queue) {
+    const now = Date.now();
+    if (queue.messages.some((message) => message.expiresAt !== null && message.expiresAt <= now)) {
+      queue.messages = queue.messages.filter((message) => message.expiresAt === null || message.expiresAt > now);
+    }
+  }
+
+  function enqueue(queueName, message) {
+    const queue = queueFor(queueName);
+    if (!deliver(queue, message)) {
+      insertByPriority(queue, message);
+    }
+  }
+
+  function put(queueName, fields) {
+    const message = createMessage(fields);
+    enqueue(queueName, message);
+    return { msgId: Buffer.from(message.msgId) };
+  }
+
+  function get(queueName, waitMs = 0, { correlId } = {}) {
+    const queue = queueFor(queueName);
+    const matches = matcher(correlId);
+    removeExpired(queue);
+    const index = queue.messages.findIndex(matches);
+    if (index !== -1) {
+      return Promise.resolve(queue.messages.splice(index, 1)[0]);
+    }
+    if (waitMs <= 0) {
+      return Promise.resolve(null);
+    }
+    return new Promise((resolve) => {
+      const waiter = { resolve, matches };
+      waiter.timer = setTimeout(() => {
+        queue.waiters.splice(queue.waiters.indexOf(waiter), 1);
+        resolve(null);
+      }, waitMs);
+      queue.waiters.push(waiter);
+    });
+  }
+
+  function requeue(queueName, message) {
+    const queue = queueFor(queueName);
+    if (!deliver(queue, message)) {
+      insertByPriority(queue, message, true);
+    }
+  }
+
+  function depth(queueName) {
+    const queue = queues.get(queueName);
+    if (!queue) {
+      return 0;
+    }
+    removeExpired(queue);
+    return queue.messages.length;
+  }
+
+  function deleteQueue(queueName) {
+    const queue = queues.get(queueName);
+    if (!queue) {
+      return;
+    }
+    queues.delete(queueName);
+    for (const waiter of queue.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(null);
+    }
+  }
+
+  /**
+   * topicMatches
+   * -------------
+   * Whether a publication on topic reaches a subscription on filter, which may use "+" for
+   * one level and "#" for any number of levels (including none).
+   */
+  function topicMatches(filter, topic) {
+    const filterLevels = filter.split("/");
+    const topicLevels = topic.split("/");
+    for (let i = 0; i < filterLevels.length; i++) {
+      if (filterLevels[i] === "#") {
+        return true;
+      }
+      if (i >= topicLevels.length || (filterLevels[i] !== "+" && filterLevels[i] !== topicLevels[i])) {
+        return false;
+      }
+    }
+    return filterLevels.length === topicLevels.length;
+  }
+
+  /**
+   * subscribe
+   * ----------
+   * Creates a subscription, or resumes the durable subscription of that name. Without a
+   * topic, the subscription must already exist.
+   *
+   * @param {string|null} topic - The topic string to subscribe to.
+   * @param {Object} [options] - { name, durable = true }. Durable subscriptions need a name.
+   * @returns {Object} The subscription: { name, topic, durable, queueName }.
+   * @throws {Error} When the subscription does not exist (err.noSubscription) or exists on
+   *         another topic.
+   */
+  function subscribe(topic, { name, durable = true } = {}) {
+    const existing = name && subscriptions.get(name);
+    if (existing) {
+      if (topic && topic !== existing.topic) {
+        throw new Error(`Subscription ${name} already exists on topic "${existing.topic}"`);
+      }
+      return existing;
+    }
+    if (!topic) {
+      const err = new Error(`Subscription ${name} does not exist`);
+      err.noSubscription = true;
+      throw err;
+    }
+    if (durable && !name) {
+      throw new Error("A durable subscription needs a name");
+    }
+    const queueName = `SYSTEM.MANAGED.${durable ? "DURABLE" : "NDURABLE"}.${crypto.randomBytes(8).toString("hex").toUpperCase()}`;
+    const subscription = { name: name || queueName, topic, durable, queueName };
+    subscriptions.set(subscription.name, subscription);
+    queueFor(queueName);
+    return subscription;
+  }
+
+  // Removes a subscription and its queue.
+  function unsubscribe(name) {
+    const subscription = subscriptions.get(name);
+    if (!subscription) {
+      const err = new Error(`Subscription ${name} does not exist`);
+      err.noSubscription = true;
+      throw err;
+    }
+    subscriptions.delete(name);
+    deleteQueue(subscription.queueName);
+  }
+
+  // The managed queues of the subscriptions a publication on topic reaches.
+  function subscriberQueues(topic) {
+    return [...subscriptions.values()]
+      .filter((subscription) => topicMatches(subscription.topic, topic))
+      .map((subscription) => subscription.queueName);
+  }
+
+  // Puts a copy of the message on the queue of every matching subscription.
+  function publish(topic, fields) {
+    for (const queueName of subscriberQueues(topic)) {
+      put(queueName, fields);
+    }
+    return { msgId: crypto.randomBytes(ID_LENGTH) };
+  }
+
+  function subscriptionFor(name) {
+    return subscriptions.get(name) || null;
+  }
+
+  /**
+   * createSession
+   * --------------
+   * Puts made under syncpoint stay invisible until commit(). Gets made under syncpoint
+   * remove the message, but backout() puts it back at the front of its queue with its
+   * BackoutCount increased. close() backs out any uncommitted work, as a queue manager
+   * does when a connection is lost, puts back messages that arrive for gets still
+   * waiting on the closed session, and deletes its temporary dynamic queues.
+   *
+   * openDynamic(dynamicQueueName) creates a temporary dynamic queue named after the pattern,
+   * whose trailing "*" is replaced by a unique suffix, as MQ does with a model queue.
+   * closeQueue(queueName) deletes it again.
+   *
+   * publish() under syncpoint delivers to the subscriptions that exist when it is called,
+   * once the work is committed. subscribe() records the non-durable subscriptions it
+   * creates; closeSubscription(name) and close() remove them. unsubscribe(name) removes any
+   * subscription, durable or not.
+   */
+  function createSession() {
+    let pendingPuts = [];
+    let pendingGets = [];
+    let closed = false;
+    const dynamicQueues = new Set();
+    const nonDurable = new Set();
+
+    return {
+      put(queueName, fields, { syncpoint = false } = {}) {
+        if (!syncpoint) {
+          return put(queueName, fields);
+        }
+        const message = createMessage(fields);
+        pendingPuts.push({ queueName, message });
+        return { msgId: Buffer.from(message.msgId) };
+      },
+      publish(topic, fields, { syncpoint = false } = {}) {
+        if (!syncpoint) {
+          return publish(topic, fields);
+        }
+        for (const queueName of subscriberQueues(topic)) {
+          pendingPuts.push({ queueName, message: createMessage(fields) });
+        }
+        return { msgId: crypto.randomBytes(ID_LENGTH) };
+      },
+      subscribe(topic, options) {
+        const subscription = subscribe(topic, options);
+        if (!subscription.durable) {
+          nonDurable.add(subscription.name);
+        }
+        return subscription;
+      },
+      unsubscribe(name) {
+        nonDurable.delete(name);
+        unsubscribe(name);
+      },
+      closeSubscription(name) {
+        if (nonDurable.delete(name)) {
+          unsubscribe(name);
+        }
+      },
+      async get(queueName, waitMs, { syncpoint = false, correlId } = {}) {
+        const message = await get(queueName, waitMs, { correlId });
+        if (message && closed) {
+          requeue(queueName, message);
+          return null;
+        }
+        if (message && syncpoint) {
+          pendingGets.push({ queueName, message });
+        }
+        return message && { ...message };
+      },
+      commit() {
+        for (const { queueName, message } of pendingPuts) {
+          enqueue(queueName, message);
+        }
+        pendingPuts = [];
+        pendingGets = [];
+      },
+      backout() {
+        pendingPuts = [];
+        // Put messages back in reverse so they keep their original order at the front of their
+        // priority.
+        for (const { queueName, message } of pendingGets.reverse()) {
+          message.backoutCount += 1;
+          requeue(queueName, message);
+        }
+        pendingGets = [];
+      },
+      openDynamic(dynamicQueueName) {
+        const prefix = dynamicQueueName.endsWith("*") ? dynamicQueueName.slice(0, -1) : dynamicQueueName;
+        const queueName = `${prefix}${crypto.randomBytes(8).toString("hex").toUpperCase()}`;
+        queueFor(queueName);
+        dynamicQueues.add(queueName);
+        return queueName;
+      },
+      closeQueue(queueName) {
+        if (dynamicQueues.delete(queueName)) {
+          deleteQueue(queueName);
+        }
+      },
+      close() {
+        this.backout();
+        closed = true;
+        for (const queueName of dynamicQueues) {
+          deleteQueue(queueName);
+        }
+        dynamicQueues.clear();
+        for (const name of nonDurable) {
+          unsubscribe(name);
+        }
+        nonDurable.clear();
+      },
+    };
+  }
+
+  return {
+    put,
+    get,
+    requeue,
+    depth,
+    deleteQueue,
+    topicMatches,
+    subscribe,
+    unsubscribe,
+    publish,
+    subscriptionFor,
+    createSession,
+  };
+}
@@ -0,0 +1,114 @@
+/*
+ * memoryTransport.js
+ *
+ * Summary:
+ * --------
+ * The in-process backend of the transport interface (see index.js). All memory transports
+ * in a process share one broker unless a broker is passed in, so a producer and a consumer
+ * running in the same process can talk to each other without any queue manager.
+ *
+ * Each transport has its own broker session, so its syncpoint puts and gets form a unit of
+ * work that commit() and backout() act on, just like an MQ connection. Temporary dynamic
+ * queues and non-durable subscriptions belong to the session too: close() or disconnect()
+ * deletes them.
+ *
+ * A subscription handle is named after the subscription and reads from its managed queue
+ * (handle.queueName).
+ */
+
+import { createMemoryBroker } from "./memoryBroker.js";
+
+// The broker shared by every memory transport created without an explicit one.
+const defaultBroker = createMemoryBroker();
+
+/**
+ * createMemoryTransport
+ * ----------------------
+ * Creates a transport backed by an in-memory broker.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.broker] - The broker to use (default: the process-wide broker).
+ * @returns {Object} The transport.
+ */
+export function createMemoryTransport(options = {}) {
+  const broker = options.broker || defaultBroker;
+  let session = null;
+
+  function ensureConnected() {
+    if (!session) {
+      throw new Error("Memory transport is not connected");
+    }
+  }
+
+  return {
+    kind: "memory",
+    describe: () => "in-process memory broker",
+    async connect() {
+      session = broker.createSession();
+    },
+    isConnected: () => session !== null,
+    async open(queueName, mode, { dynamicQueueName } = {}) {
+      ensureConnected();
+      if (dynamicQueueName) {
+        return { name: session.openDynamic(dynamicQueueName), mode, dynamic: true };
+      }
+      return { name: queueName, mode };
+    },
+    async openTopic(topicString) {
+      ensureConnected();
+      return { name: topicString, mode: "output", topic: true };
+    },
+    async subscribe(topicString, { name, durable = true } = {}) {
+      ensureConnected();
+      const subscription = session.subscribe(topicString, { name, durable });
+      return {
+        name: subscription.name,
+        mode: "input",
+        subscription: { name: subscription.name, topic: subscription.topic, durable: subscription.durable },
+        queueName: subscription.queueName,
+      };
+    },
+    async unsubscribe(subscriptionName) {
+      ensureConnected();
+      session.unsubscribe(subscriptionName);
+    },
+    async put(queue, body, { correlId, replyToQueue, syncpoint, properties, priority, expiryMs } = {}) {
+      ensureConnected();
+      const fields = { body, correlId, replyToQueue, properties, priority, expiryMs };
+      if (queue.topic) {
+        return session.publish(queue.name, fields, { syncpoint });
+      }
+      return session.put(queue.name, fields, { syncpoint });
+    },
+    async get(queue, { waitMs = 0, syncpoint, correlId } = {}) {
+      ensureConnected();
+      return session.get(queue.queueName || queue.name, waitMs, { syncpoint, correlId });
+    },
+    async commit() {
+      ensureConnected();
+      session.commit();
+    },
+    async backout() {
+      ensureConnected();
+      session.backout();
+    },
+    async close(queue) {
+      if (session && queue.dynamic) {
+        session.closeQueue(queue.name);
+      }
+      if (session && queue.subscription) {
+        session.closeSubscription(queue.subscription.name);
+      }
+    },
+    async depth(queueName) {
+      ensureConnected();
+      return broker.depth(queueName);
+    },
+    async disconnect() {
+      if (session) {
+        session.close();
+        session = null;
+      }
+    },
+  };
+}
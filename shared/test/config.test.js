@@ -0,0 +1,165 @@
+/*
+ * config.test.js
+ *
+ * Summary:
+ * --------
+ * Tests of the configuration loader (src/config): defaults, the precedence of files and
+ * environment variables, validation that reports every problem at once, the cross-checks
+ * and redaction. Each test reads its files from a temporary directory. Run with `npm test`.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadConfig, redactConfig } from "../src/config/index.js";
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Creates a configuration directory holding the given files ({ "default.json": {...} }).
+function configDir(files = {}) {
+  const dir = fs.mkdtempSync(path.join(root, "dir-"));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+// Loads a configuration and returns the problems it was rejected for.
+function problemsOf(options) {
+  try {
+    loadConfig(options);
+  } catch (err) {
+    return err.details;
+  }
+  assert.fail("expected the configuration to be rejected");
+}
+
+const MEMORY = { MQ_TRANSPORT: "memory" };
+
+test("uses the defaults when nothing is set, and freezes the result", () => {
+  const config = loadConfig({ env: MEMORY, dir: configDir() });
+
+  assert.equal(config.environment, "development");
+  assert.equal(config.mq.transport, "memory");
+  assert.equal(config.mq.queues.request, "DEV.QUEUE.1");
+  assert.equal(config.mq.reconnect.initialDelayMs, 1000);
+  assert.equal(config.redis.port, 6379);
+  assert.equal(config.mssql.server, undefined);
+  assert.ok(Object.isFrozen(config.mq.queues));
+});
+
+test("environment variables win over the environment's file, which wins over default.json", () => {
+  const dir = configDir({
+    "default.json": { redis: { host: "default-host", port: 7000 }, logging: { level: "warn" } },
+    "staging.json": { redis: { host: "staging-host" } },
+  });
+  const config = loadConfig({ env: { ...MEMORY, APP_ENV: "staging", LOG_LEVEL: "debug" }, dir });
+
+  assert.equal(config.environment, "staging");
+  assert.equal(config.redis.host, "staging-host");
+  assert.equal(config.redis.port, 7000);
+  assert.equal(config.logging.level, "debug");
+});
+
+test("converts environment strings to the type of their setting", () => {
+  const env = { ...MEMORY, REDIS_PORT: "6380", RESULT_CACHE: "yes", LOG_SPANS: "0" };
+  const config = loadConfig({ env, dir: configDir() });
+
+  assert.equal(config.redis.port, 6380);
+  assert.equal(config.redis.cache.enabled, true);
+  assert.equal(config.logging.spans, false);
+});
+
+test("reports every invalid value at once, naming the setting and its variable", () => {
+  const env = { ...MEMORY, REDIS_PORT: "http", LOG_LEVEL: "loud", API_PORT: "70000", MQ_QMGR: "QM 1" };
+  const problems = problemsOf({ env, dir: configDir() });
+
+  assert.equal(problems.length, 4);
+  assert.match(problems.join("\n"), /redis\.port \(REDIS_PORT\) must be an integer/);
+  assert.match(problems.join("\n"), /logging\.level \(LOG_LEVEL\) must be one of/);
+  assert.match(problems.join("\n"), /http\.apiPort \(API_PORT\) must be at most 65535/);
+  assert.match(problems.join("\n"), /mq\.qmgr \(MQ_QMGR\) has an invalid format/);
+});
+
+test("rejects unknown settings, wrong types and invalid JSON in files", () => {
+  const dir = configDir({
+    "default.json": { redis: { prot: 1, port: "6379" }, mq: "QM1" },
+    "broken.json": "{ not json",
+  });
+  const problems = problemsOf({ env: { ...MEMORY, APP_ENV: "broken" }, dir });
+
+  assert.ok(problems.some((problem) => problem.endsWith("unknown setting redis.prot")));
+  assert.ok(problems.some((problem) => problem.includes("redis.port (REDIS_PORT) in")));
+  assert.ok(problems.some((problem) => problem.endsWith("mq must be an object")));
+  assert.ok(problems.some((problem) => problem.includes("invalid JSON")));
+});
+
+test("rejects an environment name that is not a plain name", () => {
+  const problems = problemsOf({ env: { ...MEMORY, APP_ENV: "../secrets" }, dir: configDir() });
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /must be a plain name/);
+});
+
+test("an IBM MQ connection needs a channel and connection name, or a CCDT", () => {
+  const problems = problemsOf({ env: { MQ_TRANSPORT: "ibmmq" }, dir: configDir() });
+  assert.deepEqual(problems, [
+    "mq.channel (MQ_CHANNEL) is required when no CCDT (MQ_CCDT_URL) is used",
+    "mq.connName (MQ_CONNNAME) is required when no CCDT (MQ_CCDT_URL) is used",
+  ]);
+
+  const config = loadConfig({
+    env: { MQ_TRANSPORT: "ibmmq", MQ_CCDT_URL: "file:///opt/mq/ccdt.json" },
+    dir: configDir(),
+  });
+  assert.equal(config.mq.ccdtUrl, "file:///opt/mq/ccdt.json");
+  assert.match(
+    problemsOf({ env: { MQ_TRANSPORT: "ibmmq", MQ_CCDT_URL: "/opt/mq/ccdt.json" }, dir: configDir() })[0],
+    /must be a file:\/\//
+  );
+});
+
+test("cross-checks the settings that depend on each other", () => {
+  const env = {
+    MQ_TRANSPORT: "ibmmq",
+    MQ_CHANNEL: "DEV.APP.SVRCONN",
+    MQ_CONNNAME: "localhost(1414)",
+    MQ_USER: "app",
+    MQ_TLS_CIPHER_SPEC: "ANY_TLS12_OR_HIGHER",
+    MQ_SYNC_REPLY_QUEUE: "DEV.QUEUE.2",
+    MQ_RECONNECT_INITIAL_MS: "5000",
+    MQ_RECONNECT_MAX_MS: "1000",
+    MSSQL_SERVER: "db",
+  };
+  const problems = problemsOf({ env, dir: configDir() }).join("\n");
+
+  assert.match(problems, /mq\.password \(MQ_PASSWORD\) is required when mq\.user/);
+  assert.match(problems, /mq\.tls\.keyRepository \(MQ_TLS_KEY_REPOSITORY\) is required/);
+  assert.match(problems, /mq\.syncReply\.queue \(MQ_SYNC_REPLY_QUEUE\) must not be one of/);
+  assert.match(problems, /initialDelayMs \(MQ_RECONNECT_INITIAL_MS\) must not exceed/);
+  for (const name of ["MSSQL_DATABASE", "MSSQL_USER", "MSSQL_PASSWORD"]) {
+    assert.match(problems, new RegExp(`\\(${name}\\) is required when mssql\\.server`));
+  }
+});
+
+test("redactConfig masks the secrets that are set", () => {
+  const env = { ...MEMORY, MQ_PASSWORD: "appIsSecure", REDIS_PASSWORD: "redisIsSecure" };
+  const config = loadConfig({ env, dir: configDir() });
+  const redacted = redactConfig(config);
+
+  assert.equal(config.mq.password, "appIsSecure");
+  assert.equal(redacted.mq.password, "********");
+  assert.equal(redacted.redis.password, "********");
+  assert.equal(redacted.mssql.password, undefined);
+  assert.equal(redacted.redis.host, config.redis.host);
+  assert.ok(!JSON.stringify(redacted).includes("IsSecure"));
+});
@@ -0,0 +1,138 @@
+/*
+ * memoryBroker.test.js
+ *
+ * Summary:
+ * --------
+ * Tests of the in-memory broker (src/transport/memoryBroker.js): priority order, expiry,
+ * CorrelId gets, and units of work with their BackoutCount. Run with `npm test`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryBroker } from "../src/transport/memoryBroker.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Gets every message waiting on a queue and returns their bodies.
+async function drain(broker, queueName) {
+  const bodies = [];
+  for (let message = await broker.get(queueName); message; message = await broker.get(queueName)) {
+    bodies.push(message.body.toString());
+  }
+  return bodies;
+}
+
+test("gets higher priorities first and keeps the order of equal priorities", async () => {
+  const broker = createMemoryBroker();
+  broker.put("Q", { body: "low-1" });
+  broker.put("Q", { body: "high-1", priority: 9 });
+  broker.put("Q", { body: "mid", priority: 5 });
+  broker.put("Q", { body: "high-2", priority: 9 });
+  broker.put("Q", { body: "low-2", priority: 0 });
+
+  assert.deepEqual(await drain(broker, "Q"), ["high-1", "high-2", "mid", "low-1", "low-2"]);
+});
+
+test("discards expired messages and leaves the others", async () => {
+  const broker = createMemoryBroker();
+  broker.put("Q", { body: "short", expiryMs: 20 });
+  broker.put("Q", { body: "forever" });
+  assert.equal(broker.depth("Q"), 2);
+
+  await sleep(40);
+  assert.equal(broker.depth("Q"), 1);
+  assert.deepEqual(await drain(broker, "Q"), ["forever"]);
+});
+
+test("a get with a CorrelId only takes a matching message", async () => {
+  const broker = createMemoryBroker();
+  const correlId = Buffer.alloc(24, 7);
+  broker.put("Q", { body: "other" });
+  broker.put("Q", { body: "mine", correlId });
+
+  const message = await broker.get("Q", 0, { correlId });
+  assert.equal(message.body.toString(), "mine");
+  assert.ok(message.correlId.equals(correlId));
+  assert.equal(await broker.get("Q", 0, { correlId }), null);
+  assert.equal(broker.depth("Q"), 1);
+});
+
+test("a waiting get receives a message put later, or null after its wait", async () => {
+  const broker = createMemoryBroker();
+  const waiting = broker.get("Q", 1000);
+  broker.put("Q", { body: "late" });
+  assert.equal((await waiting).body.toString(), "late");
+
+  assert.equal(await broker.get("Q", 10), null);
+});
+
+test("puts under syncpoint are only visible once committed", async () => {
+  const broker = createMemoryBroker();
+  const session = broker.createSession();
+  session.put("Q", { body: "one" }, { syncpoint: true });
+  session.put("Q", { body: "two" }, { syncpoint: true });
+  assert.equal(broker.depth("Q"), 0);
+
+  session.commit();
+  assert.deepEqual(await drain(broker, "Q"), ["one", "two"]);
+
+  session.put("Q", { body: "dropped" }, { syncpoint: true });
+  session.backout();
+  session.commit();
+  assert.equal(broker.depth("Q"), 0);
+});
+
+test("backout returns got messages to the front of their priority with BackoutCount + 1", async () => {
+  const broker = createMemoryBroker();
+  broker.put("Q", { body: "first", priority: 4 });
+  broker.put("Q", { body: "second", priority: 4 });
+  broker.put("Q", { body: "third", priority: 4 });
+  const session = broker.createSession();
+
+  const first = await session.get("Q", 0, { syncpoint: true });
+  const second = await session.get("Q", 0, { syncpoint: true });
+  assert.equal(first.backoutCount, 0);
+  assert.equal(second.body.toString(), "second");
+  session.backout();
+
+  const again = await session.get("Q", 0, { syncpoint: true });
+  assert.equal(again.body.toString(), "first");
+  assert.equal(again.backoutCount, 1);
+  assert.equal(again.priority, 4);
+  session.backout();
+
+  const messages = [];
+  for (let message = await broker.get("Q"); message; message = await broker.get("Q")) {
+    messages.push([message.body.toString(), message.backoutCount]);
+  }
+  assert.deepEqual(messages, [["first", 2], ["second", 1], ["third", 0]]);
+});
+
+test("committed gets are gone, and gets outside syncpoint are never backed out", async () => {
+  const broker = createMemoryBroker();
+  broker.put("Q", { body: "plain" });
+  broker.put("Q", { body: "under syncpoint" });
+  const session = broker.createSession();
+
+  await session.get("Q", 0);
+  await session.get("Q", 0, { syncpoint: true });
+  session.commit();
+  session.backout();
+
+  assert.equal(broker.depth("Q"), 0);
+});
+
+test("closing a session backs out its unit of work", async () => {
+  const broker = createMemoryBroker();
+  broker.put("Q", { body: "in flight" });
+  const session = broker.createSession();
+  await session.get("Q", 0, { syncpoint: true });
+  session.put("OUT", { body: "never sent" }, { syncpoint: true });
+
+  session.close();
+
+  const message = await broker.get("Q");
+  assert.equal(message.body.toString(), "in flight");
+  assert.equal(message.backoutCount, 1);
+  assert.equal(broker.depth("OUT"), 0);
+});
@@ -0,0 +1,135 @@
+/*
+ * messages.test.js
+ *
+ * Summary:
+ * --------
+ * Tests of the message envelope (src/messages): encoding, decoding and validation in both
+ * versions, the upgrade of version 0 messages, and replies in the version of their request.
+ * Run with `npm test`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ENVELOPE_VERSION,
+  MESSAGE_TYPES,
+  encodeMessage,
+  decodeMessage,
+  replyOptions,
+  validatePayload,
+} from "../src/messages/index.js";
+
+const { REQUEST, REPLY, TASK_REQUEST } = MESSAGE_TYPES;
+const record = { id: 42, value: "97", sentAt: 1746100800000 };
+const result = { id: 42, value: "97", prime: true, method: "trial-division", certain: true };
+
+// Runs fn and returns the error it throws.
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  assert.fail("expected an error");
+}
+
+test("a request survives encoding and decoding", () => {
+  const body = encodeMessage(REQUEST, { records: [record] });
+  const { envelope, version, single } = decodeMessage(Buffer.from(body), { type: REQUEST });
+
+  assert.equal(version, ENVELOPE_VERSION);
+  assert.equal(single, false);
+  assert.equal(envelope.version, ENVELOPE_VERSION);
+  assert.equal(envelope.type, REQUEST);
+  assert.deepEqual(envelope.payload, { records: [record] });
+  assert.match(envelope.id, /^[0-9a-f-]{36}$/);
+  assert.ok(!Number.isNaN(Date.parse(envelope.createdAt)));
+});
+
+test("encodeMessage rejects a payload that does not match its schema", () => {
+  const err = errorOf(() => encodeMessage(REQUEST, { records: [{ id: 1, value: 97 }] }));
+  assert.match(err.message, /^Invalid prime\.request message/);
+  assert.ok(err.details.length > 0);
+  assert.deepEqual(validatePayload("no.such.type", {}), ['unknown message type "no.such.type"']);
+});
+
+test("decodeMessage rejects bodies that are not valid messages", () => {
+  assert.match(errorOf(() => decodeMessage("{not json", { type: REQUEST })).message, /not valid JSON/);
+  assert.match(
+    errorOf(() => decodeMessage(JSON.stringify({ version: 2 }), { type: REQUEST })).message,
+    /Unsupported message version/
+  );
+  const reply = encodeMessage(REPLY, { results: [result] });
+  assert.match(errorOf(() => decodeMessage(reply, { type: REQUEST })).message, /Unexpected message type/);
+  const envelope = JSON.parse(encodeMessage(REQUEST, { records: [record] }));
+  envelope.payload.records[0].value = "-5";
+  assert.match(
+    errorOf(() => decodeMessage(JSON.stringify(envelope), { type: REQUEST })).message,
+    /Invalid prime\.request message \(version 1\)/
+  );
+});
+
+test("decodeMessage accepts any of several expected types", () => {
+  const body = encodeMessage(TASK_REQUEST, { taskId: "t-1", task: "isPrime", input: { value: "7" } });
+  const { envelope } = decodeMessage(body, { type: [REQUEST, TASK_REQUEST] });
+  assert.equal(envelope.type, TASK_REQUEST);
+});
+
+test("version 0 requests are upgraded, with their values as strings", () => {
+  const messageId = "0a".repeat(24);
+  const single = decodeMessage(JSON.stringify({ id: 7, value: 13 }), { type: REQUEST, messageId });
+  assert.equal(single.version, 0);
+  assert.equal(single.single, true);
+  assert.equal(single.envelope.version, ENVELOPE_VERSION);
+  assert.equal(single.envelope.id, messageId);
+  assert.deepEqual(single.envelope.payload, { records: [{ id: 7, value: "13" }] });
+
+  const body = JSON.stringify([{ id: 1, value: "4" }, { id: "2", value: 5 }]);
+  const batch = decodeMessage(body, { type: REQUEST });
+  assert.equal(batch.single, false);
+  assert.deepEqual(batch.envelope.payload.records, [
+    { id: 1, value: "4" },
+    { id: "2", value: "5" },
+  ]);
+});
+
+test("version 0 messages are checked against the current schema once upgraded", () => {
+  // Valid in version 0, which does not require a value; version 1 replies do.
+  const err = errorOf(() => decodeMessage(JSON.stringify({ id: 1, prime: true }), { type: REPLY }));
+  assert.match(err.message, /version 0, upgraded to 1/);
+  assert.ok(err.details.some((detail) => detail.includes("value")));
+});
+
+test("version 0 rejects numbers that have lost precision and ids that are not scalars", () => {
+  const unsafe = '{ "id": 1, "value": 9007199254740993 }';
+  assert.match(errorOf(() => decodeMessage(unsafe, { type: REQUEST })).message, /version 0/);
+  const safe = decodeMessage('{ "id": 1, "value": 9007199254740991 }', { type: REQUEST });
+  assert.equal(safe.envelope.payload.records[0].value, "9007199254740991");
+  const objectId = JSON.stringify({ id: { nested: 1 }, value: "5" });
+  assert.match(errorOf(() => decodeMessage(objectId, { type: REQUEST })).message, /version 0/);
+});
+
+test("replies are encoded in the version of their request", () => {
+  const v1 = decodeMessage(encodeMessage(REQUEST, { records: [record] }), { type: REQUEST });
+  const v1Reply = JSON.parse(encodeMessage(REPLY, { results: [result] }, replyOptions(v1)));
+  assert.equal(v1Reply.version, ENVELOPE_VERSION);
+  assert.equal(v1Reply.correlationId, v1.envelope.id);
+
+  const v0Single = decodeMessage(JSON.stringify({ id: 42, value: 97 }), { type: REQUEST });
+  assert.deepEqual(JSON.parse(encodeMessage(REPLY, { results: [result] }, replyOptions(v0Single))), result);
+
+  const v0Batch = decodeMessage(JSON.stringify([{ id: 42, value: 97 }]), { type: REQUEST });
+  assert.deepEqual(JSON.parse(encodeMessage(REPLY, { results: [result] }, replyOptions(v0Batch))), [result]);
+});
+
+test("task messages have no version 0 format", () => {
+  const payload = { taskId: "t-1", task: "isPrime", input: { value: "7" } };
+  assert.match(
+    errorOf(() => encodeMessage(TASK_REQUEST, payload, { version: 0 })).message,
+    /has no version 0 format/
+  );
+  assert.match(
+    errorOf(() => decodeMessage(JSON.stringify(payload), { type: TASK_REQUEST })).message,
+    /has no version 0 format/
+  );
+});